@@ -9,18 +9,45 @@
  * - Automatic periodic saving
  * - Manual save/load with confirmation
  * - Save data compression to reduce localStorage usage
+ * - Pluggable storage (localStorage, IndexedDB, memory) with automatic
+ *   fallback when a slot no longer fits (see SaveStorage.js)
  * - Version migration for game updates
  * - Export/import functionality
- * - Save corruption detection and recovery
+ * - Save corruption detection and recovery (checksummed payloads, see SaveCodec.js)
  */
 
+import { SaveCodec, LZCodec, createSaveCodec } from './SaveCodec.js';
+import { createSaveMigrator, compareVersions, DORF_SAVE_MIGRATIONS } from './SaveMigrations.js';
+import { createStorageAdapter, isQuotaExceededError, LocalStorageAdapter, IndexedDBAdapter, MemoryStorageAdapter } from './SaveStorage.js';
+
+// Version written into new saves; older saves are upgraded via SaveMigrations.js
+export const SAVE_VERSION = '1.13.0';
+
 export class AutoSaveSystem {
+    /**
+     * @param {Object} options - Save system options
+     * @param {string} options.gameId - Prefix for storage keys (default 'dorfriend')
+     * @param {string} options.version - Version written into saves (default SAVE_VERSION)
+     * @param {number} options.maxSlots - Number of save slots (default 5)
+     * @param {number} options.autoSaveInterval - Milliseconds between auto-saves (default 30000)
+     * @param {boolean} options.compression - LZ-compress saves (default true)
+     * @param {Array} options.migrations - Upgrade steps (default DORF_SAVE_MIGRATIONS)
+     * @param {Object} options.game - Game object to save (default window.game)
+     * @param {string|SaveStorageAdapter} options.storage - Primary backend (default localStorage, memory if unavailable)
+     * @param {string|SaveStorageAdapter|boolean} options.fallbackStorage - Backend for slots that outgrow the
+     *        primary one (default IndexedDB when available, false to disable)
+     */
     constructor(options = {}) {
         this.gameId = options.gameId || 'dorfriend';
-        this.version = options.version || '1.0.0';
+        this.version = options.version || SAVE_VERSION;
         this.maxSlots = options.maxSlots || 5;
         this.autoSaveInterval = options.autoSaveInterval || 30000; // 30 seconds
         this.compressionEnabled = options.compression !== false;
+        this.codec = createSaveCodec({ compression: this.compressionEnabled });
+        
+        // Upgrade steps for older saves (report of the last upgrade kept for the UI)
+        this.migrator = createSaveMigrator(options.migrations || DORF_SAVE_MIGRATIONS);
+        this.lastMigration = null;
         
         // State tracking
         this.isAutoSaving = false;
@@ -29,10 +56,22 @@ export class AutoSaveSystem {
         this.lastSaveTime = null;
         this.saveCount = 0;
         
+        // Game object to save/restore (falls back to window.game)
+        this.gameRef = options.game || null;
+        
+        // Storage backends; the save list (with each slot's backend) lives in the primary one
+        this.storage = this.resolvePrimaryStorage(options.storage);
+        this.fallbackStorage = this.resolveFallbackStorage(options.fallbackStorage);
+        this.saveList = [];
+        this.ready = this.loadSaveList();
+        
         // Save data serializers
         this.serializers = new Map();
         this.deserializers = new Map();
         
+        // Dwarf fields that point at another dwarf; saved as ids, resolved after all dwarfs load
+        this.dwarfReferenceFields = new Set(['guardedFemale', 'combatTarget', 'lastAttacker']);
+        
         // Statistics
         this.stats = {
             totalSaves: 0,
@@ -40,7 +79,8 @@ export class AutoSaveSystem {
             autoSaves: 0,
             manualSaves: 0,
             compressionRatio: 0,
-            lastSaveSize: 0
+            lastSaveSize: 0,
+            migrations: 0
         };
         
         // Initialize default serializers and deserializers
@@ -51,10 +91,46 @@ export class AutoSaveSystem {
             gameId: this.gameId,
             version: this.version,
             maxSlots: this.maxSlots,
-            autoSaveInterval: this.autoSaveInterval
+            autoSaveInterval: this.autoSaveInterval,
+            storage: this.storage.name,
+            fallbackStorage: this.fallbackStorage ? this.fallbackStorage.name : null
         });
     }
     
+    /**
+     * Pick the primary storage backend
+     * @private
+     */
+    resolvePrimaryStorage(storage) {
+        if (storage) return createStorageAdapter(storage);
+        
+        const local = new LocalStorageAdapter();
+        if (local.isAvailable()) return local;
+        
+        console.warn('AutoSaveSystem: localStorage unavailable, saves will only last for this session');
+        return new MemoryStorageAdapter();
+    }
+    
+    /**
+     * Pick the backend used when a slot does not fit in the primary one
+     * @private
+     */
+    resolveFallbackStorage(fallbackStorage) {
+        if (fallbackStorage === false) return null;
+        if (fallbackStorage) return createStorageAdapter(fallbackStorage);
+        
+        const indexedDB = new IndexedDBAdapter({ dbName: `${this.gameId}_saves` });
+        return indexedDB.isAvailable() && this.storage.name !== indexedDB.name ? indexedDB : null;
+    }
+    
+    /**
+     * All backends a slot may be stored in
+     * @returns {Array<SaveStorageAdapter>} Primary backend first
+     */
+    getBackends() {
+        return this.fallbackStorage ? [this.storage, this.fallbackStorage] : [this.storage];
+    }
+    
     /**
      * Initialize default serializers for common game objects
      */
@@ -62,6 +138,7 @@ export class AutoSaveSystem {
         // Dwarf serializer
         this.addSerializer('dwarf', (dwarf) => {
             return {
+                id: dwarf.id,
                 name: dwarf.name,
                 x: dwarf.x,
                 y: dwarf.y,
@@ -82,21 +159,52 @@ export class AutoSaveSystem {
                 
                 // Reproduction data
                 reproductionStrategy: dwarf.reproductionStrategy,
+                strategyGene: dwarf.strategyGene,
                 isPregnant: dwarf.isPregnant,
                 pregnancyTimer: dwarf.pregnancyTimer,
+                pregnancyFatherId: dwarf.pregnancyFatherId,
+                pregnancyFatherGenes: dwarf.pregnancyFatherGenes,
+                pregnancyStrain: dwarf.pregnancyStrain,
+                fatherStrategy: dwarf.fatherStrategy,
+                femaleStrategy: dwarf.femaleStrategy,
+                matePreferences: dwarf.matePreferences ? { ...dwarf.matePreferences } : null,
+                partnerId: dwarf.partnerId,
+                bondStrength: dwarf.bondStrength,
+                bondStartTime: dwarf.bondStartTime,
+                sharedHome: dwarf.sharedHome ? { ...dwarf.sharedHome } : null,
                 reproductionCooldown: dwarf.reproductionCooldown,
                 maturityTimer: dwarf.maturityTimer,
                 territoryX: dwarf.territoryX,
                 territoryY: dwarf.territoryY,
-                guardedFemale: dwarf.guardedFemale ? dwarf.guardedFemale.name : null,
+                guardedFemale: this.getDwarfReferenceId(dwarf.guardedFemale),
                 mateSeekingTimer: dwarf.mateSeekingTimer,
+                matingRecord: dwarf.matingRecord ? { ...dwarf.matingRecord } : null,
+                dominanceRating: dwarf.dominanceRating,
+                boutsWon: dwarf.boutsWon,
+                boutsLost: dwarf.boutsLost,
+                strategyData: this.getStrategySaveData(dwarf),
+                
+                // Lineage (ids, so parents and children survive death)
+                motherId: dwarf.motherId,
+                fatherId: dwarf.fatherId,
+                generation: dwarf.generation,
+                childIds: Array.isArray(dwarf.childIds) ? [...dwarf.childIds] : [],
+                guardianId: dwarf.guardianId,
                 
                 // Work and behavior
                 task: dwarf.task,
                 workTimer: dwarf.workTimer,
                 efficiency: dwarf.efficiency,
+                goldMined: dwarf.goldMined,
                 targetX: dwarf.targetX,
                 targetY: dwarf.targetY,
+                amenityType: dwarf.amenityType,
+                negativeType: dwarf.negativeType,
+                rocketPart: dwarf.rocketPart,
+                careTargetId: dwarf.careTargetId,
+                carrying: dwarf.carrying,
+                speed: dwarf.speed,
+                direction: dwarf.direction,
                 
                 // Lifespan data
                 maxLifespan: dwarf.maxLifespan,
@@ -110,8 +218,8 @@ export class AutoSaveSystem {
                 combatStats: dwarf.combatStats,
                 attackCooldown: dwarf.attackCooldown,
                 isInCombat: dwarf.isInCombat,
-                combatTarget: dwarf.combatTarget ? dwarf.combatTarget.name : null,
-                lastAttacker: dwarf.lastAttacker ? dwarf.lastAttacker.name : null,
+                combatTarget: this.getDwarfReferenceId(dwarf.combatTarget),
+                lastAttacker: this.getDwarfReferenceId(dwarf.lastAttacker),
                 
                 // Death state
                 isDead: dwarf.isDead,
@@ -143,13 +251,38 @@ export class AutoSaveSystem {
         this.addSerializer('gameState', (game) => {
             return {
                 time: game.time,
+                seed: game.seed,
+                nextDwarfId: game.nextDwarfId,
+                rngState: game.rng ? game.rng.getState() : undefined,
                 gold: game.gold,
                 goldPerSecond: game.goldPerSecond,
+                lastGoldCheck: game.lastGoldCheck,
                 rocketParts: game.rocketParts,
+                milestones: game.milestones,
                 population: game.dwarfs ? game.dwarfs.length : 0
             };
         });
         
+        // World objects serializer (plain data, copied as-is)
+        this.addSerializer('worldObjects', (game) => {
+            const copyAll = (list) => Array.isArray(list) ? list.map(item => ({ ...item })) : [];
+            
+            return {
+                goldDeposits: copyAll(game.goldDeposits),
+                foodSources: copyAll(game.foodSources),
+                waterSources: copyAll(game.waterSources),
+                negativeBuildings: copyAll(game.negativeBuildings)
+            };
+        });
+        
+        // Lineage serializer (records of every dwarf that has lived)
+        this.addSerializer('lineage', (game) => {
+            return Object.values(game.lineage || {}).map(record => ({
+                ...record,
+                childIds: [...record.childIds]
+            }));
+        });
+        
         // Lifespan system serializer
         this.addSerializer('lifespanSystem', (lifespanSystem) => {
             if (!lifespanSystem) return null;
@@ -202,35 +335,14 @@ export class AutoSaveSystem {
             // Restore all properties
             Object.assign(dwarf, data);
             
+            this.applyStrategySaveData(dwarf);
+            
             // Initialize lifespan system data if not present
             if (!dwarf.maxLifespan && gameRef && gameRef.lifespanIntegration) {
                 gameRef.lifespanIntegration.initializeDwarf(dwarf);
             }
             
-            // Restore combat references after a delay (to allow all dwarfs to be loaded)
-            if (data.combatTarget && gameRef) {
-                setTimeout(() => {
-                    if (gameRef.dwarfs) {
-                        dwarf.combatTarget = gameRef.dwarfs.find(d => d.name === data.combatTarget);
-                    }
-                }, 100);
-            }
-            
-            if (data.lastAttacker && gameRef) {
-                setTimeout(() => {
-                    if (gameRef.dwarfs) {
-                        dwarf.lastAttacker = gameRef.dwarfs.find(d => d.name === data.lastAttacker);
-                    }
-                }, 100);
-            }
-            
-            if (data.guardedFemale && gameRef) {
-                setTimeout(() => {
-                    if (gameRef.dwarfs) {
-                        dwarf.guardedFemale = gameRef.dwarfs.find(d => d.name === data.guardedFemale);
-                    }
-                }, 100);
-            }
+            // Dwarf references (combatTarget etc.) are resolved by restoreSaveData once every dwarf exists
             
             return dwarf;
         });
@@ -260,6 +372,46 @@ export class AutoSaveSystem {
         });
     }
     
+    /**
+     * Set the game object that saves are collected from and restored into
+     * @param {Object} game - Game state object
+     */
+    setGameReference(game) {
+        this.gameRef = game;
+    }
+    
+    /**
+     * Properties a registered custom strategy asked to have saved (see BaseStrategy.getSaveFields)
+     * @param {Object} dwarf - Dwarf being serialized
+     * @returns {Object|null} Field values, or null for built-in strategies
+     */
+    getStrategySaveData(dwarf) {
+        const reproductionSystem = this.getGameReference().reproductionSystem;
+        if (!reproductionSystem || !reproductionSystem.strategyFactory) return null;
+        return reproductionSystem.strategyFactory.getSaveData(dwarf);
+    }
+    
+    /**
+     * Move a restored dwarf's strategyData back onto the dwarf itself
+     * Call after Object.assign(dwarf, data) in dwarf deserializers.
+     * @param {Object} dwarf - Restored dwarf
+     */
+    applyStrategySaveData(dwarf) {
+        const strategyData = dwarf.strategyData;
+        delete dwarf.strategyData;
+        if (strategyData) {
+            Object.assign(dwarf, strategyData);
+        }
+    }
+    
+    /**
+     * Get the game object to save (explicit reference, else window.game)
+     * @returns {Object} Game state object (empty object if none)
+     */
+    getGameReference() {
+        return this.gameRef || (typeof window !== 'undefined' && window.game) || {};
+    }
+    
     /**
      * Add custom serializer for specific object types
      * @param {string} type - Object type identifier
@@ -278,6 +430,61 @@ export class AutoSaveSystem {
         this.deserializers.set(type, deserializer);
     }
     
+    /**
+     * Register a dwarf field that holds another dwarf
+     * The serializer should write it with getDwarfReferenceId(); on load it is
+     * resolved back to the dwarf object after all dwarfs are restored.
+     * @param {string} field - Dwarf property name
+     */
+    addDwarfReference(field) {
+        this.dwarfReferenceFields.add(field);
+    }
+    
+    /**
+     * Id to save in place of a dwarf reference
+     * @param {Object|null} dwarf - Referenced dwarf
+     * @returns {number|null} Dwarf id, or null if there is no reference
+     */
+    getDwarfReferenceId(dwarf) {
+        return dwarf && dwarf.id !== undefined ? dwarf.id : null;
+    }
+    
+    /**
+     * Second load pass: turn saved dwarf ids back into dwarf objects
+     * Runs synchronously after every dwarf is deserialized, so references to dwarfs
+     * later in the list resolve too. Ids that no longer exist (e.g. a target that died
+     * before the save) become null.
+     * @param {Array} dwarfs - Restored dwarfs
+     * @param {Array} dwarfData - Saved dwarf data, in the same order
+     * @returns {number} Number of references resolved
+     */
+    resolveDwarfReferences(dwarfs, dwarfData) {
+        const dwarfsById = new Map(dwarfs.map(dwarf => [dwarf.id, dwarf]));
+        let resolved = 0;
+        
+        dwarfs.forEach((dwarf, index) => {
+            const data = dwarfData[index] || {};
+            this.dwarfReferenceFields.forEach(field => {
+                const id = data[field];
+                dwarf[field] = id !== null && id !== undefined ? dwarfsById.get(id) || null : null;
+                if (dwarf[field]) resolved++;
+            });
+        });
+        
+        return resolved;
+    }
+    
+    /**
+     * Register an upgrade step for older saves
+     * @param {string} fromVersion - Version the step accepts
+     * @param {string} toVersion - Version the step produces
+     * @param {string} description - Summary of the step
+     * @param {Function} migrate - (saveObject, context) => string[] of changes
+     */
+    registerMigration(fromVersion, toVersion, description, migrate) {
+        this.migrator.registerMigration(fromVersion, toVersion, description, migrate);
+    }
+    
     /**
      * Start automatic saving
      */
@@ -354,6 +561,8 @@ export class AutoSaveSystem {
         const startTime = Date.now();
         
         try {
+            await this.ready;
+            
             // Collect save data
             const saveData = this.collectSaveData();
             
@@ -363,6 +572,7 @@ export class AutoSaveSystem {
                 description: description,
                 timestamp: Date.now(),
                 gameTime: saveData.gameState?.time || 0,
+                seed: saveData.gameState?.seed ?? null,
                 version: this.version,
                 isAutoSave: isAutoSave,
                 saveCount: ++this.saveCount
@@ -374,24 +584,20 @@ export class AutoSaveSystem {
                 data: saveData
             };
             
-            // Serialize and compress
-            let serialized = JSON.stringify(saveObject);
-            const originalSize = serialized.length;
-            
-            if (this.compressionEnabled) {
-                serialized = this.compressString(serialized);
-            }
+            // Serialize, compress and checksum (sizes are in UTF-16 units, as localStorage counts them)
+            const json = JSON.stringify(saveObject);
+            const originalSize = json.length;
+            const serialized = this.codec.encode(json);
             
             const finalSize = serialized.length;
             this.stats.compressionRatio = originalSize > 0 ? (1 - finalSize / originalSize) * 100 : 0;
             this.stats.lastSaveSize = finalSize;
             
-            // Save to localStorage
-            const key = this.getSaveKey(slot);
-            localStorage.setItem(key, serialized);
+            // Save to the primary backend, or the fallback if it does not fit
+            const backend = await this.writeSlot(slot, serialized);
             
             // Update save list
-            this.updateSaveList(slot, metadata);
+            await this.updateSaveList(slot, { ...metadata, backend: backend.name, size: finalSize });
             
             // Update statistics
             this.stats.totalSaves++;
@@ -404,12 +610,13 @@ export class AutoSaveSystem {
             this.lastSaveTime = Date.now();
             const saveTime = Date.now() - startTime;
             
-            console.log(`AutoSaveSystem: Saved to slot ${slot} (${saveTime}ms, ${finalSize} bytes, ${this.stats.compressionRatio.toFixed(1)}% compression)`);
+            console.log(`AutoSaveSystem: Saved to slot ${slot} in ${backend.name} (${saveTime}ms, ${finalSize} chars, ${this.stats.compressionRatio.toFixed(1)}% compression)`);
             
             this.dispatchSaveEvent('save', { 
                 slot, 
                 success: true, 
                 isAutoSave, 
+                backend: backend.name,
                 size: finalSize, 
                 compressionRatio: this.stats.compressionRatio,
                 saveTime 
@@ -439,20 +646,15 @@ export class AutoSaveSystem {
         }
         
         try {
-            const key = this.getSaveKey(slot);
-            let serialized = localStorage.getItem(key);
+            const stored = await this.readSlot(slot);
             
-            if (!serialized) {
+            if (!stored) {
                 console.warn(`AutoSaveSystem: No save data in slot ${slot}`);
                 return null;
             }
             
-            // Decompress if needed
-            if (this.compressionEnabled) {
-                serialized = this.decompressString(serialized);
-            }
-            
-            const saveObject = JSON.parse(serialized);
+            // Decompress and verify the checksum (throws a descriptive error if corrupted)
+            const saveObject = this.parseSaveText(this.codec.decode(stored), `slot ${slot}`);
             
             // Validate save data
             if (!this.validateSaveData(saveObject)) {
@@ -460,11 +662,8 @@ export class AutoSaveSystem {
                 return null;
             }
             
-            // Check version compatibility
-            if (!this.isVersionCompatible(saveObject.metadata.version)) {
-                console.warn('AutoSaveSystem: Save version mismatch, attempting migration');
-                // TODO: Implement version migration
-            }
+            // Upgrade older saves to the current version
+            const migration = this.migrateSaveObject(saveObject, slot);
             
             this.stats.totalLoads++;
             
@@ -473,7 +672,8 @@ export class AutoSaveSystem {
             this.dispatchSaveEvent('load', { 
                 slot, 
                 success: true, 
-                metadata: saveObject.metadata 
+                metadata: saveObject.metadata,
+                migration
             });
             
             return saveObject.data;
@@ -486,32 +686,126 @@ export class AutoSaveSystem {
     }
     
     /**
-     * Get list of all saves with metadata
-     * @returns {Array} Array of save metadata
+     * Run every migration between the save's version and the current one
+     * @param {Object} saveObject - Parsed save object (upgraded in place)
+     * @param {number} slot - Slot the save came from (for events)
+     * @returns {Object} Migration report (see SaveMigrator.migrate)
      */
-    getSaveList() {
+    migrateSaveObject(saveObject, slot) {
+        const saveVersion = saveObject.metadata.version;
+        if (!this.isVersionCompatible(saveVersion)) {
+            throw new Error(`Save version ${saveVersion} cannot be upgraded to ${this.version}`);
+        }
+        
+        const report = this.migrator.migrate(saveObject, this.version, { game: this.getGameReference() });
+        this.lastMigration = report;
+        
+        if (report.migrated) {
+            this.stats.migrations++;
+            report.steps.forEach(step => {
+                console.log(`AutoSaveSystem: Migrated ${step.from} -> ${step.to} (${step.description}): ${step.changes.length} changes`, step.changes);
+            });
+            this.dispatchSaveEvent('migrate', { slot, success: true, ...report });
+        }
+        
+        return report;
+    }
+    
+    /**
+     * Write a slot to the primary backend, moving it to the fallback if it does not fit
+     * Copies of the slot in other backends are removed so a stale save can't be read back.
+     * @param {number} slot - Save slot number
+     * @param {string} serialized - Encoded save
+     * @returns {Promise<SaveStorageAdapter>} Backend the slot was written to
+     */
+    async writeSlot(slot, serialized) {
+        const key = this.getSaveKey(slot);
+        let target = this.storage;
+        
         try {
-            const listKey = `${this.gameId}_savelist`;
-            const listData = localStorage.getItem(listKey);
-            return listData ? JSON.parse(listData) : [];
+            await this.storage.setItem(key, serialized);
+        } catch (error) {
+            if (!isQuotaExceededError(error)) throw error;
+            
+            if (!this.fallbackStorage) {
+                throw new Error(`Slot ${slot} needs ${serialized.length * 2} bytes, more than ${this.storage.name} has free`);
+            }
+            
+            console.warn(`AutoSaveSystem: Slot ${slot} does not fit in ${this.storage.name}, moving it to ${this.fallbackStorage.name}`);
+            await this.fallbackStorage.setItem(key, serialized);
+            target = this.fallbackStorage;
+            this.dispatchSaveEvent('relocate', { slot, success: true, from: this.storage.name, to: target.name });
+        }
+        
+        for (const backend of this.getBackends()) {
+            if (backend !== target) {
+                await backend.removeItem(key);
+            }
+        }
+        
+        return target;
+    }
+    
+    /**
+     * Read a slot from whichever backend holds it
+     * @param {number} slot - Save slot number
+     * @returns {Promise<string|null>} Encoded save or null
+     */
+    async readSlot(slot) {
+        await this.ready;
+        
+        const key = this.getSaveKey(slot);
+        const entry = this.saveList.find(s => s.slot === slot);
+        
+        // Look in the recorded backend first, then the others
+        const backends = this.getBackends().slice().sort((a, b) =>
+            (entry && b.name === entry.backend ? 1 : 0) - (entry && a.name === entry.backend ? 1 : 0));
+        
+        for (const backend of backends) {
+            const stored = await backend.getItem(key);
+            if (stored) return stored;
+        }
+        return null;
+    }
+    
+    /**
+     * Load the save list from the primary backend (called by the constructor, see this.ready)
+     * @returns {Promise<Array>} Save list
+     */
+    async loadSaveList() {
+        try {
+            const listData = await this.storage.getItem(this.getSaveListKey());
+            this.saveList = listData ? JSON.parse(listData) : [];
         } catch (error) {
             console.error('AutoSaveSystem: Error reading save list:', error);
-            return [];
+            this.saveList = [];
         }
+        return this.saveList;
+    }
+    
+    /**
+     * Get list of all saves with metadata
+     * Filled asynchronously on construction; wait for `ready` before the first call.
+     * @returns {Array} Array of save metadata
+     */
+    getSaveList() {
+        return this.saveList.slice();
     }
     
     /**
      * Delete save from specified slot
      * @param {number} slot - Save slot number
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
-    deleteSave(slot) {
+    async deleteSave(slot) {
         try {
             const key = this.getSaveKey(slot);
-            localStorage.removeItem(key);
+            for (const backend of this.getBackends()) {
+                await backend.removeItem(key);
+            }
             
             // Update save list
-            this.removeSaveFromList(slot);
+            await this.removeSaveFromList(slot);
             
             console.log(`AutoSaveSystem: Deleted save in slot ${slot}`);
             this.dispatchSaveEvent('delete', { slot, success: true });
@@ -530,16 +824,18 @@ export class AutoSaveSystem {
      * @param {number} slot - Save slot to export
      * @param {string} filename - Export filename
      */
-    exportSave(slot, filename = null) {
+    async exportSave(slot, filename = null) {
         try {
-            const key = this.getSaveKey(slot);
-            let data = localStorage.getItem(key);
+            const stored = await this.readSlot(slot);
             
-            if (!data) {
+            if (!stored) {
                 console.error(`AutoSaveSystem: No save data in slot ${slot}`);
                 return;
             }
             
+            // Export readable JSON; importSave accepts both JSON and encoded saves
+            const data = this.codec.decode(stored);
+            
             // Create filename if not provided
             if (!filename) {
                 const saveList = this.getSaveList();
@@ -577,20 +873,25 @@ export class AutoSaveSystem {
      */
     async importSave(file, slot) {
         try {
+            if (slot < 0 || slot >= this.maxSlots) {
+                throw new Error(`Invalid slot ${slot} (max: ${this.maxSlots})`);
+            }
+            
             const text = await file.text();
             
             // Validate imported data
-            const saveObject = JSON.parse(text);
+            const json = SaveCodec.isEncoded(text) ? this.codec.decode(text) : text;
+            const saveObject = this.parseSaveText(json, file.name);
             if (!this.validateSaveData(saveObject)) {
                 throw new Error('Invalid save file format');
             }
             
-            // Save to specified slot
-            const key = this.getSaveKey(slot);
-            localStorage.setItem(key, text);
+            // Save to specified slot (re-encoded so it carries a checksum)
+            const serialized = this.codec.encode(JSON.stringify(saveObject));
+            const backend = await this.writeSlot(slot, serialized);
             
             // Update save list
-            this.updateSaveList(slot, saveObject.metadata);
+            await this.updateSaveList(slot, { ...saveObject.metadata, slot, backend: backend.name, size: serialized.length });
             
             console.log(`AutoSaveSystem: Imported save to slot ${slot}`);
             this.dispatchSaveEvent('import', { slot, success: true, filename: file.name });
@@ -611,14 +912,23 @@ export class AutoSaveSystem {
     collectSaveData() {
         const saveData = {};
         
-        // Get global game object if available
-        const game = (typeof window !== 'undefined' && window.game) || {};
+        const game = this.getGameReference();
         
         // Serialize game state
         if (this.serializers.has('gameState')) {
             saveData.gameState = this.serializers.get('gameState')(game);
         }
         
+        // Serialize deposits, food and water sources
+        if (this.serializers.has('worldObjects')) {
+            saveData.worldObjects = this.serializers.get('worldObjects')(game);
+        }
+        
+        // Serialize the family tree
+        if (this.serializers.has('lineage')) {
+            saveData.lineage = this.serializers.get('lineage')(game);
+        }
+        
         // Serialize dwarfs
         if (game.dwarfs && Array.isArray(game.dwarfs)) {
             const dwarfSerializer = this.serializers.get('dwarf');
@@ -659,23 +969,37 @@ export class AutoSaveSystem {
     /**
      * Restore saved data to the game
      * @param {Object} saveData - Save data to restore
-     * @param {Object} gameRef - Game reference for restoration
+     * @param {Object} gameRef - Game reference for restoration (defaults to getGameReference())
      * @returns {boolean} Success status
      */
-    restoreSaveData(saveData, gameRef) {
+    restoreSaveData(saveData, gameRef = this.getGameReference()) {
         try {
-            // Restore game state
+            // Restore game state (the random state is applied last, see below)
+            const { rngState, nextDwarfId, ...gameState } = saveData.gameState || {};
             if (saveData.gameState && gameRef) {
-                Object.assign(gameRef, saveData.gameState);
+                Object.assign(gameRef, gameState);
             }
             
-            // Restore dwarfs
+            // Restore dwarfs, then resolve their references to each other by id
             if (saveData.dwarfs && Array.isArray(saveData.dwarfs)) {
                 const dwarfDeserializer = this.deserializers.get('dwarf');
                 if (dwarfDeserializer && gameRef) {
                     gameRef.dwarfs = saveData.dwarfs.map(dwarfData => 
                         dwarfDeserializer(dwarfData, gameRef)
                     );
+                    this.resolveDwarfReferences(gameRef.dwarfs, saveData.dwarfs);
+                }
+            }
+            
+            if (gameRef && saveData.gameState) {
+                // Never hand out an id a restored dwarf already has
+                const ids = (gameRef.dwarfs || []).map(dwarf => dwarf.id).filter(Number.isInteger);
+                const highestId = ids.length > 0 ? Math.max(...ids) : 0;
+                gameRef.nextDwarfId = Math.max(Number.isInteger(nextDwarfId) ? nextDwarfId : 1, highestId + 1);
+                
+                // Continue the saved random sequence (after dwarf construction, which draws from it)
+                if (gameRef.rng && typeof rngState === 'number') {
+                    gameRef.rng.setState(rngState);
                 }
             }
             
@@ -689,6 +1013,23 @@ export class AutoSaveSystem {
                 }
             }
             
+            // Restore deposits, food and water sources
+            if (saveData.worldObjects && gameRef) {
+                ['goldDeposits', 'foodSources', 'waterSources', 'negativeBuildings'].forEach(key => {
+                    if (Array.isArray(saveData.worldObjects[key])) {
+                        gameRef[key] = saveData.worldObjects[key].map(item => ({ ...item }));
+                    }
+                });
+            }
+            
+            // Restore the family tree
+            if (Array.isArray(saveData.lineage) && gameRef) {
+                gameRef.lineage = {};
+                saveData.lineage.forEach(record => {
+                    gameRef.lineage[record.id] = { ...record, childIds: [...(record.childIds || [])] };
+                });
+            }
+            
             // Restore lifespan system
             if (saveData.lifespanSystem && gameRef && gameRef.lifespanIntegration) {
                 const lifespanDeserializer = this.deserializers.get('lifespanSystem');
@@ -721,48 +1062,54 @@ export class AutoSaveSystem {
         return `${this.gameId}_save_${slot}`;
     }
     
+    /**
+     * Get storage key for the save list
+     * @returns {string} Storage key
+     */
+    getSaveListKey() {
+        return `${this.gameId}_savelist`;
+    }
+    
     /**
      * Update save list with new save metadata
      * @param {number} slot - Save slot
      * @param {Object} metadata - Save metadata
      */
-    updateSaveList(slot, metadata) {
-        try {
-            let saveList = this.getSaveList();
-            
-            // Remove existing entry for this slot
-            saveList = saveList.filter(s => s.slot !== slot);
-            
-            // Add new entry
-            saveList.push(metadata);
-            
-            // Sort by slot number
-            saveList.sort((a, b) => a.slot - b.slot);
-            
-            // Save updated list
-            const listKey = `${this.gameId}_savelist`;
-            localStorage.setItem(listKey, JSON.stringify(saveList));
-            
-        } catch (error) {
-            console.error('AutoSaveSystem: Error updating save list:', error);
-        }
+    async updateSaveList(slot, metadata) {
+        await this.ready;
+        
+        // Replace any existing entry for this slot, keep sorted by slot number
+        const saveList = this.saveList.filter(s => s.slot !== slot);
+        saveList.push(metadata);
+        saveList.sort((a, b) => a.slot - b.slot);
+        
+        await this.persistSaveList(saveList);
     }
     
     /**
      * Remove save from save list
      * @param {number} slot - Save slot to remove
      */
-    removeSaveFromList(slot) {
+    async removeSaveFromList(slot) {
+        await this.ready;
+        
+        await this.persistSaveList(this.saveList.filter(s => s.slot !== slot));
+    }
+    
+    /**
+     * Write the save list to the primary backend and adopt it
+     * Failures (e.g. quota) are thrown to the caller and leave the current list in place,
+     * so a save whose list entry can't be stored is reported as failed.
+     * @param {Array} saveList - New save list
+     * @private
+     */
+    async persistSaveList(saveList) {
         try {
-            let saveList = this.getSaveList();
-            saveList = saveList.filter(s => s.slot !== slot);
-            
-            const listKey = `${this.gameId}_savelist`;
-            localStorage.setItem(listKey, JSON.stringify(saveList));
-            
+            await this.storage.setItem(this.getSaveListKey(), JSON.stringify(saveList));
         } catch (error) {
-            console.error('AutoSaveSystem: Error removing from save list:', error);
+            throw new Error(`Save list could not be written to ${this.storage.name}: ${error.message}`);
         }
+        this.saveList = saveList;
     }
     
     /**
@@ -779,37 +1126,49 @@ export class AutoSaveSystem {
     }
     
     /**
-     * Check if save version is compatible
+     * Check if a save version can be loaded (same version, or upgradable by registered migrations)
      * @param {string} saveVersion - Version string from save
      * @returns {boolean} Whether version is compatible
      */
     isVersionCompatible(saveVersion) {
-        // Simple version compatibility check
-        // In a real implementation, you might want more sophisticated version comparison
-        const [saveMajor] = saveVersion.split('.').map(Number);
-        const [currentMajor] = this.version.split('.').map(Number);
-        
-        return saveMajor === currentMajor;
+        return compareVersions(saveVersion, this.version) === 0 ||
+               this.migrator.canMigrate(saveVersion, this.version);
     }
     
     /**
-     * Simple string compression (placeholder - you might want to use a real compression library)
+     * Parse decoded save JSON, reporting where a parse failure came from
+     * @param {string} json - Save JSON text
+     * @param {string} source - Where the text came from (for the error message)
+     * @returns {Object} Parsed save object
+     */
+    parseSaveText(json, source) {
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Save data in ${source} is not valid JSON (${error.message})`);
+        }
+    }
+    
+    /**
+     * Compress a string (LZ, UTF-16 safe; see SaveCodec.js)
      * @param {string} str - String to compress
      * @returns {string} Compressed string
      */
     compressString(str) {
-        // Simple compression using JSON minification and basic encoding
-        // In production, consider using a proper compression library like pako
-        return btoa(str);
+        return LZCodec.compress(str);
     }
     
     /**
-     * Simple string decompression
+     * Decompress a string produced by compressString
      * @param {string} str - String to decompress
      * @returns {string} Decompressed string
      */
     decompressString(str) {
-        return atob(str);
+        const result = LZCodec.decompress(str);
+        if (result === null) {
+            throw new Error('AutoSaveSystem: Compressed data is truncated or corrupted');
+        }
+        return result;
     }
     
     /**
@@ -842,7 +1201,9 @@ export class AutoSaveSystem {
             saveCount: this.saveCount,
             autoSaveInterval: this.autoSaveInterval,
             slotsUsed: this.getSaveList().length,
-            maxSlots: this.maxSlots
+            maxSlots: this.maxSlots,
+            storage: this.storage.name,
+            fallbackStorage: this.fallbackStorage ? this.fallbackStorage.name : null
         };
     }
     
@@ -863,57 +1224,69 @@ export class AutoSaveSystem {
  */
 export class SaveUtils {
     /**
-     * Get total localStorage usage for this game
-     * @param {string} gameId - Game identifier
-     * @returns {Object} Storage usage information
+     * Get usage and quota for every backend a save system writes to
+     * @param {AutoSaveSystem} saveSystem - Save system to inspect
+     * @returns {Promise<Array>} Per backend: { backend, used, quota, percentOfQuota, saveCount, keys }
      */
-    static getStorageUsage(gameId) {
+    static async getUsageByBackend(saveSystem) {
+        return Promise.all(saveSystem.getBackends().map(async backend => {
+            const usage = await backend.getUsage(saveSystem.gameId);
+            return {
+                ...usage,
+                saveCount: usage.keys.filter(entry => entry.key.includes('_save_')).length
+            };
+        }));
+    }
+    
+    /**
+     * Get total storage usage for a save system, across all of its backends
+     * @param {AutoSaveSystem} saveSystem - Save system to inspect
+     * @returns {Promise<Object>} { totalSize, saveCount, keys: [{ key, size, backend }], percentOfQuota, backends }
+     */
+    static async getStorageUsage(saveSystem) {
+        const backends = await SaveUtils.getUsageByBackend(saveSystem);
+        const keys = [];
         let totalSize = 0;
         let saveCount = 0;
-        const keys = [];
         
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(gameId)) {
-                const value = localStorage.getItem(key);
-                const size = value ? value.length : 0;
-                totalSize += size;
-                
-                if (key.includes('_save_')) {
-                    saveCount++;
-                }
-                
-                keys.push({ key, size });
-            }
-        }
+        backends.forEach(usage => {
+            totalSize += usage.used;
+            saveCount += usage.saveCount;
+            usage.keys.forEach(entry => keys.push({ ...entry, backend: usage.backend }));
+        });
         
         return {
             totalSize,
             saveCount,
             keys: keys.sort((a, b) => b.size - a.size),
-            percentOfQuota: totalSize / (5 * 1024 * 1024) * 100 // Assuming 5MB quota
+            percentOfQuota: backends.length > 0 ? backends[0].percentOfQuota : 0, // Primary backend
+            backends
         };
     }
     
     /**
-     * Clear all save data for a game
-     * @param {string} gameId - Game identifier
-     * @returns {number} Number of items cleared
+     * Clear all save data for a save system from every backend it writes to
+     * @param {AutoSaveSystem} saveSystem - Save system whose saves to clear
+     * @returns {Promise<number>} Number of items cleared
      */
-    static clearAllSaves(gameId) {
-        const keysToRemove = [];
+    static async clearAllSaves(saveSystem) {
+        await saveSystem.ready;
+        
+        const prefix = `${saveSystem.gameId}_`;
+        let cleared = 0;
         
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(gameId)) {
-                keysToRemove.push(key);
+        for (const backend of saveSystem.getBackends()) {
+            const keys = await backend.keys(prefix);
+            for (const key of keys) {
+                await backend.removeItem(key);
             }
+            cleared += keys.length;
         }
         
-        keysToRemove.forEach(key => localStorage.removeItem(key));
+        saveSystem.saveList = [];
         
-        console.log(`SaveUtils: Cleared ${keysToRemove.length} save entries for ${gameId}`);
-        return keysToRemove.length;
+        console.log(`SaveUtils: Cleared ${cleared} save entries for ${saveSystem.gameId}`);
+        return cleared;
     }
     
     /**
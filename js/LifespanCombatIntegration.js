@@ -9,15 +9,23 @@
 import { LifespanCombatSystem, LifespanUtils } from './LifespanCombatSystem.js';
 
 export class DorfFriendLifespanIntegration {
-    constructor(gameReference, reproductionSystem, autoSaveSystem) {
+    /**
+     * @param {Object} gameReference - Game reference
+     * @param {Object} reproductionSystem - Reproduction system
+     * @param {Object} autoSaveSystem - Auto-save system
+     * @param {Object} config - Integration options
+     * @param {number} config.ticksPerSecond - Simulation tick rate (default 60)
+     */
+    constructor(gameReference, reproductionSystem, autoSaveSystem, config = {}) {
         this.game = gameReference;
         this.reproductionSystem = reproductionSystem;
         this.autoSave = autoSaveSystem;
         
         // Initialize lifespan combat system
         this.lifespanSystem = new LifespanCombatSystem({
-            maxLifespan: 54000, // ~45 minutes
-            minLifespan: 27000, // ~22.5 minutes
+            ticksPerSecond: config.ticksPerSecond || 60,
+            maxLifespan: 54000, // 15 minutes
+            minLifespan: 27000, // 7.5 minutes
             agingStartAge: 37800, // Start aging at 70% lifespan
             
             // Enhanced combat for territorial disputes
@@ -25,7 +33,10 @@ export class DorfFriendLifespanIntegration {
             baseDamage: 20,
             damageVariance: 8,
             attackRange: 25,
-            criticalChance: 0.12
+            criticalChance: 0.12,
+            
+            // Share the world's (seeded) random source
+            random: reproductionSystem ? () => reproductionSystem.world.random() : undefined
         });
         
         // Enhanced reproduction integration
@@ -56,6 +67,11 @@ export class DorfFriendLifespanIntegration {
             this.handleMatingRivalry(event.data);
         });
         
+        // Every hit counts as a bout won in the dominance hierarchy
+        this.lifespanSystem.addAttackListener(({ attacker, target, killed }) => {
+            this.reproductionSystem.dominance.recordBout(attacker, target, killed);
+        });
+        
         // Override original strategy displacement with combat
         this.enhanceOrangeStrategy();
     }
@@ -95,7 +111,7 @@ export class DorfFriendLifespanIntegration {
                 
                 // Attempt mating if close enough
                 if (distance < originalOrangeStrategy.config.matingDistance && 
-                    Math.random() < originalOrangeStrategy.config.matingChance) {
+                    this.lifespanSystem.random() < originalOrangeStrategy.config.matingChance) {
                     originalOrangeStrategy.attemptMating(male, female);
                 }
             }
@@ -109,7 +125,7 @@ export class DorfFriendLifespanIntegration {
      * @param {Object} eventData - Territory establishment event data
      */
     handleTerritorialDispute(eventData) {
-        const territorial = this.findDwarfByName(eventData.male.name);
+        const territorial = this.findDwarfById(eventData.male.id);
         if (!territorial || territorial.reproductionStrategy !== 'orange') return;
         
         // Find nearby orange males for combat
@@ -123,7 +139,7 @@ export class DorfFriendLifespanIntegration {
         );
         
         nearbyCompetitors.forEach(competitor => {
-            if (Math.random() < 0.3) { // 30% chance of combat per territorial establishment
+            if (this.lifespanSystem.random() < 0.3) { // 30% chance of combat per territorial establishment
                 this.initiateTerritorialCombat(territorial, competitor, null);
             }
         });
@@ -134,10 +150,10 @@ export class DorfFriendLifespanIntegration {
      * @param {Object} eventData - Competitor displacement event data
      */
     handleCompetitorCombat(eventData) {
-        const territorial = this.findDwarfByName(eventData.territorial.name);
-        const displaced = this.findDwarfByName(eventData.displaced.name);
+        const territorial = this.findDwarfById(eventData.territorial.id);
+        const displaced = this.findDwarfById(eventData.displaced.id);
         
-        if (territorial && displaced && Math.random() < 0.4) {
+        if (territorial && displaced && this.lifespanSystem.random() < 0.4) {
             // Combat instead of just fleeing
             this.initiateTerritorialCombat(territorial, displaced, null);
         }
@@ -148,7 +164,7 @@ export class DorfFriendLifespanIntegration {
      * @param {Object} eventData - Mating success event data
      */
     handleMatingRivalry(eventData) {
-        const successfulMale = this.findDwarfByName(eventData.male);
+        const successfulMale = this.findDwarfById(eventData.maleId);
         if (!successfulMale) return;
         
         // Find nearby rival males who might attack
@@ -163,10 +179,12 @@ export class DorfFriendLifespanIntegration {
         );
         
         rivals.forEach(rival => {
-            if (Math.random() < 0.2) { // 20% chance of jealous attack
-                setTimeout(() => {
-                    this.lifespanSystem.performAttack(rival, successfulMale, this.reproductionSystem.world);
-                }, Math.random() * 300); // Delayed attack
+            if (this.lifespanSystem.random() < 0.2) { // 20% chance of jealous attack
+                this.lifespanSystem.scheduleAction(this.lifespanSystem.random() * 18, () => {
+                    if (rival.health > 0 && successfulMale.health > 0) {
+                        this.lifespanSystem.performAttack(rival, successfulMale, this.reproductionSystem.world);
+                    }
+                }); // Delayed attack (up to ~0.3s at 60 ticks/s)
             }
         });
     }
@@ -188,7 +206,7 @@ export class DorfFriendLifespanIntegration {
             (100 - competitor.personality.agreeableness) / 100 : 0.5;
         
         const combatChance = 0.3 * (territorialAggression + competitorAggression);
-        return Math.random() < combatChance;
+        return this.lifespanSystem.random() < combatChance;
     }
     
     /**
@@ -210,16 +228,14 @@ export class DorfFriendLifespanIntegration {
         const femaleInfo = female ? ` over ${female.name}` : '';
         console.log(`Territorial combat: ${male1.name} vs ${male2.name}${femaleInfo}`);
         
-        if (typeof addLog === 'function') {
-            addLog(`${male1.name} and ${male2.name} fight for territory!`, true, 'warning');
-        }
+        this.reproductionSystem.world.addLog(`${male1.name} and ${male2.name} fight for territory!`, true, 'warning');
         
         // First attack
-        setTimeout(() => {
+        this.lifespanSystem.scheduleAction(6, () => {
             if (male1.health > 0 && male2.health > 0) {
                 this.lifespanSystem.performAttack(male1, male2, this.reproductionSystem.world);
             }
-        }, 100);
+        });
     }
     
     /**
@@ -228,9 +244,11 @@ export class DorfFriendLifespanIntegration {
     setupAutoSaveIntegration() {
         if (!this.autoSave) return;
         
-        // Add serializer for combat/health data
+        // Add serializer for combat/health data (wraps the base serializer captured here,
+        // looking it up inside the closure would find this override and recurse)
+        const baseDwarfSerializer = this.autoSave.serializers.get('dwarf');
         this.autoSave.addSerializer('dwarf', (dwarf) => {
-            const baseData = this.autoSave.serializers.get('dwarf')(dwarf);
+            const baseData = baseDwarfSerializer ? baseDwarfSerializer(dwarf) : {};
             
             // Add lifespan and combat data
             return {
@@ -247,9 +265,10 @@ export class DorfFriendLifespanIntegration {
                 // Combat data
                 combatStats: dwarf.combatStats,
                 attackCooldown: dwarf.attackCooldown,
+                statusEffects: dwarf.statusEffects,
                 isInCombat: dwarf.isInCombat,
-                combatTarget: dwarf.combatTarget ? dwarf.combatTarget.name : null,
-                lastAttacker: dwarf.lastAttacker ? dwarf.lastAttacker.name : null
+                combatTarget: this.autoSave.getDwarfReferenceId(dwarf.combatTarget),
+                lastAttacker: this.autoSave.getDwarfReferenceId(dwarf.lastAttacker)
             };
         });
         
@@ -261,29 +280,19 @@ export class DorfFriendLifespanIntegration {
         
         // Add deserializer for combat data
         this.autoSave.addDeserializer('dwarf', (data, gameRef) => {
-            // Use base deserializer first
-            const dwarf = new Dwarf(data.x, data.y, data.name, data.isAdult);
+            // Create through the world so the game's Dwarf class is used
+            const dwarf = this.reproductionSystem.world.createDwarf(data.x, data.y, data.name, data.isAdult);
             
             // Restore all properties
             Object.assign(dwarf, data);
+            this.autoSave.applyStrategySaveData(dwarf);
             
             // Initialize combat system for restored dwarf
             if (!dwarf.maxLifespan) {
                 this.lifespanSystem.initializeDwarf(dwarf);
             }
             
-            // Restore combat references
-            if (data.combatTarget && gameRef.dwarfs) {
-                setTimeout(() => {
-                    dwarf.combatTarget = gameRef.dwarfs.find(d => d.name === data.combatTarget);
-                }, 100);
-            }
-            
-            if (data.lastAttacker && gameRef.dwarfs) {
-                setTimeout(() => {
-                    dwarf.lastAttacker = gameRef.dwarfs.find(d => d.name === data.lastAttacker);
-                }, 100);
-            }
+            // combatTarget and lastAttacker are resolved by id once every dwarf is restored
             
             return dwarf;
         });
@@ -291,6 +300,7 @@ export class DorfFriendLifespanIntegration {
     
     /**
      * Find dwarf by name
+     * Names are not unique; prefer findDwarfById for event payloads and saved references.
      * @param {string} name - Dwarf name
      * @returns {Object|null} Found dwarf or null
      */
@@ -298,6 +308,15 @@ export class DorfFriendLifespanIntegration {
         return this.game.dwarfs ? this.game.dwarfs.find(d => d.name === name) : null;
     }
     
+    /**
+     * Find dwarf by its unique id
+     * @param {number} id - Dwarf id
+     * @returns {Object|null} Found dwarf or null
+     */
+    findDwarfById(id) {
+        return this.reproductionSystem.world.getDwarfById(id);
+    }
+    
     /**
      * Initialize existing dwarf for lifespan/combat system
      * @param {Object} dwarf - Dwarf to initialize
@@ -315,7 +334,14 @@ export class DorfFriendLifespanIntegration {
         // Update lifespan/combat system
         this.lifespanSystem.update(this.game.dwarfs, this.reproductionSystem.world);
         
-        // Remove dead dwarfs from game array
+        // Close the lineage records of the dead, then remove them from game array
+        const world = this.reproductionSystem.world;
+        this.game.dwarfs.forEach(dwarf => {
+            if (dwarf.isDead) {
+                world.recordDeath(dwarf);
+                this.reproductionSystem.handleDeath(dwarf);
+            }
+        });
         this.game.dwarfs = this.game.dwarfs.filter(dwarf => !dwarf.isDead);
     }
     
@@ -412,10 +438,13 @@ export class DorfFriendLifespanIntegration {
     getDwarfInfo(dwarf) {
         if (!dwarf) return null;
         
+        const ticksPerSecond = this.lifespanSystem.config.ticksPerSecond;
+        
         return {
+            id: dwarf.id,
             name: dwarf.name,
-            age: Math.floor((dwarf.age || 0) / 60), // Convert to minutes
-            maxAge: Math.floor((dwarf.maxLifespan || 0) / 60),
+            age: LifespanUtils.ticksToMinutes(dwarf.age, ticksPerSecond),
+            maxAge: LifespanUtils.ticksToMinutes(dwarf.maxLifespan, ticksPerSecond),
             health: Math.floor(dwarf.health || 0),
             maxHealth: Math.floor(dwarf.maxHealth || 0),
             healthPercent: Math.floor(((dwarf.health || 0) / (dwarf.maxHealth || 1)) * 100),
@@ -432,10 +461,11 @@ export class DorfFriendLifespanIntegration {
  * @param {Object} game - Game reference
  * @param {Object} reproductionSystem - Reproduction system
  * @param {Object} autoSaveSystem - Auto-save system
+ * @param {Object} config - Integration options (ticksPerSecond)
  * @returns {DorfFriendLifespanIntegration} Integration instance
  */
-export function createLifespanIntegration(game, reproductionSystem, autoSaveSystem) {
-    return new DorfFriendLifespanIntegration(game, reproductionSystem, autoSaveSystem);
+export function createLifespanIntegration(game, reproductionSystem, autoSaveSystem, config = {}) {
+    return new DorfFriendLifespanIntegration(game, reproductionSystem, autoSaveSystem, config);
 }
 
 export default DorfFriendLifespanIntegration;
\ No newline at end of file
@@ -8,7 +8,11 @@
  * Features:
  * - Aging system with natural death from old age
  * - Health system with damage, healing, and status effects  
+ * - Timed, stacking status effects (bleeding, broken limb, concussion,
+ *   poisoned, slowed) cured by rest or a healer
  * - Melee combat with attack/defense mechanics
+ * - Class-based combat: fighters hit harder in melee, archers shoot
+ *   projectiles from range, mages cast area, heal and slow spells
  * - Death system that spawns skull sprites
  * - Combat integration with reproduction (territorial disputes)
  * - Visual health indicators and combat effects
@@ -18,8 +22,9 @@ export class LifespanCombatSystem {
     constructor(config = {}) {
         this.config = {
             // Lifespan settings (in game ticks)
-            maxLifespan: config.maxLifespan || 36000, // ~30 minutes at 20fps
-            minLifespan: config.minLifespan || 18000, // ~15 minutes minimum
+            ticksPerSecond: config.ticksPerSecond || 60, // Fixed simulation tick rate
+            maxLifespan: config.maxLifespan || 36000, // 10 minutes at 60 ticks/s
+            minLifespan: config.minLifespan || 18000, // 5 minutes minimum
             agingStartAge: config.agingStartAge || 25200, // Start aging effects at 70% lifespan
             
             // Health settings
@@ -39,15 +44,69 @@ export class LifespanCombatSystem {
             territorialCombatChance: config.territorialCombatChance || 0.02,
             randomCombatChance: config.randomCombatChance || 0.001,
             
+            // How each class fights (see performAttack); other classes fight in melee without bonuses
+            classCombat: config.classCombat || {
+                fighter: {
+                    style: 'melee',
+                    meleeDamageMultiplier: 1.25, // Fighters hit harder up close...
+                    meleeCritBonus: 0.05         // ...and crit more often
+                },
+                archer: {
+                    style: 'ranged',
+                    range: 120,                  // Shoots at targets this far away
+                    damageMultiplier: 0.8,
+                    projectileSpeed: 6           // Pixels per tick; the arrow follows its target
+                },
+                mage: {
+                    style: 'spell',
+                    range: 90,                   // Casts at targets this far away
+                    areaRadius: 40,              // Area spell hits everyone this close to the target...
+                    areaDamageMultiplier: 0.7,   // ...the target for this share of a normal hit...
+                    splashDamageMultiplier: 0.4, // ...and the others for this share
+                    healAmount: 25,              // Heals the most injured ally in range...
+                    healThreshold: 0.5,          // ...below this share of max health, instead of attacking
+                    slowChance: 0.3,             // Chance to slow a target that is not slowed yet
+                    slowDuration: 180            // Ticks a slow lasts
+                }
+            },
+            
+            // Timed status effects (see applyStatusEffect). Each stack adds its
+            // damagePerTick and applies its speed/efficiency multiplier once more.
+            // curedBy lists what ends it early: 'rest' in a house or a mage 'healer'.
+            statusEffects: config.statusEffects || {
+                bleeding: { icon: '🩸', duration: 300, maxStacks: 3, damagePerTick: 0.05, blocksHealing: true, curedBy: ['rest', 'healer'] },
+                broken_limb: { icon: '🦴', duration: 3600, maxStacks: 2, speedMultiplier: 0.6, curedBy: ['healer'] },
+                concussion: { icon: '💫', duration: 1800, maxStacks: 2, efficiencyMultiplier: 0.7, curedBy: ['rest', 'healer'] },
+                poisoned: { icon: '🤢', duration: 600, maxStacks: 5, damagePerTick: 0.02, blocksHealing: true, curedBy: ['healer'] },
+                slowed: { icon: '🐌', duration: 180, maxStacks: 1, speedMultiplier: 0.5, curedBy: [] }
+            },
+            
+            // Chance that a hit leaves an injury (see applyInjuries)
+            injuryChances: config.injuryChances || {
+                bleeding: 0.3,     // Any hit
+                broken_limb: 0.25, // Hits for heavyHitDamage or more
+                concussion: 0.5,   // Critical hits
+                poisoned: 0.2      // Arrows
+            },
+            heavyHitDamage: config.heavyHitDamage || 20,
+            
             // Visual settings
             combatEffectDuration: config.combatEffectDuration || 30,
             deathEffectDuration: config.deathEffectDuration || 60
         };
         
+        // Random source for simulation decisions (seeded generator when provided).
+        // Purely visual jitter (damage numbers, sparks) keeps using Math.random
+        // so rendering never shifts the simulation's random sequence.
+        this.random = typeof config.random === 'function' ? config.random : Math.random;
+        
         // System state
         this.skulls = []; // Dead dwarf skulls
         this.combatEffects = []; // Visual combat effects
         this.deathEffects = []; // Death animation effects
+        this.pendingActions = []; // Delayed combat actions, run by update() (tick-based, not wall-clock)
+        this.projectiles = []; // Arrows in flight, moved by update()
+        this.attackListeners = []; // Called after every attack (see addAttackListener)
         
         // Statistics
         this.stats = {
@@ -55,7 +114,12 @@ export class LifespanCombatSystem {
             deathsByAge: 0,
             deathsByCombat: 0,
             totalCombats: 0,
-            totalDamageDealt: 0
+            totalDamageDealt: 0,
+            projectilesFired: 0,
+            spellsCast: { area: 0, heal: 0, slow: 0 },
+            totalHealing: 0,
+            statusEffectsApplied: {}, // Effect type -> times applied
+            statusEffectsCured: { rest: 0, healer: 0 }
         };
         
         console.log('LifespanCombatSystem initialized', this.config);
@@ -68,10 +132,10 @@ export class LifespanCombatSystem {
     initializeDwarf(dwarf) {
         // Set random lifespan
         dwarf.maxLifespan = this.config.minLifespan + 
-            Math.random() * (this.config.maxLifespan - this.config.minLifespan);
+            this.random() * (this.config.maxLifespan - this.config.minLifespan);
         
         // Initialize health system
-        dwarf.maxHealth = this.config.maxHealth + Math.random() * 20 - 10; // ±10 variation
+        dwarf.maxHealth = this.config.maxHealth + this.random() * 20 - 10; // ±10 variation
         dwarf.health = dwarf.maxHealth;
         dwarf.age = dwarf.age || 0;
         
@@ -81,6 +145,7 @@ export class LifespanCombatSystem {
         dwarf.combatTarget = null;
         dwarf.lastAttacker = null;
         dwarf.combatEffectTimer = 0;
+        dwarf.statusEffects = {}; // Effect type -> { stacks, ticksLeft }
         
         // Combat stats based on class
         this.assignCombatStats(dwarf);
@@ -89,7 +154,7 @@ export class LifespanCombatSystem {
         dwarf.healthBarVisible = false;
         dwarf.damageNumbers = [];
         
-        console.log(`Initialized ${dwarf.name}: lifespan ${Math.floor(dwarf.maxLifespan/60)}min, health ${Math.floor(dwarf.maxHealth)}`);
+        console.log(`Initialized ${dwarf.name}: lifespan ${LifespanUtils.ticksToMinutes(dwarf.maxLifespan, this.config.ticksPerSecond)}min, health ${Math.floor(dwarf.maxHealth)}`);
     }
     
     /**
@@ -138,7 +203,13 @@ export class LifespanCombatSystem {
      * @param {Object} world - World interface for interactions
      */
     updateDwarf(dwarf, world) {
-        if (!dwarf.health || dwarf.health <= 0) return; // Skip dead dwarfs
+        if (typeof dwarf.health !== 'number') return; // Skip uninitialized dwarfs
+        
+        // Dwarfs killed by a retaliation or delayed attack still need a proper death
+        if (dwarf.health <= 0) {
+            this.handleDeath(dwarf, world);
+            return;
+        }
         
         // Age the dwarf
         dwarf.age = (dwarf.age || 0) + 1;
@@ -146,6 +217,9 @@ export class LifespanCombatSystem {
         // Handle aging effects
         this.handleAging(dwarf);
         
+        // Bleed, take poison damage and let effects wear off
+        this.updateStatusEffects(dwarf);
+        
         // Handle health regeneration/decay
         this.handleHealthUpdate(dwarf);
         
@@ -159,6 +233,9 @@ export class LifespanCombatSystem {
         // Handle combat behavior
         this.handleCombatBehavior(dwarf, world);
         
+        // Mages not fighting tend to the injured
+        this.handleHealerBehavior(dwarf, world);
+        
         // Check for death
         if (dwarf.health <= 0 || dwarf.age >= dwarf.maxLifespan) {
             this.handleDeath(dwarf, world);
@@ -189,8 +266,9 @@ export class LifespanCombatSystem {
      * @param {Object} dwarf - Dwarf to update health for
      */
     handleHealthUpdate(dwarf) {
-        // Natural healing when healthy and not in combat
-        if (dwarf.health < dwarf.maxHealth && !dwarf.isInCombat && dwarf.health > dwarf.maxHealth * 0.3) {
+        // Natural healing when healthy, not in combat and not bleeding or poisoned
+        if (dwarf.health < dwarf.maxHealth && !dwarf.isInCombat && dwarf.health > dwarf.maxHealth * 0.3 &&
+            !this.isHealingBlocked(dwarf)) {
             dwarf.health = Math.min(dwarf.maxHealth, dwarf.health + this.config.naturalHealing);
         }
         
@@ -206,8 +284,9 @@ export class LifespanCombatSystem {
     handleCombatBehavior(dwarf, world) {
         if (!dwarf.isAdult || dwarf.attackCooldown > 0) return;
         
-        // Find potential combat targets
-        const nearbyDwarfs = world.getNearbyDwarfs(dwarf, this.config.attackRange * 2);
+        // Find potential combat targets (archers and mages look as far as they shoot)
+        const searchRadius = Math.max(this.getAttackRange(dwarf), this.config.attackRange * 2);
+        const nearbyDwarfs = world.getNearbyDwarfs(dwarf, searchRadius);
         const potentialTargets = nearbyDwarfs.filter(target => 
             target.health > 0 && 
             target !== dwarf && 
@@ -218,7 +297,7 @@ export class LifespanCombatSystem {
             const target = potentialTargets[0]; // Attack nearest valid target
             const distance = world.calculateDistance(dwarf, target);
             
-            if (distance <= this.config.attackRange) {
+            if (distance <= this.getAttackRange(dwarf)) {
                 this.performAttack(dwarf, target, world);
             } else if (dwarf.combatTarget === target) {
                 // Move towards combat target
@@ -241,15 +320,15 @@ export class LifespanCombatSystem {
         
         // Territorial disputes (Orange males)
         if (this.isTerritorialDispute(attacker, target)) {
-            return Math.random() < this.config.territorialCombatChance;
+            return this.random() < this.config.territorialCombatChance;
         }
         
         // Random combat (rare)
-        if (Math.random() < this.config.randomCombatChance) {
+        if (this.random() < this.config.randomCombatChance) {
             // Personality influences combat likelihood
             if (attacker.personality) {
                 const aggression = (100 - attacker.personality.agreeableness) + attacker.personality.neuroticism;
-                return Math.random() * 200 < aggression;
+                return this.random() * 200 < aggression;
             }
             return true;
         }
@@ -271,7 +350,183 @@ export class LifespanCombatSystem {
     }
     
     /**
-     * Perform a melee attack
+     * Combat profile of a dwarf's class (config.classCombat)
+     * @param {Object} dwarf - Dwarf to look up
+     * @returns {Object} Class profile; plain melee for classes without one
+     */
+    getCombatClass(dwarf) {
+        return this.config.classCombat[dwarf.class] || { style: 'melee' };
+    }
+    
+    /**
+     * Distance a dwarf can attack from
+     * @param {Object} dwarf - Dwarf to check
+     * @returns {number} Class range for archers and mages, attackRange otherwise
+     */
+    getAttackRange(dwarf) {
+        return this.getCombatClass(dwarf).range || this.config.attackRange;
+    }
+    
+    /**
+     * Movement speed factor from status effects (broken limbs, slow spells)
+     * @param {Object} dwarf - Dwarf to check
+     * @returns {number} Speed multiplier
+     */
+    getSpeedMultiplier(dwarf) {
+        return this.getStatusMultiplier(dwarf, 'speedMultiplier');
+    }
+    
+    /**
+     * Work efficiency factor from status effects (concussions)
+     * @param {Object} dwarf - Dwarf to check
+     * @returns {number} Efficiency multiplier
+     */
+    getEfficiencyMultiplier(dwarf) {
+        return this.getStatusMultiplier(dwarf, 'efficiencyMultiplier');
+    }
+    
+    /**
+     * Product of one multiplier over a dwarf's effects, once per stack
+     * @private
+     */
+    getStatusMultiplier(dwarf, property) {
+        let multiplier = 1;
+        Object.entries(dwarf.statusEffects || {}).forEach(([type, effect]) => {
+            const definition = this.config.statusEffects[type];
+            if (definition && typeof definition[property] === 'number') {
+                multiplier *= Math.pow(definition[property], effect.stacks);
+            }
+        });
+        return multiplier;
+    }
+    
+    /**
+     * Give a dwarf a status effect, or another stack of one it already has
+     * A new stack (up to maxStacks) also restarts the timer if it would last longer.
+     * 
+     * @param {Object} dwarf - Affected dwarf
+     * @param {string} type - Effect type (key of config.statusEffects)
+     * @param {number} duration - Ticks it lasts (default: the effect's duration)
+     * @returns {boolean} True if the effect was applied
+     */
+    applyStatusEffect(dwarf, type, duration = null) {
+        const definition = this.config.statusEffects[type];
+        if (!definition) throw new Error(`Unknown status effect: ${type}`);
+        if (dwarf.isDead) return false;
+        
+        if (!dwarf.statusEffects) dwarf.statusEffects = {};
+        const ticks = duration || definition.duration;
+        const effect = dwarf.statusEffects[type];
+        if (effect) {
+            effect.stacks = Math.min(definition.maxStacks, effect.stacks + 1);
+            effect.ticksLeft = Math.max(effect.ticksLeft, ticks);
+        } else {
+            dwarf.statusEffects[type] = { stacks: 1, ticksLeft: ticks };
+        }
+        
+        this.stats.statusEffectsApplied[type] = (this.stats.statusEffectsApplied[type] || 0) + 1;
+        return true;
+    }
+    
+    /**
+     * Whether a dwarf has a status effect
+     * @param {Object} dwarf - Dwarf to check
+     * @param {string} type - Effect type
+     * @returns {boolean} True if the effect is on the dwarf
+     */
+    hasStatusEffect(dwarf, type) {
+        return !!(dwarf.statusEffects && dwarf.statusEffects[type]);
+    }
+    
+    /**
+     * Remove every effect a cure works on
+     * @param {Object} dwarf - Dwarf being cured
+     * @param {string} cure - 'rest' or 'healer'
+     * @returns {Array} Effect types removed
+     */
+    cureStatusEffects(dwarf, cure) {
+        const cured = this.getCurableEffects(dwarf, cure);
+        cured.forEach(type => delete dwarf.statusEffects[type]);
+        if (cured.length > 0) {
+            this.stats.statusEffectsCured[cure] = (this.stats.statusEffectsCured[cure] || 0) + cured.length;
+        }
+        return cured;
+    }
+    
+    /**
+     * Effects on a dwarf that a cure works on
+     * @param {Object} dwarf - Dwarf to check
+     * @param {string} cure - 'rest' or 'healer'
+     * @returns {Array} Effect types
+     */
+    getCurableEffects(dwarf, cure) {
+        return Object.keys(dwarf.statusEffects || {}).filter(type => {
+            const definition = this.config.statusEffects[type];
+            return definition && definition.curedBy.includes(cure);
+        });
+    }
+    
+    /**
+     * Whether an effect on the dwarf stops natural healing
+     * @param {Object} dwarf - Dwarf to check
+     * @returns {boolean} True while bleeding or poisoned
+     */
+    isHealingBlocked(dwarf) {
+        return Object.keys(dwarf.statusEffects || {}).some(type => {
+            const definition = this.config.statusEffects[type];
+            return definition && definition.blocksHealing;
+        });
+    }
+    
+    /**
+     * Deal damage over time and count down every effect on a dwarf
+     * @param {Object} dwarf - Dwarf to update
+     */
+    updateStatusEffects(dwarf) {
+        if (!dwarf.statusEffects) return;
+        
+        Object.entries(dwarf.statusEffects).forEach(([type, effect]) => {
+            const definition = this.config.statusEffects[type];
+            if (definition && definition.damagePerTick) {
+                dwarf.health -= definition.damagePerTick * effect.stacks;
+            }
+            
+            effect.ticksLeft--;
+            if (!definition || effect.ticksLeft <= 0) {
+                delete dwarf.statusEffects[type];
+            }
+        });
+    }
+    
+    /**
+     * Roll the injuries a hit leaves (config.injuryChances)
+     * @param {Object} target - Dwarf that was hit
+     * @param {number} damage - Damage of the hit
+     * @param {boolean} isCritical - Whether it was a critical hit
+     * @param {boolean} isArrow - Whether an arrow dealt it
+     */
+    applyInjuries(target, damage, isCritical, isArrow = false) {
+        const chances = this.config.injuryChances;
+        
+        if (this.random() < chances.bleeding) {
+            this.applyStatusEffect(target, 'bleeding');
+        }
+        if (damage >= this.config.heavyHitDamage && this.random() < chances.broken_limb) {
+            this.applyStatusEffect(target, 'broken_limb');
+        }
+        if (isCritical && this.random() < chances.concussion) {
+            this.applyStatusEffect(target, 'concussion');
+        }
+        if (isArrow && this.random() < chances.poisoned) {
+            this.applyStatusEffect(target, 'poisoned');
+        }
+    }
+    
+    /**
+     * Perform an attack the way the attacker's class fights
+     * Fighters (and classless dwarfs) strike in melee, archers fire a
+     * projectile and mages cast a spell (see config.classCombat).
+     * 
      * @param {Object} attacker - Attacking dwarf
      * @param {Object} target - Target dwarf
      * @param {Object} world - World interface
@@ -279,42 +534,79 @@ export class LifespanCombatSystem {
     performAttack(attacker, target, world) {
         if (attacker.attackCooldown > 0) return;
         
+        const combatClass = this.getCombatClass(attacker);
+        
+        // The attacker is committed to the fight whatever the attack
+        attacker.isInCombat = true;
+        attacker.combatTarget = target;
+        attacker.attackCooldown = this.config.attackCooldown / attacker.combatStats.speed;
+        attacker.combatEffectTimer = this.config.combatEffectDuration;
+        
+        if (combatClass.style === 'ranged') {
+            this.fireProjectile(attacker, target, combatClass);
+        } else if (combatClass.style === 'spell') {
+            this.castSpell(attacker, target, combatClass, world);
+        } else {
+            const { damage, isCritical } = this.rollDamage(attacker, target,
+                combatClass.meleeDamageMultiplier || 1, combatClass.meleeCritBonus || 0);
+            this.addCombatEffect(attacker, target);
+            this.applyHit(attacker, target, damage, isCritical, world);
+        }
+    }
+    
+    /**
+     * Roll the damage of one hit
+     * @param {Object} attacker - Attacking dwarf
+     * @param {Object} target - Target dwarf
+     * @param {number} multiplier - Class damage multiplier
+     * @param {number} critBonus - Extra critical chance
+     * @returns {Object} { damage, isCritical }
+     */
+    rollDamage(attacker, target, multiplier = 1, critBonus = 0) {
         // Calculate damage
-        const baseDamage = this.config.baseDamage + Math.random() * this.config.damageVariance;
+        const baseDamage = this.config.baseDamage + this.random() * this.config.damageVariance;
         const attackMultiplier = attacker.combatStats.attack;
         const defenseMultiplier = target.combatStats.defense;
         
-        let damage = baseDamage * attackMultiplier / defenseMultiplier;
+        let damage = baseDamage * attackMultiplier / defenseMultiplier * multiplier;
         
         // Check for critical hit
-        const critChance = this.config.criticalChance + attacker.combatStats.critChance;
-        const isCritical = Math.random() < critChance;
+        const critChance = this.config.criticalChance + attacker.combatStats.critChance + critBonus;
+        const isCritical = this.random() < critChance;
         if (isCritical) {
             damage *= this.config.criticalMultiplier;
         }
         
+        return { damage: Math.floor(damage), isCritical };
+    }
+    
+    /**
+     * Apply a hit that reached its target
+     * @param {Object} attacker - Dwarf the hit came from
+     * @param {Object} target - Dwarf that was hit
+     * @param {number} finalDamage - Damage dealt
+     * @param {boolean} isCritical - Whether it was a critical hit
+     * @param {Object} world - World interface
+     * @param {boolean} isArrow - Whether an arrow dealt it
+     */
+    applyHit(attacker, target, finalDamage, isCritical, world, isArrow = false) {
         // Apply damage
-        const finalDamage = Math.floor(damage);
         target.health -= finalDamage;
         target.lastAttacker = attacker;
         
+        // Wounds that outlast the hit
+        if (target.health > 0) {
+            this.applyInjuries(target, finalDamage, isCritical, isArrow);
+        }
+        
         // Set combat states
-        attacker.isInCombat = true;
         target.isInCombat = true;
-        attacker.combatTarget = target;
         target.combatTarget = attacker;
-        
-        // Set cooldowns
-        attacker.attackCooldown = this.config.attackCooldown / attacker.combatStats.speed;
-        attacker.combatEffectTimer = this.config.combatEffectDuration;
         target.combatEffectTimer = this.config.combatEffectDuration;
         
         // Add damage number effect
         this.addDamageNumber(target, finalDamage, isCritical);
         
-        // Add combat effect
-        this.addCombatEffect(attacker, target);
-        
         // Update statistics
         this.stats.totalCombats++;
         this.stats.totalDamageDealt += finalDamage;
@@ -323,16 +615,247 @@ export class LifespanCombatSystem {
         const combatType = isCritical ? 'CRITICAL HIT' : 'hit';
         console.log(`${attacker.name} ${combatType} ${target.name} for ${finalDamage} damage`);
         
+        // Notify listeners (e.g. the dominance hierarchy)
+        const result = { attacker, target, damage: finalDamage, isCritical, killed: target.health <= 0 };
+        this.attackListeners.forEach(listener => listener(result));
+        
         // Trigger retaliation chance
-        if (target.health > 0 && target.attackCooldown === 0 && Math.random() < 0.7) {
-            setTimeout(() => {
-                if (target.health > 0 && world.calculateDistance(attacker, target) <= this.config.attackRange) {
+        if (target.health > 0 && target.attackCooldown === 0 && this.random() < 0.7) {
+            this.scheduleAction(1, () => {
+                if (target.health > 0 && attacker.health > 0 &&
+                    world.calculateDistance(attacker, target) <= this.getAttackRange(target)) {
                     this.performAttack(target, attacker, world);
                 }
-            }, 10);
+            });
         }
     }
     
+    /**
+     * Loose an arrow; its damage is rolled now and dealt when it arrives
+     * @param {Object} archer - Shooting dwarf
+     * @param {Object} target - Target dwarf
+     * @param {Object} combatClass - Archer profile
+     */
+    fireProjectile(archer, target, combatClass) {
+        const { damage, isCritical } = this.rollDamage(archer, target, combatClass.damageMultiplier || 1);
+        
+        this.projectiles.push({
+            attacker: archer,
+            target,
+            x: archer.x,
+            y: archer.y,
+            dx: 0,
+            dy: 0,
+            speed: combatClass.projectileSpeed,
+            ticksLeft: Math.ceil(2 * combatClass.range / combatClass.projectileSpeed), // Dodged if it takes longer
+            damage,
+            isCritical
+        });
+        this.stats.projectilesFired++;
+    }
+    
+    /**
+     * Move arrows in flight and hit the targets they reach
+     * @param {Object} world - World interface
+     */
+    updateProjectiles(world) {
+        if (this.projectiles.length === 0) return;
+        
+        const arrived = [];
+        this.projectiles = this.projectiles.filter(projectile => {
+            const target = projectile.target;
+            projectile.ticksLeft--;
+            if (target.isDead || target.health <= 0 || projectile.ticksLeft <= 0) return false;
+            
+            const dx = target.x - projectile.x;
+            const dy = target.y - projectile.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance <= projectile.speed) {
+                arrived.push(projectile);
+                return false;
+            }
+            
+            projectile.dx = dx / distance;
+            projectile.dy = dy / distance;
+            projectile.x += projectile.dx * projectile.speed;
+            projectile.y += projectile.dy * projectile.speed;
+            return true;
+        });
+        
+        arrived.forEach(projectile => {
+            this.addSpellEffect('melee', projectile.target.x, projectile.target.y, 0);
+            this.applyHit(projectile.attacker, projectile.target, projectile.damage, projectile.isCritical, world, true);
+        });
+    }
+    
+    /**
+     * Cast a mage spell: heal and cure an injured ally, slow the target or hit the area around it
+     * @param {Object} mage - Casting dwarf
+     * @param {Object} target - Dwarf the mage is fighting
+     * @param {Object} combatClass - Mage profile
+     * @param {Object} world - World interface
+     */
+    castSpell(mage, target, combatClass, world) {
+        const ally = this.findInjuredAlly(mage, target, combatClass, world);
+        if (ally) {
+            this.healAlly(mage, ally, combatClass);
+            return;
+        }
+        
+        if (!this.hasStatusEffect(target, 'slowed') && this.random() < combatClass.slowChance) {
+            this.applyStatusEffect(target, 'slowed', combatClass.slowDuration);
+            target.isInCombat = true;
+            target.combatTarget = mage;
+            this.stats.spellsCast.slow++;
+            this.addSpellEffect('slow', target.x, target.y, 16);
+            return;
+        }
+        
+        // Area spell: full share on the target, splash on everyone else close to it
+        const splashed = world.getNearbyDwarfs(target, combatClass.areaRadius).filter(dwarf =>
+            dwarf !== mage && !dwarf.isDead && dwarf.health > 0 && dwarf.combatStats);
+        this.stats.spellsCast.area++;
+        this.addSpellEffect('area', target.x, target.y, combatClass.areaRadius);
+        
+        const hit = this.rollDamage(mage, target, combatClass.areaDamageMultiplier);
+        this.applyHit(mage, target, hit.damage, hit.isCritical, world);
+        splashed.forEach(dwarf => {
+            const splash = this.rollDamage(mage, dwarf, combatClass.splashDamageMultiplier);
+            this.applyHit(mage, dwarf, splash.damage, splash.isCritical, world);
+        });
+    }
+    
+    /**
+     * Heal an ally and cure every effect a healer cures
+     * An ally at full health is only cured; the heal is not counted or logged.
+     * 
+     * @param {Object} mage - Healing dwarf
+     * @param {Object} ally - Dwarf being healed
+     * @param {Object} combatClass - Mage profile
+     */
+    healAlly(mage, ally, combatClass) {
+        this.cureStatusEffects(ally, 'healer');
+        this.addSpellEffect('heal', ally.x, ally.y, 14);
+        
+        const healed = Math.min(combatClass.healAmount, ally.maxHealth - ally.health);
+        if (healed === 0) return;
+        ally.health += healed;
+        this.stats.spellsCast.heal++;
+        this.stats.totalHealing += healed;
+        console.log(`${mage.name} healed ${ally.name} for ${Math.floor(healed)}`);
+    }
+    
+    /**
+     * Mages not in the middle of a fight heal and cure injured dwarfs in range
+     * A mage counts as fighting while its combatEffectTimer runs (it struck or
+     * was struck recently); a heal uses up its attack cooldown like a spell.
+     * 
+     * @param {Object} dwarf - Dwarf that may heal
+     * @param {Object} world - World interface
+     */
+    handleHealerBehavior(dwarf, world) {
+        const combatClass = this.getCombatClass(dwarf);
+        if (combatClass.style !== 'spell' || !dwarf.isAdult || dwarf.combatEffectTimer > 0 ||
+            dwarf.attackCooldown > 0) {
+            return;
+        }
+        
+        const ally = this.findInjuredAlly(dwarf, null, combatClass, world);
+        if (ally) {
+            this.healAlly(dwarf, ally, combatClass);
+            dwarf.attackCooldown = this.config.attackCooldown / dwarf.combatStats.speed;
+        }
+    }
+    
+    /**
+     * Nearest dwarf that can heal another: an adult mage that is not in the
+     * middle of a fight and is not the dwarf's own opponent
+     * @param {Object} dwarf - Dwarf looking for a healer
+     * @param {Array} dwarfs - Dwarfs to search
+     * @returns {Object|null} Nearest healer, or null if there is none
+     */
+    findHealer(dwarf, dwarfs) {
+        let healer = null;
+        let nearest = Infinity;
+        dwarfs.forEach(other => {
+            if (other === dwarf || other === dwarf.combatTarget || other.isDead || !other.isAdult ||
+                other.combatEffectTimer > 0 || this.getCombatClass(other).style !== 'spell') {
+                return;
+            }
+            const distance = Math.hypot(other.x - dwarf.x, other.y - dwarf.y);
+            if (distance < nearest) {
+                healer = other;
+                nearest = distance;
+            }
+        });
+        return healer;
+    }
+    
+    /**
+     * Most injured ally within a mage's range
+     * Allies are living dwarfs other than the mage's target that are not fighting the mage;
+     * they need healing below healThreshold or with an effect a healer cures.
+     * @private
+     */
+    findInjuredAlly(mage, target, combatClass, world) {
+        let ally = null;
+        world.getNearbyDwarfs(mage, combatClass.range).forEach(dwarf => {
+            if (dwarf === target || dwarf.isDead || dwarf.health <= 0 || !(dwarf.maxHealth > 0) ||
+                dwarf.combatTarget === mage) {
+                return;
+            }
+            if (dwarf.health >= dwarf.maxHealth * combatClass.healThreshold &&
+                this.getCurableEffects(dwarf, 'healer').length === 0) {
+                return;
+            }
+            if (!ally || dwarf.health / dwarf.maxHealth < ally.health / ally.maxHealth) {
+                ally = dwarf;
+            }
+        });
+        return ally;
+    }
+    
+    /**
+     * Register a function called after every attack
+     * @param {Function} listener - Called with { attacker, target, damage, isCritical, killed }
+     */
+    addAttackListener(listener) {
+        this.attackListeners.push(listener);
+    }
+    
+    /**
+     * Schedule an action to run after a number of game ticks
+     * Keeps delayed attacks in step with the simulation (paused, headless or fast-forwarded)
+     * 
+     * @param {number} delayTicks - Ticks to wait (minimum 1)
+     * @param {Function} action - Action to run
+     */
+    scheduleAction(delayTicks, action) {
+        this.pendingActions.push({
+            ticksRemaining: Math.max(1, Math.floor(delayTicks)),
+            action
+        });
+    }
+    
+    /**
+     * Count down scheduled actions and run the ones that are due
+     */
+    processPendingActions() {
+        if (this.pendingActions.length === 0) return;
+        
+        const due = [];
+        this.pendingActions = this.pendingActions.filter(pending => {
+            pending.ticksRemaining--;
+            if (pending.ticksRemaining <= 0) {
+                due.push(pending);
+                return false;
+            }
+            return true;
+        });
+        
+        due.forEach(pending => pending.action());
+    }
+    
     /**
      * Move dwarf towards target
      * @param {Object} dwarf - Dwarf to move
@@ -344,7 +867,7 @@ export class LifespanCombatSystem {
         const distance = Math.sqrt(dx * dx + dy * dy);
         
         if (distance > 0) {
-            const moveSpeed = (dwarf.speed || 1) * dwarf.combatStats.speed;
+            const moveSpeed = (dwarf.speed || 1) * dwarf.combatStats.speed * this.getSpeedMultiplier(dwarf);
             dwarf.x += (dx / distance) * moveSpeed;
             dwarf.y += (dy / distance) * moveSpeed;
             
@@ -407,6 +930,23 @@ export class LifespanCombatSystem {
         });
     }
     
+    /**
+     * Add a visual effect at a point
+     * @param {string} type - 'melee' (sparks), 'area', 'heal' or 'slow'
+     * @param {number} x - Effect center x
+     * @param {number} y - Effect center y
+     * @param {number} radius - Radius of ring effects
+     */
+    addSpellEffect(type, x, y, radius) {
+        this.combatEffects.push({
+            x,
+            y,
+            radius,
+            timer: this.config.combatEffectDuration,
+            type
+        });
+    }
+    
     /**
      * Handle dwarf death
      * @param {Object} dwarf - Dying dwarf
@@ -430,13 +970,11 @@ export class LifespanCombatSystem {
         }
         
         // Log death
-        const ageInMinutes = Math.floor(dwarf.age / 60);
+        const ageInMinutes = LifespanUtils.ticksToMinutes(dwarf.age, this.config.ticksPerSecond);
         console.log(`${dwarf.name} died of ${deathCause} at age ${ageInMinutes}m`);
         
-        // Add to game log if available
-        if (typeof addLog === 'function') {
-            addLog(`${dwarf.name} died of ${deathCause} (age: ${ageInMinutes}m)`, true, 'warning');
-        }
+        // Add to game log
+        world.addLog(`${dwarf.name} died of ${deathCause} (age: ${ageInMinutes}m)`, true, 'warning');
         
         // Clear combat states for other dwarfs targeting this one
         world.getAllDwarfs().forEach(otherDwarf => {
@@ -448,6 +986,7 @@ export class LifespanCombatSystem {
         
         // Mark dwarf as dead (for removal by game system)
         dwarf.isDead = true;
+        dwarf.deathCause = deathCause;
         dwarf.health = 0;
     }
     
@@ -461,7 +1000,7 @@ export class LifespanCombatSystem {
             y: dwarf.y,
             name: `${dwarf.name}'s remains`,
             age: 0,
-            maxAge: 18000, // Skulls last ~15 minutes
+            maxAge: 18000, // Skulls last 5 minutes
             opacity: 1.0
         };
         
@@ -561,6 +1100,36 @@ export class LifespanCombatSystem {
         ctx.strokeRect(x, y, barWidth, barHeight);
     }
     
+    /**
+     * Draw an icon above a dwarf for every status effect on it, with its stack count
+     * @param {Object} ctx - Canvas context
+     * @param {Object} dwarf - Dwarf to draw icons for
+     */
+    drawStatusIcons(ctx, dwarf) {
+        const types = Object.keys(dwarf.statusEffects || {}).filter(type => this.config.statusEffects[type]);
+        if (types.length === 0) return;
+        
+        const spacing = 10;
+        const startX = dwarf.x - (types.length - 1) * spacing / 2;
+        const y = dwarf.y - 36;
+        
+        ctx.save();
+        ctx.textAlign = 'center';
+        types.forEach((type, index) => {
+            const x = startX + index * spacing;
+            ctx.font = '8px Arial';
+            ctx.fillText(this.config.statusEffects[type].icon, x, y);
+            
+            const stacks = dwarf.statusEffects[type].stacks;
+            if (stacks > 1) {
+                ctx.font = 'bold 6px Arial';
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(stacks, x + 4, y + 2);
+            }
+        });
+        ctx.restore();
+    }
+    
     /**
      * Draw floating damage numbers
      * @param {Object} ctx - Canvas context
@@ -614,7 +1183,7 @@ export class LifespanCombatSystem {
     }
     
     /**
-     * Draw combat effects
+     * Draw combat effects: melee sparks, spell rings and arrows in flight
      * @param {Object} ctx - Canvas context
      */
     drawCombatEffects(ctx) {
@@ -624,6 +1193,47 @@ export class LifespanCombatSystem {
             const alpha = effect.timer / this.config.combatEffectDuration;
             ctx.globalAlpha = alpha;
             
+            if (effect.type === 'area') {
+                // Fireball: a burst that expands to the spell's radius
+                const radius = effect.radius * (1.2 - alpha * 0.7);
+                ctx.fillStyle = 'rgba(255, 69, 0, 0.35)';
+                ctx.strokeStyle = '#ff4500';
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(effect.x, effect.y, radius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                ctx.restore();
+                return;
+            }
+            
+            if (effect.type === 'heal') {
+                // Rising green cross inside a ring
+                const rise = (1 - alpha) * 10;
+                ctx.strokeStyle = '#2ecc71';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(effect.x, effect.y, effect.radius, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.fillStyle = '#2ecc71';
+                ctx.fillRect(effect.x - 2, effect.y - 8 - rise, 4, 12);
+                ctx.fillRect(effect.x - 6, effect.y - 4 - rise, 12, 4);
+                ctx.restore();
+                return;
+            }
+            
+            if (effect.type === 'slow') {
+                // Icy ring that closes in on the target
+                ctx.strokeStyle = '#5dade2';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath();
+                ctx.arc(effect.x, effect.y, effect.radius * (0.6 + alpha * 0.6), 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.restore();
+                return;
+            }
+            
             // Combat spark effect
             ctx.fillStyle = '#ffff00';
             ctx.strokeStyle = '#ff4500';
@@ -649,6 +1259,23 @@ export class LifespanCombatSystem {
             
             ctx.restore();
         });
+        
+        // Arrows in flight, pointing where they are headed
+        this.projectiles.forEach(projectile => {
+            ctx.save();
+            ctx.strokeStyle = '#8b5a2b';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(projectile.x - projectile.dx * 10, projectile.y - projectile.dy * 10);
+            ctx.lineTo(projectile.x, projectile.y);
+            ctx.stroke();
+            
+            ctx.fillStyle = '#dcdcdc';
+            ctx.beginPath();
+            ctx.arc(projectile.x, projectile.y, 2, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        });
     }
     
     /**
@@ -660,6 +1287,7 @@ export class LifespanCombatSystem {
             ...this.stats,
             activeSkulls: this.skulls.length,
             activeCombatEffects: this.combatEffects.length,
+            activeProjectiles: this.projectiles.length,
             activeDeathEffects: this.deathEffects.length,
             averageDamagePerCombat: this.stats.totalCombats > 0 ? 
                 Math.floor(this.stats.totalDamageDealt / this.stats.totalCombats) : 0
@@ -672,6 +1300,12 @@ export class LifespanCombatSystem {
      * @param {Object} world - World interface
      */
     update(dwarfs, world) {
+        // Run delayed attacks that are due this tick
+        this.processPendingActions();
+        
+        // Move arrows in flight
+        this.updateProjectiles(world);
+        
         // Update all dwarfs
         dwarfs.forEach(dwarf => {
             if (!dwarf.isDead) {
@@ -695,10 +1329,11 @@ export class LifespanCombatSystem {
         // Draw skulls first (behind dwarfs)
         this.drawSkulls(ctx);
         
-        // Draw health bars and damage numbers for living dwarfs
+        // Draw health bars, status icons and damage numbers for living dwarfs
         dwarfs.forEach(dwarf => {
             if (!dwarf.isDead) {
                 this.drawHealthBar(ctx, dwarf);
+                this.drawStatusIcons(ctx, dwarf);
                 this.drawDamageNumbers(ctx, dwarf);
             }
         });
@@ -712,6 +1347,16 @@ export class LifespanCombatSystem {
  * Utility functions for lifespan and combat system
  */
 export class LifespanUtils {
+    /**
+     * Convert a tick count to whole minutes of game time
+     * @param {number} ticks - Tick count
+     * @param {number} ticksPerSecond - Simulation tick rate (default 60)
+     * @returns {number} Whole minutes
+     */
+    static ticksToMinutes(ticks, ticksPerSecond = 60) {
+        return Math.floor((ticks || 0) / (ticksPerSecond * 60));
+    }
+    
     /**
      * Calculate age-based efficiency modifier
      * @param {number} age - Current age
@@ -0,0 +1,361 @@
+/**
+ * SaveCodec.js
+ *
+ * Encodes save payloads for localStorage: LZ compression plus an integrity
+ * checksum, behind a small format header so the codec can change later
+ * without breaking old saves.
+ *
+ * Stored format:
+ *   DFSAVE1|<codec>|<crc32 hex>|<payload>
+ *
+ *   codec    'lz16' - LZ-compressed, packed 15 bits per UTF-16 character
+ *            'none' - payload is the JSON text as-is
+ *   crc32    CRC-32 of the UTF-8 bytes of the original JSON text
+ *
+ * Saves written before the header existed (plain base64 of the JSON) are
+ * still decoded.
+ *
+ * The LZ codec follows lz-string's compressToUTF16 (MIT, pieroxy): every
+ * output character stays in the 0x20-0x801F range, so the result is valid
+ * UTF-16 that localStorage stores without mangling, and any input text
+ * (including non-Latin1 dwarf names) survives the round trip.
+ */
+
+export const SAVE_FORMAT_MAGIC = 'DFSAVE1';
+
+const FORMAT_SEPARATOR = '|';
+const LZ_BITS_PER_CHAR = 15;
+const LZ_CHAR_OFFSET = 32;
+
+/**
+ * LZ compression to and from UTF-16 safe strings
+ */
+export class LZCodec {
+    /**
+     * Compress a string
+     * @param {string} input - Text to compress
+     * @returns {string} Compressed text (valid UTF-16)
+     */
+    static compress(input) {
+        if (input === null || input === undefined) return '';
+
+        const output = [];
+        let bitBuffer = 0;
+        let bitPosition = 0;
+
+        // Bits are written least significant first, 15 per output character
+        const writeBits = (value, numBits) => {
+            for (let i = 0; i < numBits; i++) {
+                bitBuffer = (bitBuffer << 1) | (value & 1);
+                if (bitPosition === LZ_BITS_PER_CHAR - 1) {
+                    bitPosition = 0;
+                    output.push(String.fromCharCode(bitBuffer + LZ_CHAR_OFFSET));
+                    bitBuffer = 0;
+                } else {
+                    bitPosition++;
+                }
+                value >>= 1;
+            }
+        };
+
+        const dictionary = new Map();
+        const pendingLiterals = new Set();
+        let dictSize = 3; // 0, 1 and 2 are the 8-bit literal, 16-bit literal and end markers
+        let numBits = 2;
+        let enlargeIn = 2;
+        let phrase = '';
+
+        const growCodeWidth = () => {
+            enlargeIn--;
+            if (enlargeIn === 0) {
+                enlargeIn = Math.pow(2, numBits);
+                numBits++;
+            }
+        };
+
+        // Emit the code for a phrase, introducing it as a literal the first time it is used
+        const emitPhrase = (text) => {
+            if (pendingLiterals.has(text)) {
+                const charCode = text.charCodeAt(0);
+                if (charCode < 256) {
+                    writeBits(0, numBits);
+                    writeBits(charCode, 8);
+                } else {
+                    writeBits(1, numBits);
+                    writeBits(charCode, 16);
+                }
+                growCodeWidth();
+                pendingLiterals.delete(text);
+            } else {
+                writeBits(dictionary.get(text), numBits);
+            }
+            growCodeWidth();
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input.charAt(i);
+            if (!dictionary.has(char)) {
+                dictionary.set(char, dictSize++);
+                pendingLiterals.add(char);
+            }
+
+            const extended = phrase + char;
+            if (dictionary.has(extended)) {
+                phrase = extended;
+            } else {
+                emitPhrase(phrase);
+                dictionary.set(extended, dictSize++);
+                phrase = char;
+            }
+        }
+
+        if (phrase !== '') {
+            emitPhrase(phrase);
+        }
+
+        // End of stream marker, then pad out the last character
+        writeBits(2, numBits);
+        while (true) {
+            bitBuffer <<= 1;
+            if (bitPosition === LZ_BITS_PER_CHAR - 1) {
+                output.push(String.fromCharCode(bitBuffer + LZ_CHAR_OFFSET));
+                break;
+            }
+            bitPosition++;
+        }
+
+        // Trailing space matches lz-string's UTF-16 output, so its tools can read our saves
+        return output.join('') + ' ';
+    }
+
+    /**
+     * Decompress a string produced by compress()
+     * @param {string} compressed - Compressed text
+     * @returns {string|null} Original text, or null if the data is truncated or invalid
+     */
+    static decompress(compressed) {
+        if (compressed === null || compressed === undefined) return '';
+        if (compressed === '') return null;
+
+        const resetMask = 1 << (LZ_BITS_PER_CHAR - 1);
+        const length = compressed.length;
+        let currentValue = compressed.charCodeAt(0) - LZ_CHAR_OFFSET;
+        let mask = resetMask;
+        let index = 1;
+
+        const readBits = (numBits) => {
+            let bits = 0;
+            for (let power = 1; power !== (1 << numBits); power <<= 1) {
+                const bit = currentValue & mask;
+                mask >>= 1;
+                if (mask === 0) {
+                    mask = resetMask;
+                    currentValue = compressed.charCodeAt(index++) - LZ_CHAR_OFFSET;
+                }
+                if (bit > 0) bits |= power;
+            }
+            return bits;
+        };
+
+        const dictionary = [0, 1, 2];
+        let dictSize = 4;
+        let numBits = 3;
+        let enlargeIn = 4;
+
+        let first;
+        switch (readBits(2)) {
+            case 0:
+                first = String.fromCharCode(readBits(8));
+                break;
+            case 1:
+                first = String.fromCharCode(readBits(16));
+                break;
+            case 2:
+                return '';
+            default:
+                return null;
+        }
+
+        dictionary[3] = first;
+        let previous = first;
+        const result = [first];
+
+        while (true) {
+            if (index > length) return null; // Ran out of input before the end marker
+
+            let code = readBits(numBits);
+            if (code === 0 || code === 1) {
+                dictionary[dictSize++] = String.fromCharCode(readBits(code === 0 ? 8 : 16));
+                code = dictSize - 1;
+                enlargeIn--;
+            } else if (code === 2) {
+                return result.join('');
+            }
+
+            if (enlargeIn === 0) {
+                enlargeIn = Math.pow(2, numBits);
+                numBits++;
+            }
+
+            let entry;
+            if (dictionary[code] !== undefined && code > 2) {
+                entry = dictionary[code];
+            } else if (code === dictSize) {
+                entry = previous + previous.charAt(0);
+            } else {
+                return null;
+            }
+
+            result.push(entry);
+            dictionary[dictSize++] = previous + entry.charAt(0);
+            enlargeIn--;
+            previous = entry;
+
+            if (enlargeIn === 0) {
+                enlargeIn = Math.pow(2, numBits);
+                numBits++;
+            }
+        }
+    }
+}
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE) of a string's UTF-8 bytes
+ * @param {string} text - Text to checksum
+ * @returns {string} 8-digit lowercase hex checksum
+ */
+export function crc32(text) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    const bytes = new TextEncoder().encode(text);
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
+
+export class SaveCodec {
+    /**
+     * @param {Object} options - Codec options
+     * @param {boolean} options.compression - LZ-compress payloads (default true)
+     */
+    constructor(options = {}) {
+        this.compressionEnabled = options.compression !== false;
+    }
+
+    /**
+     * Check whether stored text carries the save format header
+     * @param {string} stored - Stored text
+     * @returns {boolean} True if the text was written by encode()
+     */
+    static isEncoded(stored) {
+        return typeof stored === 'string' && stored.startsWith(SAVE_FORMAT_MAGIC + FORMAT_SEPARATOR);
+    }
+
+    /**
+     * Encode save JSON for storage
+     * @param {string} json - Serialized save object
+     * @returns {string} Header, checksum and (compressed) payload
+     */
+    encode(json) {
+        const codec = this.compressionEnabled ? 'lz16' : 'none';
+        const payload = this.compressionEnabled ? LZCodec.compress(json) : json;
+        return [SAVE_FORMAT_MAGIC, codec, crc32(json), payload].join(FORMAT_SEPARATOR);
+    }
+
+    /**
+     * Decode stored save text back to JSON, verifying its checksum
+     * Throws a descriptive Error for unknown codecs, truncated data or checksum mismatches.
+     * @param {string} stored - Text produced by encode() (or a legacy base64 save)
+     * @returns {string} Save JSON
+     */
+    decode(stored) {
+        if (typeof stored !== 'string' || stored.length === 0) {
+            throw new Error('SaveCodec: Save data is empty');
+        }
+
+        if (!SaveCodec.isEncoded(stored)) {
+            return this.decodeLegacy(stored);
+        }
+
+        // Payload may itself contain the separator, so only split off the header fields
+        const headerEnd = this.findHeaderEnd(stored);
+        if (headerEnd === -1) {
+            throw new Error('SaveCodec: Save data is truncated (incomplete header)');
+        }
+
+        const [, codec, checksum] = stored.slice(0, headerEnd).split(FORMAT_SEPARATOR);
+        const payload = stored.slice(headerEnd + 1);
+
+        let json;
+        if (codec === 'lz16') {
+            json = LZCodec.decompress(payload);
+            if (json === null) {
+                throw new Error('SaveCodec: Save data is truncated or corrupted (compressed payload is incomplete)');
+            }
+        } else if (codec === 'none') {
+            json = payload;
+        } else {
+            throw new Error(`SaveCodec: Unknown save codec "${codec}"`);
+        }
+
+        const actualChecksum = crc32(json);
+        if (actualChecksum !== checksum) {
+            throw new Error(`SaveCodec: Save data is corrupted (checksum ${actualChecksum}, expected ${checksum})`);
+        }
+
+        return json;
+    }
+
+    /**
+     * Decode saves written before the format header (base64 or plain JSON)
+     * @private
+     */
+    decodeLegacy(stored) {
+        const trimmed = stored.trim();
+        if (trimmed.startsWith('{')) {
+            return trimmed;
+        }
+
+        // Old saves were btoa(json), which only ever accepted Latin1 text
+        try {
+            return atob(trimmed);
+        } catch (error) {
+            throw new Error('SaveCodec: Unrecognized save format (no header and not base64)');
+        }
+    }
+
+    /**
+     * Index of the separator that ends the header (after magic, codec and checksum)
+     * @private
+     */
+    findHeaderEnd(stored) {
+        let position = -1;
+        for (let field = 0; field < 3; field++) {
+            position = stored.indexOf(FORMAT_SEPARATOR, position + 1);
+            if (position === -1) return -1;
+        }
+        return position;
+    }
+}
+
+/**
+ * Factory function for creating SaveCodec instances
+ * @param {Object} options - Codec options
+ * @returns {SaveCodec} New codec
+ */
+export function createSaveCodec(options = {}) {
+    return new SaveCodec(options);
+}
@@ -0,0 +1,509 @@
+/**
+ * SaveMigrations.js
+ *
+ * Versioned migration registry for AutoSaveSystem. Each migration upgrades a
+ * save object ({ metadata, data }) from one version to the next; loading an
+ * old save runs every step on the path to the current version in order and
+ * reports what each step changed.
+ *
+ * Usage:
+ *   const migrator = createSaveMigrator();
+ *   migrator.registerMigration('1.0.0', '1.1.0', 'Add pets', (save) => {
+ *       save.data.pets = save.data.pets || [];
+ *       return ['Added empty pet list'];
+ *   });
+ *   const result = migrator.migrate(saveObject, '1.1.0');
+ *
+ * DORF_SAVE_MIGRATIONS holds the upgrades for DorfFriend's own save format.
+ */
+
+import { REPRODUCTION_CONFIG } from './reproduction/config/ReproductionConfig.js';
+
+/**
+ * Compare two dotted version strings numerically
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    const length = Math.max(partsA.length, partsB.length);
+
+    for (let i = 0; i < length; i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+export class SaveMigrator {
+    constructor() {
+        // fromVersion -> { from, to, description, migrate }
+        this.migrations = new Map();
+    }
+
+    /**
+     * Register a single upgrade step
+     * @param {string} fromVersion - Version the step accepts
+     * @param {string} toVersion - Version the step produces (must be newer)
+     * @param {string} description - Human readable summary of the step
+     * @param {Function} migrate - (saveObject, context) => string[] of changes; mutates saveObject
+     */
+    registerMigration(fromVersion, toVersion, description, migrate) {
+        if (compareVersions(toVersion, fromVersion) <= 0) {
+            throw new Error(`SaveMigrator: Migration ${fromVersion} -> ${toVersion} must move to a newer version`);
+        }
+        if (this.migrations.has(fromVersion)) {
+            throw new Error(`SaveMigrator: A migration from ${fromVersion} is already registered`);
+        }
+        if (typeof migrate !== 'function') {
+            throw new Error(`SaveMigrator: Migration ${fromVersion} -> ${toVersion} needs a migrate function`);
+        }
+
+        this.migrations.set(fromVersion, { from: fromVersion, to: toVersion, description, migrate });
+    }
+
+    /**
+     * Find the chain of steps from one version to another
+     * @param {string} fromVersion - Starting version
+     * @param {string} toVersion - Target version
+     * @returns {Array|null} Ordered migration steps ([] if equal), or null if there is no path
+     */
+    getMigrationPath(fromVersion, toVersion) {
+        const path = [];
+        let current = fromVersion;
+
+        while (compareVersions(current, toVersion) < 0) {
+            const step = this.migrations.get(current);
+            if (!step || compareVersions(step.to, toVersion) > 0) return null;
+            path.push(step);
+            current = step.to;
+        }
+
+        return compareVersions(current, toVersion) === 0 ? path : null;
+    }
+
+    /**
+     * Check whether a save of the given version can be brought to the target version
+     * @param {string} fromVersion - Save version
+     * @param {string} toVersion - Target version
+     * @returns {boolean} True if equal or a migration path exists
+     */
+    canMigrate(fromVersion, toVersion) {
+        return this.getMigrationPath(fromVersion, toVersion) !== null;
+    }
+
+    /**
+     * Upgrade a save object in place, step by step
+     * @param {Object} saveObject - Save object with metadata.version and data
+     * @param {string} targetVersion - Version to upgrade to
+     * @param {Object} context - Passed to every migrate function (e.g. { game })
+     * @returns {Object} Report: { fromVersion, toVersion, migrated, steps: [{ from, to, description, changes }] }
+     */
+    migrate(saveObject, targetVersion, context = {}) {
+        const fromVersion = saveObject.metadata.version;
+        const path = this.getMigrationPath(fromVersion, targetVersion);
+
+        if (path === null) {
+            throw new Error(`SaveMigrator: No migration path from save version ${fromVersion} to ${targetVersion}`);
+        }
+
+        const steps = path.map(step => {
+            const changes = step.migrate(saveObject, context) || [];
+            saveObject.metadata.version = step.to;
+            return { from: step.from, to: step.to, description: step.description, changes };
+        });
+
+        if (steps.length > 0) {
+            saveObject.metadata.migratedFrom = saveObject.metadata.migratedFrom || fromVersion;
+        }
+
+        return {
+            fromVersion,
+            toVersion: targetVersion,
+            migrated: steps.length > 0,
+            steps
+        };
+    }
+}
+
+/**
+ * DorfFriend save format history
+ *
+ * 1.0.0 - Original format (dwarfs, buildings, gameState, lifespanSystem)
+ * 1.1.0 - Every dwarf carries lifespan, health and combat fields
+ * 1.2.0 - Deposits, food, water and milestones are saved (worldObjects, gameState.milestones)
+ * 1.3.0 - Dwarfs have unique ids; guardedFemale, combatTarget and lastAttacker hold ids, not names
+ * 1.4.0 - Family tree: dwarf parent/child ids and generation, lineage records (data.lineage)
+ * 1.5.0 - Genetics: dwarfs carry a strategy gene; pregnancies remember the father's genes
+ * 1.6.0 - Female strategies: females carry femaleStrategy and matePreferences; dwarfs remember fatherStrategy
+ * 1.7.0 - Pair bonds: dwarfs carry partnerId, bondStrength, bondStartTime and sharedHome
+ * 1.8.0 - Parental care: dwarfs carry guardianId, careTargetId and carrying
+ * 1.9.0 - Pregnancy outcomes: dwarfs carry pregnancyStrain
+ * 1.10.0 - Strategy switching: males carry matingRecord
+ * 1.11.0 - Dominance: dwarfs carry dominanceRating, boutsWon and boutsLost
+ * 1.12.0 - Male condition: dwarfs carry goldMined
+ * 1.13.0 - Ranged and magic combat: dwarfs carry statusEffects
+ */
+export const DORF_SAVE_MIGRATIONS = [
+    {
+        from: '1.0.0',
+        to: '1.1.0',
+        description: 'Lifespan, health and combat fields for dwarfs',
+        migrate(saveObject, context) {
+            const changes = [];
+            const dwarfs = saveObject.data.dwarfs || [];
+            const lifespanSystem = context.game?.lifespanIntegration?.lifespanSystem;
+
+            dwarfs.forEach(dwarf => {
+                if (!dwarf.maxLifespan && lifespanSystem) {
+                    const age = dwarf.age;
+                    lifespanSystem.initializeDwarf(dwarf);
+                    if (typeof age === 'number') dwarf.age = age;
+                    changes.push(`${dwarf.name}: assigned lifespan and health`);
+                    return;
+                }
+
+                if (typeof dwarf.age !== 'number') {
+                    dwarf.age = 0;
+                    changes.push(`${dwarf.name}: age set to 0`);
+                }
+                if (typeof dwarf.maxHealth === 'number' && typeof dwarf.health !== 'number') {
+                    dwarf.health = dwarf.maxHealth;
+                    changes.push(`${dwarf.name}: health restored to max`);
+                }
+            });
+
+            return changes;
+        }
+    },
+    {
+        from: '1.1.0',
+        to: '1.2.0',
+        description: 'Saved deposits, food, water and milestones',
+        migrate(saveObject) {
+            const changes = [];
+            const data = saveObject.data;
+
+            // Empty lists are refilled with fresh sources when the colony loads
+            if (!data.worldObjects) {
+                data.worldObjects = { goldDeposits: [], foodSources: [], waterSources: [], negativeBuildings: [] };
+                changes.push('World objects missing; deposits, food and water will be regenerated');
+            }
+
+            const gameState = data.gameState;
+            if (gameState && !gameState.milestones) {
+                const buildings = data.buildings || [];
+                const rocketParts = gameState.rocketParts ? Object.values(gameState.rocketParts) : [];
+
+                // Best guess from the saved state; gold milestones use the current balance
+                gameState.milestones = {
+                    firstAmenity: buildings.some(b => b.type === 'amenity'),
+                    firstBuilding: buildings.length > 0,
+                    hundredGold: gameState.gold >= 100,
+                    thousandGold: gameState.gold >= 1000,
+                    tenThousandGold: gameState.gold >= 10000,
+                    tenDwarfs: (data.dwarfs || []).length >= 10,
+                    rocketComplete: rocketParts.length > 0 && rocketParts.every(part => part.built)
+                };
+                changes.push('Milestones rebuilt from saved gold, buildings and rocket parts');
+            }
+
+            return changes;
+        }
+    },
+    {
+        from: '1.2.0',
+        to: '1.3.0',
+        description: 'Unique dwarf ids and id-based dwarf references',
+        migrate(saveObject) {
+            const changes = [];
+            const dwarfs = saveObject.data.dwarfs || [];
+
+            dwarfs.forEach((dwarf, index) => {
+                dwarf.id = index + 1;
+            });
+            if (dwarfs.length > 0) {
+                changes.push(`Assigned ids 1-${dwarfs.length} to ${dwarfs.length} dwarfs`);
+            }
+
+            // Old saves only kept names, so a repeated name can only be resolved to its first bearer
+            ['guardedFemale', 'combatTarget', 'lastAttacker'].forEach(field => {
+                dwarfs.forEach(dwarf => {
+                    const name = dwarf[field];
+                    if (typeof name !== 'string') {
+                        dwarf[field] = null;
+                        return;
+                    }
+
+                    const matches = dwarfs.filter(other => other.name === name);
+                    dwarf[field] = matches.length > 0 ? matches[0].id : null;
+                    if (matches.length === 0) {
+                        changes.push(`${dwarf.name}: ${field} "${name}" not found, cleared`);
+                    } else if (matches.length > 1) {
+                        changes.push(`${dwarf.name}: ${field} "${name}" is ambiguous (${matches.length} dwarfs), using id ${matches[0].id}`);
+                    }
+                });
+            });
+
+            if (saveObject.data.gameState) {
+                saveObject.data.gameState.nextDwarfId = dwarfs.length + 1;
+            }
+
+            return changes;
+        }
+    },
+    {
+        from: '1.3.0',
+        to: '1.4.0',
+        description: 'Family tree and lineage records',
+        migrate(saveObject) {
+            const changes = [];
+            const data = saveObject.data;
+            const dwarfs = data.dwarfs || [];
+
+            // Parents were never recorded, so every saved dwarf becomes a founder
+            dwarfs.forEach(dwarf => {
+                dwarf.motherId = null;
+                dwarf.fatherId = null;
+                dwarf.generation = 0;
+                dwarf.childIds = [];
+                // The father of a running pregnancy is unknown
+                dwarf.pregnancyFatherId = null;
+            });
+
+            if (!Array.isArray(data.lineage)) {
+                data.lineage = dwarfs.map(dwarf => ({
+                    id: dwarf.id,
+                    name: dwarf.name,
+                    gender: dwarf.gender,
+                    motherId: null,
+                    fatherId: null,
+                    generation: 0,
+                    childIds: [],
+                    bornAt: null, // Unknown for dwarfs saved before lineage existed
+                    diedAt: null,
+                    deathCause: null
+                }));
+                changes.push(`Started a family tree with ${dwarfs.length} founders`);
+            }
+
+            return changes;
+        }
+    },
+    {
+        from: '1.4.0',
+        to: '1.5.0',
+        description: 'Heritable strategy genes',
+        migrate(saveObject) {
+            const changes = [];
+            const dwarfs = saveObject.data.dwarfs || [];
+
+            // Males keep their current strategy as their gene; females without one pass on the father's
+            let males = 0;
+            dwarfs.forEach(dwarf => {
+                dwarf.strategyGene = dwarf.gender === 'male' ? (dwarf.reproductionStrategy || null) : null;
+                if (dwarf.strategyGene) males++;
+                // The father of a running pregnancy left no genes behind; the mother's are used alone
+                dwarf.pregnancyFatherGenes = null;
+            });
+            if (dwarfs.length > 0) {
+                changes.push(`Strategy genes taken from ${males} males' current strategies`);
+            }
+
+            return changes;
+        }
+    },
+    {
+        from: '1.5.0',
+        to: '1.6.0',
+        description: 'Female strategies and learned mate preferences',
+        migrate(saveObject) {
+            const changes = [];
+            const dwarfs = saveObject.data.dwarfs || [];
+            const byId = new Map(dwarfs.map(dwarf => [dwarf.id, dwarf]));
+
+            // Existing females keep the original behavior and have learned nothing yet
+            let females = 0;
+            let fathersFound = 0;
+            dwarfs.forEach(dwarf => {
+                dwarf.femaleStrategy = dwarf.gender === 'female' ? 'standard' : null;
+                dwarf.matePreferences = dwarf.gender === 'female' ? {} : null;
+                if (dwarf.gender === 'female') females++;
+
+                // A father still alive in the save tells us his strategy
+                const father = byId.get(dwarf.fatherId);
+                dwarf.fatherStrategy = father ? (father.reproductionStrategy || null) : null;
+                if (dwarf.fatherStrategy) fathersFound++;
+            });
+            if (dwarfs.length > 0) {
+                changes.push(`${females} females set to the standard strategy`);
+                changes.push(`Father's strategy recorded for ${fathersFound} dwarfs with a living father`);
+            }
+
+            return changes;
+        }
+    },
+    {
+        from: '1.6.0',
+        to: '1.7.0',
+        description: 'Pair bonds',
+        migrate(saveObject) {
+            const changes = [];
+            const dwarfs = saveObject.data.dwarfs || [];
+
+            // Nobody was bonded before; bonds form on the next matings
+            dwarfs.forEach(dwarf => {
+                dwarf.partnerId = null;
+                dwarf.bondStrength = 0;
+                dwarf.bondStartTime = null;
+                dwarf.sharedHome = null;
+            });
+            if (dwarfs.length > 0) {
+                changes.push(`${dwarfs.length} dwarfs start without a partner`);
+            }
+
+            return changes;
+        }
+    },
+    {
+        from: '1.7.0',
+        to: '1.8.0',
+        description: 'Parental care and adoption',
+        migrate(saveObject) {
+            const changes = [];
+            const dwarfs = saveObject.data.dwarfs || [];
+            const byId = new Map(dwarfs.map(dwarf => [dwarf.id, dwarf]));
+
+            // Orphans are found and adopted once the game runs (ParentalCare.update)
+            let orphans = 0;
+            dwarfs.forEach(dwarf => {
+                dwarf.guardianId = null;
+                dwarf.careTargetId = null;
+                dwarf.carrying = null;
+                if (dwarf.isAdult === false && !byId.has(dwarf.motherId)) orphans++;
+            });
+            if (dwarfs.length > 0) {
+                changes.push(`${dwarfs.length} dwarfs start without a guardian`);
+            }
+            if (orphans > 0) {
+                changes.push(`${orphans} children without a living mother will be adopted`);
+            }
+
+            return changes;
+        }
+    },
+    {
+        from: '1.8.0',
+        to: '1.9.0',
+        description: 'Pregnancy outcomes',
+        migrate(saveObject) {
+            const changes = [];
+            const dwarfs = saveObject.data.dwarfs || [];
+
+            // Strain was not tracked, so ongoing pregnancies count as unstrained so far
+            dwarfs.forEach(dwarf => {
+                dwarf.pregnancyStrain = 0;
+            });
+            const pregnant = dwarfs.filter(dwarf => dwarf.isPregnant).length;
+            if (pregnant > 0) {
+                changes.push(`${pregnant} ongoing pregnancies start without strain`);
+            }
+
+            return changes;
+        }
+    },
+    {
+        from: '1.9.0',
+        to: '1.10.0',
+        description: 'Strategy switching',
+        migrate(saveObject) {
+            const changes = [];
+            const dwarfs = saveObject.data.dwarfs || [];
+
+            // Attempts were not counted before; records start on the next attempt
+            dwarfs.forEach(dwarf => {
+                dwarf.matingRecord = null;
+            });
+            const males = dwarfs.filter(dwarf => dwarf.gender === 'male').length;
+            if (males > 0) {
+                changes.push(`${males} males start without a mating record`);
+            }
+
+            return changes;
+        }
+    },
+    {
+        from: '1.10.0',
+        to: '1.11.0',
+        description: 'Dominance hierarchy',
+        migrate(saveObject, context) {
+            const changes = [];
+            const dwarfs = saveObject.data.dwarfs || [];
+            const dominanceConfig = context.game?.reproductionSystem?.dominance?.dominanceConfig ||
+                REPRODUCTION_CONFIG.DOMINANCE;
+
+            // Past fights were not recorded; everyone starts at the game's DOMINANCE.initialRating
+            dwarfs.forEach(dwarf => {
+                dwarf.dominanceRating = dominanceConfig.initialRating;
+                dwarf.boutsWon = 0;
+                dwarf.boutsLost = 0;
+            });
+            if (dwarfs.length > 0) {
+                changes.push(`${dwarfs.length} dwarfs start the dominance hierarchy at equal rank`);
+            }
+
+            return changes;
+        }
+    },
+    {
+        from: '1.11.0',
+        to: '1.12.0',
+        description: 'Male condition',
+        migrate(saveObject) {
+            const changes = [];
+            const dwarfs = saveObject.data.dwarfs || [];
+
+            // Gold was only counted for the colony; every dwarf starts as a provider from here
+            dwarfs.forEach(dwarf => {
+                dwarf.goldMined = 0;
+            });
+            if (dwarfs.length > 0) {
+                changes.push(`${dwarfs.length} dwarfs start with no gold mined`);
+            }
+
+            return changes;
+        }
+    },
+    {
+        from: '1.12.0',
+        to: '1.13.0',
+        description: 'Ranged and magic combat',
+        migrate(saveObject) {
+            const changes = [];
+            const dwarfs = saveObject.data.dwarfs || [];
+
+            // No status effects existed before
+            dwarfs.forEach(dwarf => {
+                dwarf.statusEffects = {};
+            });
+            if (dwarfs.length > 0) {
+                changes.push(`${dwarfs.length} dwarfs start without status effects`);
+            }
+
+            return changes;
+        }
+    }
+];
+
+/**
+ * Factory function for creating SaveMigrator instances
+ * @param {Array} migrations - Steps to register ({ from, to, description, migrate })
+ * @returns {SaveMigrator} New migrator
+ */
+export function createSaveMigrator(migrations = []) {
+    const migrator = new SaveMigrator();
+    migrations.forEach(step => migrator.registerMigration(step.from, step.to, step.description, step.migrate));
+    return migrator;
+}
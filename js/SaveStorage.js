@@ -0,0 +1,363 @@
+/**
+ * SaveStorage.js
+ *
+ * Pluggable storage backends for AutoSaveSystem. Every adapter offers the
+ * same promise-based key/value interface, so the save system does not care
+ * whether a slot lives in localStorage, IndexedDB or memory.
+ *
+ * - LocalStorageAdapter: synchronous under the hood, ~5MB per origin
+ * - IndexedDBAdapter: much larger quota, used when a slot outgrows localStorage
+ * - MemoryStorageAdapter: no persistence (Node, headless runs, private browsing)
+ *
+ * Writes that exceed a backend's quota reject with a QuotaExceededError
+ * (see isQuotaExceededError) so the caller can fall back to another backend.
+ */
+
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024; // Typical per-origin limit, in bytes
+
+/**
+ * Check whether an error means "this write does not fit"
+ * Browsers disagree on the name and code, so check all known variants.
+ * @param {Error} error - Error thrown by a storage write
+ * @returns {boolean} True for quota errors
+ */
+export function isQuotaExceededError(error) {
+    if (!error) return false;
+    return error.name === 'QuotaExceededError' ||
+           error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+           error.code === 22 ||
+           error.code === 1014;
+}
+
+/**
+ * Create the error adapters throw when a write would exceed their quota
+ * @param {string} backend - Adapter name
+ * @param {number} size - Bytes the write needed
+ * @returns {Error} Error named QuotaExceededError
+ */
+function createQuotaError(backend, size) {
+    const error = new Error(`${backend}: Not enough space for ${size} bytes`);
+    error.name = 'QuotaExceededError';
+    return error;
+}
+
+/**
+ * Size of a stored string in bytes (storage backends keep strings as UTF-16)
+ * @param {string} value - Stored value
+ * @returns {number} Approximate bytes
+ */
+function byteSize(value) {
+    return value ? value.length * 2 : 0;
+}
+
+/**
+ * Abstract base class for save storage backends
+ */
+export class SaveStorageAdapter {
+    constructor(name) {
+        if (this.constructor === SaveStorageAdapter) {
+            throw new Error('SaveStorageAdapter is abstract and cannot be instantiated directly');
+        }
+        this.name = name;
+    }
+
+    /**
+     * Whether the backend can be used in this environment
+     * @returns {boolean} Availability
+     * @abstract
+     */
+    isAvailable() {
+        throw new Error('isAvailable() method must be implemented by concrete storage adapters');
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>} Stored value or null
+     * @abstract
+     */
+    async getItem(key) {
+        throw new Error('getItem() method must be implemented by concrete storage adapters');
+    }
+
+    /**
+     * Write a value (rejects with a QuotaExceededError if it does not fit)
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     * @returns {Promise<void>}
+     * @abstract
+     */
+    async setItem(key, value) {
+        throw new Error('setItem() method must be implemented by concrete storage adapters');
+    }
+
+    /**
+     * Delete a value
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     * @abstract
+     */
+    async removeItem(key) {
+        throw new Error('removeItem() method must be implemented by concrete storage adapters');
+    }
+
+    /**
+     * List keys starting with a prefix
+     * @param {string} prefix - Key prefix ('' for all)
+     * @returns {Promise<string[]>} Matching keys
+     * @abstract
+     */
+    async keys(prefix = '') {
+        throw new Error('keys() method must be implemented by concrete storage adapters');
+    }
+
+    /**
+     * Report space used by keys with a prefix and the backend's quota
+     * @param {string} prefix - Key prefix ('' for all)
+     * @returns {Promise<Object>} { backend, used, quota, percentOfQuota, keys: [{ key, size }] }
+     */
+    async getUsage(prefix = '') {
+        const keys = await this.keys(prefix);
+        const sizes = [];
+        let used = 0;
+
+        for (const key of keys) {
+            const size = byteSize(key) + byteSize(await this.getItem(key));
+            used += size;
+            sizes.push({ key, size });
+        }
+
+        const quota = await this.getQuota();
+        return {
+            backend: this.name,
+            used,
+            quota,
+            percentOfQuota: Number.isFinite(quota) && quota > 0 ? used / quota * 100 : 0,
+            keys: sizes.sort((a, b) => b.size - a.size)
+        };
+    }
+
+    /**
+     * Total bytes the backend may hold
+     * @returns {Promise<number>} Quota in bytes (Infinity if unbounded)
+     */
+    async getQuota() {
+        return Infinity;
+    }
+}
+
+/**
+ * window.localStorage backend
+ */
+export class LocalStorageAdapter extends SaveStorageAdapter {
+    /**
+     * @param {Storage} storage - Storage object (defaults to the global localStorage)
+     */
+    constructor(storage = null) {
+        super('localStorage');
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    }
+
+    isAvailable() {
+        if (!this.storage) return false;
+        try {
+            const testKey = '__storage_test__';
+            this.storage.setItem(testKey, 'test');
+            this.storage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    async setItem(key, value) {
+        // Throws the browser's own QuotaExceededError when full
+        this.storage.setItem(key, value);
+    }
+
+    async removeItem(key) {
+        this.storage.removeItem(key);
+    }
+
+    async keys(prefix = '') {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(prefix)) keys.push(key);
+        }
+        return keys;
+    }
+
+    async getQuota() {
+        return LOCAL_STORAGE_QUOTA;
+    }
+}
+
+/**
+ * IndexedDB backend (one object store of key -> string)
+ */
+export class IndexedDBAdapter extends SaveStorageAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.dbName - Database name (default 'dorfriend_saves')
+     * @param {string} options.storeName - Object store name (default 'saves')
+     * @param {IDBFactory} options.indexedDB - IndexedDB factory (defaults to the global one)
+     */
+    constructor(options = {}) {
+        super('indexedDB');
+        this.dbName = options.dbName || 'dorfriend_saves';
+        this.storeName = options.storeName || 'saves';
+        this.factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return !!this.factory;
+    }
+
+    /**
+     * Open (and create on first use) the database
+     * @private
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.factory.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a retry after a failed open
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in a transaction and resolve with its result
+     * @private
+     */
+    async runRequest(mode, createRequest) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = createRequest(transaction.objectStore(this.storeName));
+            let result;
+            request.onsuccess = () => {
+                result = request.result;
+            };
+            // Writes are only durable (and quota errors only surface) once the transaction completes
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || request.error);
+        });
+    }
+
+    async getItem(key) {
+        const value = await this.runRequest('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async setItem(key, value) {
+        await this.runRequest('readwrite', store => store.put(value, key));
+    }
+
+    async removeItem(key) {
+        await this.runRequest('readwrite', store => store.delete(key));
+    }
+
+    async keys(prefix = '') {
+        const keys = await this.runRequest('readonly', store => store.getAllKeys());
+        return keys.map(String).filter(key => key.startsWith(prefix));
+    }
+
+    async getQuota() {
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            return estimate.quota || Infinity;
+        }
+        return Infinity;
+    }
+}
+
+/**
+ * In-memory backend; contents are lost when the page or process exits
+ */
+export class MemoryStorageAdapter extends SaveStorageAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {number} options.quota - Bytes allowed before writes fail (default unlimited)
+     */
+    constructor(options = {}) {
+        super('memory');
+        this.items = new Map();
+        this.quota = options.quota || Infinity;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    async getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        const text = String(value);
+        let used = 0;
+        this.items.forEach((stored, storedKey) => {
+            if (storedKey !== key) used += byteSize(storedKey) + byteSize(stored);
+        });
+
+        const size = byteSize(key) + byteSize(text);
+        if (used + size > this.quota) {
+            throw createQuotaError(this.name, size);
+        }
+        this.items.set(key, text);
+    }
+
+    async removeItem(key) {
+        this.items.delete(key);
+    }
+
+    async keys(prefix = '') {
+        return Array.from(this.items.keys()).filter(key => key.startsWith(prefix));
+    }
+
+    async getQuota() {
+        return this.quota;
+    }
+}
+
+/**
+ * Create a storage adapter by name
+ * @param {string|SaveStorageAdapter} storage - 'localStorage', 'indexedDB', 'memory' or an adapter instance
+ * @param {Object} options - Passed to the adapter constructor
+ * @returns {SaveStorageAdapter} Adapter instance
+ */
+export function createStorageAdapter(storage, options = {}) {
+    if (storage instanceof SaveStorageAdapter) return storage;
+
+    switch (storage) {
+        case 'localStorage':
+            return new LocalStorageAdapter(options.storage);
+        case 'indexedDB':
+            return new IndexedDBAdapter(options);
+        case 'memory':
+            return new MemoryStorageAdapter(options);
+        default:
+            throw new Error(`SaveStorage: Unknown storage backend "${storage}"`);
+    }
+}
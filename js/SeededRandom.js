@@ -0,0 +1,125 @@
+/**
+ * SeededRandom.js
+ *
+ * Seedable deterministic pseudo-random number generator (mulberry32).
+ * One instance is shared by every simulation subsystem so that a colony
+ * started from the same seed (and fed the same input) replays exactly.
+ *
+ * The generator state is a single 32-bit integer, so it can be stored in
+ * saves and restored to continue the same random sequence.
+ */
+
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - Seed value (strings are hashed); random if omitted
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+
+        // Bound so it can be handed around like Math.random
+        this.next = this.next.bind(this);
+    }
+
+    /**
+     * Generate a fresh seed from non-deterministic sources
+     * @returns {number} 32-bit unsigned seed
+     */
+    static generateSeed() {
+        return (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0;
+    }
+
+    /**
+     * Convert a number or string into a 32-bit unsigned seed
+     * @param {number|string} seed - Seed value
+     * @returns {number} 32-bit unsigned seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'string') {
+            const numeric = Number(seed);
+            if (seed.trim() !== '' && Number.isFinite(numeric)) {
+                return numeric >>> 0;
+            }
+
+            // FNV-1a hash for text seeds
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < seed.length; i++) {
+                hash ^= seed.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+
+        if (typeof seed !== 'number' || !Number.isFinite(seed)) {
+            throw new Error(`SeededRandom: Invalid seed ${seed}`);
+        }
+
+        return seed >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1), drop-in replacement for Math.random()
+     * @returns {number} Random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random float in [min, max)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Random float
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Random integer in [0, maxExclusive)
+     * @param {number} maxExclusive - Upper bound (exclusive)
+     * @returns {number} Random integer
+     */
+    int(maxExclusive) {
+        return Math.floor(this.next() * maxExclusive);
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Source array
+     * @returns {*} Random element, or undefined for empty arrays
+     */
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Get the internal state for saving
+     * @returns {number} Generator state
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore a previously saved state
+     * @param {number} state - Generator state from getState()
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+/**
+ * Factory function for creating SeededRandom instances
+ * @param {number|string} seed - Seed value (random if omitted)
+ * @returns {SeededRandom} New generator
+ */
+export function createSeededRandom(seed) {
+    return seed === undefined || seed === null ? new SeededRandom() : new SeededRandom(seed);
+}
@@ -0,0 +1,257 @@
+/**
+ * ColonyRenderer.js
+ *
+ * Draws the colony (background, resources, buildings, dwarfs, lifespan
+ * effects and rocket construction) onto a canvas context.
+ * Contains the drawing code that used to live in index.html.
+ */
+
+import { SPRITE_MAP } from './GameConfig.js';
+import { drawSprite } from './Sprites.js';
+
+export class ColonyRenderer {
+    /**
+     * @param {Object} canvas - Canvas element to draw on
+     * @param {Object} simulation - ColonySimulation to draw
+     */
+    constructor(canvas, simulation) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.simulation = simulation;
+
+        // Id of the dwarf highlighted with a selection ring (null for none)
+        this.selectedDwarfId = null;
+
+        this.ctx.imageSmoothingEnabled = false;
+    }
+
+    get game() {
+        return this.simulation.game;
+    }
+
+    /**
+     * Draw one frame
+     * @param {number} motionFlash - Remaining red flash frames after motion damage
+     */
+    render(motionFlash = 0) {
+        const game = this.game;
+        const ctx = this.ctx;
+
+        // Canvas resizes reset context state
+        ctx.imageSmoothingEnabled = false;
+
+        this.drawBackground(motionFlash);
+        this.drawStars();
+        this.drawColonyCenter();
+
+        if (game.goldDeposits && game.goldDeposits.length > 0) {
+            game.goldDeposits.forEach(deposit => this.drawGoldDeposit(deposit));
+        }
+
+        if (game.foodSources && game.foodSources.length > 0) {
+            game.foodSources.forEach(source => this.drawFoodSource(source));
+        }
+
+        if (game.waterSources && game.waterSources.length > 0) {
+            game.waterSources.forEach(source => this.drawWaterSource(source));
+        }
+
+        if (game.buildings && game.buildings.length > 0) {
+            game.buildings.forEach(building => this.drawBuilding(building));
+        }
+
+        game.dwarfs.forEach(dwarf => {
+            if (dwarf && typeof dwarf.draw === 'function') {
+                dwarf.draw(ctx);
+            }
+        });
+
+        this.drawSelection();
+
+        // Skulls, health bars, damage numbers and combat effects
+        if (this.simulation.lifespanIntegration) {
+            this.simulation.lifespanIntegration.draw(ctx);
+        }
+
+        this.drawRocketConstruction();
+    }
+
+    drawBackground(motionFlash) {
+        const { canvas, ctx } = this;
+
+        ctx.fillStyle = '#0f0f23';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        if (motionFlash > 0) {
+            ctx.fillStyle = 'rgba(255, 0, 0, ' + (motionFlash / 40) + ')';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        // Draw medieval ground tiles
+        for (let i = 0; i < 20; i++) {
+            const x = (i * 47) % canvas.width;
+            const y = Math.floor((i * 47) / canvas.width) * 24 + 10;
+            if (y < canvas.height) {
+                drawSprite(ctx, 19, x, y, 1.5);
+            }
+        }
+    }
+
+    drawStars() {
+        const { canvas, ctx } = this;
+
+        for (let i = 0; i < 15; i++) {
+            const x = (this.game.time * 0.01 + i * 123) % canvas.width;
+            const y = (this.game.time * 0.005 + i * 456) % canvas.height;
+
+            drawSprite(ctx, 17 + (i % 2), x, y, 1);
+        }
+    }
+
+    drawColonyCenter() {
+        const { canvas, ctx } = this;
+
+        ctx.fillStyle = 'rgba(255, 215, 0, 0.1)';
+        ctx.beginPath();
+        ctx.arc(canvas.width / 2, canvas.height / 2, 50, 0, Math.PI * 2);
+        ctx.fill();
+
+        drawSprite(ctx, SPRITE_MAP.castle, canvas.width / 2, canvas.height / 2, 3);
+    }
+
+    drawSelection() {
+        if (this.selectedDwarfId === null) return;
+
+        const dwarf = this.simulation.world.getDwarfById(this.selectedDwarfId);
+        if (!dwarf) return;
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = '#2ECC71';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(dwarf.x, dwarf.y, 18, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawRocketConstruction() {
+        const { canvas, ctx } = this;
+        const rocketParts = this.game.rocketParts;
+
+        let anyBuilding = false;
+        for (const part in rocketParts) {
+            if (rocketParts[part].building || rocketParts[part].built) {
+                anyBuilding = true;
+                break;
+            }
+        }
+
+        if (anyBuilding) {
+            const rocketX = canvas.width / 2 - 30;
+            const rocketY = 70;
+
+            drawSprite(ctx, SPRITE_MAP.tower, rocketX + 30, rocketY + 30, 4);
+
+            ctx.strokeStyle = '#FF6B6B';
+            ctx.setLineDash([5, 5]);
+            ctx.strokeRect(rocketX, rocketY, 60, 60);
+            ctx.setLineDash([]);
+        }
+    }
+
+    drawFoodSource(source) {
+        const ctx = this.ctx;
+        const spriteDrawn = drawSprite(ctx, SPRITE_MAP.food_source, source.x, source.y, 2);
+
+        if (!spriteDrawn) {
+            ctx.fillStyle = source.amount > 15 ? '#228B22' : '#8B4513';
+            ctx.beginPath();
+            ctx.arc(source.x, source.y, 12, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(Math.floor(source.amount), source.x, source.y - 20);
+        ctx.textAlign = 'left';
+    }
+
+    drawWaterSource(source) {
+        const ctx = this.ctx;
+        const spriteDrawn = drawSprite(ctx, SPRITE_MAP.water_well, source.x, source.y, 2);
+
+        if (!spriteDrawn) {
+            ctx.fillStyle = source.amount > 30 ? '#1E90FF' : '#4682B4';
+            ctx.beginPath();
+            ctx.arc(source.x, source.y, 15, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(Math.floor(source.amount), source.x, source.y - 25);
+        ctx.textAlign = 'left';
+    }
+
+    drawGoldDeposit(deposit) {
+        const ctx = this.ctx;
+        const spriteDrawn = drawSprite(ctx, SPRITE_MAP.gold_chest, deposit.x, deposit.y, 2);
+
+        if (!spriteDrawn) {
+            ctx.shadowColor = '#FFD700';
+            ctx.shadowBlur = 10;
+            ctx.fillStyle = '#FFD700';
+            ctx.beginPath();
+            ctx.arc(deposit.x, deposit.y, 8 + Math.sin(this.game.time * 0.1) * 2, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.shadowBlur = 0;
+        }
+
+        ctx.fillStyle = '#FFD700';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(Math.floor(deposit.gold), deposit.x, deposit.y - 20);
+        ctx.textAlign = 'left';
+    }
+
+    drawBuilding(building) {
+        const ctx = this.ctx;
+        let spriteId = SPRITE_MAP.house;
+
+        if (building.type === 'amenity') {
+            switch (building.amenityType) {
+                case 'house': spriteId = SPRITE_MAP.house; break;
+                case 'inn': spriteId = SPRITE_MAP.inn; break;
+                case 'coffee_shop': spriteId = SPRITE_MAP.coffee_shop; break;
+                case 'spa': spriteId = SPRITE_MAP.spa; break;
+                case 'library': spriteId = SPRITE_MAP.library; break;
+                case 'gym': spriteId = SPRITE_MAP.gym; break;
+                case 'museum': spriteId = SPRITE_MAP.museum; break;
+                case 'nursery': spriteId = SPRITE_MAP.church; break;
+                default: spriteId = SPRITE_MAP.house; break;
+            }
+        } else {
+            spriteId = SPRITE_MAP.city;
+        }
+
+        const spriteDrawn = drawSprite(ctx, spriteId, building.x, building.y, 3);
+
+        if (!spriteDrawn) {
+            ctx.fillStyle = '#4682B4';
+            ctx.fillRect(building.x - 15, building.y - 15, 30, 25);
+        }
+    }
+}
+
+/**
+ * Factory function for creating ColonyRenderer instances
+ * @param {Object} canvas - Canvas element
+ * @param {Object} simulation - ColonySimulation to draw
+ * @returns {ColonyRenderer} New renderer instance
+ */
+export function createColonyRenderer(canvas, simulation) {
+    return new ColonyRenderer(canvas, simulation);
+}
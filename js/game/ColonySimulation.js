@@ -0,0 +1,456 @@
+/**
+ * ColonySimulation.js
+ *
+ * Owns the colony game state and advances it one tick at a time.
+ * Wires the Dwarf class to the modular reproduction system, the
+ * lifespan/combat integration and (optionally) the auto-save system.
+ *
+ * Contains the world logic that used to live in index.html
+ * (initDwarfs, updateGame, checkMilestones, destroyRandomThing, ...).
+ * Rendering lives in ColonyRenderer; UI and motion input stay in the page.
+ */
+
+import { createGameState, TICKS_PER_SECOND } from './GameConfig.js';
+import { Dwarf } from './Dwarf.js';
+import { createSeededRandom } from '../SeededRandom.js';
+import { WorldInterface } from '../reproduction/core/WorldInterface.js';
+import { createReproductionSystem } from '../reproduction/systems/ReproductionSystem.js';
+import { DorfFriendLifespanIntegration } from '../LifespanCombatIntegration.js';
+
+export class ColonySimulation {
+    /**
+     * @param {Object} options - Simulation options
+     * @param {Object} options.game - Existing game state (defaults to a fresh one)
+     * @param {Object} options.autoSaveSystem - AutoSaveSystem to register serializers with
+     * @param {Object} options.reproductionConfig - Override for REPRODUCTION_CONFIG
+     * @param {Object} options.dimensions - Fixed world size {width, height} (defaults to the canvas)
+     * @param {Function} options.logSink - (message, important, type) => void (defaults to global addLog)
+     * @param {number|string} options.seed - Seed for the shared random generator (random if omitted)
+     */
+    constructor(options = {}) {
+        this.game = options.game || createGameState();
+
+        // One seeded generator for every subsystem, so a seed replays the same colony
+        this.rng = createSeededRandom(options.seed);
+        this.game.seed = this.rng.seed;
+        this.game.rng = this.rng;
+
+        // World interface shared by every subsystem; dwarfs are created through it
+        this.world = new WorldInterface(this.game, {
+            dwarfFactory: (x, y, name, isAdult) => this.constructDwarf(x, y, name, isAdult),
+            dimensions: options.dimensions,
+            logSink: options.logSink,
+            random: this.rng.next
+        });
+
+        this.reproductionSystem = createReproductionSystem({
+            config: options.reproductionConfig,
+            worldInterface: this.world
+        });
+
+        this.autoSaveSystem = options.autoSaveSystem || null;
+        this.lifespanIntegration = new DorfFriendLifespanIntegration(
+            this.game,
+            this.reproductionSystem,
+            this.autoSaveSystem,
+            { ticksPerSecond: TICKS_PER_SECOND }
+        );
+
+        // Systems are reachable from the game object (see LifespanAutoSaveIntegration.md)
+        this.game.reproductionSystem = this.reproductionSystem;
+        this.game.lifespanIntegration = this.lifespanIntegration;
+        this.game.autoSaveSystem = this.autoSaveSystem;
+
+        if (this.autoSaveSystem) {
+            this.autoSaveSystem.setGameReference(this.game);
+        }
+    }
+
+    /**
+     * Seed of the current colony (follows game.seed, which loading a save replaces)
+     * @returns {number} Seed
+     */
+    get seed() {
+        return this.game.seed;
+    }
+
+    /**
+     * Construct a dwarf with lifespan data but without reproduction traits
+     * Used by WorldInterface.createDwarf (births, save restore)
+     * @private
+     */
+    constructDwarf(x, y, name, isAdult) {
+        const dwarf = new Dwarf(x, y, name, isAdult, this.rng.next);
+        this.lifespanIntegration.initializeDwarf(dwarf);
+        return dwarf;
+    }
+
+    /**
+     * Create a fully initialized dwarf and add it to the colony
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {string} name - Dwarf name (null for random)
+     * @param {boolean} isAdult - Whether dwarf starts as adult
+     * @returns {Dwarf} The new dwarf
+     */
+    spawnDwarf(x, y, name = null, isAdult = true) {
+        const dwarf = this.world.createDwarf(x, y, name, isAdult);
+        this.reproductionSystem.initializeReproductionTraits(dwarf);
+        this.world.addDwarf(dwarf);
+        return dwarf;
+    }
+
+    /**
+     * Set up the starting colony: three dwarfs, food, water and gold
+     */
+    initialize() {
+        this.initDwarfs();
+        this.initFoodAndWaterSources();
+        this.initializeGoldDeposits();
+    }
+
+    /**
+     * Replace the running colony with a loaded save
+     * Dwarfs, buildings, deposits, food, water and rocket parts all come from the save;
+     * in-flight combat actions and effects of the old colony are dropped.
+     * The save is restored into a staging state first, so a save that fails to
+     * restore leaves the running colony untouched.
+     * @param {Object} saveData - Save data from AutoSaveSystem.loadFromSlot
+     * @returns {boolean} Success status
+     */
+    loadSaveData(saveData) {
+        if (!this.autoSaveSystem) {
+            console.error('ColonySimulation: Cannot load without an AutoSaveSystem');
+            return false;
+        }
+        if (!saveData) return false;
+
+        // Sections missing from older saves start fresh rather than keeping the old colony's
+        const stagedState = {
+            ...createGameState(),
+            rng: this.rng,
+            reproductionSystem: this.reproductionSystem,
+            lifespanIntegration: this.lifespanIntegration,
+            autoSaveSystem: this.autoSaveSystem
+        };
+        // Restored dwarfs are built through the world, which draws from the rng and live id counter
+        const rngState = this.rng.getState();
+        const nextDwarfId = this.game.nextDwarfId;
+
+        if (!this.autoSaveSystem.restoreSaveData(saveData, stagedState)) {
+            this.rng.setState(rngState);
+            this.game.nextDwarfId = nextDwarfId;
+            return false;
+        }
+
+        const lifespanSystem = this.lifespanIntegration.lifespanSystem;
+        lifespanSystem.pendingActions = [];
+        lifespanSystem.combatEffects = [];
+        lifespanSystem.projectiles = [];
+        this.reproductionSystem.pregnancyManager.pregnantFemales.clear();
+
+        Object.assign(this.game, stagedState);
+
+        // Saves from before world objects were stored come back with empty lists
+        this.initFoodAndWaterSources();
+        if (this.game.goldDeposits.length === 0) {
+            this.initializeGoldDeposits();
+        }
+
+        console.log('ColonySimulation: Loaded save at tick ' + this.game.time + ' with ' + this.game.dwarfs.length + ' dwarfs');
+        return true;
+    }
+
+    initDwarfs() {
+        const { width, height } = this.world.getCanvasDimensions();
+
+        this.game.dwarfs = [];
+
+        for (let i = 0; i < 3; i++) {
+            const x = width / 2 + (i - 1) * 40;
+            const y = height / 2;
+            this.spawnDwarf(x, y);
+        }
+
+        this.world.addLog('Three dwarfs have arrived to start the colony!', true);
+        console.log('ColonySimulation: Dwarf initialization complete. Total dwarfs:', this.game.dwarfs.length);
+    }
+
+    initFoodAndWaterSources() {
+        const game = this.game;
+        const { width, height } = this.world.getCanvasDimensions();
+
+        if (!game.foodSources) game.foodSources = [];
+        if (!game.waterSources) game.waterSources = [];
+
+        if (game.foodSources.length === 0) {
+            for (let i = 0; i < 6; i++) {
+                game.foodSources.push({
+                    x: this.world.random() * (width - 100) + 50,
+                    y: this.world.random() * (height - 100) + 50,
+                    amount: 80 + this.world.random() * 80,
+                    maxAmount: 150,
+                    regrowTimer: 0,
+                    type: 'berries'
+                });
+            }
+        }
+
+        if (game.waterSources.length === 0) {
+            for (let i = 0; i < 5; i++) {
+                game.waterSources.push({
+                    x: this.world.random() * (width - 100) + 50,
+                    y: this.world.random() * (height - 100) + 50,
+                    amount: 120 + this.world.random() * 100,
+                    maxAmount: 250,
+                    regrowTimer: 0,
+                    type: 'spring'
+                });
+            }
+        }
+    }
+
+    initializeGoldDeposits() {
+        const { width, height } = this.world.getCanvasDimensions();
+        if (!this.game.goldDeposits) this.game.goldDeposits = [];
+
+        for (let i = 0; i < 5; i++) {
+            this.game.goldDeposits.push({
+                x: this.world.random() * (width - 100) + 50,
+                y: this.world.random() * (height - 100) + 50,
+                gold: 20 + this.world.random() * 30,
+                discovered: false
+            });
+        }
+    }
+
+    /**
+     * Advance the colony by one tick
+     */
+    update() {
+        const game = this.game;
+
+        if (game.dwarfs && game.dwarfs.length > 0) {
+            // Iterate a snapshot: births and deaths replace game.dwarfs mid-tick
+            game.dwarfs.slice().forEach(dwarf => {
+                if (dwarf && !dwarf.isDead && typeof dwarf.update === 'function') {
+                    dwarf.update(this.world);
+                }
+            });
+        }
+
+        this.reproductionSystem.updatePregnancies();
+        this.reproductionSystem.updateSeasons();
+        this.reproductionSystem.updatePairBonds();
+        this.reproductionSystem.updateParentalCare();
+        this.reproductionSystem.updateStrategySwitching();
+        this.lifespanIntegration.update();
+
+        this.updateFoodAndWaterSources();
+        this.updateGoldDeposits();
+
+        // Spawn new dwarfs occasionally
+        const adultDwarfs = game.dwarfs.filter(d => d.isAdult).length;
+        const totalBuildings = game.buildings.length;
+
+        if (totalBuildings >= adultDwarfs &&
+            game.time % 2400 === 0 &&
+            this.world.random() < 0.12) {
+
+            const { width, height } = this.world.getCanvasDimensions();
+            const newX = Math.max(50, Math.min(width - 50, width / 2 + this.world.random() * 100 - 50));
+            const newY = Math.max(50, Math.min(height - 50, height / 2));
+
+            this.spawnDwarf(newX, newY);
+            this.world.addLog('New dwarf joined the colony seeking work!', false);
+        }
+
+        this.checkMilestones();
+
+        if (game.time % TICKS_PER_SECOND === 0) {
+            const currentGold = game.gold;
+            game.goldPerSecond = Math.max(0, (currentGold - (game.lastGoldCheck || 0)) / 1);
+            game.lastGoldCheck = currentGold;
+        }
+
+        if (game.time % 900 === 0 && this.world.random() < 0.4) {
+            this.createGoldDeposit();
+        }
+
+        game.time++;
+    }
+
+    updateFoodAndWaterSources() {
+        const game = this.game;
+        if (!game.foodSources) game.foodSources = [];
+        if (!game.waterSources) game.waterSources = [];
+
+        game.foodSources.forEach(source => {
+            if (source.amount < source.maxAmount) {
+                source.regrowTimer++;
+                if (source.regrowTimer > 45) {
+                    source.amount = Math.min(source.maxAmount, source.amount + 6);
+                    source.regrowTimer = 0;
+                }
+            }
+        });
+
+        game.waterSources.forEach(source => {
+            if (source.amount < source.maxAmount) {
+                source.regrowTimer++;
+                if (source.regrowTimer > 30) {
+                    source.amount = Math.min(source.maxAmount, source.amount + 8);
+                    source.regrowTimer = 0;
+                }
+            }
+        });
+    }
+
+    createGoldDeposit() {
+        if (!this.game.goldDeposits) return null;
+
+        const { width, height } = this.world.getCanvasDimensions();
+        const deposit = {
+            x: this.world.random() * (width - 100) + 50,
+            y: this.world.random() * (height - 100) + 50,
+            gold: 18 + this.world.random() * 32,
+            discovered: false
+        };
+
+        this.game.goldDeposits.push(deposit);
+        return deposit;
+    }
+
+    updateGoldDeposits() {
+        const game = this.game;
+        if (game.goldDeposits && game.goldDeposits.length < 3 && this.world.random() < 0.02) {
+            this.createGoldDeposit();
+            if (this.world.random() < 0.3) {
+                this.world.addLog('New gold deposit discovered!', false);
+            }
+        }
+
+        game.goldDeposits = game.goldDeposits.filter(deposit => deposit.gold > 0.1);
+    }
+
+    checkMilestones() {
+        const game = this.game;
+
+        if (!game.milestones.hundredGold && game.gold >= 100) {
+            game.milestones.hundredGold = true;
+            this.world.addLog('First 100 gold collected!', true);
+        }
+        if (!game.milestones.thousandGold && game.gold >= 1000) {
+            game.milestones.thousandGold = true;
+            this.world.addLog('1000 gold milestone reached!', true);
+        }
+
+        if (!game.milestones.firstBuilding && game.buildings.length >= 1) {
+            game.milestones.firstBuilding = true;
+            this.world.addLog('First building constructed!', true);
+        }
+
+        if (!game.milestones.firstAmenity && game.buildings.filter(b => b.type === 'amenity').length >= 1) {
+            game.milestones.firstAmenity = true;
+            this.world.addLog('First amenity building completed!', true);
+        }
+
+        let allPartsBuilt = true;
+        for (const part in game.rocketParts) {
+            if (!game.rocketParts[part].built) {
+                allPartsBuilt = false;
+                break;
+            }
+        }
+
+        if (allPartsBuilt && !game.milestones.rocketComplete) {
+            game.milestones.rocketComplete = true;
+            this.world.addLog('ROCKET COMPLETED! Victory achieved!', true, 'success');
+        }
+    }
+
+    /**
+     * Destroy something at random (motion damage)
+     * @returns {boolean} Whether anything was destroyed
+     */
+    destroyRandomThing() {
+        const game = this.game;
+        const targets = [];
+
+        if (game.dwarfs.length > 1) targets.push('dwarf');
+        if (game.buildings.length > 0) targets.push('building');
+        if (game.goldDeposits.length > 0) targets.push('deposit');
+        if (game.foodSources.length > 1) targets.push('food');
+        if (game.waterSources.length > 1) targets.push('water');
+
+        if (targets.length === 0) return false;
+
+        const target = targets[Math.floor(this.world.random() * targets.length)];
+
+        switch (target) {
+            case 'dwarf':
+                if (game.dwarfs.length > 1) {
+                    let mostVulnerable = game.dwarfs[0];
+                    let highestVulnerability = 0;
+
+                    game.dwarfs.forEach(dwarf => {
+                        const vulnerability = dwarf.personality.neuroticism +
+                                             (100 - Math.min(dwarf.hunger, dwarf.thirst));
+                        if (vulnerability > highestVulnerability) {
+                            highestVulnerability = vulnerability;
+                            mostVulnerable = dwarf;
+                        }
+                    });
+
+                    const index = game.dwarfs.indexOf(mostVulnerable);
+                    if (index > 0) {
+                        const removedDwarf = game.dwarfs.splice(index, 1)[0];
+                        removedDwarf.deathCause = 'chaos';
+                        this.world.recordDeath(removedDwarf);
+                        this.reproductionSystem.handleDeath(removedDwarf);
+                        this.world.addLog(removedDwarf.name + ' was overwhelmed by the chaos!', true, 'disaster');
+                        return true;
+                    }
+                }
+                break;
+            case 'building':
+                if (game.buildings.length > 0) {
+                    game.buildings.pop();
+                    this.world.addLog('A building collapsed from instability!', false, 'disaster');
+                    return true;
+                }
+                break;
+            case 'deposit':
+                if (game.goldDeposits.length > 0) {
+                    game.goldDeposits.pop();
+                    this.world.addLog('A gold deposit was scattered by motion!', false, 'disaster');
+                    return true;
+                }
+                break;
+            case 'food':
+                if (game.foodSources.length > 1) {
+                    game.foodSources.pop();
+                    this.world.addLog('Berry bush destroyed by instability!', false, 'disaster');
+                    return true;
+                }
+                break;
+            case 'water':
+                if (game.waterSources.length > 1) {
+                    game.waterSources.pop();
+                    this.world.addLog('Water spring dried up from the chaos!', false, 'disaster');
+                    return true;
+                }
+                break;
+        }
+        return false;
+    }
+}
+
+/**
+ * Factory function for creating ColonySimulation instances
+ * @param {Object} options - Simulation options
+ * @returns {ColonySimulation} New simulation instance
+ */
+export function createColonySimulation(options = {}) {
+    return new ColonySimulation(options);
+}
@@ -0,0 +1,998 @@
+/**
+ * Dwarf.js
+ *
+ * Colony dwarf: needs, personality, task selection, movement and drawing.
+ * Extracted from the original inline index.html script.
+ *
+ * Reproduction behavior is delegated to game.reproductionSystem and
+ * pregnancy/birth to its PregnancyManager; lifespan and combat are driven
+ * by game.lifespanIntegration. Every method that touches the world takes
+ * a WorldInterface so the class itself holds no global references.
+ */
+
+import { SPRITE_MAP, DWARF_NAMES, DWARF_CLASSES, BUILDING_NAMES, BUILDING_COSTS } from './GameConfig.js';
+import { drawSprite } from './Sprites.js';
+import { REPRODUCTION_CONFIG, STRATEGY_COLORS } from '../reproduction/config/ReproductionConfig.js';
+
+const TASK_EMOJIS = {
+    'panicking': '😰',
+    'fleeing': '🏃',
+    'building_rocket': '🚀',
+    'mining': '⛏️',
+    'seeking_food': '🍓',
+    'seeking_water': '💧',
+    'seeking_rest': '😴',
+    'seeking_joy': '😊',
+    'seeking_coffee': '☕',
+    'caring_for_child': '🍼',
+    'seeking_healer': '🧙'
+};
+
+export class Dwarf {
+    /**
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {string} name - Dwarf name (null for random)
+     * @param {boolean} isAdult - Whether dwarf starts as adult
+     * @param {Function} random - Random source, the world's seeded generator in the game
+     */
+    constructor(x, y, name, isAdult, random = Math.random) {
+        this.id = null; // Unique, assigned by WorldInterface.createDwarf
+        this.x = x || 100;
+        this.y = y || 100;
+        this.name = name || this.generateName(random);
+        this.isAdult = isAdult !== false;
+        this.gender = random() < 0.5 ? 'male' : 'female';
+        this.class = DWARF_CLASSES[Math.floor(random() * DWARF_CLASSES.length)];
+
+        // Basic needs
+        this.hunger = 80 + random() * 20;
+        this.thirst = 80 + random() * 20;
+        this.rest = 70 + random() * 30;
+        this.joy = 60 + random() * 40;
+        this.coffee = 50 + random() * 50;
+        this.cleanliness = 70 + random() * 30;
+
+        // Personality traits (Big Five model)
+        this.personality = {
+            openness: random() * 100,
+            conscientiousness: random() * 100,
+            extraversion: random() * 100,
+            agreeableness: random() * 100,
+            neuroticism: random() * 100
+        };
+
+        // Reproduction state (strategy is assigned by ReproductionSystem.initializeReproductionTraits)
+        this.reproductionStrategy = null;
+        this.isPregnant = false;
+        this.pregnancyTimer = 0;
+        this.pregnancyFatherId = null;
+        this.pregnancyFatherGenes = null;
+        this.pregnancyStrain = 0; // Ticks of this pregnancy spent hungry, thirsty or hurt
+        this.strategyGene = null; // Heritable strategy, carried by both sexes (see Genetics.js)
+        this.fatherStrategy = null; // Father's strategy at conception (see MateChoiceLearning.js)
+        this.femaleStrategy = null; // Females: standard, choosy, promiscuous or copier
+        this.matePreferences = null; // Females: learned score bonus per male strategy
+        this.partnerId = null; // Pair-bond partner (see PairBonding.js)
+        this.bondStrength = 0; // 0-100
+        this.bondStartTime = null; // Game time the bond formed
+        this.sharedHome = null; // { x, y } of the house the pair rests in
+        this.maturityTimer = isAdult !== false ? 0 : random() * REPRODUCTION_CONFIG.MATURITY_THRESHOLD;
+        this.reproductionCooldown = 0;
+        this.territoryX = x;
+        this.territoryY = y;
+        this.guardedFemale = null;
+        this.mateSeekingTimer = 0;
+        this.matingRecord = null; // Males: { attempts, successes } with the current strategy (see StrategySwitching.js)
+        this.dominanceRating = REPRODUCTION_CONFIG.DOMINANCE.initialRating; // Rank from fights (see DominanceHierarchy.js)
+        this.boutsWon = 0;
+        this.boutsLost = 0;
+
+        // Lineage (set by WorldInterface.registerLineage when the dwarf joins the world)
+        this.motherId = null;
+        this.fatherId = null;
+        this.generation = 0;
+        this.childIds = [];
+        this.guardianId = null; // Adult who adopted this dwarf as an orphan (see ParentalCare.js)
+
+        // Work and behavior
+        this.task = 'idle';
+        this.workTimer = 0;
+        this.efficiency = 0.8 + random() * 0.4;
+        this.goldMined = 0; // Lifetime gold, how well this dwarf provides (see MaleCondition.js)
+        this.targetX = x;
+        this.targetY = y;
+        this.speed = 0.5 + random() * 0.5;
+
+        // Child care trip (see careForChild)
+        this.careTargetId = null;
+        this.carrying = null; // 'food' or 'water' on the way to the child
+
+        // Construction states
+        this.rocketPart = null;
+        this.amenityType = null;
+        this.negativeType = null;
+
+        // Personality states
+        this.panicLevel = 0;
+        this.personalityState = 'normal';
+
+        // Visual
+        this.direction = random() * Math.PI * 2;
+        this.animPhase = random() * Math.PI * 2;
+    }
+
+    generateName(random = Math.random) {
+        return DWARF_NAMES[Math.floor(random() * DWARF_NAMES.length)] + '_' + Math.floor(random() * 100);
+    }
+
+    getSpriteId() {
+        const key = this.gender + '_' + this.class;
+        return SPRITE_MAP[key] || SPRITE_MAP.male_fighter;
+    }
+
+    /**
+     * Advance this dwarf by one tick
+     * @param {Object} world - WorldInterface for the colony
+     */
+    update(world) {
+        const game = world.game;
+
+        // Age and maturity system
+        if (!this.isAdult) {
+            // Children playing near a nursery grow up faster
+            this.maturityTimer += game.reproductionSystem
+                ? game.reproductionSystem.parentalCare.getMaturityRate(this, game.buildings)
+                : 1;
+            if (this.maturityTimer >= REPRODUCTION_CONFIG.MATURITY_THRESHOLD) {
+                this.isAdult = true;
+                world.addLog(this.name + ' has reached maturity!', true);
+                if (game.reproductionSystem) {
+                    game.reproductionSystem.handleMaturity(this);
+                }
+            }
+        }
+
+        // Cooldowns
+        if (this.reproductionCooldown > 0) this.reproductionCooldown--;
+        if (this.mateSeekingTimer > 0) this.mateSeekingTimer--;
+
+        // Needs decay
+        if (game.time % 4 === 0) {
+            this.hunger = Math.max(0, this.hunger - 0.06);
+            this.thirst = Math.max(0, this.thirst - 0.08);
+            this.rest = Math.max(0, this.rest - 0.04);
+            this.joy = Math.max(0, this.joy - 0.03);
+            this.coffee = Math.max(0, this.coffee - 0.025);
+            this.cleanliness = Math.max(0, this.cleanliness - 0.035);
+        }
+
+        // Personality state updates
+        this.updatePersonalityState(world);
+
+        // Reproduction behavior (delegated to modular system)
+        if (this.isAdult && this.reproductionCooldown <= 0 && game.reproductionSystem) {
+            game.reproductionSystem.updateReproductionBehavior(this);
+        }
+
+        this.executeTask(world);
+        this.updateTask(world);
+        this.move(world);
+
+        if (this.workTimer > 0) this.workTimer--;
+        this.animPhase += 0.1;
+    }
+
+    updatePersonalityState(world) {
+        if (this.panicLevel > 0) this.panicLevel = Math.max(0, this.panicLevel - 1);
+
+        // Motion-induced panic
+        const lastMotionDetected = world.game.lastMotionDetected || 0;
+        if (lastMotionDetected > 0 && (Date.now() - lastMotionDetected) < 2000) {
+            if (this.personality.neuroticism > 60 && world.random() < 0.1) {
+                this.panicLevel = Math.min(100, this.panicLevel + 5);
+                if (this.panicLevel > 50 && this.personalityState !== 'panicking') {
+                    this.personalityState = 'panicking';
+                    this.task = 'panicking';
+                    this.workTimer = 120;
+                }
+            }
+        }
+
+        // Personality-based state changes
+        if (this.personalityState === 'normal') {
+            if (this.personality.neuroticism > 80 && world.random() < 0.001) {
+                this.personalityState = 'anxious';
+            } else if (this.personality.conscientiousness < 20 && world.random() < 0.0008) {
+                this.personalityState = 'lazy';
+            } else if (this.personality.openness > 85 && world.random() < 0.0005) {
+                this.personalityState = 'creative_burst';
+            }
+        } else {
+            if (world.random() < 0.01) {
+                this.personalityState = 'normal';
+            }
+        }
+    }
+
+    updateTask(world) {
+        if (this.workTimer > 0) return;
+
+        if (this.personalityState === 'panicking' && this.panicLevel > 30) {
+            this.task = 'panicking';
+            this.workTimer = 60;
+            return;
+        }
+
+        if (this.personalityState === 'lazy' && world.random() < 0.3) {
+            this.task = 'idle';
+            this.workTimer = 120;
+            return;
+        }
+
+        const newTask = this.chooseBestTask(world);
+        if (newTask !== this.task) {
+            this.task = newTask;
+            this.setTaskTarget(world);
+        }
+    }
+
+    chooseBestTask(world) {
+        if (!this.isAdult) return 'idle';
+
+        const game = world.game;
+
+        // Critical survival needs
+        if (this.hunger < 15 || this.thirst < 10) {
+            return this.hunger < this.thirst ? 'seeking_food' : 'seeking_water';
+        }
+
+        // Hungry or thirsty children come next
+        if (game.reproductionSystem && game.reproductionSystem.parentalCare.findChildInNeed(this)) {
+            return 'caring_for_child';
+        }
+
+        // Rocket construction
+        const rocketPart = this.shouldBuildRocket(world, game.gold);
+        if (rocketPart) {
+            return 'rocket_construction';
+        }
+
+        // Infrastructure building
+        if (this.shouldBuildInfrastructure(world)) {
+            return 'infrastructure_construction';
+        }
+
+        // Amenity seeking
+        const neededAmenity = this.getNeededAmenity(world);
+        if (neededAmenity) return neededAmenity;
+
+        // Injuries only a healer cures
+        if (this.findHealer(world)) return 'seeking_healer';
+
+        // Mining
+        if (game.goldDeposits && game.goldDeposits.length > 0) {
+            return 'mining';
+        }
+
+        return 'idle';
+    }
+
+    shouldBuildRocket(world, gold) {
+        if (!this.isAdult) return false;
+
+        const rocketParts = world.game.rocketParts;
+        for (const part in rocketParts) {
+            const data = rocketParts[part];
+            if (!data.built && !data.building && gold >= data.cost) {
+                return part;
+            }
+        }
+        return false;
+    }
+
+    shouldBuildInfrastructure(world) {
+        if (!this.isAdult) return false;
+
+        const game = world.game;
+        const adultDwarfs = game.dwarfs.filter(d => d.isAdult).length;
+        const totalBuildings = game.buildings.length;
+        const amenityBuildings = game.buildings.filter(b => b.type === 'amenity').length;
+
+        const maxBuildings = adultDwarfs * 3;
+        const maxAmenities = adultDwarfs * 2;
+
+        const averageNeeds = this.calculateAverageNeeds(world);
+
+        if (amenityBuildings < maxAmenities) {
+            // A colony's first children get a nursery before anything else
+            if (this.colonyNeedsNursery(world) && game.gold >= BUILDING_COSTS.nursery) return 'nursery';
+            if (averageNeeds.rest < 50 && game.gold >= 80) return 'house';
+            if (averageNeeds.coffee < 40 && game.gold >= 90) return 'coffee_shop';
+            if (averageNeeds.joy < 40 && game.gold >= 100) return 'inn';
+            if (averageNeeds.cleanliness < 45 && game.gold >= 110) return 'spa';
+        }
+
+        if (totalBuildings < maxBuildings && game.gold >= 80) {
+            return 'building';
+        }
+
+        return false;
+    }
+
+    calculateAverageNeeds(world) {
+        const dwarfs = world.getAllDwarfs();
+        if (dwarfs.length === 0) return { rest: 100, joy: 100, coffee: 100, cleanliness: 100 };
+
+        const totals = { rest: 0, joy: 0, coffee: 0, cleanliness: 0 };
+        dwarfs.forEach(dwarf => {
+            totals.rest += dwarf.rest;
+            totals.joy += dwarf.joy;
+            totals.coffee += dwarf.coffee;
+            totals.cleanliness += dwarf.cleanliness;
+        });
+
+        const count = dwarfs.length;
+        return {
+            rest: totals.rest / count,
+            joy: totals.joy / count,
+            coffee: totals.coffee / count,
+            cleanliness: totals.cleanliness / count
+        };
+    }
+
+    // Children but no nursery to look after them
+    colonyNeedsNursery(world) {
+        const game = world.game;
+        if (!game.reproductionSystem || !game.reproductionSystem.parentalCare.isEnabled()) return false;
+
+        return game.dwarfs.some(d => !d.isAdult) &&
+               !game.buildings.some(b => b.type === 'amenity' && b.amenityType === 'nursery');
+    }
+
+    getNeededAmenity(world) {
+        if (this.rest < 25 || this.needsRestToRecover(world)) return 'seeking_rest';
+        if (this.joy < 20) return 'seeking_joy';
+        if (this.coffee < 15) return 'seeking_coffee';
+        if (this.cleanliness < 25) return 'seeking_cleanliness';
+        return null;
+    }
+
+    // Injured with something rest in a house cures, and there is a house
+    needsRestToRecover(world) {
+        const game = world.game;
+        if (!this.statusEffects || !game.lifespanIntegration) return false;
+        return game.lifespanIntegration.lifespanSystem.getCurableEffects(this, 'rest').length > 0 &&
+               game.buildings.some(b => b.type === 'amenity' && b.amenityType === 'house');
+    }
+
+    // Nearest mage who can cure an effect on this dwarf
+    findHealer(world) {
+        const game = world.game;
+        if (!this.statusEffects || !game.lifespanIntegration) return null;
+
+        const lifespanSystem = game.lifespanIntegration.lifespanSystem;
+        if (lifespanSystem.getCurableEffects(this, 'healer').length === 0) return null;
+        return lifespanSystem.findHealer(this, game.dwarfs);
+    }
+
+    setTaskTarget(world) {
+        switch (this.task) {
+            case 'rocket_construction':
+                this.startRocketConstruction(world);
+                break;
+            case 'infrastructure_construction':
+                this.startInfrastructureConstruction(world);
+                break;
+            case 'caring_for_child':
+                this.careTargetId = world.game.reproductionSystem.parentalCare.findChildInNeed(this).id;
+                this.carrying = null;
+                break;
+        }
+    }
+
+    startRocketConstruction(world) {
+        const game = world.game;
+        const part = this.shouldBuildRocket(world, game.gold);
+        if (!part) return;
+
+        const partData = game.rocketParts[part];
+        const cost = partData.cost;
+
+        if (game.gold >= cost && !partData.building && !partData.built) {
+            partData.building = true;
+            game.gold -= cost;
+
+            this.task = 'building_rocket';
+            this.workTimer = 600;
+            this.rocketPart = part;
+            this.targetX = world.getCanvasDimensions().width / 2;
+            this.targetY = 100;
+
+            world.addLog(this.name + ' starting ' + part + ' construction!', true);
+        }
+    }
+
+    startInfrastructureConstruction(world) {
+        const game = world.game;
+        const averageNeeds = this.calculateAverageNeeds(world);
+        let buildingType = null;
+        let cost = 0;
+
+        if (this.colonyNeedsNursery(world) && game.gold >= BUILDING_COSTS.nursery) {
+            buildingType = 'nursery';
+            cost = BUILDING_COSTS.nursery;
+        } else if (averageNeeds.rest < 50 && game.gold >= 80) {
+            buildingType = 'house';
+            cost = 80;
+        } else if (averageNeeds.coffee < 40 && game.gold >= 90) {
+            buildingType = 'coffee_shop';
+            cost = 90;
+        } else if (averageNeeds.joy < 40 && game.gold >= 100) {
+            buildingType = 'inn';
+            cost = 100;
+        } else if (averageNeeds.cleanliness < 45 && game.gold >= 110) {
+            buildingType = 'spa';
+            cost = 110;
+        } else if (game.gold >= 80) {
+            buildingType = 'building';
+            cost = 80;
+        }
+
+        if (buildingType && game.gold >= cost) {
+            game.gold -= cost;
+
+            if (buildingType === 'building') {
+                this.task = 'building_structure';
+                this.workTimer = 400;
+            } else {
+                this.task = 'building_amenity';
+                this.amenityType = buildingType;
+                this.workTimer = 450;
+                world.addLog(this.name + ' building ' + (BUILDING_NAMES[buildingType] || buildingType) + '!', true);
+            }
+
+            const dimensions = world.getCanvasDimensions();
+            this.targetX = world.random() * (dimensions.width - 100) + 50;
+            this.targetY = world.random() * (dimensions.height - 100) + 50;
+        }
+    }
+
+    executeTask(world) {
+        switch (this.task) {
+            case 'seeking_food':
+                this.seekFood(world);
+                break;
+            case 'seeking_water':
+                this.seekWater(world);
+                break;
+            case 'mining':
+                this.mineGold(world);
+                break;
+            case 'building_rocket':
+                this.buildRocket(world);
+                break;
+            case 'building_structure':
+            case 'building_amenity':
+                this.buildStructure(world);
+                break;
+            case 'seeking_rest':
+            case 'seeking_joy':
+            case 'seeking_coffee':
+            case 'seeking_cleanliness':
+                this.useAmenity(world);
+                break;
+            case 'caring_for_child':
+                this.careForChild(world);
+                break;
+            case 'seeking_healer':
+                this.visitHealer(world);
+                break;
+            case 'panicking':
+                this.panic(world);
+                break;
+            case 'fleeing':
+                break;
+            default:
+                this.wander(world);
+        }
+    }
+
+    seekFood(world) {
+        const nearbyFood = this.findNearestResource(world.game.foodSources);
+        if (nearbyFood && this.distanceTo(nearbyFood) < 30) {
+            if (nearbyFood.amount > 5 && !this.yieldsAtSource(world, nearbyFood)) {
+                const consumed = Math.min(15, nearbyFood.amount);
+                this.hunger = Math.min(100, this.hunger + consumed * 3);
+                nearbyFood.amount -= consumed;
+                this.task = 'idle';
+                this.workTimer = 30;
+
+                if (world.random() < 0.1) {
+                    world.addLog(this.name + ' feels satisfied after eating', false);
+                }
+            }
+        } else if (nearbyFood) {
+            this.targetX = nearbyFood.x;
+            this.targetY = nearbyFood.y;
+        } else {
+            this.task = 'idle';
+        }
+    }
+
+    seekWater(world) {
+        const nearbyWater = this.findNearestResource(world.game.waterSources);
+        if (nearbyWater && this.distanceTo(nearbyWater) < 30) {
+            if (nearbyWater.amount > 8 && !this.yieldsAtSource(world, nearbyWater)) {
+                const consumed = Math.min(20, nearbyWater.amount);
+                this.thirst = Math.min(100, this.thirst + consumed * 3);
+                nearbyWater.amount -= consumed;
+                this.task = 'idle';
+                this.workTimer = 30;
+
+                if (world.random() < 0.1) {
+                    world.addLog(this.name + ' feels refreshed after drinking', false);
+                }
+            }
+        } else if (nearbyWater) {
+            this.targetX = nearbyWater.x;
+            this.targetY = nearbyWater.y;
+        } else {
+            this.task = 'idle';
+        }
+    }
+
+    // Wait while a higher-ranking dwarf is after the same crowded source
+    yieldsAtSource(world, source) {
+        const game = world.game;
+        if (!game.reproductionSystem) return false;
+
+        const dominance = game.reproductionSystem.dominance;
+        const contenders = game.dwarfs.filter(dwarf => dwarf !== this && !dwarf.isDead &&
+            dwarf.task === this.task && dwarf.distanceTo(source) < dominance.dominanceConfig.crowdRadius);
+        return dominance.yieldsTo(this, contenders);
+    }
+
+    // Walk to the nearest mage and wait there until healed
+    visitHealer(world) {
+        const healer = this.findHealer(world);
+        if (!healer) {
+            this.task = 'idle';
+        } else if (this.distanceTo(healer) > 40) {
+            this.targetX = healer.x;
+            this.targetY = healer.y;
+        } else {
+            this.targetX = this.x;
+            this.targetY = this.y;
+        }
+    }
+
+    // Fetch a portion of what the child in care lacks and bring it over
+    careForChild(world) {
+        const game = world.game;
+        const care = game.reproductionSystem ? game.reproductionSystem.parentalCare : null;
+        const child = care ? world.getDwarfById(this.careTargetId) : null;
+        const need = child && !child.isAdult ? (this.carrying || care.getNeed(child)) : null;
+
+        if (!need) {
+            this.task = 'idle';
+            this.careTargetId = null;
+            this.carrying = null;
+            return;
+        }
+
+        if (this.carrying) {
+            if (this.distanceTo(child) < care.careConfig.deliveryDistance) {
+                care.deliverCare(this, child, this.carrying);
+                this.task = 'idle';
+                this.workTimer = 30;
+                this.careTargetId = null;
+                this.carrying = null;
+            } else {
+                this.targetX = child.x;
+                this.targetY = child.y;
+            }
+            return;
+        }
+
+        const source = this.findNearestResource(need === 'food' ? game.foodSources : game.waterSources);
+        if (!source) {
+            this.task = 'idle';
+            this.careTargetId = null;
+        } else if (this.distanceTo(source) < 30) {
+            const portion = care.careConfig.portion;
+            if (source.amount > portion) {
+                source.amount -= portion;
+                this.carrying = need;
+            }
+        } else {
+            this.targetX = source.x;
+            this.targetY = source.y;
+        }
+    }
+
+    // Efficiency after slowdowns such as pregnancy and concussions
+    getWorkEfficiency(world) {
+        const game = world.game;
+        let efficiency = this.efficiency;
+        if (this.isPregnant && game.reproductionSystem) {
+            efficiency *= game.reproductionSystem.pregnancyManager.getEfficiencyMultiplier(this);
+        }
+        if (this.statusEffects && game.lifespanIntegration) {
+            efficiency *= game.lifespanIntegration.lifespanSystem.getEfficiencyMultiplier(this);
+        }
+        return efficiency;
+    }
+
+    mineGold(world) {
+        const game = world.game;
+        const nearbyDeposit = this.findNearestResource(game.goldDeposits);
+        if (nearbyDeposit && this.distanceTo(nearbyDeposit) < 25) {
+            const mined = Math.min(2 * this.getWorkEfficiency(world), nearbyDeposit.gold);
+            game.gold = (game.gold || 0) + mined;
+            nearbyDeposit.gold -= mined;
+            this.goldMined += mined;
+
+            if (nearbyDeposit.gold <= 0) {
+                const index = game.goldDeposits.indexOf(nearbyDeposit);
+                game.goldDeposits.splice(index, 1);
+                this.task = 'idle';
+            }
+        } else if (nearbyDeposit) {
+            this.targetX = nearbyDeposit.x;
+            this.targetY = nearbyDeposit.y;
+        } else {
+            this.task = 'idle';
+        }
+    }
+
+    buildRocket(world) {
+        if (this.distanceTo({ x: this.targetX, y: this.targetY }) < 30) {
+            const part = world.game.rocketParts[this.rocketPart];
+            if (part && part.building) {
+                part.progress = (part.progress || 0) + 0.01 * this.getWorkEfficiency(world);
+                if (part.progress >= 1) {
+                    part.built = true;
+                    part.building = false;
+                    world.addLog(this.rocketPart.toUpperCase() + ' completed by ' + this.name + '!', true, 'success');
+                    this.task = 'idle';
+                }
+            }
+        }
+    }
+
+    buildStructure(world) {
+        const distance = this.distanceTo({ x: this.targetX, y: this.targetY });
+
+        if (distance < 50) {
+            if (this.workTimer <= 0) {
+                if (this.task === 'building_amenity') {
+                    const newBuilding = {
+                        x: this.targetX,
+                        y: this.targetY,
+                        type: 'amenity',
+                        amenityType: this.amenityType
+                    };
+                    world.game.buildings.push(newBuilding);
+                    world.addLog((BUILDING_NAMES[this.amenityType] || this.amenityType) + ' completed!', true, 'success');
+                } else {
+                    const newBuilding = {
+                        x: this.targetX,
+                        y: this.targetY,
+                        type: 'building'
+                    };
+                    world.game.buildings.push(newBuilding);
+                    world.addLog('Building completed by ' + this.name + '!', true, 'success');
+                }
+
+                this.task = 'idle';
+                this.workTimer = 0;
+                this.amenityType = null;
+            }
+        }
+    }
+
+    useAmenity(world) {
+        const amenityType = this.getAmenityTypeForTask();
+        const suitableBuildings = world.game.buildings.filter(b => {
+            return b.type === 'amenity' && b.amenityType === amenityType;
+        });
+
+        if (suitableBuildings.length > 0) {
+            // Bonded pairs rest in the same house
+            const home = amenityType === 'house' && world.game.reproductionSystem
+                ? world.game.reproductionSystem.pairBonding.getSharedHome(this, suitableBuildings)
+                : null;
+            const nearest = home || this.findNearestResource(suitableBuildings);
+            if (this.distanceTo(nearest) < 35) {
+                this.useAmenityBuilding(amenityType);
+                if (amenityType === 'house' && world.game.lifespanIntegration) {
+                    world.game.lifespanIntegration.lifespanSystem.cureStatusEffects(this, 'rest');
+                }
+                this.task = 'idle';
+                this.workTimer = 60;
+            } else {
+                this.targetX = nearest.x;
+                this.targetY = nearest.y;
+            }
+        } else {
+            this.task = 'idle';
+        }
+    }
+
+    getAmenityTypeForTask() {
+        switch (this.task) {
+            case 'seeking_rest': return 'house';
+            case 'seeking_joy': return 'inn';
+            case 'seeking_coffee': return 'coffee_shop';
+            case 'seeking_cleanliness': return 'spa';
+            default: return 'house';
+        }
+    }
+
+    useAmenityBuilding(type) {
+        switch (type) {
+            case 'house':
+                this.rest = Math.min(100, this.rest + 50);
+                break;
+            case 'inn':
+                this.joy = Math.min(100, this.joy + 45);
+                break;
+            case 'coffee_shop':
+                this.coffee = Math.min(100, this.coffee + 60);
+                break;
+            case 'spa':
+                this.cleanliness = Math.min(100, this.cleanliness + 65);
+                break;
+        }
+    }
+
+    panic(world) {
+        const dimensions = world.getCanvasDimensions();
+
+        this.targetX = this.x + world.random() * 100 - 50;
+        this.targetY = this.y + world.random() * 100 - 50;
+
+        this.targetX = Math.max(50, Math.min(dimensions.width - 50, this.targetX));
+        this.targetY = Math.max(50, Math.min(dimensions.height - 50, this.targetY));
+
+        if (this.workTimer <= 0) {
+            this.personalityState = 'normal';
+            this.panicLevel = 0;
+            this.task = 'idle';
+        }
+    }
+
+    wander(world) {
+        if (world.random() < 0.02) {
+            // Children play around the nursery
+            const nursery = !this.isAdult && world.game.reproductionSystem
+                ? world.game.reproductionSystem.parentalCare.getNearestNursery(this, world.game.buildings)
+                : null;
+            if (nursery) {
+                this.targetX = nursery.x + world.random() * 60 - 30;
+                this.targetY = nursery.y + world.random() * 60 - 30;
+                return;
+            }
+
+            // Bonded dwarfs drift back toward a partner who has wandered off
+            const partner = world.game.reproductionSystem
+                ? world.game.reproductionSystem.pairBonding.getFollowTarget(this)
+                : null;
+            if (partner) {
+                this.targetX = partner.x + world.random() * 40 - 20;
+                this.targetY = partner.y + world.random() * 40 - 20;
+                return;
+            }
+
+            const dimensions = world.getCanvasDimensions();
+            this.targetX = world.random() * dimensions.width;
+            this.targetY = world.random() * dimensions.height;
+        }
+    }
+
+    move(world) {
+        const dx = this.targetX - this.x;
+        const dy = this.targetY - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance > 5) {
+            let moveSpeed = this.speed;
+
+            if (this.task === 'panicking') moveSpeed *= 2;
+            if (this.task === 'fleeing') moveSpeed *= 1.5;
+            if (this.personalityState === 'lazy') moveSpeed *= 0.5;
+            if (this.isPregnant && world.game.reproductionSystem) {
+                moveSpeed *= world.game.reproductionSystem.pregnancyManager.getSpeedMultiplier(this);
+            }
+            if (this.statusEffects && world.game.lifespanIntegration) {
+                moveSpeed *= world.game.lifespanIntegration.lifespanSystem.getSpeedMultiplier(this);
+            }
+
+            this.x += (dx / distance) * moveSpeed;
+            this.y += (dy / distance) * moveSpeed;
+            this.direction = Math.atan2(dy, dx);
+        }
+
+        const dimensions = world.getCanvasDimensions();
+        this.x = Math.max(20, Math.min(dimensions.width - 20, this.x));
+        this.y = Math.max(20, Math.min(dimensions.height - 20, this.y));
+    }
+
+    findNearestResource(resources) {
+        if (!resources || resources.length === 0) return null;
+
+        let nearest = resources[0];
+        let minDistance = this.distanceTo(nearest);
+
+        for (let i = 0; i < resources.length; i++) {
+            const resource = resources[i];
+            const distance = this.distanceTo(resource);
+            if (distance < minDistance) {
+                nearest = resource;
+                minDistance = distance;
+            }
+        }
+
+        return nearest;
+    }
+
+    distanceTo(target) {
+        const dx = target.x - this.x;
+        const dy = target.y - this.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Draw this dwarf
+     * @param {Object} ctx - Canvas context
+     */
+    draw(ctx) {
+        if (!ctx) return;
+
+        ctx.save();
+
+        // Territory visualization for orange males
+        if (this.isAdult && this.gender === 'male' && this.reproductionStrategy === 'orange') {
+            ctx.strokeStyle = 'rgba(255, 102, 0, 0.3)';
+            ctx.setLineDash([5, 5]);
+            ctx.beginPath();
+            ctx.arc(this.territoryX, this.territoryY, 40, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Guard lines for blue males
+        if (this.isAdult && this.gender === 'male' && this.reproductionStrategy === 'blue' && this.guardedFemale) {
+            ctx.strokeStyle = 'rgba(0, 102, 255, 0.4)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(this.x, this.y);
+            ctx.lineTo(this.guardedFemale.x, this.guardedFemale.y);
+            ctx.stroke();
+            ctx.lineWidth = 1;
+        }
+
+        // Try to draw sprite first
+        const spriteDrawn = drawSprite(ctx, this.getSpriteId(), this.x, this.y, 2);
+
+        if (!spriteDrawn) {
+            // Fallback drawing
+            if (this.isAdult) {
+                ctx.fillStyle = this.gender === 'male' ? '#4A90E2' : '#E24A90';
+            } else {
+                ctx.fillStyle = '#FFB6C1';
+            }
+
+            const bodySize = this.isAdult ? 8 : 5;
+
+            if (this.personalityState === 'panicking') {
+                ctx.shadowColor = '#FF0000';
+                ctx.shadowBlur = 10;
+            }
+
+            ctx.fillRect(this.x - bodySize, this.y - bodySize, bodySize * 2, bodySize * 2);
+            ctx.shadowBlur = 0;
+
+            // Personality hat color
+            ctx.fillStyle = this.getPersonalityColor();
+            ctx.fillRect(this.x - 6, this.y - bodySize - 4, 12, 4);
+        }
+
+        // Gender indicator dot
+        ctx.fillStyle = this.gender === 'male' ? '#0066FF' : '#FF69B4';
+        ctx.beginPath();
+        ctx.arc(this.x - 10, this.y - 10, 3, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Strategy indicator for adult males
+        if (this.isAdult && this.gender === 'male' && STRATEGY_COLORS[this.reproductionStrategy]) {
+            const visual = REPRODUCTION_CONFIG.VISUAL;
+            ctx.fillStyle = STRATEGY_COLORS[this.reproductionStrategy];
+            ctx.beginPath();
+            ctx.arc(
+                this.x + visual.strategyIndicatorOffset.x,
+                this.y + visual.strategyIndicatorOffset.y,
+                visual.strategyIndicatorSize,
+                0, Math.PI * 2
+            );
+            ctx.fill();
+        }
+
+        // Pregnancy glow and progress
+        if (this.isPregnant) {
+            ctx.shadowColor = '#FFD700';
+            ctx.shadowBlur = 15;
+            ctx.fillStyle = 'rgba(255, 215, 0, 0.3)';
+            const bodySize = this.isAdult ? 8 : 5;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, bodySize + 8, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.shadowBlur = 0;
+
+            const progressWidth = 20;
+            const progress = this.pregnancyTimer / REPRODUCTION_CONFIG.PREGNANCY_DURATION;
+            ctx.fillStyle = 'rgba(255, 20, 147, 0.7)';
+            ctx.fillRect(this.x - progressWidth / 2, this.y + bodySize + 5, progressWidth * progress, 3);
+        }
+
+        // Maturity progress for children
+        if (!this.isAdult) {
+            const progressWidth = 16;
+            const progress = this.maturityTimer / REPRODUCTION_CONFIG.MATURITY_THRESHOLD;
+            ctx.fillStyle = 'rgba(50, 205, 50, 0.7)';
+            const bodySize = 5;
+            ctx.fillRect(this.x - progressWidth / 2, this.y + bodySize + 5, progressWidth * progress, 2);
+        }
+
+        // Need bars
+        this.drawNeedBars(ctx);
+
+        // Name and task
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = '8px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.name, this.x, this.y - 25);
+
+        if (TASK_EMOJIS[this.task]) {
+            ctx.fillText(TASK_EMOJIS[this.task], this.x, this.y + 20);
+        }
+
+        ctx.textAlign = 'left';
+        ctx.restore();
+    }
+
+    drawNeedBars(ctx) {
+        const barWidth = 12;
+        const barHeight = 2;
+        const startY = this.y - 30;
+
+        // Hunger (red)
+        ctx.fillStyle = this.hunger < 20 ? '#FF0000' : '#FF4444';
+        ctx.fillRect(this.x - barWidth / 2, startY, barWidth * (this.hunger / 100), barHeight);
+
+        // Thirst (blue)
+        ctx.fillStyle = this.thirst < 15 ? '#0000FF' : '#4444FF';
+        ctx.fillRect(this.x - barWidth / 2, startY + 3, barWidth * (this.thirst / 100), barHeight);
+
+        // Show other needs if low
+        if (this.rest < 25) {
+            ctx.fillStyle = '#8B4513';
+            ctx.fillRect(this.x - barWidth / 2, startY + 6, barWidth * (this.rest / 100), 1);
+        }
+
+        if (this.coffee < 20) {
+            ctx.fillStyle = '#8B4513';
+            ctx.fillRect(this.x - barWidth / 2, startY + 8, barWidth * (this.coffee / 100), 1);
+        }
+    }
+
+    getPersonalityColor() {
+        if (this.personality.openness > 70) return '#8A2BE2';
+        if (this.personality.conscientiousness > 70) return '#20B2AA';
+        if (this.personality.extraversion > 70) return '#FFD700';
+        if (this.personality.agreeableness > 70) return '#32CD32';
+        if (this.personality.neuroticism > 70) return '#FF6347';
+        return '#708090';
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * GameConfig.js
+ *
+ * Static constants for the colony simulation: sprite sheet layout,
+ * dwarf names, building costs and rocket part definitions.
+ * Extracted unchanged from the original inline index.html script.
+ */
+
+// Tileset configuration for colored.png
+export const TILESET_CONFIG = {
+    columns: 20,
+    tileWidth: 12,
+    tileHeight: 12,
+    imageWidth: 261,
+    imageHeight: 131,
+    tileCount: 200
+};
+
+// Sprite mappings for game entities
+export const SPRITE_MAP = {
+    // Buildings
+    house: 4,
+    inn: 5,
+    church: 10,
+    tower: 6,
+    castle: 7,
+    city: 9,
+    windmill: 198,
+
+    // Characters
+    male_fighter: 21,
+    female_fighter: 20,
+    male_mage: 23,
+    female_mage: 22,
+    male_archer: 25,
+    female_archer: 24,
+
+    // Items and resources
+    gold_chest: 162,
+    water_well: 187,
+    food_source: 196,
+
+    // Special buildings
+    spa: 184,
+    coffee_shop: 183,
+    library: 153,
+    gym: 185,
+    museum: 180,
+
+    // Negative buildings
+    negative_building: 179
+};
+
+export const DWARF_NAMES = [
+    'Gimli', 'Thorin', 'Balin', 'Dwalin', 'Fili', 'Kili',
+    'Gloin', 'Oin', 'Ori', 'Nori', 'Dori', 'Bifur', 'Bofur', 'Bombur'
+];
+
+/**
+ * Simulation ticks per second of game time at 1x speed.
+ * All tick-based durations (lifespans, pregnancy, cooldowns) assume this rate.
+ */
+export const TICKS_PER_SECOND = 60;
+
+export const DWARF_CLASSES = ['fighter', 'mage', 'archer'];
+
+export const BUILDING_COSTS = {
+    'house': 80,
+    'coffee_shop': 90,
+    'inn': 100,
+    'spa': 110,
+    'community_center': 140,
+    'gym': 140,
+    'library': 140,
+    'museum': 140,
+    'nursery': 80,
+    'building': 80
+};
+
+export const BUILDING_NAMES = {
+    'house': 'Rest House',
+    'spa': 'Spa & Bathhouse',
+    'coffee_shop': 'Coffee Shop',
+    'inn': 'Joy Inn',
+    'community_center': 'Community Center',
+    'gym': 'Fitness Gym',
+    'museum': 'Art Museum',
+    'library': 'Wisdom Library',
+    'nursery': 'Nursery'
+};
+
+export const ROCKET_PARTS_CONFIG = {
+    engine: { cost: 1000, built: false, building: false, progress: 0 },
+    fuel: { cost: 2500, built: false, building: false, progress: 0 },
+    hull: { cost: 5000, built: false, building: false, progress: 0 },
+    navigation: { cost: 8000, built: false, building: false, progress: 0 },
+    launchpad: { cost: 15000, built: false, building: false, progress: 0 }
+};
+
+/**
+ * Create a fresh game state object
+ * Matches the shape of the original global `game` object
+ *
+ * @returns {Object} New game state
+ */
+export function createGameState() {
+    return {
+        gold: 0,
+        goldPerSecond: 0,
+        dwarfs: [],
+        nextDwarfId: 1,
+        lineage: {},
+        buildings: [],
+        negativeBuildings: [],
+        goldDeposits: [],
+        foodSources: [],
+        waterSources: [],
+        time: 0,
+        lastMotionDetected: 0,
+        rocketParts: JSON.parse(JSON.stringify(ROCKET_PARTS_CONFIG)),
+        milestones: {
+            firstAmenity: false,
+            firstBuilding: false,
+            hundredGold: false,
+            thousandGold: false,
+            tenThousandGold: false,
+            tenDwarfs: false,
+            rocketComplete: false
+        }
+    };
+}
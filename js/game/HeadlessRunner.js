@@ -0,0 +1,192 @@
+/**
+ * HeadlessRunner.js
+ *
+ * Steps a ColonySimulation without a canvas, DOM or requestAnimationFrame.
+ * World size is injected and log messages go to a sink, so colonies can be
+ * run for thousands of ticks under Node for balance experiments
+ * (reproduction strategy mix, rocket timing, ...).
+ *
+ * Usage:
+ *   const runner = createHeadlessRunner({ width: 800, height: 600 });
+ *   const summary = runner.run(36000);
+ *
+ * See runHeadless.js for the command line entry point.
+ */
+
+import { createColonySimulation } from './ColonySimulation.js';
+
+export class HeadlessRunner {
+    /**
+     * @param {Object} options - Runner options
+     * @param {number} options.width - World width (default 800)
+     * @param {number} options.height - World height (default 600)
+     * @param {Function} options.logSink - (message, important, type) => void; defaults to collecting into this.logs
+     * @param {number} options.maxLogEntries - Cap for collected logs when no sink is given (default 1000)
+     * @param {number} options.sampleInterval - Ticks between population samples (default 600, 0 disables)
+     * @param {number|string} options.seed - Random seed; the same seed replays the same run
+     * @param {Object} options.simulation - Extra options passed to createColonySimulation
+     */
+    constructor(options = {}) {
+        this.dimensions = {
+            width: options.width || 800,
+            height: options.height || 600
+        };
+        this.maxLogEntries = options.maxLogEntries || 1000;
+        this.sampleInterval = options.sampleInterval !== undefined ? options.sampleInterval : 600;
+
+        this.logs = [];
+        this.logSink = options.logSink || ((message, important, type) => this.collectLog(message, important, type));
+
+        this.simulation = createColonySimulation({
+            seed: options.seed,
+            ...options.simulation,
+            dimensions: this.dimensions,
+            logSink: (message, important, type) => this.logSink(message, important || false, type || null)
+        });
+
+        this.ticksRun = 0;
+        this.samples = [];
+        this.rocketPartTimes = {};
+        this.isInitialized = false;
+    }
+
+    get game() {
+        return this.simulation.game;
+    }
+
+    /**
+     * Store a log entry, dropping the oldest past maxLogEntries
+     * @private
+     */
+    collectLog(message, important, type) {
+        this.logs.push({ tick: this.game.time, message, important, type });
+        if (this.logs.length > this.maxLogEntries) {
+            this.logs.shift();
+        }
+    }
+
+    /**
+     * Create the starting colony (called automatically by run)
+     */
+    initialize() {
+        if (this.isInitialized) return;
+        this.simulation.initialize();
+        this.isInitialized = true;
+    }
+
+    /**
+     * Advance the colony by a number of ticks
+     * @param {number} ticks - Ticks to run
+     * @param {Object} options - Run options
+     * @param {Function} options.onTick - (game, tick) => void|boolean, return false to stop early
+     * @param {Function} options.stopWhen - (game) => boolean, stop once it returns true
+     * @returns {Object} Run summary (see getSummary)
+     */
+    run(ticks, options = {}) {
+        this.initialize();
+
+        for (let i = 0; i < ticks; i++) {
+            this.step();
+
+            if (options.onTick && options.onTick(this.game, this.game.time) === false) break;
+            if (options.stopWhen && options.stopWhen(this.game)) break;
+        }
+
+        return this.getSummary();
+    }
+
+    /**
+     * Advance the colony by exactly one tick
+     */
+    step() {
+        this.initialize();
+        this.simulation.update();
+        this.ticksRun++;
+
+        this.recordRocketProgress();
+
+        if (this.sampleInterval > 0 && this.game.time % this.sampleInterval === 0) {
+            this.samples.push(this.takeSample());
+        }
+    }
+
+    /**
+     * Remember the tick each rocket part was completed
+     * @private
+     */
+    recordRocketProgress() {
+        const rocketParts = this.game.rocketParts;
+        for (const part in rocketParts) {
+            if (rocketParts[part].built && this.rocketPartTimes[part] === undefined) {
+                this.rocketPartTimes[part] = this.game.time;
+            }
+        }
+    }
+
+    /**
+     * Snapshot population and economy at the current tick
+     * @returns {Object} Sample
+     */
+    takeSample() {
+        const population = this.simulation.world.getPopulationStats();
+        return {
+            tick: this.game.time,
+            population: population.total,
+            adults: population.adults,
+            children: population.children,
+            pregnant: population.pregnant,
+            malesByStrategy: { ...population.malesByStrategy },
+            gold: Math.floor(this.game.gold),
+            buildings: this.game.buildings.length
+        };
+    }
+
+    /**
+     * Summarize the run so far
+     * @returns {Object} Summary of population, economy, rocket and system statistics
+     */
+    getSummary() {
+        const game = this.game;
+        const reproductionStats = this.simulation.reproductionSystem.getStatistics();
+        const lifespanStats = this.simulation.lifespanIntegration.lifespanSystem.getStatistics();
+        const rocketParts = Object.keys(game.rocketParts);
+
+        return {
+            seed: this.simulation.seed,
+            ticks: this.ticksRun,
+            gameTime: game.time,
+            dimensions: { ...this.dimensions },
+            population: reproductionStats.population,
+            gold: Math.floor(game.gold),
+            buildings: game.buildings.length,
+            amenities: game.buildings.filter(b => b.type === 'amenity').length,
+            rocket: {
+                partsBuilt: rocketParts.filter(part => game.rocketParts[part].built).length,
+                totalParts: rocketParts.length,
+                completedAt: { ...this.rocketPartTimes },
+                complete: game.milestones.rocketComplete
+            },
+            milestones: { ...game.milestones },
+            reproduction: {
+                matingsAttempted: reproductionStats.matingsAttempted,
+                matingsSuccessful: reproductionStats.matingsSuccessful,
+                birthsOccurred: reproductionStats.birthsOccurred,
+                pregnancyOutcomes: reproductionStats.pregnancyOutcomes,
+                strategySwitching: reproductionStats.strategySwitching,
+                dominance: reproductionStats.dominance,
+                strategiesExecuted: { ...reproductionStats.strategiesExecuted }
+            },
+            lifespan: lifespanStats,
+            samples: this.samples.slice()
+        };
+    }
+}
+
+/**
+ * Factory function for creating HeadlessRunner instances
+ * @param {Object} options - Runner options
+ * @returns {HeadlessRunner} New runner instance
+ */
+export function createHeadlessRunner(options = {}) {
+    return new HeadlessRunner(options);
+}
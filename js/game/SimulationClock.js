@@ -0,0 +1,168 @@
+/**
+ * SimulationClock.js
+ *
+ * Fixed-timestep clock that decouples simulation ticks from the display
+ * refresh rate. requestAnimationFrame runs at 30, 60, 120 or 144 Hz depending
+ * on the device; the clock accumulates real elapsed time and reports how many
+ * fixed-length ticks to run each frame, so a colony ages at the same speed
+ * everywhere.
+ *
+ * Also owns pause, fast-forward and single-step state for the UI.
+ *
+ * Usage:
+ *   const clock = createSimulationClock({ tickRate: 60 });
+ *   function frame(now) {
+ *       const ticks = clock.advance(now);
+ *       for (let i = 0; i < ticks; i++) simulation.update();
+ *       renderer.render();
+ *       requestAnimationFrame(frame);
+ *   }
+ */
+
+import { TICKS_PER_SECOND } from './GameConfig.js';
+
+export const CLOCK_SPEEDS = [1, 2, 4, 8];
+
+export class SimulationClock {
+    /**
+     * @param {Object} options - Clock options
+     * @param {number} options.tickRate - Simulation ticks per second at 1x (default TICKS_PER_SECOND)
+     * @param {number} options.speed - Initial speed multiplier (default 1)
+     * @param {number} options.maxFrameTime - Longest frame (ms) credited to the accumulator, so a
+     *                                        backgrounded tab doesn't return to a burst of ticks (default 250)
+     * @param {boolean} options.paused - Start paused (default false)
+     */
+    constructor(options = {}) {
+        this.tickRate = TICKS_PER_SECOND;
+        this.speed = 1;
+        this.maxFrameTime = options.maxFrameTime || 250;
+        this.isPaused = options.paused || false;
+
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.pendingSteps = 0;
+        this.totalTicks = 0;
+
+        if (options.tickRate !== undefined) this.setTickRate(options.tickRate);
+        if (options.speed !== undefined) this.setSpeed(options.speed);
+    }
+
+    /**
+     * Length of one tick in milliseconds
+     * @returns {number} Tick duration
+     */
+    get tickDuration() {
+        return 1000 / this.tickRate;
+    }
+
+    /**
+     * Consume elapsed real time and return the number of ticks to simulate
+     * @param {number} now - Current timestamp in ms (requestAnimationFrame time or performance.now())
+     * @returns {number} Ticks to run this frame
+     */
+    advance(now) {
+        let ticks = this.pendingSteps;
+        this.pendingSteps = 0;
+
+        if (this.lastTime === null) {
+            this.lastTime = now;
+            this.totalTicks += ticks;
+            return ticks;
+        }
+
+        const frameTime = Math.min(Math.max(0, now - this.lastTime), this.maxFrameTime);
+        this.lastTime = now;
+
+        if (!this.isPaused) {
+            this.accumulator += frameTime * this.speed;
+            const elapsedTicks = Math.floor(this.accumulator / this.tickDuration);
+            this.accumulator -= elapsedTicks * this.tickDuration;
+            ticks += elapsedTicks;
+        }
+
+        this.totalTicks += ticks;
+        return ticks;
+    }
+
+    /**
+     * Change the base tick rate
+     * @param {number} tickRate - Ticks per second at 1x
+     */
+    setTickRate(tickRate) {
+        if (typeof tickRate !== 'number' || !Number.isFinite(tickRate) || tickRate <= 0) {
+            throw new Error(`SimulationClock: Invalid tick rate ${tickRate}`);
+        }
+        this.tickRate = tickRate;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Change the fast-forward multiplier
+     * @param {number} speed - One of CLOCK_SPEEDS
+     */
+    setSpeed(speed) {
+        if (!CLOCK_SPEEDS.includes(speed)) {
+            throw new Error(`SimulationClock: Unsupported speed ${speed} (expected ${CLOCK_SPEEDS.join(', ')})`);
+        }
+        this.speed = speed;
+    }
+
+    /**
+     * Stop accumulating time; ticks only run via step()
+     */
+    pause() {
+        this.isPaused = true;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Resume real-time ticking
+     */
+    resume() {
+        this.isPaused = false;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Toggle between paused and running
+     * @returns {boolean} True if now paused
+     */
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+        return this.isPaused;
+    }
+
+    /**
+     * Queue ticks to run on the next advance(), regardless of pause state
+     * @param {number} count - Number of ticks (default 1)
+     */
+    step(count = 1) {
+        this.pendingSteps += Math.max(0, Math.floor(count));
+    }
+
+    /**
+     * Get clock state for UI display
+     * @returns {Object} Clock state
+     */
+    getState() {
+        return {
+            tickRate: this.tickRate,
+            speed: this.speed,
+            isPaused: this.isPaused,
+            totalTicks: this.totalTicks
+        };
+    }
+}
+
+/**
+ * Factory function for creating SimulationClock instances
+ * @param {Object} options - Clock options
+ * @returns {SimulationClock} New clock
+ */
+export function createSimulationClock(options = {}) {
+    return new SimulationClock(options);
+}
@@ -0,0 +1,94 @@
+/**
+ * Sprites.js
+ *
+ * Sprite sheet loading and tile drawing for the colony renderer.
+ * Falls back to a generated colour-block sheet when colored.png
+ * cannot be loaded.
+ */
+
+import { TILESET_CONFIG } from './GameConfig.js';
+
+const SPRITE_SHEET_URL = 'https://raw.githubusercontent.com/JakeSeegers/DorfFriend/JakeSeegers-patch-2/colored.png';
+
+let spriteSheet = null;
+let spriteSheetLoaded = false;
+
+/**
+ * Create and load the sprite sheet
+ * @param {Object} callbacks - Optional onLoad/onError callbacks
+ */
+export function loadSpriteSheet(callbacks = {}) {
+    spriteSheet = new Image();
+    spriteSheet.onload = function() {
+        spriteSheetLoaded = true;
+        console.log('Sprite sheet loaded successfully!');
+        if (callbacks.onLoad) callbacks.onLoad();
+    };
+    spriteSheet.onerror = function() {
+        console.error('Failed to load sprite sheet');
+        if (callbacks.onError) callbacks.onError();
+        createFallbackSpriteSheet();
+    };
+
+    spriteSheet.crossOrigin = 'anonymous';
+    spriteSheet.src = SPRITE_SHEET_URL;
+}
+
+/**
+ * Replace the sprite sheet with generated colour blocks
+ */
+function createFallbackSpriteSheet() {
+    const fallbackCanvas = document.createElement('canvas');
+    fallbackCanvas.width = TILESET_CONFIG.imageWidth;
+    fallbackCanvas.height = TILESET_CONFIG.imageHeight;
+    const fallbackCtx = fallbackCanvas.getContext('2d');
+
+    const colors = [
+        '#8B4513', '#FF6347', '#32CD32', '#4682B4', '#FFD700',
+        '#FF69B4', '#40E0D0', '#9370DB', '#228B22', '#B22222'
+    ];
+
+    for (let i = 0; i < TILESET_CONFIG.tileCount; i++) {
+        const col = i % TILESET_CONFIG.columns;
+        const row = Math.floor(i / TILESET_CONFIG.columns);
+        const x = col * 13;
+        const y = row * 13;
+
+        fallbackCtx.fillStyle = colors[i % colors.length];
+        fallbackCtx.fillRect(x, y, 12, 12);
+
+        fallbackCtx.fillStyle = 'rgba(255,255,255,0.3)';
+        if (i % 3 === 0) fallbackCtx.fillRect(x + 2, y + 2, 8, 8);
+        if (i % 5 === 0) fallbackCtx.fillRect(x + 4, y + 4, 4, 4);
+    }
+
+    spriteSheet.src = fallbackCanvas.toDataURL();
+}
+
+/**
+ * Draw a sprite from the tileset
+ * @param {Object} ctx - Canvas context
+ * @param {number} spriteId - Tile index in the sheet
+ * @param {number} x - Center x coordinate
+ * @param {number} y - Center y coordinate
+ * @param {number} scale - Draw scale
+ * @returns {boolean} Whether the sprite was drawn (false until the sheet loads)
+ */
+export function drawSprite(ctx, spriteId, x, y, scale = 2) {
+    if (!spriteSheetLoaded || !spriteSheet) return false;
+
+    const col = spriteId % TILESET_CONFIG.columns;
+    const row = Math.floor(spriteId / TILESET_CONFIG.columns);
+    const srcX = col * (TILESET_CONFIG.tileWidth + 1);
+    const srcY = row * (TILESET_CONFIG.tileHeight + 1);
+
+    ctx.drawImage(
+        spriteSheet,
+        srcX, srcY, TILESET_CONFIG.tileWidth, TILESET_CONFIG.tileHeight,
+        x - (TILESET_CONFIG.tileWidth * scale) / 2,
+        y - (TILESET_CONFIG.tileHeight * scale) / 2,
+        TILESET_CONFIG.tileWidth * scale,
+        TILESET_CONFIG.tileHeight * scale
+    );
+    return true;
+}
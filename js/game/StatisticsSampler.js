@@ -0,0 +1,193 @@
+/**
+ * StatisticsSampler.js
+ *
+ * Records a bounded time series of colony statistics: population, births,
+ * deaths, males per reproduction strategy, gold and average needs. One
+ * sample is taken every N ticks; once maxSamples is reached the oldest
+ * samples are dropped, so memory stays flat however long the colony runs.
+ *
+ * Births and deaths are counted per sample window from the lineage records
+ * (bornAt / diedAt), so they include every cause of death and survive a
+ * save/load without extra bookkeeping.
+ *
+ * Usage:
+ *   const sampler = createStatisticsSampler(simulation, { interval: 600 });
+ *   simulation.update(); sampler.update();   // once per tick
+ *   const csv = sampler.toCSV();
+ */
+
+import { TICKS_PER_SECOND } from './GameConfig.js';
+
+export const SAMPLED_NEEDS = ['hunger', 'thirst', 'rest', 'joy', 'coffee', 'cleanliness'];
+
+export class StatisticsSampler {
+    /**
+     * @param {ColonySimulation} simulation - Simulation to sample
+     * @param {Object} options - Sampler options
+     * @param {number} options.interval - Ticks between samples (default 10 seconds of ticks)
+     * @param {number} options.maxSamples - Samples kept before the oldest are dropped (default 500)
+     */
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.interval = options.interval || TICKS_PER_SECOND * 10;
+        this.maxSamples = options.maxSamples || 500;
+
+        if (!Number.isInteger(this.interval) || this.interval <= 0) {
+            throw new Error(`StatisticsSampler: Invalid interval ${options.interval}`);
+        }
+        if (!Number.isInteger(this.maxSamples) || this.maxSamples <= 0) {
+            throw new Error(`StatisticsSampler: Invalid maxSamples ${options.maxSamples}`);
+        }
+
+        this.samples = [];
+        this.lastSampleTick = null;
+        this.droppedSamples = 0;
+    }
+
+    /**
+     * Take a sample if the current tick is due
+     * Call once per tick, after simulation.update().
+     * @returns {Object|null} The new sample, or null if none was due
+     */
+    update() {
+        const time = this.simulation.game.time;
+
+        // Loading a save can move time backwards; the old series no longer applies
+        if (this.lastSampleTick !== null && time < this.lastSampleTick) {
+            this.reset();
+        }
+
+        if (time % this.interval !== 0 || time === this.lastSampleTick) {
+            return null;
+        }
+        return this.takeSample();
+    }
+
+    /**
+     * Record a sample of the current colony state
+     * @returns {Object} Sample: { tick, population, adults, children, pregnant, births, deaths,
+     *                   strategies: {orange, blue, yellow, ...}, gold, needs: {hunger, ...} }
+     */
+    takeSample() {
+        const game = this.simulation.game;
+        const world = this.simulation.world;
+        const population = world.getPopulationStats();
+        const windowStart = this.lastSampleTick !== null ? this.lastSampleTick : game.time - this.interval;
+
+        let births = 0;
+        let deaths = 0;
+        Object.values(world.getLineageRecords()).forEach(record => {
+            // Founders (no mother) joined the colony rather than being born into it
+            if (record.motherId !== null && record.bornAt >= windowStart && record.bornAt < game.time) births++;
+            if (record.diedAt !== null && record.diedAt >= windowStart && record.diedAt < game.time) deaths++;
+        });
+
+        const needs = {};
+        SAMPLED_NEEDS.forEach(need => {
+            const total = game.dwarfs.reduce((sum, dwarf) => sum + (dwarf[need] || 0), 0);
+            needs[need] = game.dwarfs.length > 0 ? Math.round(total / game.dwarfs.length * 10) / 10 : 0;
+        });
+
+        const sample = {
+            tick: game.time,
+            population: population.total,
+            adults: population.adults,
+            children: population.children,
+            pregnant: population.pregnant,
+            births,
+            deaths,
+            strategies: { ...population.malesByStrategy },
+            gold: Math.floor(game.gold),
+            needs
+        };
+
+        this.samples.push(sample);
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+            this.droppedSamples++;
+        }
+        this.lastSampleTick = game.time;
+
+        return sample;
+    }
+
+    /**
+     * Get recorded samples, oldest first
+     * @returns {Array} Copy of the sample list
+     */
+    getSamples() {
+        return this.samples.slice();
+    }
+
+    /**
+     * Forget all samples (e.g. after loading a different colony)
+     */
+    reset() {
+        this.samples = [];
+        this.lastSampleTick = null;
+        this.droppedSamples = 0;
+    }
+
+    /**
+     * Export the series as CSV, one row per sample
+     * @returns {string} CSV text with a header row
+     */
+    toCSV() {
+        const strategies = this.getStrategyNames();
+        const header = ['tick', 'seconds', 'population', 'adults', 'children', 'pregnant', 'births', 'deaths',
+            ...strategies, 'gold', ...SAMPLED_NEEDS];
+
+        const rows = this.samples.map(sample => [
+            sample.tick,
+            sample.tick / TICKS_PER_SECOND,
+            sample.population,
+            sample.adults,
+            sample.children,
+            sample.pregnant,
+            sample.births,
+            sample.deaths,
+            ...strategies.map(strategy => sample.strategies[strategy] || 0),
+            sample.gold,
+            ...SAMPLED_NEEDS.map(need => sample.needs[need])
+        ].join(','));
+
+        return [header.join(','), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Export the series as JSON
+     * @returns {string} JSON text: { seed, interval, maxSamples, droppedSamples, samples }
+     */
+    toJSON() {
+        return JSON.stringify({
+            seed: this.simulation.seed,
+            interval: this.interval,
+            maxSamples: this.maxSamples,
+            droppedSamples: this.droppedSamples,
+            samples: this.samples
+        }, null, 2);
+    }
+
+    /**
+     * Strategy names across all samples, in first-seen order
+     * Registered strategies only appear in samples taken after a male had them.
+     * @returns {Array<string>} Strategy names
+     */
+    getStrategyNames() {
+        const names = new Set(['orange', 'blue', 'yellow']);
+        this.samples.forEach(sample => {
+            Object.keys(sample.strategies).forEach(name => names.add(name));
+        });
+        return Array.from(names);
+    }
+}
+
+/**
+ * Factory function for creating StatisticsSampler instances
+ * @param {ColonySimulation} simulation - Simulation to sample
+ * @param {Object} options - Sampler options
+ * @returns {StatisticsSampler} New sampler
+ */
+export function createStatisticsSampler(simulation, options = {}) {
+    return new StatisticsSampler(simulation, options);
+}
@@ -0,0 +1,193 @@
+/**
+ * TimeSeriesChart.js
+ *
+ * Line chart of StatisticsSampler samples on a canvas. Each view picks a
+ * group of series (strategy counts, population, needs, gold) that share a
+ * y axis; the x axis is game time. A view's series can also be a function
+ * of the samples, so registered strategies get a line of their own.
+ */
+
+import { TICKS_PER_SECOND } from './GameConfig.js';
+import { STRATEGY_COLORS } from '../reproduction/config/ReproductionConfig.js';
+
+/**
+ * One series per strategy seen in the samples, in the strategy's indicator color
+ * @param {Array} samples - Samples to chart
+ * @returns {Array} Series definitions
+ */
+function strategySeries(samples) {
+    const names = new Set(['orange', 'blue', 'yellow']);
+    samples.forEach(sample => Object.keys(sample.strategies).forEach(name => names.add(name)));
+
+    return Array.from(names).map(name => ({
+        label: name.charAt(0).toUpperCase() + name.slice(1),
+        color: STRATEGY_COLORS[name] || '#888888',
+        value: sample => sample.strategies[name]
+    }));
+}
+
+export const CHART_VIEWS = {
+    strategies: {
+        label: 'Males by strategy',
+        series: strategySeries
+    },
+    population: {
+        label: 'Population',
+        series: [
+            { label: 'Dwarfs', color: '#4ECDC4', value: sample => sample.population },
+            { label: 'Children', color: '#9B59B6', value: sample => sample.children },
+            { label: 'Births', color: '#2ECC71', value: sample => sample.births },
+            { label: 'Deaths', color: '#FF4444', value: sample => sample.deaths }
+        ]
+    },
+    needs: {
+        label: 'Average needs',
+        fixedMax: 100,
+        series: [
+            { label: 'Hunger', color: '#F39C12', value: sample => sample.needs.hunger },
+            { label: 'Thirst', color: '#3498DB', value: sample => sample.needs.thirst },
+            { label: 'Rest', color: '#9B59B6', value: sample => sample.needs.rest },
+            { label: 'Joy', color: '#2ECC71', value: sample => sample.needs.joy },
+            { label: 'Coffee', color: '#A0522D', value: sample => sample.needs.coffee },
+            { label: 'Clean', color: '#ECF0F1', value: sample => sample.needs.cleanliness }
+        ]
+    },
+    gold: {
+        label: 'Gold',
+        series: [
+            { label: 'Gold', color: '#FFD700', value: sample => sample.gold }
+        ]
+    }
+};
+
+const PADDING = { left: 34, right: 8, top: 22, bottom: 18 };
+
+export class TimeSeriesChart {
+    /**
+     * @param {Object} canvas - Canvas element to draw on
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    /**
+     * Draw samples for one view
+     * @param {Array} samples - Samples from StatisticsSampler.getSamples(), oldest first
+     * @param {string} viewName - Key of CHART_VIEWS
+     */
+    render(samples, viewName = 'strategies') {
+        const view = CHART_VIEWS[viewName];
+        if (!view) {
+            throw new Error(`TimeSeriesChart: Unknown view "${viewName}"`);
+        }
+
+        const { canvas, ctx } = this;
+        const series = typeof view.series === 'function' ? view.series(samples) : view.series;
+        const plot = {
+            x: PADDING.left,
+            y: PADDING.top,
+            width: canvas.width - PADDING.left - PADDING.right,
+            height: canvas.height - PADDING.top - PADDING.bottom
+        };
+
+        ctx.fillStyle = '#0f0f23';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        this.drawLegend(series);
+
+        if (samples.length < 2) {
+            ctx.fillStyle = '#aaa';
+            ctx.font = '12px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText('Collecting data...', canvas.width / 2, canvas.height / 2);
+            return;
+        }
+
+        const firstTick = samples[0].tick;
+        const lastTick = samples[samples.length - 1].tick;
+        let maxValue = view.fixedMax || 1;
+        if (!view.fixedMax) {
+            samples.forEach(sample => {
+                series.forEach(line => {
+                    maxValue = Math.max(maxValue, line.value(sample) || 0);
+                });
+            });
+        }
+
+        this.drawAxes(plot, maxValue, firstTick, lastTick);
+
+        const toX = tick => plot.x + (tick - firstTick) / (lastTick - firstTick) * plot.width;
+        const toY = value => plot.y + plot.height - (value / maxValue) * plot.height;
+
+        series.forEach(line => {
+            ctx.strokeStyle = line.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            samples.forEach((sample, index) => {
+                const x = toX(sample.tick);
+                const y = toY(line.value(sample) || 0);
+                if (index === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+        });
+    }
+
+    /**
+     * Draw series names in their colors along the top edge
+     * @private
+     */
+    drawLegend(series) {
+        const ctx = this.ctx;
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'left';
+
+        let x = PADDING.left;
+        series.forEach(line => {
+            ctx.fillStyle = line.color;
+            ctx.fillRect(x, 7, 8, 8);
+            ctx.fillText(line.label, x + 11, 15);
+            x += ctx.measureText(line.label).width + 20;
+        });
+    }
+
+    /**
+     * Draw the y range and the time span in seconds
+     * @private
+     */
+    drawAxes(plot, maxValue, firstTick, lastTick) {
+        const ctx = this.ctx;
+
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(plot.x, plot.y);
+        ctx.lineTo(plot.x, plot.y + plot.height);
+        ctx.lineTo(plot.x + plot.width, plot.y + plot.height);
+        ctx.stroke();
+
+        ctx.fillStyle = '#aaa';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'right';
+        ctx.fillText(String(Math.round(maxValue)), plot.x - 4, plot.y + 8);
+        ctx.fillText('0', plot.x - 4, plot.y + plot.height);
+
+        ctx.textAlign = 'left';
+        ctx.fillText(Math.floor(firstTick / TICKS_PER_SECOND) + 's', plot.x, plot.y + plot.height + 13);
+        ctx.textAlign = 'right';
+        ctx.fillText(Math.floor(lastTick / TICKS_PER_SECOND) + 's', plot.x + plot.width, plot.y + plot.height + 13);
+    }
+}
+
+/**
+ * Factory function for creating TimeSeriesChart instances
+ * @param {Object} canvas - Canvas element to draw on
+ * @returns {TimeSeriesChart} New chart
+ */
+export function createTimeSeriesChart(canvas) {
+    return new TimeSeriesChart(canvas);
+}
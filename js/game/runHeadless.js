@@ -0,0 +1,188 @@
+/**
+ * runHeadless.js
+ *
+ * Command line entry point for HeadlessRunner. Runs one or more colonies
+ * for N ticks and prints a JSON summary per run to stdout.
+ *
+ * The repo has no package.json, so Node needs to be told these are ES modules:
+ *   node --experimental-detect-module js/game/runHeadless.js --ticks 36000
+ * (Node 22.7+ detects this automatically and the flag can be dropped.)
+ *
+ * Options:
+ *   --ticks N       Ticks per run (default 36000, ten minutes at 60 ticks/s)
+ *   --runs N        Number of independent runs (default 1)
+ *   --width N       World width (default 800)
+ *   --height N      World height (default 600)
+ *   --sample N      Ticks between population samples, 0 to disable (default 600)
+ *   --seed S        Random seed (number or text); run i uses seed + i. Random if omitted
+ *   --payoff        Enable frequency-dependent strategy payoffs (REPRODUCTION_CONFIG.STRATEGY_PAYOFF)
+ *   --female-strategies  Give females choosy/promiscuous/copier strategies (FEMALE_STRATEGIES)
+ *   --learning      Enable mate-choice learning from offspring survival (MATE_LEARNING)
+ *   --pair-bonding  Enable persistent pair bonds between mates (PAIR_BONDING)
+ *   --parental-care Enable child feeding, adoption and nurseries (PARENTAL_CARE)
+ *   --breeding-season  Only breed in the calendar's breeding seasons (BREEDING_SEASON)
+ *   --fertility     Enable age-dependent fertility (FERTILITY)
+ *   --nutrition     Scale conception by the mother's hunger and thirst (NUTRITION)
+ *   --pregnancy-outcomes  Enable complications, stillbirths, twins and slower pregnant mothers (PREGNANCY_OUTCOMES)
+ *   --switching     Let males switch away from failing strategies (STRATEGY_SWITCHING)
+ *   --dominance     Enable the dominance hierarchy fed by combat (DOMINANCE)
+ *   --male-condition  Let females weigh male health, age, fights and provisioning (MALE_CONDITION)
+ *   --logs          Print game log messages to stderr as they happen
+ *   --verbose       Keep subsystem console.log output (silenced by default)
+ */
+
+function parseArgs(argv) {
+    const options = {
+        ticks: 36000,
+        runs: 1,
+        width: 800,
+        height: 600,
+        sample: 600,
+        seed: null,
+        payoff: false,
+        femaleStrategies: false,
+        learning: false,
+        pairBonding: false,
+        parentalCare: false,
+        breedingSeason: false,
+        fertility: false,
+        nutrition: false,
+        pregnancyOutcomes: false,
+        switching: false,
+        dominance: false,
+        maleCondition: false,
+        logs: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--ticks':
+            case '--runs':
+            case '--width':
+            case '--height':
+            case '--sample': {
+                const value = Number(argv[++i]);
+                if (!Number.isFinite(value) || value < 0) {
+                    throw new Error(`${arg} expects a non-negative number`);
+                }
+                options[arg.slice(2)] = value;
+                break;
+            }
+            case '--seed':
+                if (argv[i + 1] === undefined) {
+                    throw new Error('--seed expects a value');
+                }
+                options.seed = argv[++i];
+                break;
+            case '--payoff':
+                options.payoff = true;
+                break;
+            case '--female-strategies':
+                options.femaleStrategies = true;
+                break;
+            case '--learning':
+                options.learning = true;
+                break;
+            case '--pair-bonding':
+                options.pairBonding = true;
+                break;
+            case '--parental-care':
+                options.parentalCare = true;
+                break;
+            case '--breeding-season':
+                options.breedingSeason = true;
+                break;
+            case '--fertility':
+                options.fertility = true;
+                break;
+            case '--nutrition':
+                options.nutrition = true;
+                break;
+            case '--pregnancy-outcomes':
+                options.pregnancyOutcomes = true;
+                break;
+            case '--switching':
+                options.switching = true;
+                break;
+            case '--dominance':
+                options.dominance = true;
+                break;
+            case '--male-condition':
+                options.maleCondition = true;
+                break;
+            case '--logs':
+                options.logs = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`runHeadless: ${error.message}`);
+        process.exit(1);
+    }
+
+    // Subsystems log every birth, hit and init to console.log; keep stdout for results.
+    // Imported after silencing because some modules log while loading.
+    const consoleLog = console.log;
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+    const { createHeadlessRunner } = await import('./HeadlessRunner.js');
+    const { SeededRandom } = await import('../SeededRandom.js');
+    const { REPRODUCTION_CONFIG } = await import('../reproduction/config/ReproductionConfig.js');
+    // Optional models switched on from the command line; the default config is used untouched otherwise
+    const enabledSections = [
+        options.payoff && 'STRATEGY_PAYOFF',
+        options.femaleStrategies && 'FEMALE_STRATEGIES',
+        options.learning && 'MATE_LEARNING',
+        options.pairBonding && 'PAIR_BONDING',
+        options.parentalCare && 'PARENTAL_CARE',
+        options.breedingSeason && 'BREEDING_SEASON',
+        options.fertility && 'FERTILITY',
+        options.nutrition && 'NUTRITION',
+        options.pregnancyOutcomes && 'PREGNANCY_OUTCOMES',
+        options.switching && 'STRATEGY_SWITCHING',
+        options.dominance && 'DOMINANCE',
+        options.maleCondition && 'MALE_CONDITION'
+    ].filter(Boolean);
+    const reproductionConfig = enabledSections.length > 0 ? { ...REPRODUCTION_CONFIG } : undefined;
+    enabledSections.forEach(section => {
+        reproductionConfig[section] = { ...REPRODUCTION_CONFIG[section], enabled: true };
+    });
+    const baseSeed = options.seed !== null ? SeededRandom.normalizeSeed(options.seed) : null;
+
+    const results = [];
+    for (let run = 0; run < options.runs; run++) {
+        const runner = createHeadlessRunner({
+            width: options.width,
+            height: options.height,
+            sampleInterval: options.sample,
+            seed: baseSeed !== null ? (baseSeed + run) >>> 0 : undefined,
+            simulation: { reproductionConfig },
+            logSink: options.logs
+                ? (message, important, type) => process.stderr.write(`[run ${run}] ${message}\n`)
+                : () => {}
+        });
+
+        results.push(runner.run(options.ticks));
+    }
+
+    console.log = consoleLog;
+    console.log(JSON.stringify(options.runs === 1 ? results[0] : results, null, 2));
+}
+
+await main();
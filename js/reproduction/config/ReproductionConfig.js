@@ -58,6 +58,30 @@ export const REPRODUCTION_CONFIG = {
         color: '#FFFF00'                    // Visual indicator color
     },
     
+    // Frequency-dependent payoffs (side-blotched lizard rock-paper-scissors cycle)
+    // Each strategy's matingChance is scaled by 1 + strength * (freq of morph it beats - freq of morph that beats it)
+    STRATEGY_PAYOFF: {
+        enabled: false,                     // Off: every strategy keeps its fixed matingChance
+        beats: {                            // Orange beats blue, blue beats yellow, yellow beats orange
+            orange: 'blue',
+            blue: 'yellow',
+            yellow: 'orange'
+        },
+        strength: 1.0,                      // How strongly morph frequencies scale the payoff
+        localRadius: 150,                   // Neighbourhood used to count morphs around a male
+        minLocalMales: 3,                   // Fewer males nearby than this uses colony-wide frequencies
+        minMultiplier: 0.2,                 // Lower bound on the payoff multiplier
+        maxMultiplier: 2.0                  // Upper bound on the payoff multiplier
+    },
+    
+    // Genetics: babies inherit strategy, class and personality from their parents
+    GENETICS: {
+        mutationRate: 0.05,                 // Chance per inherited trait that it mutates
+        personalityVariance: 5,             // +/- random spread around the parents' average trait
+        personalityMutationSize: 25,        // +/- extra shift when a personality trait mutates
+        classes: ['fighter', 'mage', 'archer'] // Must match DWARF_CLASSES in game/GameConfig.js
+    },
+    
     // Female mate selection configuration
     FEMALE_SELECTION: {
         baseScore: 50,                      // Starting score for all potential mates
@@ -84,6 +108,146 @@ export const REPRODUCTION_CONFIG = {
         proximityRadius: 40                 // Distance to consider males for evaluation
     },
     
+    // Female mate-choice strategies (disabled: every female is 'standard', the original behavior)
+    FEMALE_STRATEGIES: {
+        enabled: false,
+        strategies: ['choosy', 'promiscuous', 'copier'], // Assigned at random to females when enabled
+        
+        choosy: {
+            minScore: 85,                   // Lowest score she accepts (base 50 + variance up to 20)
+            evaluationMultiplier: 2         // Evaluates twice as often to make up for rejections
+        },
+        
+        promiscuous: {
+            evaluationMultiplier: 4         // Acts on her choice 4x as often
+        },
+        
+        copier: {
+            copyBonus: 15,                  // Score bonus per observed mating of a male
+            maxCopies: 3,                   // Observed matings counted per male
+            observeRadius: 150,             // Matings closer than this to her were seen
+            memory: 1800                    // Ticks a mating is remembered
+        }
+    },
+    
+    // Females shift preferences toward the strategies of fathers whose offspring survived
+    MATE_LEARNING: {
+        enabled: false,
+        learningRate: 5,                    // Preference change per offspring matured (+) or lost as a child (-)
+        maxPreference: 30                   // Preferences stay within +/- this
+    },
+    
+    // Females weigh male condition, scaled by one of their personality traits (see MaleCondition.js)
+    MALE_CONDITION: {
+        enabled: false,
+        factors: {                          // Max score per factor: +/- weight * 2 at trait 100 (0 at trait 0)
+            health: { weight: 10, trait: 'neuroticism' },                       // Anxious females avoid sickly males
+            age: { weight: 8, trait: 'conscientiousness' },                     // Males in their prime
+            fights: { weight: 10, trait: 'agreeableness', inverse: true },      // Disagreeable females like winners
+            efficiency: { weight: 6, trait: 'conscientiousness' },              // Hard workers
+            provisioning: { weight: 10, trait: 'agreeableness' }                // Agreeable females like providers
+        }
+    },
+    
+    // Males abandon a failing strategy for the one doing best among their rivals (see StrategySwitching.js)
+    STRATEGY_SWITCHING: {
+        enabled: false,
+        evaluationInterval: 600,            // Ticks between reviews of each male's record
+        minAttempts: 4,                     // Mating attempts before a male (or rival) is judged
+        switchRate: 0.5,                    // Switch chance per review for a male with no successes while rivals succeed;
+                                            // scales with his shortfall (rivalRate - ownRate) / rivalRate
+        ageSwitches: {                      // Strategy a male takes up past an age (fraction of maxLifespan)
+            yellow: { to: 'orange', age: 0.4 }
+        }
+    },
+    
+    // Elo-style rank from fights (see DominanceHierarchy.js)
+    DOMINANCE: {
+        enabled: false,
+        initialRating: 1000,                // Rating of a dwarf that has never fought
+        kFactor: 16,                        // Most rating a single hit can move
+        killMultiplier: 2,                  // A killing blow counts this many hits
+        mateScoreWeight: 0.1,               // Mate score per rating point above initialRating (+200 -> +20)
+        maxMateBonus: 20,                   // Mate score from rank stays within +/- this
+        crowdSize: 2,                       // Dwarfs at one food or water source before rank decides who goes first
+        crowdRadius: 60                     // Dwarfs after the same thing this close to a source count as the crowd
+    },
+    
+    // Kin recognition from recorded parentage (see WorldInterface.getRelatedness)
+    INBREEDING: {
+        penalty: 100,                       // Mate score lost per unit of relatedness (parent or full sibling 0.5 -> -50)
+        avoidRelatedness: 0.25,             // Males skip females this related or closer (half-siblings, grandparents...); 0 disables
+        depressionEnabled: false,           // Inbred offspring are born with less health
+        healthPenalty: 1.0                  // Fraction of max health lost per unit of inbreeding coefficient (0.25 -> -25%)
+    },
+    
+    // Lasting pair bonds between mates (see PairBonding.js); strengths run 0-100
+    PAIR_BONDING: {
+        enabled: false,
+        initialStrength: 20,                // Strength of a new bond after a first mating
+        matingGain: 10,                     // Partners mating again
+        offspringGain: 20,                  // Partners having a child
+        infidelityLoss: 25,                 // Lost when either partner mates with someone else
+        proximityGain: 1,                   // Per update while partners are within proximityRadius
+        separationDecay: 0.5,               // Per update while they are further apart
+        proximityRadius: 100,
+        updateInterval: 60,                 // Ticks between proximity updates
+        preferenceBonus: 0.5,               // Mate score per point of strength a female gives her partner (100 -> +50)
+        followDistance: 80                  // Idle dwarfs walk back to a partner further away than this
+    },
+    
+    // Fertility over a dwarf's life, as fractions of its maxLifespan (see Fertility.js)
+    FERTILITY: {
+        enabled: false,
+        youngFertility: 0.6,                // Fertility at age 0, rising to 1 at peakAge
+        peakAge: 0.15,
+        declineAge: 0.5,                    // Fertility falls from 1 here...
+        endAge: 0.8                         // ...to 0 here; older dwarfs cannot breed
+    },
+    
+    // Optional breeding season on the colony calendar
+    BREEDING_SEASON: {
+        enabled: false,
+        yearLength: 14400,                  // Ticks per colony year (4 minutes at 60 ticks/s), split evenly into seasons
+        seasons: ['spring', 'summer', 'autumn', 'winter'],
+        breedingSeasons: ['spring', 'summer']
+    },
+    
+    // Well-fed females conceive more often
+    NUTRITION: {
+        enabled: false,
+        wellFedLevel: 60,                   // Average of hunger and thirst for the full MATING_SUCCESS_RATE
+        starvingLevel: 20,                  // At or below this average...
+        minConception: 0.3                  // ...MATING_SUCCESS_RATE is scaled by this
+    },
+    
+    // How a pregnancy ends, and what it costs the mother (see PregnancyManager.js)
+    PREGNANCY_OUTCOMES: {
+        enabled: false,
+        twinChance: 0.05,                   // Chance a live birth brings twins
+        strainThreshold: 20,                // Ticks with hunger, thirst or health % below this strain the pregnancy
+        baseComplicationChance: 0.05,       // Complication chance of an unstrained pregnancy...
+        strainComplicationChance: 0.4,      // ...plus this times the fraction of the pregnancy spent strained
+        stillbirthShare: 0.25,              // Fraction of complications that end in a stillbirth
+        complicationHealthLoss: 20,         // Health a mother loses to a complication (never below 1)
+        frailHealth: 0.7,                   // Max health factor of babies born after a complication
+        pregnantEfficiency: 0.75,           // Work efficiency factor while pregnant
+        pregnantSpeed: 0.8                  // Movement speed factor while pregnant
+    },
+    
+    // Parents feed their children until maturity (see ParentalCare.js)
+    PARENTAL_CARE: {
+        enabled: false,
+        needThreshold: 70,                  // Carers bring food or water once a child's hunger or thirst is below this
+        portion: 10,                        // Food or water units fetched per trip (restores 3x as much need, like eating)
+        deliveryDistance: 25,               // Carer hands the portion over this close to the child
+        adoptionRadius: 200,                // Orphans are adopted by adults within this distance...
+        minAgreeableness: 50,               // ...who are at least this agreeable (the father adopts regardless)
+        adoptionInterval: 300,              // Ticks between adoption retries for orphans nobody took in
+        nurseryRadius: 60,                  // Children this close to a nursery...
+        nurseryMaturityBonus: 1             // ...mature this many extra ticks per tick (1 -> twice as fast)
+    },
+    
     // Visual display configuration
     VISUAL: {
         strategyIndicatorSize: 3,           // Radius of strategy color indicator
@@ -183,6 +347,192 @@ export function validateConfig(config = REPRODUCTION_CONFIG) {
     validateStrategyConfig(config.BLUE_STRATEGY, 'BLUE_STRATEGY');
     validateStrategyConfig(config.YELLOW_STRATEGY, 'YELLOW_STRATEGY');
     
+    validatePayoffConfig(config);
+    
+    // Genetics validation
+    const geneticsConfig = config.GENETICS;
+    if (!geneticsConfig || typeof geneticsConfig.mutationRate !== 'number' ||
+        geneticsConfig.mutationRate < 0 || geneticsConfig.mutationRate > 1) {
+        throw new Error(`Invalid GENETICS.mutationRate: ${geneticsConfig?.mutationRate}. Must be between 0 and 1.`);
+    }
+    
+    ['personalityVariance', 'personalityMutationSize'].forEach(prop => {
+        if (typeof geneticsConfig[prop] !== 'number' || geneticsConfig[prop] < 0) {
+            throw new Error(`Invalid GENETICS.${prop}: ${geneticsConfig[prop]}. Must be non-negative number.`);
+        }
+    });
+    
+    if (!Array.isArray(geneticsConfig.classes) || geneticsConfig.classes.length === 0) {
+        throw new Error('Invalid GENETICS.classes: must be a non-empty array.');
+    }
+    
+    validateFemaleStrategiesConfig(config);
+    
+    // Male condition validation
+    const conditionConfig = config.MALE_CONDITION;
+    if (!conditionConfig || typeof conditionConfig.enabled !== 'boolean') {
+        throw new Error(`Invalid MALE_CONDITION.enabled: ${conditionConfig?.enabled}. Must be boolean.`);
+    }
+    if (!conditionConfig.factors || typeof conditionConfig.factors !== 'object') {
+        throw new Error('Invalid MALE_CONDITION.factors: must be an object.');
+    }
+    const conditionFactors = ['health', 'age', 'fights', 'efficiency', 'provisioning'];
+    const conditionTraits = ['openness', 'conscientiousness', 'extraversion', 'agreeableness', 'neuroticism'];
+    Object.entries(conditionConfig.factors).forEach(([factor, factorConfig]) => {
+        if (!conditionFactors.includes(factor)) {
+            throw new Error(`Invalid MALE_CONDITION.factors.${factor}: unknown factor. Use one of ${conditionFactors.join(', ')}.`);
+        }
+        if (!factorConfig || typeof factorConfig.weight !== 'number' || factorConfig.weight < 0 ||
+            !conditionTraits.includes(factorConfig.trait)) {
+            throw new Error(`Invalid MALE_CONDITION.factors.${factor}: need { weight: non-negative number, trait: personality trait }.`);
+        }
+    });
+    
+    // Strategy switching validation
+    const switchingConfig = config.STRATEGY_SWITCHING;
+    if (!switchingConfig || typeof switchingConfig.enabled !== 'boolean') {
+        throw new Error(`Invalid STRATEGY_SWITCHING.enabled: ${switchingConfig?.enabled}. Must be boolean.`);
+    }
+    ['evaluationInterval', 'minAttempts'].forEach(prop => {
+        if (!Number.isInteger(switchingConfig[prop]) || switchingConfig[prop] < 1) {
+            throw new Error(`Invalid STRATEGY_SWITCHING.${prop}: ${switchingConfig[prop]}. Must be a positive integer.`);
+        }
+    });
+    if (typeof switchingConfig.switchRate !== 'number' || switchingConfig.switchRate < 0 || switchingConfig.switchRate > 1) {
+        throw new Error(`Invalid STRATEGY_SWITCHING.switchRate: ${switchingConfig.switchRate}. Must be between 0 and 1.`);
+    }
+    if (!switchingConfig.ageSwitches || typeof switchingConfig.ageSwitches !== 'object') {
+        throw new Error('Invalid STRATEGY_SWITCHING.ageSwitches: must be an object.');
+    }
+    Object.entries(switchingConfig.ageSwitches).forEach(([strategy, rule]) => {
+        if (!rule || typeof rule.to !== 'string' || rule.to === strategy ||
+            typeof rule.age !== 'number' || rule.age < 0 || rule.age > 1) {
+            throw new Error(`Invalid STRATEGY_SWITCHING.ageSwitches.${strategy}: need { to: another strategy, age: 0-1 }.`);
+        }
+    });
+    
+    // Dominance validation
+    const dominanceConfig = config.DOMINANCE;
+    if (!dominanceConfig || typeof dominanceConfig.enabled !== 'boolean') {
+        throw new Error(`Invalid DOMINANCE.enabled: ${dominanceConfig?.enabled}. Must be boolean.`);
+    }
+    ['initialRating', 'kFactor', 'killMultiplier', 'mateScoreWeight', 'maxMateBonus', 'crowdRadius'].forEach(prop => {
+        if (typeof dominanceConfig[prop] !== 'number' || dominanceConfig[prop] < 0) {
+            throw new Error(`Invalid DOMINANCE.${prop}: ${dominanceConfig[prop]}. Must be non-negative number.`);
+        }
+    });
+    if (!Number.isInteger(dominanceConfig.crowdSize) || dominanceConfig.crowdSize < 2) {
+        throw new Error(`Invalid DOMINANCE.crowdSize: ${dominanceConfig.crowdSize}. Must be an integer of at least 2.`);
+    }
+    
+    // Inbreeding validation
+    const inbreedingConfig = config.INBREEDING;
+    if (!inbreedingConfig || typeof inbreedingConfig.depressionEnabled !== 'boolean') {
+        throw new Error(`Invalid INBREEDING.depressionEnabled: ${inbreedingConfig?.depressionEnabled}. Must be boolean.`);
+    }
+    ['penalty', 'healthPenalty'].forEach(prop => {
+        if (typeof inbreedingConfig[prop] !== 'number' || inbreedingConfig[prop] < 0) {
+            throw new Error(`Invalid INBREEDING.${prop}: ${inbreedingConfig[prop]}. Must be non-negative number.`);
+        }
+    });
+    if (typeof inbreedingConfig.avoidRelatedness !== 'number' ||
+        inbreedingConfig.avoidRelatedness < 0 || inbreedingConfig.avoidRelatedness > 1) {
+        throw new Error(`Invalid INBREEDING.avoidRelatedness: ${inbreedingConfig.avoidRelatedness}. Must be between 0 and 1.`);
+    }
+    
+    // Pair bonding validation
+    const bondConfig = config.PAIR_BONDING;
+    if (!bondConfig || typeof bondConfig.enabled !== 'boolean') {
+        throw new Error(`Invalid PAIR_BONDING.enabled: ${bondConfig?.enabled}. Must be boolean.`);
+    }
+    ['initialStrength', 'matingGain', 'offspringGain', 'infidelityLoss', 'proximityGain',
+     'separationDecay', 'proximityRadius', 'preferenceBonus', 'followDistance'].forEach(prop => {
+        if (typeof bondConfig[prop] !== 'number' || bondConfig[prop] < 0) {
+            throw new Error(`Invalid PAIR_BONDING.${prop}: ${bondConfig[prop]}. Must be non-negative number.`);
+        }
+    });
+    if (bondConfig.initialStrength <= 0 || bondConfig.initialStrength > 100) {
+        throw new Error(`Invalid PAIR_BONDING.initialStrength: ${bondConfig.initialStrength}. Must be between 0 (exclusive) and 100.`);
+    }
+    if (!Number.isInteger(bondConfig.updateInterval) || bondConfig.updateInterval < 1) {
+        throw new Error(`Invalid PAIR_BONDING.updateInterval: ${bondConfig.updateInterval}. Must be a positive integer.`);
+    }
+    
+    // Fertility validation
+    const fertilityConfig = config.FERTILITY;
+    if (!fertilityConfig || typeof fertilityConfig.enabled !== 'boolean') {
+        throw new Error(`Invalid FERTILITY.enabled: ${fertilityConfig?.enabled}. Must be boolean.`);
+    }
+    ['youngFertility', 'peakAge', 'declineAge', 'endAge'].forEach(prop => {
+        if (typeof fertilityConfig[prop] !== 'number' || fertilityConfig[prop] < 0 || fertilityConfig[prop] > 1) {
+            throw new Error(`Invalid FERTILITY.${prop}: ${fertilityConfig[prop]}. Must be between 0 and 1.`);
+        }
+    });
+    if (!(fertilityConfig.peakAge <= fertilityConfig.declineAge && fertilityConfig.declineAge < fertilityConfig.endAge)) {
+        throw new Error('Invalid FERTILITY ages: need peakAge <= declineAge < endAge.');
+    }
+    
+    // Breeding season validation
+    const seasonConfig = config.BREEDING_SEASON;
+    if (!seasonConfig || typeof seasonConfig.enabled !== 'boolean') {
+        throw new Error(`Invalid BREEDING_SEASON.enabled: ${seasonConfig?.enabled}. Must be boolean.`);
+    }
+    if (!Number.isInteger(seasonConfig.yearLength) || seasonConfig.yearLength < 1) {
+        throw new Error(`Invalid BREEDING_SEASON.yearLength: ${seasonConfig.yearLength}. Must be a positive integer.`);
+    }
+    if (!Array.isArray(seasonConfig.seasons) || seasonConfig.seasons.length === 0) {
+        throw new Error('Invalid BREEDING_SEASON.seasons: must be a non-empty array.');
+    }
+    if (!Array.isArray(seasonConfig.breedingSeasons) ||
+        !seasonConfig.breedingSeasons.every(season => seasonConfig.seasons.includes(season))) {
+        throw new Error(`Invalid BREEDING_SEASON.breedingSeasons: ${seasonConfig.breedingSeasons}. Must list names from seasons.`);
+    }
+    
+    // Nutrition validation
+    const nutritionConfig = config.NUTRITION;
+    if (!nutritionConfig || typeof nutritionConfig.enabled !== 'boolean') {
+        throw new Error(`Invalid NUTRITION.enabled: ${nutritionConfig?.enabled}. Must be boolean.`);
+    }
+    if (typeof nutritionConfig.minConception !== 'number' || nutritionConfig.minConception < 0 || nutritionConfig.minConception > 1) {
+        throw new Error(`Invalid NUTRITION.minConception: ${nutritionConfig.minConception}. Must be between 0 and 1.`);
+    }
+    if (!(nutritionConfig.starvingLevel >= 0 && nutritionConfig.starvingLevel < nutritionConfig.wellFedLevel &&
+          nutritionConfig.wellFedLevel <= 100)) {
+        throw new Error('Invalid NUTRITION levels: need 0 <= starvingLevel < wellFedLevel <= 100.');
+    }
+    
+    // Pregnancy outcome validation
+    const outcomeConfig = config.PREGNANCY_OUTCOMES;
+    if (!outcomeConfig || typeof outcomeConfig.enabled !== 'boolean') {
+        throw new Error(`Invalid PREGNANCY_OUTCOMES.enabled: ${outcomeConfig?.enabled}. Must be boolean.`);
+    }
+    ['twinChance', 'baseComplicationChance', 'strainComplicationChance', 'stillbirthShare',
+     'frailHealth', 'pregnantEfficiency', 'pregnantSpeed'].forEach(prop => {
+        if (typeof outcomeConfig[prop] !== 'number' || outcomeConfig[prop] < 0 || outcomeConfig[prop] > 1) {
+            throw new Error(`Invalid PREGNANCY_OUTCOMES.${prop}: ${outcomeConfig[prop]}. Must be between 0 and 1.`);
+        }
+    });
+    ['strainThreshold', 'complicationHealthLoss'].forEach(prop => {
+        if (typeof outcomeConfig[prop] !== 'number' || outcomeConfig[prop] < 0) {
+            throw new Error(`Invalid PREGNANCY_OUTCOMES.${prop}: ${outcomeConfig[prop]}. Must be non-negative number.`);
+        }
+    });
+    
+    // Parental care validation
+    const careConfig = config.PARENTAL_CARE;
+    if (!careConfig || typeof careConfig.enabled !== 'boolean') {
+        throw new Error(`Invalid PARENTAL_CARE.enabled: ${careConfig?.enabled}. Must be boolean.`);
+    }
+    ['needThreshold', 'portion', 'deliveryDistance', 'adoptionRadius', 'minAgreeableness',
+     'nurseryRadius', 'nurseryMaturityBonus'].forEach(prop => {
+        if (typeof careConfig[prop] !== 'number' || careConfig[prop] < 0) {
+            throw new Error(`Invalid PARENTAL_CARE.${prop}: ${careConfig[prop]}. Must be non-negative number.`);
+        }
+    });
+    if (!Number.isInteger(careConfig.adoptionInterval) || careConfig.adoptionInterval < 1) {
+        throw new Error(`Invalid PARENTAL_CARE.adoptionInterval: ${careConfig.adoptionInterval}. Must be a positive integer.`);
+    }
+    
     // Female selection validation
     const femaleConfig = config.FEMALE_SELECTION;
     if (femaleConfig.baseScore <= 0) {
@@ -210,12 +560,96 @@ export function validateConfig(config = REPRODUCTION_CONFIG) {
     });
 }
 
+/**
+ * Validate female strategy and mate-choice learning configuration
+ * @param {Object} config - Configuration object to validate
+ */
+function validateFemaleStrategiesConfig(config) {
+    const strategiesConfig = config.FEMALE_STRATEGIES;
+    if (!strategiesConfig || typeof strategiesConfig.enabled !== 'boolean') {
+        throw new Error(`Invalid FEMALE_STRATEGIES.enabled: ${strategiesConfig?.enabled}. Must be boolean.`);
+    }
+    
+    const knownStrategies = ['standard', 'choosy', 'promiscuous', 'copier'];
+    if (!Array.isArray(strategiesConfig.strategies) || strategiesConfig.strategies.length === 0 ||
+        strategiesConfig.strategies.some(strategy => !knownStrategies.includes(strategy))) {
+        throw new Error(`Invalid FEMALE_STRATEGIES.strategies: ${strategiesConfig.strategies}. Must list known female strategies.`);
+    }
+    
+    const positiveProps = {
+        choosy: ['minScore', 'evaluationMultiplier'],
+        promiscuous: ['evaluationMultiplier'],
+        copier: ['copyBonus', 'maxCopies', 'observeRadius', 'memory']
+    };
+    Object.keys(positiveProps).forEach(strategy => {
+        positiveProps[strategy].forEach(prop => {
+            const value = strategiesConfig[strategy]?.[prop];
+            if (typeof value !== 'number' || value <= 0) {
+                throw new Error(`Invalid FEMALE_STRATEGIES.${strategy}.${prop}: ${value}. Must be positive number.`);
+            }
+        });
+    });
+    
+    const learningConfig = config.MATE_LEARNING;
+    if (!learningConfig || typeof learningConfig.enabled !== 'boolean') {
+        throw new Error(`Invalid MATE_LEARNING.enabled: ${learningConfig?.enabled}. Must be boolean.`);
+    }
+    ['learningRate', 'maxPreference'].forEach(prop => {
+        if (typeof learningConfig[prop] !== 'number' || learningConfig[prop] < 0) {
+            throw new Error(`Invalid MATE_LEARNING.${prop}: ${learningConfig[prop]}. Must be non-negative number.`);
+        }
+    });
+}
+
+/**
+ * Validate frequency-dependent payoff configuration
+ * The beats table must form a single rock-paper-scissors cycle over MALE_STRATEGIES.
+ * @param {Object} config - Configuration object to validate
+ */
+function validatePayoffConfig(config) {
+    const payoffConfig = config.STRATEGY_PAYOFF;
+    if (!payoffConfig || typeof payoffConfig !== 'object') {
+        throw new Error('Invalid STRATEGY_PAYOFF: must be configuration object.');
+    }
+    
+    if (typeof payoffConfig.enabled !== 'boolean') {
+        throw new Error(`Invalid STRATEGY_PAYOFF.enabled: ${payoffConfig.enabled}. Must be boolean.`);
+    }
+    
+    ['strength', 'minMultiplier'].forEach(prop => {
+        if (typeof payoffConfig[prop] !== 'number' || payoffConfig[prop] < 0) {
+            throw new Error(`Invalid STRATEGY_PAYOFF.${prop}: ${payoffConfig[prop]}. Must be non-negative number.`);
+        }
+    });
+    
+    ['localRadius', 'minLocalMales', 'maxMultiplier'].forEach(prop => {
+        if (typeof payoffConfig[prop] !== 'number' || payoffConfig[prop] <= 0) {
+            throw new Error(`Invalid STRATEGY_PAYOFF.${prop}: ${payoffConfig[prop]}. Must be positive number.`);
+        }
+    });
+    
+    if (payoffConfig.minMultiplier > payoffConfig.maxMultiplier) {
+        throw new Error(`Invalid STRATEGY_PAYOFF: minMultiplier ${payoffConfig.minMultiplier} exceeds maxMultiplier ${payoffConfig.maxMultiplier}.`);
+    }
+    
+    const beats = payoffConfig.beats || {};
+    const prey = config.MALE_STRATEGIES.map(strategy => beats[strategy]);
+    config.MALE_STRATEGIES.forEach((strategy, index) => {
+        if (!config.MALE_STRATEGIES.includes(prey[index]) || prey[index] === strategy) {
+            throw new Error(`Invalid STRATEGY_PAYOFF.beats.${strategy}: ${prey[index]}. Must name another strategy.`);
+        }
+    });
+    if (new Set(prey).size !== prey.length) {
+        throw new Error('Invalid STRATEGY_PAYOFF.beats: every strategy must be beaten by exactly one other.');
+    }
+}
+
 /**
  * Validate individual strategy configuration
  * @param {Object} strategyConfig - Strategy configuration to validate
  * @param {string} strategyName - Name of strategy for error reporting
  */
-function validateStrategyConfig(strategyConfig, strategyName) {
+export function validateStrategyConfig(strategyConfig, strategyName) {
     if (!strategyConfig || typeof strategyConfig !== 'object') {
         throw new Error(`Invalid ${strategyName}: must be configuration object.`);
     }
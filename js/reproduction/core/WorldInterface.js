@@ -10,12 +10,24 @@
  */
 
 export class WorldInterface {
-    constructor(gameReference) {
+    /**
+     * @param {Object} gameReference - Game state object
+     * @param {Object} options - Optional hooks
+     * @param {Function} options.dwarfFactory - (x, y, name, isAdult) => dwarf, used by createDwarf()
+     * @param {Object} options.dimensions - Fixed world size {width, height}, used instead of the canvas
+     * @param {Function} options.logSink - (message, important, type) => void, used instead of global addLog
+     * @param {Function} options.random - () => number in [0, 1), shared seeded generator (defaults to Math.random)
+     */
+    constructor(gameReference, options = {}) {
         if (!gameReference) {
             throw new Error('WorldInterface requires a valid game reference');
         }
         
         this.game = gameReference;
+        this.dwarfFactory = options.dwarfFactory || null;
+        this.dimensions = options.dimensions || null;
+        this.logSink = options.logSink || null;
+        this.randomSource = options.random || Math.random;
         
         // Cache for performance optimization (invalidated when dwarfs change)
         this._spatialCache = new Map();
@@ -30,6 +42,18 @@ export class WorldInterface {
         return this.game.dwarfs || [];
     }
     
+    /**
+     * Find a dwarf by its unique id
+     * Names repeat (generateName draws from a small pool), so cross-references use ids
+     * 
+     * @param {number} id - Dwarf id assigned by createDwarf()
+     * @returns {Object|null} Dwarf with that id, or null
+     */
+    getDwarfById(id) {
+        if (id === null || id === undefined) return null;
+        return this.getAllDwarfs().find(dwarf => dwarf.id === id) || null;
+    }
+    
     /**
      * Get all adult dwarfs
      * @returns {Array} Array of adult dwarf objects
@@ -131,6 +155,24 @@ export class WorldInterface {
         return Math.sqrt(dx * dx + dy * dy);
     }
     
+    /**
+     * Current game time
+     * @returns {number} Ticks since the colony started
+     */
+    getTime() {
+        return this.game.time || 0;
+    }
+    
+    /**
+     * Draw a random number from the world's generator
+     * All simulation randomness goes through here so seeded runs replay exactly
+     * 
+     * @returns {number} Random float in [0, 1)
+     */
+    random() {
+        return this.randomSource();
+    }
+    
     /**
      * Add a new dwarf to the world
      * Preserves exact behavior from original giveBirth() function
@@ -142,6 +184,11 @@ export class WorldInterface {
             this.game.dwarfs = [];
         }
         
+        // Dwarfs without a birth record (starting colony, debug spawns) are founders
+        if (dwarf.id !== null && dwarf.id !== undefined && !this.getLineageRecord(dwarf.id)) {
+            this.registerLineage(dwarf);
+        }
+        
         this.game.dwarfs.push(dwarf);
         this._invalidateCache();
     }
@@ -155,6 +202,12 @@ export class WorldInterface {
      * @param {string} type - Message type ('success', 'warning', etc.)
      */
     addLog(message, important = false, type = null) {
+        // Injected sink (headless runs, tests)
+        if (this.logSink) {
+            this.logSink(message, important, type);
+            return;
+        }
+        
         // Use global addLog function from original implementation
         if (typeof addLog === 'function') {
             addLog(message, important, type);
@@ -171,6 +224,14 @@ export class WorldInterface {
      * @returns {Object} Canvas dimensions {width, height}
      */
     getCanvasDimensions() {
+        // Injected world size (headless runs, tests)
+        if (this.dimensions) {
+            return {
+                width: this.dimensions.width,
+                height: this.dimensions.height
+            };
+        }
+        
         // Access global canvas object from original implementation
         if (typeof canvas !== 'undefined' && canvas) {
             return {
@@ -222,16 +283,37 @@ export class WorldInterface {
      * @param {number} y - Y coordinate  
      * @param {string} name - Dwarf name (null for random)
      * @param {boolean} isAdult - Whether dwarf starts as adult
-     * @returns {Object} New dwarf object
+     * @returns {Object} New dwarf object with a unique id
      */
     createDwarf(x, y, name = null, isAdult = false) {
-        // This will need to use the original Dwarf constructor
-        // For now, we'll assume it's globally available
-        if (typeof Dwarf === 'function') {
-            return new Dwarf(x, y, name, isAdult);
+        let dwarf;
+        
+        // Prefer the injected factory (set up by ColonySimulation)
+        if (this.dwarfFactory) {
+            dwarf = this.dwarfFactory(x, y, name, isAdult);
+        } else if (typeof Dwarf === 'function') {
+            // Fall back to a globally available Dwarf constructor
+            dwarf = new Dwarf(x, y, name, isAdult);
+        } else {
+            throw new Error('Dwarf constructor not available in global scope');
         }
         
-        throw new Error('Dwarf constructor not available in global scope');
+        if (dwarf.id === null || dwarf.id === undefined) {
+            dwarf.id = this.allocateDwarfId();
+        }
+        return dwarf;
+    }
+    
+    /**
+     * Reserve the next unused dwarf id (game.nextDwarfId, saved with the game)
+     * @returns {number} New dwarf id
+     */
+    allocateDwarfId() {
+        if (!Number.isInteger(this.game.nextDwarfId)) {
+            const ids = this.getAllDwarfs().map(dwarf => dwarf.id).filter(Number.isInteger);
+            this.game.nextDwarfId = ids.length > 0 ? Math.max(...ids) + 1 : 1;
+        }
+        return this.game.nextDwarfId++;
     }
     
     /**
@@ -245,11 +327,13 @@ export class WorldInterface {
         const females = adults.filter(d => d.gender === 'female');
         const pregnant = females.filter(d => d.isPregnant);
         
-        const malesByStrategy = {
-            orange: males.filter(m => m.reproductionStrategy === 'orange').length,
-            blue: males.filter(m => m.reproductionStrategy === 'blue').length,
-            yellow: males.filter(m => m.reproductionStrategy === 'yellow').length
-        };
+        // Built-in strategies always reported; registered strategies appear once a male has one
+        const malesByStrategy = { orange: 0, blue: 0, yellow: 0 };
+        males.forEach(m => {
+            if (m.reproductionStrategy) {
+                malesByStrategy[m.reproductionStrategy] = (malesByStrategy[m.reproductionStrategy] || 0) + 1;
+            }
+        });
         
         return {
             total: allDwarfs.length,
@@ -263,6 +347,263 @@ export class WorldInterface {
         };
     }
     
+    /**
+     * Lineage records of every dwarf that has lived, keyed by id (game.lineage)
+     * Records outlive their dwarfs, so ancestry survives deaths.
+     * Each record: { id, name, gender, motherId, fatherId, generation, childIds, bornAt, diedAt, deathCause }
+     * 
+     * @returns {Object} Record map
+     */
+    getLineageRecords() {
+        if (!this.game.lineage) {
+            this.game.lineage = {};
+        }
+        return this.game.lineage;
+    }
+    
+    /**
+     * Get the lineage record for a dwarf id (living or dead)
+     * @param {number} id - Dwarf id
+     * @returns {Object|null} Lineage record or null
+     */
+    getLineageRecord(id) {
+        if (id === null || id === undefined) return null;
+        return this.getLineageRecords()[id] || null;
+    }
+    
+    /**
+     * Record a dwarf's parents and generation, and add it to its parents' children
+     * Sets motherId, fatherId, generation and childIds on the dwarf itself as well.
+     * 
+     * @param {Object} dwarf - Dwarf with an id
+     * @param {number} motherId - Mother's id (null for founders)
+     * @param {number} fatherId - Father's id (null if unknown)
+     * @returns {Object} The new lineage record
+     */
+    registerLineage(dwarf, motherId = null, fatherId = null) {
+        const parentRecords = [this.getLineageRecord(motherId), this.getLineageRecord(fatherId)].filter(Boolean);
+        const generation = parentRecords.length > 0
+            ? Math.max(...parentRecords.map(parent => parent.generation)) + 1
+            : 0;
+        
+        const record = {
+            id: dwarf.id,
+            name: dwarf.name,
+            gender: dwarf.gender,
+            motherId: motherId !== undefined ? motherId : null,
+            fatherId: fatherId !== undefined ? fatherId : null,
+            generation,
+            childIds: [],
+            bornAt: this.game.time || 0,
+            diedAt: null,
+            deathCause: null
+        };
+        this.getLineageRecords()[dwarf.id] = record;
+        
+        dwarf.motherId = record.motherId;
+        dwarf.fatherId = record.fatherId;
+        dwarf.generation = generation;
+        dwarf.childIds = [];
+        
+        // Living parents carry their own copy of the child list
+        parentRecords.forEach(parentRecord => {
+            parentRecord.childIds.push(dwarf.id);
+            const parent = this.getDwarfById(parentRecord.id);
+            if (parent && Array.isArray(parent.childIds)) {
+                parent.childIds.push(dwarf.id);
+            }
+        });
+        
+        return record;
+    }
+    
+    /**
+     * Mark a dwarf's lineage record as dead (the record itself is kept)
+     * @param {Object} dwarf - Dead dwarf
+     */
+    recordDeath(dwarf) {
+        const record = this.getLineageRecord(dwarf.id);
+        if (record && record.diedAt === null) {
+            record.diedAt = this.game.time || 0;
+            record.deathCause = dwarf.deathCause || null;
+        }
+    }
+    
+    /**
+     * Get the records of a dwarf's mother and father
+     * @param {number} id - Dwarf id
+     * @returns {Object} { mother, father } records (null where unknown)
+     */
+    getParents(id) {
+        const record = this.getLineageRecord(id);
+        return {
+            mother: record ? this.getLineageRecord(record.motherId) : null,
+            father: record ? this.getLineageRecord(record.fatherId) : null
+        };
+    }
+    
+    /**
+     * Get the records of a dwarf's children, oldest first
+     * @param {number} id - Dwarf id
+     * @returns {Array} Child records
+     */
+    getChildren(id) {
+        const record = this.getLineageRecord(id);
+        if (!record) return [];
+        return record.childIds.map(childId => this.getLineageRecord(childId)).filter(Boolean);
+    }
+    
+    /**
+     * Get ancestor records, nearest generation first
+     * An ancestor reachable along several lines (inbreeding) is listed once.
+     * 
+     * @param {number} id - Dwarf id
+     * @param {number} maxDepth - Generations to walk up (1 = parents, 2 = grandparents, ...)
+     * @returns {Array} Ancestor records, each with depth in generations
+     */
+    getAncestors(id, maxDepth = Infinity) {
+        return this._walkLineage(id, maxDepth, record => [record.motherId, record.fatherId]);
+    }
+    
+    /**
+     * Get descendant records, nearest generation first
+     * @param {number} id - Dwarf id
+     * @param {number} maxDepth - Generations to walk down (1 = children, 2 = grandchildren, ...)
+     * @returns {Array} Descendant records, each with depth in generations
+     */
+    getDescendants(id, maxDepth = Infinity) {
+        return this._walkLineage(id, maxDepth, record => record.childIds);
+    }
+    
+    /**
+     * Get records of dwarfs sharing at least one parent
+     * @param {number} id - Dwarf id
+     * @param {boolean} includeHalf - Include half-siblings (one shared parent), default true
+     * @returns {Array} Sibling records, each with fullSibling true/false
+     */
+    getSiblings(id, includeHalf = true) {
+        const record = this.getLineageRecord(id);
+        if (!record) return [];
+        
+        const siblingIds = new Set();
+        [record.motherId, record.fatherId].forEach(parentId => {
+            const parent = this.getLineageRecord(parentId);
+            if (parent) parent.childIds.forEach(childId => siblingIds.add(childId));
+        });
+        siblingIds.delete(id);
+        
+        return Array.from(siblingIds)
+            .map(siblingId => this.getLineageRecord(siblingId))
+            .filter(Boolean)
+            .map(sibling => ({
+                ...sibling,
+                fullSibling: record.motherId !== null && record.fatherId !== null &&
+                             sibling.motherId === record.motherId && sibling.fatherId === record.fatherId
+            }))
+            .filter(sibling => includeHalf || sibling.fullSibling);
+    }
+    
+    /**
+     * Kinship coefficient: chance that an allele picked at random from each dwarf is
+     * identical by descent. Computed recursively from recorded parentage; parents
+     * outside the records (founders, unknown fathers) count as unrelated.
+     * 
+     * @param {number} idA - First dwarf id
+     * @param {number} idB - Second dwarf id
+     * @returns {number} Kinship (0.25 for parent/child and full siblings, 0.5 for self)
+     */
+    getKinship(idA, idB) {
+        // Parentage never changes once recorded, so results stay valid until another lineage is loaded
+        const records = this.getLineageRecords();
+        if (this._kinshipRecords !== records) {
+            this._kinshipRecords = records;
+            this._kinshipCache = new Map();
+        }
+        return this._kinship(idA, idB);
+    }
+    
+    /**
+     * Coefficient of relationship between two dwarfs (twice their kinship)
+     * @param {number} idA - First dwarf id
+     * @param {number} idB - Second dwarf id
+     * @returns {number} Relatedness 0-1 (0.5 parent/child and full siblings, 0.25 half-siblings, 0.125 cousins)
+     */
+    getRelatedness(idA, idB) {
+        if (idA === null || idA === undefined || idB === null || idB === undefined) return 0;
+        if (idA === idB) return 1;
+        return Math.min(1, 2 * this.getKinship(idA, idB));
+    }
+    
+    /**
+     * Inbreeding coefficient of a dwarf: the kinship of its parents
+     * @param {number} id - Dwarf id
+     * @returns {number} Inbreeding coefficient (0.25 for a child of full siblings)
+     */
+    getInbreedingCoefficient(id) {
+        const record = this.getLineageRecord(id);
+        return record ? this.getKinship(record.motherId, record.fatherId) : 0;
+    }
+    
+    /**
+     * Memoized kinship recursion
+     * @private
+     */
+    _kinship(idA, idB) {
+        const recordA = this.getLineageRecord(idA);
+        const recordB = this.getLineageRecord(idB);
+        if (!recordA || !recordB) return 0;
+        
+        if (idA === idB) {
+            return (1 + this._kinship(recordA.motherId, recordA.fatherId)) / 2;
+        }
+        
+        const key = idA < idB ? `${idA},${idB}` : `${idB},${idA}`;
+        if (this._kinshipCache.has(key)) {
+            return this._kinshipCache.get(key);
+        }
+        
+        // Recurse through the younger dwarf's parents: ids grow with creation,
+        // so the younger one cannot be an ancestor of the other
+        const younger = idA > idB ? recordA : recordB;
+        const otherId = idA > idB ? idB : idA;
+        const kinship = (this._kinship(younger.motherId, otherId) + this._kinship(younger.fatherId, otherId)) / 2;
+        
+        this._kinshipCache.set(key, kinship);
+        return kinship;
+    }
+    
+    /**
+     * Breadth-first walk over lineage records
+     * @private
+     */
+    _walkLineage(id, maxDepth, getNextIds) {
+        const start = this.getLineageRecord(id);
+        if (!start) return [];
+        
+        const visited = new Set([id]);
+        const results = [];
+        let frontier = [start];
+        
+        for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+            const next = [];
+            frontier.forEach(record => {
+                getNextIds(record).forEach(nextId => {
+                    if (nextId === null || nextId === undefined || visited.has(nextId)) return;
+                    visited.add(nextId);
+                    
+                    const nextRecord = this.getLineageRecord(nextId);
+                    if (nextRecord) {
+                        results.push({ ...nextRecord, depth });
+                        next.push(nextRecord);
+                    }
+                });
+            });
+            frontier = next;
+        }
+        
+        return results;
+    }
+    
     /**
      * Invalidate spatial cache when dwarf population changes
      * @private
@@ -289,8 +630,9 @@ export class WorldInterface {
  * Provides convenient interface for dependency injection
  * 
  * @param {Object} gameReference - Game object reference
+ * @param {Object} options - Optional hooks (see constructor)
  * @returns {WorldInterface} New WorldInterface instance
  */
-export function createWorldInterface(gameReference) {
-    return new WorldInterface(gameReference);
+export function createWorldInterface(gameReference, options = {}) {
+    return new WorldInterface(gameReference, options);
 }
\ No newline at end of file
@@ -209,6 +209,7 @@ export const REPRODUCTION_EVENTS = {
     // Pregnancy and birth events
     PREGNANCY_START: 'pregnancy_start',
     BIRTH: 'birth',
+    TRAITS_INHERITED: 'traits_inherited',
     
     // Strategy-specific events
     TERRITORY_ESTABLISHED: 'territory_established',
@@ -220,6 +221,23 @@ export const REPRODUCTION_EVENTS = {
     FEMALE_EVALUATION: 'female_evaluation',
     MATE_SELECTED: 'mate_selected',
     MATE_REJECTED: 'mate_rejected',
+    MATE_COPIED: 'mate_copied',
+    
+    // Female strategy and learning events
+    FEMALE_STRATEGY_ASSIGNED: 'female_strategy_assigned',
+    MATE_PREFERENCE_LEARNED: 'mate_preference_learned',
+    
+    // Pair bond events
+    PAIR_BOND_FORMED: 'pair_bond_formed',
+    PAIR_BOND_DISSOLVED: 'pair_bond_dissolved',
+    
+    // Parental care events
+    CHILD_CARED_FOR: 'child_cared_for',
+    CHILD_ORPHANED: 'child_orphaned',
+    CHILD_ADOPTED: 'child_adopted',
+    
+    // Calendar events
+    SEASON_CHANGED: 'season_changed',
     
     // Cooldown events
     REPRODUCTION_COOLDOWN_START: 'reproduction_cooldown_start',
@@ -227,6 +245,9 @@ export const REPRODUCTION_EVENTS = {
     
     // System events
     STRATEGY_ASSIGNED: 'strategy_assigned',
+    STRATEGY_REGISTERED: 'strategy_registered',
+    STRATEGY_SWITCHED: 'strategy_switched',
+    DOMINANCE_CONTEST: 'dominance_contest',
     MATURITY_REACHED: 'maturity_reached'
 };
 
@@ -241,12 +262,14 @@ export const EventDataCreators = {
     matingAttempt(male, female, strategy, distance, success) {
         return {
             male: {
+                id: male.id,
                 name: male.name,
                 strategy: male.reproductionStrategy,
                 x: male.x,
                 y: male.y
             },
             female: {
+                id: female.id,
                 name: female.name,
                 x: female.x,
                 y: female.y,
@@ -266,11 +289,13 @@ export const EventDataCreators = {
     birth(mother, baby) {
         return {
             mother: {
+                id: mother.id,
                 name: mother.name,
                 x: mother.x,
                 y: mother.y
             },
             baby: {
+                id: baby.id,
                 name: baby.name,
                 x: baby.x,
                 y: baby.y,
@@ -286,11 +311,13 @@ export const EventDataCreators = {
     territoryEstablished(male, female, territoryX, territoryY, competitorsDisplaced) {
         return {
             male: {
+                id: male.id,
                 name: male.name,
                 x: male.x,
                 y: male.y
             },
             female: {
+                id: female.id,
                 name: female.name,
                 x: female.x,
                 y: female.y
@@ -310,12 +337,14 @@ export const EventDataCreators = {
     competitorDisplaced(territorial, displaced, fleeTarget) {
         return {
             territorial: {
+                id: territorial.id,
                 name: territorial.name,
                 strategy: territorial.reproductionStrategy,
                 x: territorial.x,
                 y: territorial.y
             },
             displaced: {
+                id: displaced.id,
                 name: displaced.name,
                 strategy: displaced.reproductionStrategy,
                 x: displaced.x,
@@ -332,17 +361,20 @@ export const EventDataCreators = {
     femaleEvaluation(female, males, selectedMale, scores) {
         return {
             female: {
+                id: female.id,
                 name: female.name,
                 personality: { ...female.personality },
                 x: female.x,
                 y: female.y
             },
             evaluatedMales: males.map(male => ({
+                id: male.id,
                 name: male.name,
                 strategy: male.reproductionStrategy,
                 score: scores[male.name] || 0
             })),
             selectedMale: selectedMale ? {
+                id: selectedMale.id,
                 name: selectedMale.name,
                 strategy: selectedMale.reproductionStrategy,
                 score: scores[selectedMale.name] || 0
@@ -7,7 +7,14 @@
  */
 
 export class BaseStrategy {
-    constructor(config, world, eventBus) {
+    /**
+     * @param {Object} config - Reproduction configuration
+     * @param {Object} world - World interface
+     * @param {Object} eventBus - Event bus for communication
+     * @param {Object} strategyConfig - This strategy's own config block (registered strategies;
+     *                                  the built-in strategies read theirs from config)
+     */
+    constructor(config, world, eventBus, strategyConfig = null) {
         if (this.constructor === BaseStrategy) {
             throw new Error('BaseStrategy is abstract and cannot be instantiated directly');
         }
@@ -15,6 +22,12 @@ export class BaseStrategy {
         this.config = config;
         this.world = world;
         this.eventBus = eventBus;
+        this.strategyConfig = strategyConfig;
+        
+        // Optional frequency-dependent payoff, fertility and dominance models (set by StrategyFactory)
+        this.payoffModel = null;
+        this.fertilityModel = null;
+        this.dominanceModel = null;
         
         // Validate required dependencies
         if (!config || !world || !eventBus) {
@@ -39,9 +52,76 @@ export class BaseStrategy {
      * @abstract
      */
     getName() {
+        if (this.strategyConfig && this.strategyConfig.name) {
+            return this.strategyConfig.name;
+        }
         throw new Error('getName() method must be implemented by concrete strategy classes');
     }
     
+    /**
+     * Get strategy display name
+     * @returns {string} Human-readable strategy name
+     */
+    getDisplayName() {
+        return this.strategyConfig.displayName || this.getName();
+    }
+    
+    /**
+     * Get strategy configuration
+     * @returns {Object} Strategy-specific configuration
+     */
+    getConfig() {
+        return this.strategyConfig;
+    }
+    
+    /**
+     * Set up strategy-specific properties on a male that was just given this strategy
+     * Only fill in properties that are missing, so saved values survive a reload.
+     * @param {Object} male - Male dwarf
+     */
+    initializeMale(male) {
+        // No extra properties by default
+    }
+    
+    /**
+     * Validate male dwarf has the properties this strategy needs
+     * @param {Object} male - Male dwarf to validate
+     * @returns {boolean} Whether male has required properties
+     */
+    validateMale(male) {
+        return !!male && male.reproductionStrategy === this.getName();
+    }
+    
+    /**
+     * Event whose emission counts as one execution of this strategy in the statistics
+     * @returns {string|null} Event type, or null to count every execute() call
+     */
+    getExecutionEvent() {
+        return null;
+    }
+    
+    /**
+     * Extra mate score a female gives males of this strategy
+     * Added to FemaleSelection.scoreMate() before its random variance.
+     * The built-in strategies are scored by FemaleSelection's own personality rules.
+     * 
+     * @param {Object} female - Female doing the scoring
+     * @param {Object} male - Male being scored
+     * @returns {number} Score bonus (negative for a penalty)
+     */
+    scoreForFemale(female, male) {
+        return 0;
+    }
+    
+    /**
+     * Male properties this strategy needs saved and restored (plain data only;
+     * store other dwarfs by id and look them up with world.getDwarfById)
+     * @returns {Array<string>} Property names
+     */
+    getSaveFields() {
+        return [];
+    }
+    
     /**
      * Attempt mating between male and female
      * Preserves exact behavior from original attemptMating() method
@@ -56,6 +136,8 @@ export class BaseStrategy {
             this.eventBus.emit('mating_failure', {
                 male: male.name,
                 female: female.name,
+                maleId: male.id,
+                femaleId: female.id,
                 reason: 'female_not_available',
                 timestamp: Date.now()
             });
@@ -65,15 +147,19 @@ export class BaseStrategy {
         // Calculate distance for event logging
         const distance = this.world.calculateDistance(male, female);
         
-        // 70% success rate (exact same as original)
-        const success = Math.random() < this.config.MATING_SUCCESS_RATE;
+        // 70% success rate, scaled by both partners' age and her nutrition (see Fertility.js)
+        const conceptionChance = this.fertilityModel ? this.fertilityModel.getConceptionChance(male, female) : 1;
+        const success = this.world.random() < this.config.MATING_SUCCESS_RATE * conceptionChance;
         
         // Emit mating attempt event
         this.eventBus.emit('mating_attempt', {
             male: male.name,
             female: female.name,
+            maleId: male.id,
+            femaleId: female.id,
             strategy: male.reproductionStrategy,
             distance,
+            conceptionChance,
             success,
             timestamp: Date.now()
         });
@@ -82,6 +168,7 @@ export class BaseStrategy {
             // Set pregnancy and cooldowns (exact same as original)
             female.isPregnant = true;
             female.pregnancyTimer = 0;
+            female.pregnancyFatherId = male.id;
             female.reproductionCooldown = this.config.FEMALE_REPRODUCTION_COOLDOWN;
             male.reproductionCooldown = this.config.MALE_REPRODUCTION_COOLDOWN;
             
@@ -96,6 +183,8 @@ export class BaseStrategy {
             this.eventBus.emit('mating_success', {
                 male: male.name,
                 female: female.name,
+                maleId: male.id,
+                femaleId: female.id,
                 strategy: male.reproductionStrategy,
                 timestamp: Date.now()
             });
@@ -117,6 +206,42 @@ export class BaseStrategy {
         male.mateSeekingTimer = cooldown;
     }
     
+    /**
+     * Use a frequency-dependent payoff model for mating chances
+     * @param {StrategyPayoff} payoffModel - Payoff model, or null for fixed chances
+     */
+    setPayoffModel(payoffModel) {
+        this.payoffModel = payoffModel;
+    }
+    
+    /**
+     * Scale conception by age and nutrition
+     * @param {Fertility} fertilityModel - Fertility model, or null for the fixed MATING_SUCCESS_RATE
+     */
+    setFertilityModel(fertilityModel) {
+        this.fertilityModel = fertilityModel;
+    }
+    
+    /**
+     * Let rank decide contests between males
+     * @param {DominanceHierarchy} dominanceModel - Dominance hierarchy, or null to ignore rank
+     */
+    setDominanceModel(dominanceModel) {
+        this.dominanceModel = dominanceModel;
+    }
+    
+    /**
+     * Per-tick mating chance for a male of this strategy
+     * The configured matingChance, scaled by the payoff model when it is enabled.
+     * 
+     * @param {Object} male - Male dwarf
+     * @returns {number} Probability per tick of attempting mating
+     */
+    getMatingChance(male) {
+        const baseChance = this.strategyConfig.matingChance;
+        return this.payoffModel ? this.payoffModel.getMatingChance(male, baseChance) : baseChance;
+    }
+    
     /**
      * Check if mating conditions are met for distance and probability
      * Common logic extracted from all strategies
@@ -129,7 +254,7 @@ export class BaseStrategy {
      */
     shouldAttemptMating(male, female, requiredDistance, matingChance) {
         const distance = this.world.calculateDistance(male, female);
-        return distance < requiredDistance && Math.random() < matingChance;
+        return distance < requiredDistance && this.world.random() < matingChance;
     }
     
     /**
@@ -137,10 +262,28 @@ export class BaseStrategy {
      * Preserves exact selection logic from original seekMating()
      * 
      * @param {Array} availableFemales - Array of available female dwarfs
+     * @param {Object} male - Courting male; females related to him by INBREEDING.avoidRelatedness are skipped
+     *                        and his pair-bond partner is preferred
      * @returns {Object|null} Selected female or null if none available
      */
-    selectRandomFemale(availableFemales) {
-        if (availableFemales.length === 0) return null;
-        return availableFemales[Math.floor(Math.random() * availableFemales.length)];
+    selectRandomFemale(availableFemales, male = null) {
+        // Kin recognition: close relatives are never courted
+        const avoidRelatedness = this.config.INBREEDING.avoidRelatedness;
+        const candidates = male && avoidRelatedness > 0
+            ? availableFemales.filter(female => this.world.getRelatedness(male.id, female.id) < avoidRelatedness)
+            : availableFemales;
+        
+        if (candidates.length === 0) return null;
+        
+        // A bonded male courts his partner first, more reliably the stronger their bond
+        const bondConfig = this.config.PAIR_BONDING;
+        const partner = male && bondConfig.enabled && male.partnerId !== null && male.partnerId !== undefined
+            ? candidates.find(female => female.id === male.partnerId)
+            : null;
+        if (partner && this.world.random() * 100 < male.bondStrength) {
+            return partner;
+        }
+        
+        return candidates[Math.floor(this.world.random() * candidates.length)];
     }
 }
\ No newline at end of file
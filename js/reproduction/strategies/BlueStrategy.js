@@ -33,7 +33,13 @@ export class BlueStrategy extends BaseStrategy {
         }
         
         // Select target female (exact same random selection as original)
-        const targetFemale = this.selectRandomFemale(availableFemales);
+        const targetFemale = this.selectRandomFemale(availableFemales, male);
+        if (!targetFemale) {
+            // Every available female is close kin
+            male.guardedFemale = null;
+            this.setMateSeekingTimer(male, this.strategyConfig.cooldown);
+            return;
+        }
         
         // Execute guardian behavior
         this.guardFemale(male, targetFemale);
@@ -54,8 +60,8 @@ export class BlueStrategy extends BaseStrategy {
         male.guardedFemale = female;
         
         // Position near female with random offset (exact same as original)
-        const offsetX = Math.random() * this.strategyConfig.maxGuardRange - (this.strategyConfig.maxGuardRange / 2);
-        const offsetY = Math.random() * this.strategyConfig.maxGuardRange - (this.strategyConfig.maxGuardRange / 2);
+        const offsetX = this.world.random() * this.strategyConfig.maxGuardRange - (this.strategyConfig.maxGuardRange / 2);
+        const offsetY = this.world.random() * this.strategyConfig.maxGuardRange - (this.strategyConfig.maxGuardRange / 2);
         
         this.world.setDwarfTarget(
             male,
@@ -69,11 +75,13 @@ export class BlueStrategy extends BaseStrategy {
         // Emit guarding event
         this.eventBus.emit(REPRODUCTION_EVENTS.FEMALE_GUARDED, {
             male: {
+                id: male.id,
                 name: male.name,
                 x: male.x,
                 y: male.y
             },
             female: {
+                id: female.id,
                 name: female.name,
                 x: female.x,
                 y: female.y
@@ -88,7 +96,7 @@ export class BlueStrategy extends BaseStrategy {
         
         // Attempt mating if within guard distance (exact same conditions as original)
         if (distance < this.strategyConfig.guardDistance && 
-            Math.random() < this.strategyConfig.matingChance) {
+            this.world.random() < this.getMatingChance(male)) {
             this.attemptMating(male, female);
         }
     }
@@ -122,11 +130,13 @@ export class BlueStrategy extends BaseStrategy {
             
             this.eventBus.emit(REPRODUCTION_EVENTS.FEMALE_GUARDED, {
                 male: {
+                    id: male.id,
                     name: male.name,
                     x: male.x,
                     y: male.y
                 },
                 female: {
+                    id: previouslyGuarded.id,
                     name: previouslyGuarded.name,
                     x: previouslyGuarded.x,
                     y: previouslyGuarded.y
@@ -173,11 +183,19 @@ export class BlueStrategy extends BaseStrategy {
     }
     
     /**
-     * Initialize guardian-specific properties for a male dwarf
+     * Guarding a female counts as an execution in the statistics
+     * @returns {string} Event type
+     */
+    getExecutionEvent() {
+        return REPRODUCTION_EVENTS.FEMALE_GUARDED;
+    }
+    
+    /**
+     * Initialize guardian-specific properties for a male dwarf (exact same as original)
      * @param {Object} male - Male dwarf to initialize
      */
     initializeMale(male) {
-        if (male.reproductionStrategy === 'blue') {
+        if (typeof male.guardedFemale === 'undefined') {
             male.guardedFemale = null;
         }
     }
@@ -31,7 +31,12 @@ export class OrangeStrategy extends BaseStrategy {
         }
         
         // Select target female (exact same random selection as original)
-        const targetFemale = this.selectRandomFemale(availableFemales);
+        const targetFemale = this.selectRandomFemale(availableFemales, male);
+        if (!targetFemale) {
+            // Every available female is close kin
+            this.setMateSeekingTimer(male, this.strategyConfig.cooldown);
+            return;
+        }
         
         // Execute territorial behavior
         this.establishTerritory(male, targetFemale);
@@ -67,8 +72,8 @@ export class OrangeStrategy extends BaseStrategy {
             
             // Displace competitors with 10% chance each (exact same as original)
             competitors.forEach(competitor => {
-                if (Math.random() < this.strategyConfig.displacementChance) {
-                    this.displaceCompetitor(male, competitor);
+                if (this.world.random() < this.strategyConfig.displacementChance &&
+                    this.displaceCompetitor(male, competitor)) {
                     competitorsDisplaced++;
                 }
             });
@@ -76,11 +81,13 @@ export class OrangeStrategy extends BaseStrategy {
             // Emit territory established event
             this.eventBus.emit(REPRODUCTION_EVENTS.TERRITORY_ESTABLISHED, {
                 male: {
+                    id: male.id,
                     name: male.name,
                     x: male.x,
                     y: male.y
                 },
                 female: {
+                    id: female.id,
                     name: female.name,
                     x: female.x,
                     y: female.y
@@ -97,7 +104,7 @@ export class OrangeStrategy extends BaseStrategy {
             
             // Attempt mating if close enough (exact same conditions as original)
             if (distance < this.strategyConfig.matingDistance && 
-                Math.random() < this.strategyConfig.matingChance) {
+                this.world.random() < this.getMatingChance(male)) {
                 this.attemptMating(male, female);
             }
         }
@@ -105,12 +112,18 @@ export class OrangeStrategy extends BaseStrategy {
     
     /**
      * Displace a competitor male
-     * Preserves exact behavior from original territorial displacement logic
+     * Preserves exact behavior from original territorial displacement logic;
+     * a competitor who outranks the territorial male stands his ground.
      * 
      * @param {Object} territorial - Territorial male doing the displacing
      * @param {Object} competitor - Competitor male being displaced
+     * @returns {boolean} True if the competitor fled
      */
     displaceCompetitor(territorial, competitor) {
+        if (this.dominanceModel && this.dominanceModel.standsGround(competitor, territorial)) {
+            return false;
+        }
+        
         const canvasDimensions = this.world.getCanvasDimensions();
         
         // Calculate flee target (exact same logic as original)
@@ -126,12 +139,14 @@ export class OrangeStrategy extends BaseStrategy {
         // Emit displacement event
         this.eventBus.emit(REPRODUCTION_EVENTS.COMPETITOR_DISPLACED, {
             territorial: {
+                id: territorial.id,
                 name: territorial.name,
                 strategy: territorial.reproductionStrategy,
                 x: territorial.x,
                 y: territorial.y
             },
             displaced: {
+                id: competitor.id,
                 name: competitor.name,
                 strategy: competitor.reproductionStrategy,
                 x: competitor.x,
@@ -141,6 +156,7 @@ export class OrangeStrategy extends BaseStrategy {
             fleeTarget,
             timestamp: Date.now()
         });
+        return true;
     }
     
     /**
@@ -151,6 +167,27 @@ export class OrangeStrategy extends BaseStrategy {
         return 'orange';
     }
     
+    /**
+     * Territory establishment counts as an execution in the statistics
+     * @returns {string} Event type
+     */
+    getExecutionEvent() {
+        return REPRODUCTION_EVENTS.TERRITORY_ESTABLISHED;
+    }
+    
+    /**
+     * Initialize territorial properties (exact same as original)
+     * @param {Object} male - Male dwarf
+     */
+    initializeMale(male) {
+        if (typeof male.territoryX === 'undefined') {
+            male.territoryX = male.x;
+        }
+        if (typeof male.territoryY === 'undefined') {
+            male.territoryY = male.y;
+        }
+    }
+    
     /**
      * Get strategy display name
      * @returns {string} Human-readable strategy name
@@ -4,11 +4,20 @@
  * Factory for creating and managing reproduction strategy instances.
  * Provides centralized strategy creation and validation while
  * maintaining exact behavioral preservation from original implementation.
+ * 
+ * Besides the built-in orange, blue and yellow strategies, custom
+ * BaseStrategy subclasses can be added with registerStrategy().
  */
 
+import { BaseStrategy } from './BaseStrategy.js';
 import { OrangeStrategy } from './OrangeStrategy.js';
 import { BlueStrategy } from './BlueStrategy.js';
 import { YellowStrategy } from './YellowStrategy.js';
+import { StrategyPayoff } from './StrategyPayoff.js';
+import { Fertility } from '../systems/Fertility.js';
+import { DominanceHierarchy } from '../systems/DominanceHierarchy.js';
+import { STRATEGY_COLORS, validateStrategyConfig } from '../config/ReproductionConfig.js';
+import { REPRODUCTION_EVENTS } from '../events/ReproductionEventBus.js';
 
 export class StrategyFactory {
     constructor(config, world, eventBus) {
@@ -19,6 +28,18 @@ export class StrategyFactory {
         // Strategy instance cache
         this.strategies = new Map();
         
+        // Custom strategies added with registerStrategy(): name -> { StrategyClass, config }
+        this.registrations = new Map();
+        
+        // Frequency-dependent payoffs shared by all strategies (inactive unless enabled in config)
+        this.payoffModel = new StrategyPayoff(config, world, this);
+        
+        // Age, season and nutrition effects on breeding, shared with ReproductionSystem
+        this.fertilityModel = new Fertility(config, world, eventBus);
+        
+        // Rank from fights, shared with ReproductionSystem, FemaleSelection and the combat integration
+        this.dominanceModel = new DominanceHierarchy(config, world, eventBus);
+        
         // Initialize all strategy instances
         this.initializeStrategies();
     }
@@ -31,6 +52,83 @@ export class StrategyFactory {
         this.strategies.set('orange', new OrangeStrategy(this.config, this.world, this.eventBus));
         this.strategies.set('blue', new BlueStrategy(this.config, this.world, this.eventBus));
         this.strategies.set('yellow', new YellowStrategy(this.config, this.world, this.eventBus));
+        
+        this.strategies.forEach(strategy => {
+            strategy.setPayoffModel(this.payoffModel);
+            strategy.setFertilityModel(this.fertilityModel);
+            strategy.setDominanceModel(this.dominanceModel);
+        });
+    }
+    
+    /**
+     * Add a custom male strategy
+     * The strategy joins random assignment, inheritance, statistics and saves, and
+     * its color is used for the dwarf indicator. Emits 'strategy_registered'.
+     * 
+     * @param {string} name - Strategy name stored on males (reproductionStrategy)
+     * @param {Function} StrategyClass - BaseStrategy subclass, constructed as
+     *                                   new StrategyClass(config, world, eventBus, strategyConfig)
+     * @param {Object} strategyConfig - Strategy config; needs cooldown, matingChance and color like
+     *                                  the built-in blocks. A static StrategyClass.validateConfig(strategyConfig)
+     *                                  is called too if defined.
+     * @returns {BaseStrategy} The new strategy instance
+     */
+    registerStrategy(name, StrategyClass, strategyConfig = {}) {
+        if (typeof name !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(name)) {
+            throw new Error(`StrategyFactory: Invalid strategy name "${name}" (use lowercase letters, digits, - or _)`);
+        }
+        if (this.strategies.has(name)) {
+            throw new Error(`StrategyFactory: Strategy "${name}" is already registered`);
+        }
+        if (typeof StrategyClass !== 'function' || !(StrategyClass.prototype instanceof BaseStrategy)) {
+            throw new Error(`StrategyFactory: Strategy "${name}" must extend BaseStrategy`);
+        }
+        
+        const config = { ...strategyConfig, name };
+        validateStrategyConfig(config, `${name} strategy`);
+        if (typeof StrategyClass.validateConfig === 'function') {
+            StrategyClass.validateConfig(config);
+        }
+        
+        const strategy = this.createRegisteredStrategy(StrategyClass, config);
+        
+        this.registrations.set(name, { StrategyClass, config });
+        STRATEGY_COLORS[name] = config.color;
+        
+        this.eventBus.emit(REPRODUCTION_EVENTS.STRATEGY_REGISTERED, {
+            strategy: name,
+            displayName: strategy.getDisplayName(),
+            color: config.color,
+            timestamp: Date.now()
+        });
+        
+        return strategy;
+    }
+    
+    /**
+     * Construct and cache a registered strategy
+     * @private
+     */
+    createRegisteredStrategy(StrategyClass, config) {
+        const strategy = new StrategyClass(this.config, this.world, this.eventBus, config);
+        if (strategy.getName() !== config.name) {
+            throw new Error(`StrategyFactory: Strategy class reports name "${strategy.getName()}", registered as "${config.name}"`);
+        }
+        
+        strategy.setPayoffModel(this.payoffModel);
+        strategy.setFertilityModel(this.fertilityModel);
+        strategy.setDominanceModel(this.dominanceModel);
+        this.strategies.set(config.name, strategy);
+        return strategy;
+    }
+    
+    /**
+     * Check whether a strategy was added with registerStrategy()
+     * @param {string} strategyName - Strategy name
+     * @returns {boolean} True for custom strategies
+     */
+    isRegisteredStrategy(strategyName) {
+        return this.registrations.has(strategyName);
     }
     
     /**
@@ -59,6 +157,15 @@ export class StrategyFactory {
         strategy.execute(male);
     }
     
+    /**
+     * Check whether a strategy exists
+     * @param {string} strategyName - Strategy name
+     * @returns {boolean} True if built in or registered
+     */
+    hasStrategy(strategyName) {
+        return this.strategies.has(strategyName);
+    }
+    
     /**
      * Get all available strategy names
      * @returns {Array} Array of strategy names
@@ -78,11 +185,31 @@ export class StrategyFactory {
             return; // Only males get strategies
         }
         
-        // Exact same random selection as original
-        const strategies = this.config.MALE_STRATEGIES;
-        const selectedStrategy = strategies[Math.floor(Math.random() * strategies.length)];
+        // Exact same random selection as original (built-ins first, then registered strategies)
+        const strategies = this.getAvailableStrategies();
+        const selectedStrategy = strategies[Math.floor(this.world.random() * strategies.length)];
+        
+        this.assignStrategy(male, selectedStrategy, 'random');
+    }
+    
+    /**
+     * Assign a specific strategy to a male dwarf (e.g. his inherited strategy gene)
+     * The strategy also becomes the gene he passes on.
+     * 
+     * @param {Object} male - Male dwarf to assign strategy to
+     * @param {string} strategyName - Strategy to assign
+     * @param {string} source - Why it was assigned ('random' or 'inherited'), reported in the event
+     */
+    assignStrategy(male, strategyName, source = 'inherited') {
+        if (male.gender !== 'male') {
+            return; // Only males get strategies
+        }
+        
+        // Throws for unknown strategies
+        this.getStrategy(strategyName);
         
-        male.reproductionStrategy = selectedStrategy;
+        male.reproductionStrategy = strategyName;
+        male.strategyGene = strategyName;
         
         // Initialize strategy-specific properties
         this.initializeStrategyProperties(male);
@@ -90,44 +217,68 @@ export class StrategyFactory {
         // Emit strategy assignment event
         this.eventBus.emit('strategy_assigned', {
             male: {
+                id: male.id,
                 name: male.name,
                 x: male.x,
                 y: male.y
             },
-            strategy: selectedStrategy,
+            strategy: strategyName,
+            source,
             timestamp: Date.now()
         });
     }
     
+    /**
+     * Change the strategy a male expresses, keeping the strategy gene he passes on
+     * Used by StrategySwitching; drops the guarding and territory of his old strategy.
+     * 
+     * @param {Object} male - Male dwarf switching strategy
+     * @param {string} strategyName - Strategy to switch to
+     */
+    switchStrategy(male, strategyName) {
+        if (male.gender !== 'male') {
+            return; // Only males get strategies
+        }
+        
+        // Throws for unknown strategies
+        this.getStrategy(strategyName);
+        
+        male.reproductionStrategy = strategyName;
+        male.guardedFemale = null;
+        male.territoryX = male.x;
+        male.territoryY = male.y;
+        
+        this.initializeStrategyProperties(male);
+    }
+
     /**
      * Initialize strategy-specific properties for a male dwarf
      * @param {Object} male - Male dwarf to initialize
      */
     initializeStrategyProperties(male) {
-        switch (male.reproductionStrategy) {
-            case 'orange':
-                // Initialize territorial properties (exact same as original)
-                if (typeof male.territoryX === 'undefined') {
-                    male.territoryX = male.x;
-                }
-                if (typeof male.territoryY === 'undefined') {
-                    male.territoryY = male.y;
-                }
-                break;
-                
-            case 'blue':
-                // Initialize guardian properties (exact same as original)
-                if (typeof male.guardedFemale === 'undefined') {
-                    male.guardedFemale = null;
-                }
-                break;
-                
-            case 'yellow':
-                // Yellow strategy doesn't need special properties
-                break;
+        const strategy = this.strategies.get(male.reproductionStrategy);
+        if (strategy) {
+            strategy.initializeMale(male);
         }
     }
     
+    /**
+     * Strategy-specific male properties to save (see BaseStrategy.getSaveFields)
+     * @param {Object} male - Male dwarf
+     * @returns {Object|null} Field values, or null if the strategy saves nothing extra
+     */
+    getSaveData(male) {
+        const strategy = this.strategies.get(male.reproductionStrategy);
+        const fields = strategy ? strategy.getSaveFields() : [];
+        if (fields.length === 0) return null;
+        
+        const data = {};
+        fields.forEach(field => {
+            data[field] = male[field];
+        });
+        return data;
+    }
+    
     /**
      * Validate strategy assignment for male dwarf
      * @param {Object} male - Male dwarf to validate
@@ -196,6 +347,7 @@ export class StrategyFactory {
     reset() {
         this.strategies.clear();
         this.initializeStrategies();
+        this.registrations.forEach(({ StrategyClass, config }) => this.createRegisteredStrategy(StrategyClass, config));
     }
 }
 
@@ -0,0 +1,176 @@
+/**
+ * StrategyPayoff.js
+ *
+ * Optional frequency-dependent payoff model for male strategies, after the
+ * side-blotched lizard's rock-paper-scissors system: orange (territorial)
+ * beats blue (guardian), blue beats yellow (sneaky), yellow beats orange.
+ *
+ * A male's mating chance is scaled by how common the morph he beats and the
+ * morph that beats him are among the males around him, so a strategy does
+ * best when its prey is common and its predator is rare. Combined with
+ * heritable strategy genes this drives the classic oscillating cycle.
+ *
+ * Disabled by default (STRATEGY_PAYOFF.enabled), in which case every
+ * strategy keeps its fixed matingChance. Strategies missing from the
+ * beats table (e.g. registered custom strategies) get a neutral payoff.
+ */
+
+export class StrategyPayoff {
+    /**
+     * @param {Object} config - Reproduction configuration
+     * @param {Object} world - World interface
+     * @param {StrategyFactory} strategyFactory - Source of the strategy list (defaults to config.MALE_STRATEGIES)
+     */
+    constructor(config, world, strategyFactory = null) {
+        this.config = config;
+        this.world = world;
+        this.strategyFactory = strategyFactory;
+        this.payoffConfig = config.STRATEGY_PAYOFF;
+    }
+    
+    /**
+     * Names of all strategies males can have
+     * @returns {Array<string>} Strategy names
+     */
+    getStrategyNames() {
+        return this.strategyFactory ? this.strategyFactory.getAvailableStrategies() : this.config.MALE_STRATEGIES;
+    }
+
+    /**
+     * Whether the payoff model is active
+     * @returns {boolean} True if mating chances are frequency dependent
+     */
+    isEnabled() {
+        return !!(this.payoffConfig && this.payoffConfig.enabled);
+    }
+
+    /**
+     * Strategy that beats the given one
+     * @param {string} strategyName - Strategy name
+     * @returns {string|null} Predator strategy name
+     */
+    getBeatenBy(strategyName) {
+        const beats = this.payoffConfig.beats;
+        return Object.keys(beats).find(name => beats[name] === strategyName) || null;
+    }
+
+    /**
+     * Morph frequencies among adult males around a male (including himself)
+     * Falls back to colony-wide frequencies when too few males are nearby.
+     *
+     * @param {Object} male - Focal male
+     * @returns {Object} { frequencies: {orange, blue, yellow}, total, scope: 'local'|'colony' }
+     */
+    getLocalFrequencies(male) {
+        const nearby = this.world.getNearbyMales(male, this.payoffConfig.localRadius, male);
+        const males = male.reproductionStrategy ? [male, ...nearby] : nearby;
+
+        if (males.length >= this.payoffConfig.minLocalMales) {
+            return { ...this.countFrequencies(males), scope: 'local' };
+        }
+        return { ...this.countFrequencies(this.world.getAdultMales()), scope: 'colony' };
+    }
+
+    /**
+     * Count strategy frequencies in a list of males
+     * @private
+     */
+    countFrequencies(males) {
+        const counts = {};
+        this.getStrategyNames().forEach(strategy => {
+            counts[strategy] = 0;
+        });
+
+        let total = 0;
+        males.forEach(male => {
+            if (counts[male.reproductionStrategy] !== undefined) {
+                counts[male.reproductionStrategy]++;
+                total++;
+            }
+        });
+
+        const frequencies = {};
+        Object.keys(counts).forEach(strategy => {
+            frequencies[strategy] = total > 0 ? counts[strategy] / total : 0;
+        });
+
+        return { frequencies, total };
+    }
+
+    /**
+     * Payoff multiplier for a strategy given morph frequencies
+     * 1 + strength * (frequency of the morph it beats - frequency of the morph that beats it),
+     * clamped to [minMultiplier, maxMultiplier].
+     *
+     * @param {string} strategyName - Focal strategy
+     * @param {Object} frequencies - Strategy name -> frequency (0-1)
+     * @returns {number} Multiplier applied to the strategy's matingChance
+     */
+    calculateMultiplier(strategyName, frequencies) {
+        if (!this.payoffConfig.beats[strategyName]) return 1;
+        
+        const prey = this.payoffConfig.beats[strategyName];
+        const predator = this.getBeatenBy(strategyName);
+        const advantage = (frequencies[prey] || 0) - (frequencies[predator] || 0);
+        const multiplier = 1 + this.payoffConfig.strength * advantage;
+
+        return Math.max(this.payoffConfig.minMultiplier, Math.min(this.payoffConfig.maxMultiplier, multiplier));
+    }
+
+    /**
+     * Payoff multiplier for a male at his current position
+     * @param {Object} male - Male dwarf
+     * @returns {number} Multiplier (1 when the model is disabled)
+     */
+    getMultiplier(male) {
+        if (!this.isEnabled() || !male || !male.reproductionStrategy) return 1;
+
+        const { frequencies, total } = this.getLocalFrequencies(male);
+        if (total === 0) return 1;
+
+        return this.calculateMultiplier(male.reproductionStrategy, frequencies);
+    }
+
+    /**
+     * Scale a strategy's base mating chance by the male's payoff
+     * @param {Object} male - Male dwarf
+     * @param {number} baseChance - Strategy's configured matingChance
+     * @returns {number} Mating chance per tick (0-1)
+     */
+    getMatingChance(male, baseChance) {
+        if (!this.isEnabled()) return baseChance;
+        return Math.min(1, baseChance * this.getMultiplier(male));
+    }
+
+    /**
+     * Colony-wide morph frequencies and the payoff each strategy would get from them
+     * @returns {Object} { enabled, frequencies, multipliers, total }
+     */
+    getStatistics() {
+        const { frequencies, total } = this.countFrequencies(this.world.getAdultMales());
+        const multipliers = {};
+        this.getStrategyNames().forEach(strategy => {
+            multipliers[strategy] = this.isEnabled() && total > 0
+                ? this.calculateMultiplier(strategy, frequencies)
+                : 1;
+        });
+
+        return {
+            enabled: this.isEnabled(),
+            frequencies,
+            multipliers,
+            total
+        };
+    }
+}
+
+/**
+ * Factory function for creating StrategyPayoff instances
+ * @param {Object} config - Reproduction configuration
+ * @param {Object} world - World interface
+ * @param {StrategyFactory} strategyFactory - Source of the strategy list
+ * @returns {StrategyPayoff} New payoff model
+ */
+export function createStrategyPayoff(config, world, strategyFactory = null) {
+    return new StrategyPayoff(config, world, strategyFactory);
+}
@@ -31,7 +31,12 @@ export class YellowStrategy extends BaseStrategy {
         }
         
         // Select target female (exact same random selection as original)
-        const targetFemale = this.selectRandomFemale(availableFemales);
+        const targetFemale = this.selectRandomFemale(availableFemales, male);
+        if (!targetFemale) {
+            // Every available female is close kin
+            this.setMateSeekingTimer(male, this.strategyConfig.cooldown);
+            return;
+        }
         
         // Execute sneaky behavior
         this.sneakyMating(male, targetFemale);
@@ -62,11 +67,13 @@ export class YellowStrategy extends BaseStrategy {
         // Emit sneaky attempt event
         this.eventBus.emit(REPRODUCTION_EVENTS.SNEAKY_ATTEMPT, {
             male: {
+                id: male.id,
                 name: male.name,
                 x: male.x,
                 y: male.y
             },
             female: {
+                id: female.id,
                 name: female.name,
                 x: female.x,
                 y: female.y
@@ -74,6 +81,7 @@ export class YellowStrategy extends BaseStrategy {
             distance,
             guardsNearby: hasGuardsNearby,
             guardsDetected: guardsNearby.map(guard => ({
+                id: guard.id,
                 name: guard.name,
                 strategy: guard.reproductionStrategy,
                 distance: this.world.calculateDistance(female, guard)
@@ -84,7 +92,7 @@ export class YellowStrategy extends BaseStrategy {
         // Behavior depends on guard presence (exact same logic as original)
         if (!hasGuardsNearby && distance < this.strategyConfig.matingDistance) {
             // No guards nearby and close enough - attempt mating
-            if (Math.random() < this.strategyConfig.matingChance) {
+            if (this.world.random() < this.getMatingChance(male)) {
                 this.attemptMating(male, female);
             }
         } else if (hasGuardsNearby) {
@@ -103,18 +111,20 @@ export class YellowStrategy extends BaseStrategy {
      */
     moveToHidingPosition(male, female) {
         // Calculate hiding position (exact same as original)
-        const hideX = female.x + Math.random() * this.strategyConfig.hidingRange - (this.strategyConfig.hidingRange / 2);
-        const hideY = female.y + Math.random() * this.strategyConfig.hidingRange - (this.strategyConfig.hidingRange / 2);
+        const hideX = female.x + this.world.random() * this.strategyConfig.hidingRange - (this.strategyConfig.hidingRange / 2);
+        const hideY = female.y + this.world.random() * this.strategyConfig.hidingRange - (this.strategyConfig.hidingRange / 2);
         
         this.world.setDwarfTarget(male, hideX, hideY);
         
         this.eventBus.emit(REPRODUCTION_EVENTS.SNEAKY_ATTEMPT, {
             male: {
+                id: male.id,
                 name: male.name,
                 x: male.x,
                 y: male.y
             },
             female: {
+                id: female.id,
                 name: female.name,
                 x: female.x,
                 y: female.y
@@ -207,6 +217,14 @@ export class YellowStrategy extends BaseStrategy {
         return male && 
                male.reproductionStrategy === 'yellow';
     }
+    
+    /**
+     * Sneaky attempts count as executions in the statistics
+     * @returns {string} Event type
+     */
+    getExecutionEvent() {
+        return REPRODUCTION_EVENTS.SNEAKY_ATTEMPT;
+    }
 }
 
 /**
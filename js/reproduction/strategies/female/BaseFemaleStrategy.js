@@ -0,0 +1,78 @@
+/**
+ * BaseFemaleStrategy.js
+ * 
+ * Abstract base class for female mate-choice strategies.
+ * FemaleSelection ranks nearby males with scoreMate(); the female's
+ * strategy adjusts those scores, decides how often she acts on her
+ * choice and whether her preferred male is good enough to accept.
+ */
+
+export class BaseFemaleStrategy {
+    /**
+     * @param {Object} config - Reproduction configuration
+     * @param {Object} world - World interface
+     * @param {Object} eventBus - Event bus for communication
+     */
+    constructor(config, world, eventBus) {
+        if (this.constructor === BaseFemaleStrategy) {
+            throw new Error('BaseFemaleStrategy is abstract and cannot be instantiated directly');
+        }
+        
+        this.config = config;
+        this.world = world;
+        this.eventBus = eventBus;
+        this.femaleConfig = config.FEMALE_SELECTION;
+        this.strategiesConfig = config.FEMALE_STRATEGIES;
+        
+        if (!config || !world || !eventBus) {
+            throw new Error('BaseFemaleStrategy requires config, world, and eventBus dependencies');
+        }
+    }
+    
+    /**
+     * Get the name of this strategy
+     * @returns {string} Strategy name
+     * @abstract
+     */
+    getName() {
+        throw new Error('getName() method must be implemented by concrete female strategy classes');
+    }
+    
+    /**
+     * Get strategy display name
+     * @returns {string} Human-readable strategy name
+     */
+    getDisplayName() {
+        return this.getName();
+    }
+    
+    /**
+     * Extra score this female gives a male, on top of FemaleSelection.scoreMate()
+     * @param {Object} female - Female doing the scoring
+     * @param {Object} male - Male being scored
+     * @returns {number} Score adjustment
+     */
+    scoreAdjustment(female, male) {
+        return 0;
+    }
+    
+    /**
+     * Chance per evaluation that the female acts on her choice
+     * @param {Object} female - Evaluating female
+     * @returns {number} Probability (0-1)
+     */
+    getEvaluationChance(female) {
+        return this.femaleConfig.evaluationChance;
+    }
+    
+    /**
+     * Whether the female accepts her preferred male
+     * @param {Object} female - Evaluating female
+     * @param {Object} male - Her highest-scoring male
+     * @param {number} score - His score
+     * @returns {boolean} True to attempt mating
+     */
+    accepts(female, male, score) {
+        return true;
+    }
+}
@@ -0,0 +1,47 @@
+/**
+ * ChoosyStrategy.js
+ * 
+ * Choosy females evaluate more often but only accept a male whose score
+ * reaches FEMALE_STRATEGIES.choosy.minScore, i.e. one that matches their
+ * personality preferences. Lower-scoring males are turned down.
+ */
+
+import { BaseFemaleStrategy } from './BaseFemaleStrategy.js';
+import { REPRODUCTION_EVENTS } from '../../events/ReproductionEventBus.js';
+
+export class ChoosyStrategy extends BaseFemaleStrategy {
+    getName() {
+        return 'choosy';
+    }
+    
+    getDisplayName() {
+        return 'Choosy';
+    }
+    
+    getEvaluationChance(female) {
+        return Math.min(1, this.femaleConfig.evaluationChance * this.strategiesConfig.choosy.evaluationMultiplier);
+    }
+    
+    accepts(female, male, score) {
+        if (score >= this.strategiesConfig.choosy.minScore) {
+            return true;
+        }
+        
+        this.eventBus.emit(REPRODUCTION_EVENTS.MATE_REJECTED, {
+            female: {
+                id: female.id,
+                name: female.name,
+                personality: { ...female.personality }
+            },
+            male: {
+                id: male.id,
+                name: male.name,
+                strategy: male.reproductionStrategy
+            },
+            reason: 'below_standard',
+            score,
+            timestamp: Date.now()
+        });
+        return false;
+    }
+}
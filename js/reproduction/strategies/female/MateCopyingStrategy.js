@@ -0,0 +1,53 @@
+/**
+ * MateCopyingStrategy.js
+ * 
+ * Mate-copying females prefer males they have seen other females choose.
+ * Every recent mating the female could have watched (within
+ * copier.observeRadius of her, in the last copier.memory ticks) adds
+ * copier.copyBonus to that male's score, up to copier.maxCopies matings.
+ * 
+ * Recent matings are recorded by FemaleSelection from mating_success events.
+ */
+
+import { BaseFemaleStrategy } from './BaseFemaleStrategy.js';
+
+export class MateCopyingStrategy extends BaseFemaleStrategy {
+    /**
+     * @param {Object} config - Reproduction configuration
+     * @param {Object} world - World interface
+     * @param {Object} eventBus - Event bus for communication
+     * @param {FemaleSelection} femaleSelection - Source of recent matings
+     */
+    constructor(config, world, eventBus, femaleSelection) {
+        super(config, world, eventBus);
+        this.femaleSelection = femaleSelection;
+    }
+    
+    getName() {
+        return 'copier';
+    }
+    
+    getDisplayName() {
+        return 'Mate copier';
+    }
+    
+    scoreAdjustment(female, male) {
+        const copierConfig = this.strategiesConfig.copier;
+        return Math.min(this.countObservedMatings(female, male), copierConfig.maxCopies) * copierConfig.copyBonus;
+    }
+    
+    /**
+     * Count recent matings of a male with other females that happened near this female
+     * @param {Object} female - Observing female
+     * @param {Object} male - Male of interest
+     * @returns {number} Observed matings
+     */
+    countObservedMatings(female, male) {
+        const radius = this.strategiesConfig.copier.observeRadius;
+        return this.femaleSelection.getRecentMatings().filter(mating =>
+            mating.maleId === male.id &&
+            mating.femaleId !== female.id &&
+            this.world.calculateDistance(female, mating) <= radius
+        ).length;
+    }
+}
@@ -0,0 +1,22 @@
+/**
+ * PromiscuousStrategy.js
+ * 
+ * Promiscuous females act on their choice far more often than standard
+ * females, accepting whichever nearby male currently scores best.
+ */
+
+import { BaseFemaleStrategy } from './BaseFemaleStrategy.js';
+
+export class PromiscuousStrategy extends BaseFemaleStrategy {
+    getName() {
+        return 'promiscuous';
+    }
+    
+    getDisplayName() {
+        return 'Promiscuous';
+    }
+    
+    getEvaluationChance(female) {
+        return Math.min(1, this.femaleConfig.evaluationChance * this.strategiesConfig.promiscuous.evaluationMultiplier);
+    }
+}
@@ -0,0 +1,19 @@
+/**
+ * StandardFemaleStrategy.js
+ * 
+ * The original female behavior: pick the best-scoring male and accept him
+ * with FEMALE_SELECTION.evaluationChance. Used by every female while
+ * FEMALE_STRATEGIES is disabled.
+ */
+
+import { BaseFemaleStrategy } from './BaseFemaleStrategy.js';
+
+export class StandardFemaleStrategy extends BaseFemaleStrategy {
+    getName() {
+        return 'standard';
+    }
+    
+    getDisplayName() {
+        return 'Standard';
+    }
+}
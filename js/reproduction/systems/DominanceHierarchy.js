@@ -0,0 +1,189 @@
+/**
+ * DominanceHierarchy.js
+ *
+ * Social rank from fighting (DOMINANCE.enabled). Every dwarf has an
+ * Elo-style dominanceRating, starting at initialRating. Each hit landed in
+ * LifespanCombatSystem counts as a bout won by the attacker: the attacker's
+ * rating rises by kFactor times how unexpected the win was, and the target's
+ * falls by the same amount. A killing blow counts killMultiplier times.
+ *
+ * Rank decides:
+ * - Territorial displacement: a competitor who outranks an orange male
+ *   stands his ground instead of fleeing (OrangeStrategy.displaceCompetitor)
+ * - Mate choice: females score males above initialRating higher and those
+ *   below it lower (FemaleSelection.scoreMate)
+ * - Crowded food and water: outranked dwarfs wait until the dwarfs above
+ *   them have eaten or drunk (Dwarf.seekFood / seekWater)
+ *
+ * Shared through StrategyFactory like Fertility; ratings and bout counts
+ * live on the dwarfs so they are saved with them.
+ */
+
+import { REPRODUCTION_EVENTS } from '../events/ReproductionEventBus.js';
+
+export class DominanceHierarchy {
+    constructor(config, world, eventBus) {
+        this.config = config;
+        this.world = world;
+        this.eventBus = eventBus;
+
+        this.dominanceConfig = config.DOMINANCE;
+
+        // Bouts recorded, and how many ended with a kill
+        this.bouts = 0;
+        this.decisiveBouts = 0;
+    }
+
+    /**
+     * Whether rank has any effect
+     * @returns {boolean} True if the hierarchy is active
+     */
+    isEnabled() {
+        return !!(this.dominanceConfig && this.dominanceConfig.enabled);
+    }
+
+    /**
+     * Dominance rating of a dwarf
+     * @param {Object} dwarf - Dwarf to look up
+     * @returns {number} Its rating, or initialRating if it has none yet
+     */
+    getRating(dwarf) {
+        return dwarf && typeof dwarf.dominanceRating === 'number'
+            ? dwarf.dominanceRating
+            : this.dominanceConfig.initialRating;
+    }
+
+    /**
+     * Elo expected score of one dwarf against another
+     * @param {Object} dwarf - Dwarf whose chance is wanted
+     * @param {Object} opponent - Its opponent
+     * @returns {number} Expected score 0-1 (0.5 between equals)
+     */
+    getExpectedScore(dwarf, opponent) {
+        return 1 / (1 + Math.pow(10, (this.getRating(opponent) - this.getRating(dwarf)) / 400));
+    }
+
+    /**
+     * Update both ratings after a bout
+     * @param {Object} winner - Dwarf that landed the hit
+     * @param {Object} loser - Dwarf that was hit
+     * @param {boolean} decisive - Whether the hit killed the loser
+     * @returns {number} Rating points moved from the loser to the winner (0 if disabled)
+     */
+    recordBout(winner, loser, decisive = false) {
+        if (!this.isEnabled() || !winner || !loser || winner === loser) return 0;
+
+        const weight = decisive ? this.dominanceConfig.killMultiplier : 1;
+        const change = this.dominanceConfig.kFactor * weight * (1 - this.getExpectedScore(winner, loser));
+
+        winner.dominanceRating = this.getRating(winner) + change;
+        loser.dominanceRating = this.getRating(loser) - change;
+        winner.boutsWon = (winner.boutsWon || 0) + 1;
+        loser.boutsLost = (loser.boutsLost || 0) + 1;
+        this.bouts++;
+        if (decisive) {
+            this.decisiveBouts++;
+        }
+
+        this.eventBus.emit(REPRODUCTION_EVENTS.DOMINANCE_CONTEST, {
+            winner: {
+                id: winner.id,
+                name: winner.name,
+                rating: winner.dominanceRating
+            },
+            loser: {
+                id: loser.id,
+                name: loser.name,
+                rating: loser.dominanceRating
+            },
+            change,
+            decisive,
+            timestamp: Date.now()
+        });
+        return change;
+    }
+
+    /**
+     * Whether a dwarf refuses to back down from a challenger
+     * @param {Object} dwarf - Dwarf being driven off
+     * @param {Object} challenger - Dwarf driving it off
+     * @returns {boolean} True if the dwarf outranks the challenger
+     */
+    standsGround(dwarf, challenger) {
+        return this.isEnabled() && this.getRating(dwarf) > this.getRating(challenger);
+    }
+
+    /**
+     * Mate score a female gives a male for his rank
+     * @param {Object} male - Male being scored
+     * @returns {number} (rating - initialRating) * mateScoreWeight, within +/- maxMateBonus
+     */
+    getMateBonus(male) {
+        if (!this.isEnabled()) return 0;
+
+        const { initialRating, mateScoreWeight, maxMateBonus } = this.dominanceConfig;
+        const bonus = (this.getRating(male) - initialRating) * mateScoreWeight;
+        return Math.max(-maxMateBonus, Math.min(maxMateBonus, bonus));
+    }
+
+    /**
+     * Whether a dwarf has to let others go first at a food or water source
+     * @param {Object} dwarf - Dwarf at the source
+     * @param {Array} contenders - Other dwarfs at the source after the same thing
+     * @returns {boolean} True if the source is crowded (crowdSize dwarfs or more) and one of them outranks it
+     */
+    yieldsTo(dwarf, contenders) {
+        if (!this.isEnabled() || contenders.length + 1 < this.dominanceConfig.crowdSize) return false;
+
+        const rating = this.getRating(dwarf);
+        return contenders.some(contender => this.getRating(contender) > rating);
+    }
+
+    /**
+     * The hierarchy, highest rank first
+     * @param {Array} dwarfs - Dwarfs to rank (default: living adults)
+     * @returns {Array} [{ rank, id, name, gender, rating, boutsWon, boutsLost }]
+     */
+    getRankings(dwarfs = null) {
+        const ranked = (dwarfs || this.world.getAdultDwarfs().filter(dwarf => !dwarf.isDead))
+            .slice()
+            .sort((a, b) => this.getRating(b) - this.getRating(a));
+
+        return ranked.map((dwarf, index) => ({
+            rank: index + 1,
+            id: dwarf.id,
+            name: dwarf.name,
+            gender: dwarf.gender,
+            rating: Math.round(this.getRating(dwarf)),
+            boutsWon: dwarf.boutsWon || 0,
+            boutsLost: dwarf.boutsLost || 0
+        }));
+    }
+
+    /**
+     * Bouts fought and the top of the hierarchy
+     * @returns {Object} { enabled, bouts, decisiveBouts, ratingSpread, top: first 5 rankings }
+     */
+    getStatistics() {
+        const rankings = this.getRankings();
+
+        return {
+            enabled: this.isEnabled(),
+            bouts: this.bouts,
+            decisiveBouts: this.decisiveBouts,
+            ratingSpread: rankings.length > 0 ? rankings[0].rating - rankings[rankings.length - 1].rating : 0,
+            top: rankings.slice(0, 5)
+        };
+    }
+}
+
+/**
+ * Factory function for creating DominanceHierarchy instances
+ * @param {Object} config - Reproduction configuration
+ * @param {Object} world - World interface
+ * @param {Object} eventBus - Event bus for communication
+ * @returns {DominanceHierarchy} New dominance hierarchy
+ */
+export function createDominanceHierarchy(config, world, eventBus) {
+    return new DominanceHierarchy(config, world, eventBus);
+}
@@ -6,21 +6,135 @@
  * scoreMate(), and acceptMating() functions.
  * 
  * Females evaluate nearby males based on personality traits and
- * reproduction strategies, then select preferred mates.
+ * reproduction strategies, then select preferred mates. Each male's
+ * strategy can add its own score through BaseStrategy.scoreForFemale().
+ * 
+ * Each female also follows a female strategy (female.femaleStrategy):
+ * standard, choosy, promiscuous or mate-copying, see strategies/female/.
+ * Learned preferences (female.matePreferences, see MateChoiceLearning)
+ * are added to her scores, and relatives are penalized by how closely
+ * they are related (INBREEDING.penalty). Male health, age, fight record,
+ * efficiency and provisioning are weighed by her personality (see
+ * MaleCondition).
  */
 
 import { REPRODUCTION_EVENTS } from '../events/ReproductionEventBus.js';
+import { StandardFemaleStrategy } from '../strategies/female/StandardFemaleStrategy.js';
+import { ChoosyStrategy } from '../strategies/female/ChoosyStrategy.js';
+import { PromiscuousStrategy } from '../strategies/female/PromiscuousStrategy.js';
+import { MateCopyingStrategy } from '../strategies/female/MateCopyingStrategy.js';
+import { MaleCondition } from './MaleCondition.js';
 
 export class FemaleSelection {
-    constructor(config, world, eventBus) {
+    constructor(config, world, eventBus, strategyFactory = null) {
         this.config = config;
         this.world = world;
         this.eventBus = eventBus;
+        this.strategyFactory = strategyFactory;
         this.femaleConfig = config.FEMALE_SELECTION;
         
         if (!config || !world || !eventBus) {
             throw new Error('FemaleSelection requires config, world, and eventBus dependencies');
         }
+        
+        this.femaleStrategies = new Map([
+            ['standard', new StandardFemaleStrategy(config, world, eventBus)],
+            ['choosy', new ChoosyStrategy(config, world, eventBus)],
+            ['promiscuous', new PromiscuousStrategy(config, world, eventBus)],
+            ['copier', new MateCopyingStrategy(config, world, eventBus, this)]
+        ]);
+        
+        // Male condition factors; the age factor follows the shared fertility curve
+        this.maleCondition = new MaleCondition(config, world, strategyFactory ? strategyFactory.fertilityModel : null);
+        
+        // Recent matings, watched by mate-copying females: { maleId, femaleId, x, y, time }
+        this.recentMatings = [];
+        this.eventBus.subscribe(REPRODUCTION_EVENTS.MATING_SUCCESS, (event) => {
+            this.recordMating(event.data);
+        });
+        
+        this.strategyStatistics = { matingsCopied: 0, choosyRejections: 0 };
+        this.eventBus.subscribe(REPRODUCTION_EVENTS.MATE_REJECTED, (event) => {
+            if (event.data.reason === 'below_standard') this.strategyStatistics.choosyRejections++;
+        });
+    }
+    
+    /**
+     * Give a female her strategy
+     * While FEMALE_STRATEGIES is disabled every female is 'standard' and no random draw is made.
+     * 
+     * @param {Object} female - Female dwarf
+     * @param {string} strategyName - Strategy to give her (random from FEMALE_STRATEGIES.strategies if omitted)
+     * @param {string} source - Why she has it ('random', 'selected', ...), reported in the event
+     */
+    assignFemaleStrategy(female, strategyName = null, source = 'random') {
+        const strategiesConfig = this.config.FEMALE_STRATEGIES;
+        if (!strategyName) {
+            strategyName = strategiesConfig.enabled
+                ? strategiesConfig.strategies[Math.floor(this.world.random() * strategiesConfig.strategies.length)]
+                : 'standard';
+        }
+        if (!this.femaleStrategies.has(strategyName)) {
+            throw new Error(`FemaleSelection: Unknown female strategy: ${strategyName}`);
+        }
+        
+        female.femaleStrategy = strategyName;
+        if (!female.matePreferences) {
+            female.matePreferences = {};
+        }
+        
+        this.eventBus.emit(REPRODUCTION_EVENTS.FEMALE_STRATEGY_ASSIGNED, {
+            female: {
+                id: female.id,
+                name: female.name
+            },
+            strategy: strategyName,
+            source,
+            timestamp: Date.now()
+        });
+    }
+    
+    /**
+     * Get the strategy a female follows
+     * @param {Object} female - Female dwarf
+     * @returns {BaseFemaleStrategy} Her strategy (standard if unset or unknown)
+     */
+    getFemaleStrategy(female) {
+        return this.femaleStrategies.get(female.femaleStrategy) || this.femaleStrategies.get('standard');
+    }
+    
+    /**
+     * Get all female strategy names
+     * @returns {Array<string>} Strategy names
+     */
+    getFemaleStrategyNames() {
+        return Array.from(this.femaleStrategies.keys());
+    }
+    
+    /**
+     * Remember a successful mating for mate-copying females
+     * @private
+     */
+    recordMating(data) {
+        const female = this.world.getDwarfById(data.femaleId);
+        if (!female) return;
+        
+        const now = this.world.getTime();
+        this.recentMatings = this.recentMatings.filter(mating =>
+            now - mating.time <= this.config.FEMALE_STRATEGIES.copier.memory && mating.time <= now
+        );
+        this.recentMatings.push({ maleId: data.maleId, femaleId: data.femaleId, x: female.x, y: female.y, time: now });
+    }
+    
+    /**
+     * Matings within the copier memory window
+     * @returns {Array} Recent matings: { maleId, femaleId, x, y, time }
+     */
+    getRecentMatings() {
+        const now = this.world.getTime();
+        return this.recentMatings.filter(mating =>
+            now - mating.time <= this.config.FEMALE_STRATEGIES.copier.memory && mating.time <= now
+        );
     }
     
     /**
@@ -39,11 +153,33 @@ export class FemaleSelection {
         );
         
         if (nearbyMales.length > 0) {
-            const preferredMale = this.selectPreferredMale(female, nearbyMales);
+            const strategy = this.getFemaleStrategy(female);
+            const ranked = this.rankMales(female, nearbyMales);
+            const preferred = ranked.length > 0 ? ranked[0] : null;
             
-            // Attempt mating with preferred male (exact same probability as original)
-            if (preferredMale && Math.random() < this.femaleConfig.evaluationChance) {
-                this.acceptMating(female, preferredMale);
+            // Attempt mating with preferred male (standard: exact same probability as original)
+            if (preferred && this.world.random() < strategy.getEvaluationChance(female) &&
+                strategy.accepts(female, preferred.male, preferred.score)) {
+                // Counted before mating, which adds her own mating to the recent list
+                const observedMatings = strategy instanceof MateCopyingStrategy
+                    ? strategy.countObservedMatings(female, preferred.male)
+                    : 0;
+                if (this.acceptMating(female, preferred.male) && observedMatings > 0) {
+                    this.strategyStatistics.matingsCopied++;
+                    this.eventBus.emit(REPRODUCTION_EVENTS.MATE_COPIED, {
+                        female: {
+                            id: female.id,
+                            name: female.name
+                        },
+                        male: {
+                            id: preferred.male.id,
+                            name: preferred.male.name,
+                            strategy: preferred.male.reproductionStrategy
+                        },
+                        observedMatings,
+                        timestamp: Date.now()
+                    });
+                }
             }
         }
     }
@@ -57,6 +193,17 @@ export class FemaleSelection {
      * @returns {Object|null} Selected preferred male or null
      */
     selectPreferredMale(female, males) {
+        const ranked = this.rankMales(female, males);
+        return ranked.length > 0 ? ranked[0].male : null;
+    }
+    
+    /**
+     * Score and sort candidate males, best first, and emit the evaluation event
+     * @param {Object} female - Female dwarf making selection
+     * @param {Array} males - Array of nearby male candidates
+     * @returns {Array} [{ male, score }] highest score first
+     */
+    rankMales(female, males) {
         const scores = {};
         
         // Score each male (exact same logic as original)
@@ -77,17 +224,20 @@ export class FemaleSelection {
         // Emit evaluation event
         this.eventBus.emit(REPRODUCTION_EVENTS.FEMALE_EVALUATION, {
             female: {
+                id: female.id,
                 name: female.name,
                 personality: { ...female.personality },
                 x: female.x,
                 y: female.y
             },
             evaluatedMales: males.map(male => ({
+                id: male.id,
                 name: male.name,
                 strategy: male.reproductionStrategy,
                 score: scores[male.name] || 0
             })),
             selectedMale: selectedMale ? {
+                id: selectedMale.id,
                 name: selectedMale.name,
                 strategy: selectedMale.reproductionStrategy,
                 score: scores[selectedMale.name] || 0
@@ -95,7 +245,7 @@ export class FemaleSelection {
             timestamp: Date.now()
         });
         
-        return selectedMale;
+        return scoredMales;
     }
     
     /**
@@ -133,8 +283,27 @@ export class FemaleSelection {
             }
         }
         
+        // Strategy's own female-scoring hook (0 for the built-in strategies)
+        score += this.getStrategyScore(female, male);
+        
+        // Female strategy and learned preferences (0 for standard females with nothing learned)
+        score += this.getFemaleStrategy(female).scoreAdjustment(female, male);
+        score += this.getLearnedPreference(female, male);
+        
+        // Pair bond: her partner scores higher the stronger their bond
+        score += this.getPairBondBonus(female, male);
+        
+        // Dominance: high-ranking males score higher, low-ranking ones lower
+        score += this.getDominanceBonus(male);
+        
+        // Condition: health, age, fights, efficiency and provisioning, weighed by her personality
+        score += this.maleCondition.getConditionScore(female, male).total;
+        
+        // Kin recognition: related males score lower
+        score -= this.getInbreedingPenalty(female, male);
+        
         // Add random variance (exact same as original)
-        return score + Math.random() * this.femaleConfig.randomVariance;
+        return score + this.world.random() * this.femaleConfig.randomVariance;
     }
     
     /**
@@ -152,10 +321,12 @@ export class FemaleSelection {
         if (success) {
             this.eventBus.emit(REPRODUCTION_EVENTS.MATE_SELECTED, {
                 female: {
+                    id: female.id,
                     name: female.name,
                     personality: { ...female.personality }
                 },
                 male: {
+                    id: male.id,
                     name: male.name,
                     strategy: male.reproductionStrategy
                 },
@@ -164,10 +335,12 @@ export class FemaleSelection {
         } else {
             this.eventBus.emit(REPRODUCTION_EVENTS.MATE_REJECTED, {
                 female: {
+                    id: female.id,
                     name: female.name,
                     personality: { ...female.personality }
                 },
                 male: {
+                    id: male.id,
                     name: male.name,
                     strategy: male.reproductionStrategy
                 },
@@ -193,13 +366,31 @@ export class FemaleSelection {
             return false;
         }
         
-        // 70% success rate (exact same as original)
-        const success = Math.random() < this.config.MATING_SUCCESS_RATE;
+        // 70% success rate, scaled by both partners' age and her nutrition (see Fertility.js)
+        const conceptionChance = this.strategyFactory
+            ? this.strategyFactory.fertilityModel.getConceptionChance(male, female)
+            : 1;
+        const success = this.world.random() < this.config.MATING_SUCCESS_RATE * conceptionChance;
+        
+        // Same attempt event as male-initiated matings, so both count in statistics and male records
+        this.eventBus.emit(REPRODUCTION_EVENTS.MATING_ATTEMPT, {
+            male: male.name,
+            female: female.name,
+            maleId: male.id,
+            femaleId: female.id,
+            strategy: male.reproductionStrategy,
+            distance: this.world.calculateDistance(male, female),
+            conceptionChance,
+            success,
+            initiatedBy: 'female',
+            timestamp: Date.now()
+        });
         
         if (success) {
             // Set pregnancy and cooldowns (exact same as original)
             female.isPregnant = true;
             female.pregnancyTimer = 0;
+            female.pregnancyFatherId = male.id;
             female.reproductionCooldown = this.config.FEMALE_REPRODUCTION_COOLDOWN;
             male.reproductionCooldown = this.config.MALE_REPRODUCTION_COOLDOWN;
             
@@ -214,6 +405,8 @@ export class FemaleSelection {
             this.eventBus.emit(REPRODUCTION_EVENTS.MATING_SUCCESS, {
                 male: male.name,
                 female: female.name,
+                maleId: male.id,
+                femaleId: female.id,
                 strategy: male.reproductionStrategy,
                 initiatedBy: 'female',
                 timestamp: Date.now()
@@ -301,9 +494,132 @@ export class FemaleSelection {
             }
         }
         
+        const strategyScore = this.getStrategyScore(female, male);
+        if (strategyScore !== 0) {
+            breakdown.strategyScore = strategyScore;
+            score += strategyScore;
+        }
+        
+        const femaleStrategyScore = this.getFemaleStrategy(female).scoreAdjustment(female, male);
+        if (femaleStrategyScore !== 0) {
+            breakdown.femaleStrategyScore = femaleStrategyScore;
+            score += femaleStrategyScore;
+        }
+        
+        const learnedPreference = this.getLearnedPreference(female, male);
+        if (learnedPreference !== 0) {
+            breakdown.learnedPreference = learnedPreference;
+            score += learnedPreference;
+        }
+        
+        const pairBond = this.getPairBondBonus(female, male);
+        if (pairBond !== 0) {
+            breakdown.pairBond = pairBond;
+            score += pairBond;
+        }
+        
+        const dominance = this.getDominanceBonus(male);
+        if (dominance !== 0) {
+            breakdown.dominance = dominance;
+            score += dominance;
+        }
+        
+        const condition = this.maleCondition.getConditionScore(female, male);
+        if (this.maleCondition.isEnabled()) {
+            breakdown.condition = condition.factors;
+            breakdown.conditionScore = condition.total;
+            score += condition.total;
+        }
+        
+        breakdown.relatedness = this.world.getRelatedness(female.id, male.id);
+        const inbreedingPenalty = this.getInbreedingPenalty(female, male);
+        if (inbreedingPenalty !== 0) {
+            breakdown.inbreedingPenalty = -inbreedingPenalty;
+            score -= inbreedingPenalty;
+        }
+        
         breakdown.finalScore = score; // Before random variance
         return breakdown;
     }
+    
+    /**
+     * Preference a female has learned for the male's strategy (see MateChoiceLearning)
+     * @param {Object} female - Female dwarf doing the scoring
+     * @param {Object} male - Male dwarf being scored
+     * @returns {number} Learned score bonus, 0 if none
+     */
+    getLearnedPreference(female, male) {
+        return (female.matePreferences && female.matePreferences[male.reproductionStrategy]) || 0;
+    }
+    
+    /**
+     * Score bonus a female gives her bonded partner (see PairBonding)
+     * @param {Object} female - Female dwarf doing the scoring
+     * @param {Object} male - Male dwarf being scored
+     * @returns {number} Bond strength times PAIR_BONDING.preferenceBonus, 0 for other males
+     */
+    getPairBondBonus(female, male) {
+        const bondConfig = this.config.PAIR_BONDING;
+        if (!bondConfig.enabled || female.partnerId === null || female.partnerId === undefined ||
+            female.partnerId !== male.id) {
+            return 0;
+        }
+        return (female.bondStrength || 0) * bondConfig.preferenceBonus;
+    }
+    
+    /**
+     * Score a female gives a male for his rank (see DominanceHierarchy)
+     * @param {Object} male - Male dwarf being scored
+     * @returns {number} Rank bonus, negative for males below the starting rating (0 without a strategy factory)
+     */
+    getDominanceBonus(male) {
+        return this.strategyFactory ? this.strategyFactory.dominanceModel.getMateBonus(male) : 0;
+    }
+    
+    /**
+     * Score lost for mating with a relative
+     * @param {Object} female - Female dwarf doing the scoring
+     * @param {Object} male - Male dwarf being scored
+     * @returns {number} Penalty (relatedness times INBREEDING.penalty, 0 for unrelated males)
+     */
+    getInbreedingPenalty(female, male) {
+        return this.world.getRelatedness(female.id, male.id) * this.config.INBREEDING.penalty;
+    }
+    
+    /**
+     * Female strategy counts and outcomes
+     * @returns {Object} { females: {strategy: count}, matingsCopied, choosyRejections }
+     */
+    getStrategyStatistics() {
+        const females = {};
+        this.getFemaleStrategyNames().forEach(strategy => {
+            females[strategy] = 0;
+        });
+        this.world.getAdultDwarfs().forEach(dwarf => {
+            if (dwarf.gender === 'female') {
+                females[this.getFemaleStrategy(dwarf).getName()]++;
+            }
+        });
+        
+        return {
+            enabled: this.config.FEMALE_STRATEGIES.enabled,
+            females,
+            ...this.strategyStatistics
+        };
+    }
+    
+    /**
+     * Score contributed by the male's strategy (see BaseStrategy.scoreForFemale)
+     * @param {Object} female - Female dwarf doing the scoring
+     * @param {Object} male - Male dwarf being scored
+     * @returns {number} Strategy score, 0 without a strategy factory
+     */
+    getStrategyScore(female, male) {
+        if (!this.strategyFactory || !this.strategyFactory.hasStrategy(male.reproductionStrategy)) {
+            return 0;
+        }
+        return this.strategyFactory.getStrategy(male.reproductionStrategy).scoreForFemale(female, male) || 0;
+    }
 }
 
 /**
@@ -311,8 +627,9 @@ export class FemaleSelection {
  * @param {Object} config - Reproduction configuration
  * @param {Object} world - World interface
  * @param {Object} eventBus - Event bus for communication
+ * @param {StrategyFactory} strategyFactory - Source of strategy scoring hooks (optional)
  * @returns {FemaleSelection} New female selection instance
  */
-export function createFemaleSelection(config, world, eventBus) {
-    return new FemaleSelection(config, world, eventBus);
+export function createFemaleSelection(config, world, eventBus, strategyFactory = null) {
+    return new FemaleSelection(config, world, eventBus, strategyFactory);
 }
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * Fertility.js
+ *
+ * When dwarfs can breed and how likely a mating is to lead to a pregnancy.
+ *
+ * - Age (FERTILITY): fertility rises from youngFertility at birth to 1 at
+ *   peakAge, stays there until declineAge and falls to 0 at endAge, all as
+ *   fractions of the dwarf's maxLifespan from LifespanCombatSystem. Dwarfs
+ *   without lifespan data are always fully fertile.
+ * - Season (BREEDING_SEASON, optional): the colony year is yearLength ticks
+ *   split evenly into seasons; dwarfs only breed in breedingSeasons.
+ * - Nutrition (NUTRITION): a female's conception chance scales with her
+ *   average of hunger and thirst, from minConception when starving to 1
+ *   when well fed.
+ *
+ * ReproductionSystem.canParticipateInReproduction() asks canBreed(), and
+ * BaseStrategy.attemptMating() scales MATING_SUCCESS_RATE by
+ * getConceptionChance(). Shared through StrategyFactory like StrategyPayoff.
+ */
+
+import { REPRODUCTION_EVENTS } from '../events/ReproductionEventBus.js';
+
+export class Fertility {
+    constructor(config, world, eventBus) {
+        this.config = config;
+        this.world = world;
+        this.eventBus = eventBus;
+
+        this.fertilityConfig = config.FERTILITY;
+        this.seasonConfig = config.BREEDING_SEASON;
+        this.nutritionConfig = config.NUTRITION;
+
+        // Season seen on the last update(), to announce changes
+        this.lastSeason = null;
+    }
+
+    /**
+     * Fertility from a dwarf's age
+     * @param {Object} dwarf - Dwarf to check
+     * @returns {number} 0 (infertile) to 1 (peak fertility)
+     */
+    getAgeFertility(dwarf) {
+        const fertilityConfig = this.fertilityConfig;
+        if (!fertilityConfig.enabled || !dwarf || typeof dwarf.age !== 'number' || !(dwarf.maxLifespan > 0)) {
+            return 1;
+        }
+
+        const ageRatio = dwarf.age / dwarf.maxLifespan;
+        if (ageRatio >= fertilityConfig.endAge) return 0;
+        if (ageRatio < fertilityConfig.peakAge) {
+            return fertilityConfig.youngFertility + (1 - fertilityConfig.youngFertility) * ageRatio / fertilityConfig.peakAge;
+        }
+        if (ageRatio <= fertilityConfig.declineAge) return 1;
+        return 1 - (ageRatio - fertilityConfig.declineAge) / (fertilityConfig.endAge - fertilityConfig.declineAge);
+    }
+
+    /**
+     * Colony calendar
+     * @param {number} time - Game time in ticks (default now)
+     * @returns {Object} { year (from 1), season, seasonIndex, seasonProgress (0-1) }
+     */
+    getCalendar(time = this.world.getTime()) {
+        const { yearLength, seasons } = this.seasonConfig;
+        const seasonLength = yearLength / seasons.length;
+        const timeOfYear = time % yearLength;
+        const seasonIndex = Math.min(seasons.length - 1, Math.floor(timeOfYear / seasonLength));
+
+        return {
+            year: Math.floor(time / yearLength) + 1,
+            season: seasons[seasonIndex],
+            seasonIndex,
+            seasonProgress: (timeOfYear - seasonIndex * seasonLength) / seasonLength
+        };
+    }
+
+    /**
+     * Whether it is breeding season
+     * @returns {boolean} True in a breeding season, or always if BREEDING_SEASON is disabled
+     */
+    isBreedingSeason() {
+        if (!this.seasonConfig.enabled) return true;
+        return this.seasonConfig.breedingSeasons.includes(this.getCalendar().season);
+    }
+
+    /**
+     * Conception factor from a female's nourishment
+     * @param {Object} female - Female dwarf
+     * @returns {number} minConception (starving) to 1 (well fed)
+     */
+    getNutritionFactor(female) {
+        const nutritionConfig = this.nutritionConfig;
+        if (!nutritionConfig.enabled || !female) return 1;
+
+        const nourishment = ((female.hunger || 0) + (female.thirst || 0)) / 2;
+        if (nourishment >= nutritionConfig.wellFedLevel) return 1;
+        if (nourishment <= nutritionConfig.starvingLevel) return nutritionConfig.minConception;
+
+        const fed = (nourishment - nutritionConfig.starvingLevel) / (nutritionConfig.wellFedLevel - nutritionConfig.starvingLevel);
+        return nutritionConfig.minConception + (1 - nutritionConfig.minConception) * fed;
+    }
+
+    /**
+     * Whether a dwarf may take part in reproduction now
+     * @param {Object} dwarf - Adult dwarf
+     * @returns {boolean} False out of season or past fertile age
+     */
+    canBreed(dwarf) {
+        return this.isBreedingSeason() && this.getAgeFertility(dwarf) > 0;
+    }
+
+    /**
+     * Factor applied to MATING_SUCCESS_RATE for a mating
+     * @param {Object} male - Male dwarf
+     * @param {Object} female - Female dwarf
+     * @returns {number} Product of both partners' age fertility and her nutrition factor (0-1)
+     */
+    getConceptionChance(male, female) {
+        return this.getAgeFertility(male) * this.getAgeFertility(female) * this.getNutritionFactor(female);
+    }
+
+    /**
+     * Announce season changes while BREEDING_SEASON is enabled
+     * Should be called each game tick.
+     */
+    update() {
+        if (!this.seasonConfig.enabled) return;
+
+        const calendar = this.getCalendar();
+        if (calendar.season === this.lastSeason) return;
+
+        const firstUpdate = this.lastSeason === null;
+        this.lastSeason = calendar.season;
+        if (firstUpdate) return;
+
+        const breeding = this.seasonConfig.breedingSeasons.includes(calendar.season);
+        const seasonName = calendar.season.charAt(0).toUpperCase() + calendar.season.slice(1);
+        this.world.addLog(`${seasonName} of year ${calendar.year}` + (breeding ? ': breeding season' : ''), breeding);
+
+        this.eventBus.emit(REPRODUCTION_EVENTS.SEASON_CHANGED, {
+            ...calendar,
+            breedingSeason: breeding,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Current season and adult fertility
+     * @returns {Object} { calendar, breedingSeason, averageFertility, infertileAdults }
+     */
+    getStatistics() {
+        const adults = this.world.getAdultDwarfs();
+        const fertilities = adults.map(dwarf => this.getAgeFertility(dwarf));
+
+        return {
+            calendar: this.getCalendar(),
+            breedingSeason: this.isBreedingSeason(),
+            averageFertility: fertilities.length > 0
+                ? Math.round(fertilities.reduce((sum, fertility) => sum + fertility, 0) / fertilities.length * 100) / 100
+                : 0,
+            infertileAdults: fertilities.filter(fertility => fertility === 0).length
+        };
+    }
+}
+
+/**
+ * Factory function for creating Fertility instances
+ * @param {Object} config - Reproduction configuration
+ * @param {Object} world - World interface
+ * @param {Object} eventBus - Event bus for communication
+ * @returns {Fertility} New fertility model
+ */
+export function createFertility(config, world, eventBus) {
+    return new Fertility(config, world, eventBus);
+}
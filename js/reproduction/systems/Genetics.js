@@ -0,0 +1,214 @@
+/**
+ * Genetics.js
+ *
+ * Inheritance of reproductive strategy, class and personality at birth.
+ *
+ * Every dwarf carries a strategy gene (strategyGene); males express it as
+ * their reproductionStrategy, females carry it unexpressed and pass it on.
+ * A baby takes its strategy gene and class from one parent at random and
+ * blends both parents' personality traits. Each inherited trait mutates
+ * with probability GENETICS.mutationRate, so strategy frequencies can drift
+ * and be selected for or against over generations.
+ *
+ * The father's genes are recorded on the mother at conception, so a father
+ * who dies during the pregnancy still passes them on.
+ */
+
+import { REPRODUCTION_EVENTS } from '../events/ReproductionEventBus.js';
+
+const PERSONALITY_TRAITS = ['openness', 'conscientiousness', 'extraversion', 'agreeableness', 'neuroticism'];
+
+export class Genetics {
+    constructor(config, world, eventBus, strategyFactory = null) {
+        this.config = config;
+        this.world = world;
+        this.eventBus = eventBus;
+        this.strategyFactory = strategyFactory;
+
+        this.geneticsConfig = config.GENETICS;
+
+        // Counts of mutations applied at birth
+        this.mutations = { strategy: 0, class: 0, personality: 0 };
+    }
+
+    /**
+     * Strategy genes a dwarf can carry, including registered custom strategies
+     * @returns {Array<string>} Strategy names
+     */
+    getStrategyNames() {
+        return this.strategyFactory ? this.strategyFactory.getAvailableStrategies() : this.config.MALE_STRATEGIES;
+    }
+    
+    /**
+     * Get the heritable traits of a dwarf
+     * @param {Object} dwarf - Dwarf to read
+     * @returns {Object} Genotype: { strategy, class, personality }
+     */
+    getGenotype(dwarf) {
+        return {
+            strategy: dwarf.strategyGene || dwarf.reproductionStrategy || null,
+            class: dwarf.class || null,
+            personality: dwarf.personality ? { ...dwarf.personality } : null
+        };
+    }
+
+    /**
+     * Record the father's genes on the mother at conception
+     * @param {Object} female - Newly pregnant female
+     * @param {Object} male - Father
+     */
+    recordConception(female, male) {
+        if (!female || !male) return;
+        female.pregnancyFatherGenes = this.getGenotype(male);
+    }
+
+    /**
+     * Give a random strategy gene to a dwarf that has none (founders)
+     * @param {Object} dwarf - Dwarf to initialize
+     */
+    assignRandomStrategyGene(dwarf) {
+        if (dwarf.strategyGene) return;
+        dwarf.strategyGene = this.randomChoice(this.getStrategyNames());
+    }
+
+    /**
+     * Overwrite a newborn's class, personality and strategy gene with inherited values
+     * The Dwarf constructor has already rolled random traits; those are replaced here.
+     *
+     * @param {Object} baby - Newborn dwarf
+     * @param {Object} mother - Mother dwarf
+     * @param {Object} fatherGenes - Father's genotype (see getGenotype), null if unknown
+     * @returns {Object} Inheritance report: { strategy, class, mutations: [trait names] }
+     */
+    inheritTraits(baby, mother, fatherGenes = null) {
+        const motherGenes = this.getGenotype(mother);
+        const mutations = [];
+
+        // Strategy gene and class come whole from one parent
+        const strategy = this.inheritChoice(motherGenes.strategy, fatherGenes?.strategy, this.getStrategyNames());
+        baby.strategyGene = strategy.value;
+        if (strategy.mutated) mutations.push('strategy');
+
+        const dwarfClass = this.inheritChoice(motherGenes.class, fatherGenes?.class, this.geneticsConfig.classes);
+        if (dwarfClass.value) baby.class = dwarfClass.value;
+        if (dwarfClass.mutated) mutations.push('class');
+
+        // Personality blends both parents
+        if (motherGenes.personality) {
+            const fatherPersonality = fatherGenes?.personality || motherGenes.personality;
+            const personality = {};
+            let personalityMutated = false;
+
+            PERSONALITY_TRAITS.forEach(trait => {
+                const mid = (motherGenes.personality[trait] + fatherPersonality[trait]) / 2;
+                let value = mid + (this.world.random() * 2 - 1) * this.geneticsConfig.personalityVariance;
+                if (this.world.random() < this.geneticsConfig.mutationRate) {
+                    value += (this.world.random() * 2 - 1) * this.geneticsConfig.personalityMutationSize;
+                    personalityMutated = true;
+                }
+                personality[trait] = Math.max(0, Math.min(100, value));
+            });
+
+            baby.personality = personality;
+            if (personalityMutated) mutations.push('personality');
+        }
+
+        mutations.forEach(trait => this.mutations[trait]++);
+
+        const report = { strategy: baby.strategyGene, class: baby.class, mutations };
+        this.eventBus.emit(REPRODUCTION_EVENTS.TRAITS_INHERITED, {
+            baby: {
+                id: baby.id,
+                name: baby.name,
+                gender: baby.gender
+            },
+            motherStrategy: motherGenes.strategy,
+            fatherStrategy: fatherGenes ? fatherGenes.strategy : null,
+            ...report,
+            timestamp: Date.now()
+        });
+
+        return report;
+    }
+
+    /**
+     * Pick one parent's allele, then possibly mutate it to a different option
+     * @private
+     */
+    inheritChoice(motherValue, fatherValue, options) {
+        const alleles = [motherValue, fatherValue].filter(value => value && options.includes(value));
+        let value = alleles.length > 0
+            ? alleles[Math.floor(this.world.random() * alleles.length)]
+            : this.randomChoice(options);
+
+        let mutated = false;
+        if (options.length > 1 && this.world.random() < this.geneticsConfig.mutationRate) {
+            const others = options.filter(option => option !== value);
+            value = this.randomChoice(others);
+            mutated = true;
+        }
+
+        return { value, mutated };
+    }
+
+    /**
+     * Pick a random element using the world's generator
+     * @private
+     */
+    randomChoice(options) {
+        return options[Math.floor(this.world.random() * options.length)];
+    }
+
+    /**
+     * Strategy gene frequencies across the living population
+     * Counts every dwarf's gene, including the unexpressed genes females carry.
+     *
+     * @returns {Object} { counts: {strategy: count}, frequencies: {...}, total }
+     */
+    getStrategyGeneFrequencies() {
+        const counts = {};
+        this.getStrategyNames().forEach(strategy => {
+            counts[strategy] = 0;
+        });
+
+        let total = 0;
+        this.world.getAllDwarfs().forEach(dwarf => {
+            const gene = dwarf.strategyGene || (dwarf.gender === 'male' ? dwarf.reproductionStrategy : null);
+            if (gene && counts[gene] !== undefined) {
+                counts[gene]++;
+                total++;
+            }
+        });
+
+        const frequencies = {};
+        Object.keys(counts).forEach(strategy => {
+            frequencies[strategy] = total > 0 ? counts[strategy] / total : 0;
+        });
+
+        return { counts, frequencies, total };
+    }
+
+    /**
+     * Get genetics statistics
+     * @returns {Object} Mutation counts and current gene frequencies
+     */
+    getStatistics() {
+        return {
+            mutationRate: this.geneticsConfig.mutationRate,
+            mutations: { ...this.mutations },
+            strategyGenes: this.getStrategyGeneFrequencies()
+        };
+    }
+}
+
+/**
+ * Factory function for creating Genetics instances
+ * @param {Object} config - Reproduction configuration
+ * @param {Object} world - World interface
+ * @param {Object} eventBus - Event bus for communication
+ * @param {StrategyFactory} strategyFactory - Source of the strategy list (optional)
+ * @returns {Genetics} New genetics instance
+ */
+export function createGenetics(config, world, eventBus, strategyFactory = null) {
+    return new Genetics(config, world, eventBus, strategyFactory);
+}
@@ -0,0 +1,135 @@
+/**
+ * MaleCondition.js
+ *
+ * Condition-dependent mate choice (MALE_CONDITION.enabled). Females rate a
+ * male on five factors, each from 0 (poor) to 1 (excellent):
+ * - health: health / maxHealth
+ * - age: how close he is to his prime (Fertility age curve)
+ * - fights: share of bouts won (DominanceHierarchy), or his class combat
+ *   power (LifespanUtils.calculateCombatPower) until he has fought
+ * - efficiency: work efficiency, 0.8 -> 0 up to 1.2 -> 1
+ * - provisioning: gold mined, relative to the best provider among adult males
+ *
+ * A factor scores weight * (condition - 0.5) * 2, scaled by one of the
+ * female's personality traits (trait / 50, or (100 - trait) / 50 for
+ * inverse factors), so an average male is neutral and each female weighs
+ * the factors differently. Factors the male has no data for score 0.
+ */
+
+import { LifespanUtils } from '../../LifespanCombatSystem.js';
+
+export class MaleCondition {
+    constructor(config, world, fertilityModel = null) {
+        this.config = config;
+        this.world = world;
+        this.fertilityModel = fertilityModel;
+
+        this.conditionConfig = config.MALE_CONDITION;
+    }
+
+    /**
+     * Whether females take male condition into account
+     * @returns {boolean} True if condition-dependent choice is active
+     */
+    isEnabled() {
+        return !!(this.conditionConfig && this.conditionConfig.enabled);
+    }
+
+    /**
+     * A male's condition on every factor
+     * @param {Object} male - Male dwarf
+     * @returns {Object} { health, age, fights, efficiency, provisioning }: 0-1, or null without data
+     */
+    getConditions(male) {
+        return {
+            health: male.maxHealth > 0 && typeof male.health === 'number'
+                ? clamp(male.health / male.maxHealth)
+                : null,
+            age: this.fertilityModel && typeof male.age === 'number' && male.maxLifespan > 0
+                ? this.fertilityModel.getAgeFertility(male)
+                : null,
+            fights: this.getFightCondition(male),
+            efficiency: typeof male.efficiency === 'number'
+                ? clamp((male.efficiency - 0.8) / 0.4)
+                : null,
+            provisioning: this.getProvisioningCondition(male)
+        };
+    }
+
+    /**
+     * Fight record: bouts won, or combat power before any fight
+     * @private
+     */
+    getFightCondition(male) {
+        const bouts = (male.boutsWon || 0) + (male.boutsLost || 0);
+        if (bouts > 0) return male.boutsWon / bouts;
+        return male.combatStats ? clamp(LifespanUtils.calculateCombatPower(male) / 100) : null;
+    }
+
+    /**
+     * Gold mined relative to the best provider among adult males
+     * @private
+     */
+    getProvisioningCondition(male) {
+        if (typeof male.goldMined !== 'number') return null;
+
+        const best = Math.max(0, ...this.world.getAdultDwarfs()
+            .filter(dwarf => dwarf.gender === 'male' && !dwarf.isDead)
+            .map(dwarf => dwarf.goldMined || 0));
+        return best > 0 ? clamp(male.goldMined / best) : null;
+    }
+
+    /**
+     * How much a female cares about each factor
+     * @param {Object} female - Female dwarf
+     * @returns {Object} Factor -> weight scaled by her personality (MALE_CONDITION.factors)
+     */
+    getWeights(female) {
+        const weights = {};
+        Object.entries(this.conditionConfig.factors).forEach(([factor, { weight, trait, inverse }]) => {
+            const value = female.personality && typeof female.personality[trait] === 'number'
+                ? female.personality[trait]
+                : 50;
+            weights[factor] = weight * (inverse ? 100 - value : value) / 50;
+        });
+        return weights;
+    }
+
+    /**
+     * Score a female gives a male for his condition
+     * @param {Object} female - Female dwarf doing the scoring
+     * @param {Object} male - Male dwarf being scored
+     * @returns {Object} { total, factors: { factor: { condition, weight, score } } }; total 0 if disabled
+     */
+    getConditionScore(female, male) {
+        const result = { total: 0, factors: {} };
+        if (!this.isEnabled()) return result;
+
+        const conditions = this.getConditions(male);
+        const weights = this.getWeights(female);
+        Object.keys(weights).forEach(factor => {
+            const condition = conditions[factor];
+            const score = condition === null || condition === undefined
+                ? 0
+                : weights[factor] * (condition - 0.5) * 2;
+            result.factors[factor] = { condition, weight: weights[factor], score };
+            result.total += score;
+        });
+        return result;
+    }
+}
+
+function clamp(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Factory function for creating MaleCondition instances
+ * @param {Object} config - Reproduction configuration
+ * @param {Object} world - World interface
+ * @param {Fertility} fertilityModel - Age curve for the age factor (optional)
+ * @returns {MaleCondition} New male condition model
+ */
+export function createMaleCondition(config, world, fertilityModel = null) {
+    return new MaleCondition(config, world, fertilityModel);
+}
@@ -0,0 +1,125 @@
+/**
+ * MateChoiceLearning.js
+ *
+ * Optional learning rule for female mate choice (MATE_LEARNING.enabled).
+ * A mother's preference for the father's strategy rises by learningRate
+ * when one of her children reaches adulthood and falls by the same amount
+ * when one dies as a child. Preferences live on the female
+ * (female.matePreferences, strategy name -> score bonus), are clamped to
+ * +/- maxPreference and are added to her mate scores by FemaleSelection.
+ *
+ * Children remember their father's strategy at birth (fatherStrategy), so
+ * a mother still learns if the father has since died.
+ */
+
+import { REPRODUCTION_EVENTS } from '../events/ReproductionEventBus.js';
+
+export class MateChoiceLearning {
+    constructor(config, world, eventBus) {
+        this.config = config;
+        this.world = world;
+        this.eventBus = eventBus;
+
+        this.learningConfig = config.MATE_LEARNING;
+
+        // Preference updates applied, by outcome
+        this.updates = { offspring_matured: 0, offspring_died: 0 };
+    }
+
+    /**
+     * Whether the learning rule is active
+     * @returns {boolean} True if preferences are updated
+     */
+    isEnabled() {
+        return !!(this.learningConfig && this.learningConfig.enabled);
+    }
+
+    /**
+     * A child reached adulthood: reward its father's strategy
+     * @param {Object} child - Newly adult dwarf
+     */
+    recordOffspringMatured(child) {
+        this.learn(child, this.learningConfig.learningRate, 'offspring_matured');
+    }
+
+    /**
+     * A dwarf died: penalize its father's strategy if it was still a child
+     * @param {Object} dwarf - Dead dwarf
+     */
+    recordOffspringDeath(dwarf) {
+        if (!dwarf || dwarf.isAdult) return;
+        this.learn(dwarf, -this.learningConfig.learningRate, 'offspring_died');
+    }
+
+    /**
+     * Shift the living mother's preference for the child's father's strategy
+     * @private
+     */
+    learn(child, change, reason) {
+        if (!this.isEnabled() || !child || !child.fatherStrategy) return;
+
+        const mother = this.world.getDwarfById(child.motherId);
+        if (!mother || mother.gender !== 'female') return;
+
+        if (!mother.matePreferences) {
+            mother.matePreferences = {};
+        }
+        const max = this.learningConfig.maxPreference;
+        const previous = mother.matePreferences[child.fatherStrategy] || 0;
+        const preference = Math.max(-max, Math.min(max, previous + change));
+        mother.matePreferences[child.fatherStrategy] = preference;
+        this.updates[reason]++;
+
+        this.eventBus.emit(REPRODUCTION_EVENTS.MATE_PREFERENCE_LEARNED, {
+            female: {
+                id: mother.id,
+                name: mother.name
+            },
+            child: {
+                id: child.id,
+                name: child.name
+            },
+            strategy: child.fatherStrategy,
+            change: preference - previous,
+            preference,
+            reason,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Average learned preference per male strategy across living adult females
+     * @returns {Object} { enabled, updates, averagePreferences: {strategy: average} }
+     */
+    getStatistics() {
+        const totals = {};
+        const females = this.world.getAdultDwarfs().filter(dwarf => dwarf.gender === 'female');
+        females.forEach(female => {
+            Object.entries(female.matePreferences || {}).forEach(([strategy, preference]) => {
+                totals[strategy] = (totals[strategy] || 0) + preference;
+            });
+        });
+
+        const averagePreferences = {};
+        Object.keys(totals).forEach(strategy => {
+            averagePreferences[strategy] = Math.round(totals[strategy] / females.length * 10) / 10;
+        });
+
+        return {
+            enabled: this.isEnabled(),
+            updates: { ...this.updates },
+            averagePreferences
+        };
+    }
+}
+
+/**
+ * Factory function for creating MateChoiceLearning instances
+ * @param {Object} config - Reproduction configuration
+ * @param {Object} world - World interface
+ * @param {Object} eventBus - Event bus for communication
+ * @returns {MateChoiceLearning} New learning instance
+ */
+export function createMateChoiceLearning(config, world, eventBus) {
+    return new MateChoiceLearning(config, world, eventBus);
+}
@@ -0,0 +1,287 @@
+/**
+ * PairBonding.js
+ *
+ * Persistent pair bonds between mates (PAIR_BONDING.enabled).
+ * A first mating between two unbonded dwarfs bonds them; the bond grows
+ * when they mate again, have a child or spend time near each other, and
+ * weakens while they are apart or when either mates with someone else.
+ * It dissolves when its strength reaches 0 or a partner dies.
+ *
+ * Bond state lives on both dwarfs (partnerId, bondStrength, bondStartTime,
+ * sharedHome) so it is saved with them. Bonded females favor their partner
+ * in FemaleSelection, bonded males court her first (BaseStrategy), and idle
+ * partners drift back together and rest in the same house (Dwarf.js).
+ */
+
+import { REPRODUCTION_EVENTS } from '../events/ReproductionEventBus.js';
+
+export class PairBonding {
+    constructor(config, world, eventBus) {
+        this.config = config;
+        this.world = world;
+        this.eventBus = eventBus;
+
+        this.bondConfig = config.PAIR_BONDING;
+
+        // Bonds formed, and bonds dissolved by reason
+        this.bondsFormed = 0;
+        this.bondsDissolved = { infidelity: 0, drifted_apart: 0, partner_died: 0 };
+    }
+
+    /**
+     * Whether pair bonds form
+     * @returns {boolean} True if bonds are tracked
+     */
+    isEnabled() {
+        return !!(this.bondConfig && this.bondConfig.enabled);
+    }
+
+    /**
+     * Living partner of a dwarf
+     * @param {Object} dwarf - Dwarf to look up
+     * @returns {Object|null} Partner dwarf, or null if unbonded
+     */
+    getPartner(dwarf) {
+        if (!dwarf || dwarf.partnerId === null || dwarf.partnerId === undefined) return null;
+        return this.world.getDwarfById(dwarf.partnerId);
+    }
+
+    /**
+     * Whether two dwarfs are bonded to each other
+     * @param {Object} a - First dwarf
+     * @param {Object} b - Second dwarf
+     * @returns {boolean} True if they are partners
+     */
+    areBonded(a, b) {
+        return !!a && !!b && a.partnerId === b.id && b.partnerId === a.id;
+    }
+
+    /**
+     * A mating succeeded: bond or strengthen the pair, or weaken the bonds it betrays
+     * @param {Object} male - Father
+     * @param {Object} female - Mother
+     */
+    handleMating(male, female) {
+        if (!this.isEnabled() || !male || !female) return;
+
+        if (this.areBonded(male, female)) {
+            this.changeStrength(male, female, this.bondConfig.matingGain);
+            return;
+        }
+
+        // Mating outside a bond weakens it, and may end it
+        [male, female].forEach(dwarf => {
+            const partner = this.getPartner(dwarf);
+            if (partner) {
+                this.changeStrength(dwarf, partner, -this.bondConfig.infidelityLoss, 'infidelity');
+            } else if (dwarf.partnerId !== null && dwarf.partnerId !== undefined) {
+                this.clearBond(dwarf);
+            }
+        });
+
+        if (this.getPartner(male) === null && this.getPartner(female) === null) {
+            this.formBond(male, female);
+        }
+    }
+
+    /**
+     * A child was born: strengthen its parents' bond if they are partners
+     * @param {Object} mother - Mother
+     * @param {Object} father - Father (null if he has died)
+     */
+    handleBirth(mother, father) {
+        if (!this.isEnabled() || !this.areBonded(mother, father)) return;
+        this.changeStrength(mother, father, this.bondConfig.offspringGain);
+    }
+
+    /**
+     * A dwarf died: its partner is single again
+     * @param {Object} dwarf - Dead dwarf
+     */
+    handleDeath(dwarf) {
+        if (!dwarf || dwarf.partnerId === null || dwarf.partnerId === undefined) return;
+
+        const partner = this.getPartner(dwarf);
+        if (partner) {
+            this.dissolveBond(dwarf, partner, 'partner_died');
+        } else {
+            this.clearBond(dwarf);
+        }
+    }
+
+    /**
+     * Grow bonds of partners who are close together and decay the others
+     * Runs once every PAIR_BONDING.updateInterval ticks.
+     */
+    update() {
+        if (!this.isEnabled() || this.world.getTime() % this.bondConfig.updateInterval !== 0) return;
+
+        this.world.getAllDwarfs().forEach(dwarf => {
+            // Visit each pair once, from its lower id
+            if (dwarf.partnerId === null || dwarf.partnerId === undefined || dwarf.id > dwarf.partnerId) return;
+
+            const partner = this.getPartner(dwarf);
+            if (!partner) {
+                this.clearBond(dwarf);
+                return;
+            }
+
+            const together = this.world.calculateDistance(dwarf, partner) <= this.bondConfig.proximityRadius;
+            this.changeStrength(dwarf, partner,
+                together ? this.bondConfig.proximityGain : -this.bondConfig.separationDecay,
+                'drifted_apart');
+        });
+    }
+
+    /**
+     * Partner an idle dwarf should walk back to
+     * @param {Object} dwarf - Idle dwarf
+     * @returns {Object|null} Partner further away than PAIR_BONDING.followDistance, or null
+     */
+    getFollowTarget(dwarf) {
+        if (!this.isEnabled()) return null;
+
+        const partner = this.getPartner(dwarf);
+        if (!partner || this.world.calculateDistance(dwarf, partner) <= this.bondConfig.followDistance) {
+            return null;
+        }
+        return partner;
+    }
+
+    /**
+     * House a bonded pair shares
+     * Picks the house nearest the pair the first time either partner rests,
+     * and again if their house is gone.
+     *
+     * @param {Object} dwarf - Dwarf looking for somewhere to rest
+     * @param {Array} houses - Existing houses
+     * @returns {Object|null} The pair's house, or null if unbonded or there are no houses
+     */
+    getSharedHome(dwarf, houses) {
+        if (!this.isEnabled() || !houses || houses.length === 0) return null;
+
+        const partner = this.getPartner(dwarf);
+        if (!partner) return null;
+
+        const home = dwarf.sharedHome;
+        const existing = home ? houses.find(house => house.x === home.x && house.y === home.y) : null;
+        if (existing) return existing;
+
+        const midpoint = { x: (dwarf.x + partner.x) / 2, y: (dwarf.y + partner.y) / 2 };
+        let nearest = houses[0];
+        houses.forEach(house => {
+            if (this.world.calculateDistance(midpoint, house) < this.world.calculateDistance(midpoint, nearest)) {
+                nearest = house;
+            }
+        });
+
+        dwarf.sharedHome = { x: nearest.x, y: nearest.y };
+        partner.sharedHome = { x: nearest.x, y: nearest.y };
+        return nearest;
+    }
+
+    /**
+     * Bond two unbonded dwarfs
+     * @private
+     */
+    formBond(a, b) {
+        const time = this.world.getTime();
+        a.partnerId = b.id;
+        b.partnerId = a.id;
+        a.bondStrength = b.bondStrength = this.bondConfig.initialStrength;
+        a.bondStartTime = b.bondStartTime = time;
+        a.sharedHome = b.sharedHome = null;
+        this.bondsFormed++;
+
+        this.world.addLog(`${a.name} and ${b.name} are now partners`);
+
+        this.eventBus.emit(REPRODUCTION_EVENTS.PAIR_BOND_FORMED, {
+            partners: [
+                { id: a.id, name: a.name },
+                { id: b.id, name: b.name }
+            ],
+            bondStrength: a.bondStrength,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Change a pair's bond strength, dissolving the bond if it reaches 0
+     * @private
+     */
+    changeStrength(a, b, change, reason = null) {
+        const strength = Math.max(0, Math.min(100, (a.bondStrength || 0) + change));
+        a.bondStrength = b.bondStrength = strength;
+
+        if (strength <= 0 && reason) {
+            this.dissolveBond(a, b, reason);
+        }
+    }
+
+    /**
+     * End a pair's bond
+     * @private
+     */
+    dissolveBond(a, b, reason) {
+        const duration = this.world.getTime() - (a.bondStartTime || 0);
+        this.clearBond(a);
+        this.clearBond(b);
+        this.bondsDissolved[reason]++;
+
+        if (reason !== 'partner_died') {
+            this.world.addLog(`${a.name} and ${b.name} have split up`);
+        }
+
+        this.eventBus.emit(REPRODUCTION_EVENTS.PAIR_BOND_DISSOLVED, {
+            partners: [
+                { id: a.id, name: a.name },
+                { id: b.id, name: b.name }
+            ],
+            reason,
+            duration,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Reset one dwarf's bond fields
+     * @private
+     */
+    clearBond(dwarf) {
+        dwarf.partnerId = null;
+        dwarf.bondStrength = 0;
+        dwarf.bondStartTime = null;
+        dwarf.sharedHome = null;
+    }
+
+    /**
+     * Current pairs and bond outcomes
+     * @returns {Object} { enabled, activePairs, averageStrength, bondsFormed, bondsDissolved }
+     */
+    getStatistics() {
+        const strengths = this.world.getAllDwarfs()
+            .filter(dwarf => dwarf.partnerId !== null && dwarf.partnerId !== undefined && dwarf.id < dwarf.partnerId)
+            .map(dwarf => dwarf.bondStrength || 0);
+
+        return {
+            enabled: this.isEnabled(),
+            activePairs: strengths.length,
+            averageStrength: strengths.length > 0
+                ? Math.round(strengths.reduce((sum, strength) => sum + strength, 0) / strengths.length * 10) / 10
+                : 0,
+            bondsFormed: this.bondsFormed,
+            bondsDissolved: { ...this.bondsDissolved }
+        };
+    }
+}
+
+/**
+ * Factory function for creating PairBonding instances
+ * @param {Object} config - Reproduction configuration
+ * @param {Object} world - World interface
+ * @param {Object} eventBus - Event bus for communication
+ * @returns {PairBonding} New pair bonding instance
+ */
+export function createPairBonding(config, world, eventBus) {
+    return new PairBonding(config, world, eventBus);
+}
@@ -0,0 +1,298 @@
+/**
+ * ParentalCare.js
+ *
+ * Parents feed their children until maturity (PARENTAL_CARE.enabled).
+ * A child's carers are its mother, its father while he is bonded to the
+ * mother (see PairBonding.js) and its guardian if it was adopted. When a
+ * child's hunger or thirst drops below needThreshold, a carer fetches a
+ * portion from the nearest food or water source and brings it over
+ * (Dwarf.careForChild); the hand-over goes through deliverCare().
+ *
+ * A child left without carers is orphaned and adopted by its father if he
+ * is alive, otherwise by the most agreeable adult nearby. Nurseries speed
+ * up the maturity of children playing around them.
+ */
+
+import { REPRODUCTION_EVENTS } from '../events/ReproductionEventBus.js';
+
+export class ParentalCare {
+    constructor(config, world, eventBus) {
+        this.config = config;
+        this.world = world;
+        this.eventBus = eventBus;
+
+        this.careConfig = config.PARENTAL_CARE;
+
+        // Portions delivered by need, and adoptions by relationship
+        this.deliveries = { food: 0, water: 0 };
+        this.adoptions = { father: 0, adoptive: 0 };
+        this.orphaned = 0;
+    }
+
+    /**
+     * Whether parents look after their children
+     * @returns {boolean} True if care is active
+     */
+    isEnabled() {
+        return !!(this.careConfig && this.careConfig.enabled);
+    }
+
+    /**
+     * Whether an adult looks after a child
+     * @param {Object} adult - Possible carer
+     * @param {Object} child - Child dwarf
+     * @returns {boolean} True for the mother, a father bonded to her and the guardian
+     */
+    isCarer(adult, child) {
+        if (!adult || !child || adult.isDead) return false;
+        if (adult.id === child.motherId || adult.id === child.guardianId) return true;
+        return adult.id === child.fatherId &&
+               adult.partnerId !== null && adult.partnerId !== undefined &&
+               adult.partnerId === child.motherId;
+    }
+
+    /**
+     * Living carers of a child
+     * @param {Object} child - Child dwarf
+     * @returns {Array} Carer dwarfs, empty for an orphan
+     */
+    getCarers(child) {
+        const carers = [];
+        [child.motherId, child.fatherId, child.guardianId].forEach(id => {
+            const adult = this.getLivingDwarf(id);
+            if (adult && !carers.includes(adult) && this.isCarer(adult, child)) {
+                carers.push(adult);
+            }
+        });
+        return carers;
+    }
+
+    /**
+     * What a child needs brought to it
+     * @param {Object} child - Child dwarf
+     * @returns {string|null} 'food', 'water', or null if neither is below needThreshold
+     */
+    getNeed(child) {
+        const threshold = this.careConfig.needThreshold;
+        if (child.hunger >= threshold && child.thirst >= threshold) return null;
+        return child.hunger <= child.thirst ? 'food' : 'water';
+    }
+
+    /**
+     * Neediest child an adult looks after
+     * @param {Object} adult - Adult dwarf choosing a task
+     * @returns {Object|null} Child with hunger or thirst below needThreshold, or null
+     */
+    findChildInNeed(adult) {
+        if (!this.isEnabled() || !adult || !adult.isAdult) return null;
+
+        let neediest = null;
+        this.world.getAllDwarfs().forEach(child => {
+            if (child.isAdult || child.isDead || !this.getNeed(child) || !this.isCarer(adult, child)) return;
+            if (!neediest || Math.min(child.hunger, child.thirst) < Math.min(neediest.hunger, neediest.thirst)) {
+                neediest = child;
+            }
+        });
+        return neediest;
+    }
+
+    /**
+     * Hand a fetched portion to a child
+     * @param {Object} carer - Adult bringing the portion
+     * @param {Object} child - Child receiving it
+     * @param {string} need - 'food' or 'water'
+     */
+    deliverCare(carer, child, need) {
+        // A portion restores as much as eating or drinking it would
+        const restored = this.careConfig.portion * 3;
+        if (need === 'food') {
+            child.hunger = Math.min(100, child.hunger + restored);
+        } else {
+            child.thirst = Math.min(100, child.thirst + restored);
+        }
+        this.deliveries[need]++;
+
+        this.eventBus.emit(REPRODUCTION_EVENTS.CHILD_CARED_FOR, {
+            carer: {
+                id: carer.id,
+                name: carer.name,
+                relationship: this.getRelationship(carer, child)
+            },
+            child: {
+                id: child.id,
+                name: child.name,
+                hunger: child.hunger,
+                thirst: child.thirst
+            },
+            need,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * A dwarf died: find new carers for the children it left without any
+     * Call after PairBonding.handleDeath so a widowed father counts as unbonded.
+     * @param {Object} dwarf - Dead dwarf
+     */
+    handleDeath(dwarf) {
+        if (!this.isEnabled() || !dwarf) return;
+
+        this.world.getAllDwarfs().forEach(child => {
+            if (child.isAdult || child.isDead) return;
+            if (child.motherId !== dwarf.id && child.fatherId !== dwarf.id && child.guardianId !== dwarf.id) return;
+            if (this.getCarers(child).length > 0) return;
+
+            this.orphaned++;
+            this.eventBus.emit(REPRODUCTION_EVENTS.CHILD_ORPHANED, {
+                child: {
+                    id: child.id,
+                    name: child.name
+                },
+                lostCarer: {
+                    id: dwarf.id,
+                    name: dwarf.name
+                },
+                timestamp: Date.now()
+            });
+            this.adopt(child);
+        });
+    }
+
+    /**
+     * Retry adoption for orphans nobody took in yet
+     * Runs once every PARENTAL_CARE.adoptionInterval ticks.
+     */
+    update() {
+        if (!this.isEnabled() || this.world.getTime() % this.careConfig.adoptionInterval !== 0) return;
+
+        this.world.getAllDwarfs().forEach(child => {
+            if (!child.isAdult && !child.isDead && this.getCarers(child).length === 0) {
+                this.adopt(child);
+            }
+        });
+    }
+
+    /**
+     * Make the orphan's father or the most agreeable adult nearby its guardian
+     * @param {Object} child - Orphaned child
+     * @returns {Object|null} New guardian, or null if nobody qualified
+     */
+    adopt(child) {
+        let guardian = this.getLivingDwarf(child.fatherId);
+        let relationship = 'father';
+
+        if (!guardian || !guardian.isAdult) {
+            guardian = null;
+            relationship = 'adoptive';
+            this.world.getAdultDwarfs().forEach(adult => {
+                if (adult.isDead || adult.personality.agreeableness < this.careConfig.minAgreeableness) return;
+                if (this.world.calculateDistance(adult, child) > this.careConfig.adoptionRadius) return;
+                if (!guardian || adult.personality.agreeableness > guardian.personality.agreeableness) {
+                    guardian = adult;
+                }
+            });
+        }
+        if (!guardian) return null;
+
+        child.guardianId = guardian.id;
+        this.adoptions[relationship]++;
+
+        this.world.addLog(`${guardian.name} has taken in ${child.name}`, true);
+
+        this.eventBus.emit(REPRODUCTION_EVENTS.CHILD_ADOPTED, {
+            child: {
+                id: child.id,
+                name: child.name
+            },
+            guardian: {
+                id: guardian.id,
+                name: guardian.name,
+                agreeableness: guardian.personality.agreeableness
+            },
+            relationship,
+            timestamp: Date.now()
+        });
+        return guardian;
+    }
+
+    /**
+     * Nearest nursery to a child
+     * @param {Object} child - Child dwarf
+     * @param {Array} buildings - All buildings
+     * @returns {Object|null} Nursery building, or null if care is off or there are none
+     */
+    getNearestNursery(child, buildings) {
+        if (!this.isEnabled() || !buildings) return null;
+
+        let nearest = null;
+        buildings.forEach(building => {
+            if (building.type !== 'amenity' || building.amenityType !== 'nursery') return;
+            if (!nearest || this.world.calculateDistance(child, building) < this.world.calculateDistance(child, nearest)) {
+                nearest = building;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Maturity ticks a child gains this tick
+     * @param {Object} child - Child dwarf
+     * @param {Array} buildings - All buildings
+     * @returns {number} 1, plus nurseryMaturityBonus within nurseryRadius of a nursery
+     */
+    getMaturityRate(child, buildings) {
+        const nursery = this.getNearestNursery(child, buildings);
+        if (nursery && this.world.calculateDistance(child, nursery) <= this.careConfig.nurseryRadius) {
+            return 1 + this.careConfig.nurseryMaturityBonus;
+        }
+        return 1;
+    }
+
+    /**
+     * How a carer is related to a child
+     * @private
+     */
+    getRelationship(carer, child) {
+        if (carer.id === child.motherId) return 'mother';
+        if (carer.id === child.fatherId) return 'father';
+        return 'guardian';
+    }
+
+    /**
+     * Dwarf by id, or null if missing or dead
+     * @private
+     */
+    getLivingDwarf(id) {
+        const dwarf = this.world.getDwarfById(id);
+        return dwarf && !dwarf.isDead ? dwarf : null;
+    }
+
+    /**
+     * Care given and children without carers
+     * @returns {Object} { enabled, deliveries, adoptions, orphaned, uncaredChildren }
+     */
+    getStatistics() {
+        const uncaredChildren = this.world.getAllDwarfs()
+            .filter(dwarf => !dwarf.isAdult && !dwarf.isDead && this.getCarers(dwarf).length === 0)
+            .length;
+
+        return {
+            enabled: this.isEnabled(),
+            deliveries: { ...this.deliveries },
+            adoptions: { ...this.adoptions },
+            orphaned: this.orphaned,
+            uncaredChildren
+        };
+    }
+}
+
+/**
+ * Factory function for creating ParentalCare instances
+ * @param {Object} config - Reproduction configuration
+ * @param {Object} world - World interface
+ * @param {Object} eventBus - Event bus for communication
+ * @returns {ParentalCare} New parental care instance
+ */
+export function createParentalCare(config, world, eventBus) {
+    return new ParentalCare(config, world, eventBus);
+}
@@ -6,6 +6,11 @@
  * 
  * Handles pregnancy timer updates, birth conditions, and
  * baby creation with exact behavioral fidelity.
+ * 
+ * With PREGNANCY_OUTCOMES enabled, every tick a mother spends hungry,
+ * thirsty or hurt adds to her pregnancyStrain, which raises the chance
+ * of a complicated birth (frail baby, injured mother) or a stillbirth.
+ * Live births may bring twins, and pregnant mothers work and move slower.
  */
 
 import { REPRODUCTION_EVENTS } from '../events/ReproductionEventBus.js';
@@ -19,6 +24,19 @@ export class PregnancyManager {
         
         // Pregnancy tracking
         this.pregnantFemales = new Set();
+        
+        // Deliveries by outcome, and how many of the live ones were twins
+        this.outcomeConfig = config.PREGNANCY_OUTCOMES;
+        this.outcomes = { healthy: 0, complicated: 0, stillborn: 0 };
+        this.twinBirths = 0;
+    }
+    
+    /**
+     * Whether pregnancies can go wrong, bring twins and slow the mother down
+     * @returns {boolean} True if PREGNANCY_OUTCOMES is enabled
+     */
+    isOutcomesEnabled() {
+        return !!(this.outcomeConfig && this.outcomeConfig.enabled);
     }
     
     /**
@@ -50,16 +68,67 @@ export class PregnancyManager {
         // Increment pregnancy timer (exact same as original)
         female.pregnancyTimer++;
         
+        // Hunger, thirst and injury strain the pregnancy
+        if (this.isOutcomesEnabled() && this.isStrained(female)) {
+            female.pregnancyStrain = (female.pregnancyStrain || 0) + 1;
+        }
+        
         // Check if pregnancy is complete (exact same threshold as original)
         if (female.pregnancyTimer >= this.config.PREGNANCY_DURATION) {
             this.giveBirth(female);
         }
     }
     
+    /**
+     * Whether a pregnant female is short of food, water or health
+     * @param {Object} female - Pregnant female
+     * @returns {boolean} True if hunger, thirst or health % is below strainThreshold
+     */
+    isStrained(female) {
+        const threshold = this.outcomeConfig.strainThreshold;
+        const healthPercent = female.maxHealth > 0 ? female.health / female.maxHealth * 100 : 100;
+        return female.hunger < threshold || female.thirst < threshold || healthPercent < threshold;
+    }
+    
+    /**
+     * Chance that a birth has complications
+     * @param {Object} female - Pregnant female
+     * @returns {number} baseComplicationChance plus strainComplicationChance scaled by
+     *                   the fraction of PREGNANCY_DURATION she spent strained (0 if disabled)
+     */
+    getComplicationChance(female) {
+        if (!this.isOutcomesEnabled()) return 0;
+        
+        const strainedFraction = Math.min(1, (female.pregnancyStrain || 0) / this.config.PREGNANCY_DURATION);
+        return Math.min(1, this.outcomeConfig.baseComplicationChance +
+            this.outcomeConfig.strainComplicationChance * strainedFraction);
+    }
+    
+    /**
+     * Work efficiency factor for a dwarf
+     * @param {Object} dwarf - Working dwarf
+     * @returns {number} pregnantEfficiency while pregnant, otherwise 1
+     */
+    getEfficiencyMultiplier(dwarf) {
+        return this.isOutcomesEnabled() && dwarf.isPregnant ? this.outcomeConfig.pregnantEfficiency : 1;
+    }
+    
+    /**
+     * Movement speed factor for a dwarf
+     * @param {Object} dwarf - Moving dwarf
+     * @returns {number} pregnantSpeed while pregnant, otherwise 1
+     */
+    getSpeedMultiplier(dwarf) {
+        return this.isOutcomesEnabled() && dwarf.isPregnant ? this.outcomeConfig.pregnantSpeed : 1;
+    }
+    
     /**
      * Handle birth event
      * Preserves exact behavior from original giveBirth() method
      * 
+     * Outcomes: 'healthy', 'complicated' (babies born frail, mother injured)
+     * or 'stillborn' (no baby, mother injured). Live births may bring twins.
+     * 
      * @param {Object} mother - Female giving birth
      */
     giveBirth(mother) {
@@ -68,54 +137,159 @@ export class PregnancyManager {
         // Remove from pregnant tracking
         this.pregnantFemales.delete(mother);
         
+        // The father may have died during the pregnancy; his lineage record remains
+        const fatherId = mother.pregnancyFatherId !== undefined ? mother.pregnancyFatherId : null;
+        const father = this.world.getLineageRecord(fatherId);
+        const fatherGenes = mother.pregnancyFatherGenes || null;
+        const pregnancyStrain = mother.pregnancyStrain || 0;
+        const outcome = this.rollOutcome(mother);
+        
         // Reset pregnancy state (exact same as original)
         mother.isPregnant = false;
         mother.pregnancyTimer = 0;
+        mother.pregnancyFatherId = null;
+        mother.pregnancyFatherGenes = null;
+        mother.pregnancyStrain = 0;
         mother.reproductionCooldown = this.config.FEMALE_REPRODUCTION_COOLDOWN;
         
-        // Create baby with random position offset (exact same as original)
-        const offsetRange = this.config.SPATIAL.babySpawnRadius;
-        const babyX = mother.x + Math.random() * offsetRange - (offsetRange / 2);
-        const babyY = mother.y + Math.random() * offsetRange - (offsetRange / 2);
-        
-        // Create new dwarf (not adult, random name)
-        const baby = this.world.createDwarf(babyX, babyY, null, false);
+        if (outcome !== 'healthy' && typeof mother.health === 'number') {
+            mother.health = Math.max(1, mother.health - this.outcomeConfig.complicationHealthLoss);
+        }
         
-        // Initialize baby's reproduction traits through the system
-        if (this.reproductionSystem) {
-            this.reproductionSystem.initializeReproductionTraits(baby);
+        const babies = [];
+        if (outcome !== 'stillborn') {
+            const twins = this.isOutcomesEnabled() && this.world.random() < this.outcomeConfig.twinChance;
+            for (let i = twins ? 2 : 1; i > 0; i--) {
+                babies.push(this.createBaby(mother, father, fatherGenes, outcome === 'complicated'));
+            }
         }
         
-        // Add baby to world
-        this.world.addDwarf(baby);
+        this.outcomes[outcome]++;
+        if (babies.length > 1) {
+            this.twinBirths++;
+        }
         
         // Log birth message (exact same as original)
-        this.world.addLog(`${mother.name} gave birth to ${baby.name}!`, true, 'success');
+        if (babies.length === 0) {
+            this.world.addLog(`${mother.name}'s baby was stillborn`, true, 'warning');
+        } else if (babies.length > 1) {
+            this.world.addLog(`${mother.name} gave birth to twins, ${babies[0].name} and ${babies[1].name}!`, true, 'success');
+        } else {
+            this.world.addLog(`${mother.name} gave birth to ${babies[0].name}!`, true, 'success');
+        }
+        if (outcome === 'complicated') {
+            this.world.addLog(`${mother.name} had a difficult birth`, false, 'warning');
+        }
         
-        // Emit birth event
+        // Children of relatives may be born weaker
+        const inbreedingCoefficient = babies.length > 0
+            ? this.world.getInbreedingCoefficient(babies[0].id)
+            : this.world.getKinship(mother.id, father ? father.id : null);
+        babies.forEach(baby => this.applyInbreedingDepression(baby, inbreedingCoefficient));
+        
+        // Emit birth event; baby is the first (or only) newborn, null for a stillbirth
+        const babyData = babies.map(baby => ({
+            id: baby.id,
+            name: baby.name,
+            x: baby.x,
+            y: baby.y,
+            gender: baby.gender,
+            generation: baby.generation,
+            reproductionStrategy: baby.reproductionStrategy || null
+        }));
         this.eventBus.emit(REPRODUCTION_EVENTS.BIRTH, {
             mother: {
+                id: mother.id,
                 name: mother.name,
                 x: mother.x,
                 y: mother.y,
-                reproductionCooldown: mother.reproductionCooldown
-            },
-            baby: {
-                name: baby.name,
-                x: baby.x,
-                y: baby.y,
-                gender: baby.gender,
-                reproductionStrategy: baby.reproductionStrategy || null
+                reproductionCooldown: mother.reproductionCooldown,
+                health: mother.health
             },
+            father: father ? {
+                id: father.id,
+                name: father.name
+            } : null,
+            baby: babyData[0] || null,
+            babies: babyData,
+            outcome,
+            twins: babies.length > 1,
+            pregnancyStrain,
             pregnancyDuration: mother.pregnancyTimer,
+            inbreedingCoefficient,
             timestamp: Date.now()
         });
         
-        console.log(`PregnancyManager: ${mother.name} gave birth to ${baby.name}`);
+        console.log(`PregnancyManager: ${mother.name} gave birth (${outcome}, ${babies.length} ${babies.length === 1 ? 'baby' : 'babies'})`);
+    }
+    
+    /**
+     * Decide how a pregnancy ends
+     * Draws no random numbers while PREGNANCY_OUTCOMES is disabled.
+     * @private
+     */
+    rollOutcome(mother) {
+        if (!this.isOutcomesEnabled()) return 'healthy';
+        if (this.world.random() >= this.getComplicationChance(mother)) return 'healthy';
+        return this.world.random() < this.outcomeConfig.stillbirthShare ? 'stillborn' : 'complicated';
+    }
+    
+    /**
+     * Create one newborn next to its mother and add it to the world
+     * @private
+     */
+    createBaby(mother, father, fatherGenes, frail) {
+        // Create baby with random position offset (exact same as original)
+        const offsetRange = this.config.SPATIAL.babySpawnRadius;
+        const babyX = mother.x + this.world.random() * offsetRange - (offsetRange / 2);
+        const babyY = mother.y + this.world.random() * offsetRange - (offsetRange / 2);
+        
+        // Create new dwarf (not adult, random name)
+        const baby = this.world.createDwarf(babyX, babyY, null, false);
+        baby.fatherStrategy = fatherGenes ? fatherGenes.strategy : null;
+        
+        // Inherit class, personality and strategy gene, then express the strategy
+        if (this.reproductionSystem) {
+            this.reproductionSystem.genetics.inheritTraits(baby, mother, fatherGenes);
+            this.reproductionSystem.initializeReproductionTraits(baby);
+        }
+        
+        // Link the baby into the family tree, then add it to the world
+        this.world.registerLineage(baby, mother.id, father ? father.id : null);
+        this.world.addDwarf(baby);
+        
+        // A difficult birth leaves the baby frail
+        if (frail && typeof baby.maxHealth === 'number') {
+            baby.maxHealth *= this.outcomeConfig.frailHealth;
+            baby.health = Math.min(baby.health, baby.maxHealth);
+        }
+        
+        return baby;
+    }
+    
+    /**
+     * Weaken a newborn by its inbreeding coefficient (INBREEDING.depressionEnabled)
+     * Max health drops by coefficient * healthPenalty, keeping at least a tenth of it.
+     * 
+     * @param {Object} baby - Newborn dwarf
+     * @param {number} inbreedingCoefficient - Kinship of its parents
+     */
+    applyInbreedingDepression(baby, inbreedingCoefficient) {
+        const inbreedingConfig = this.config.INBREEDING;
+        if (!inbreedingConfig.depressionEnabled || inbreedingCoefficient <= 0 || typeof baby.maxHealth !== 'number') {
+            return;
+        }
+        
+        const factor = Math.max(0.1, 1 - inbreedingCoefficient * inbreedingConfig.healthPenalty);
+        baby.maxHealth *= factor;
+        baby.health = Math.min(baby.health, baby.maxHealth);
+        
+        this.world.addLog(`${baby.name} was born frail from inbreeding`, false, 'warning');
     }
     
     /**
      * Start pregnancy for a female
+     * The father's genes are recorded by ReproductionSystem on MATING_SUCCESS, not here.
      * @param {Object} female - Female dwarf
      * @param {Object} male - Male dwarf (for event tracking)
      */
@@ -124,15 +298,19 @@ export class PregnancyManager {
         
         female.isPregnant = true;
         female.pregnancyTimer = 0;
+        female.pregnancyFatherId = male.id;
+        female.pregnancyStrain = 0;
         this.pregnantFemales.add(female);
         
         this.eventBus.emit(REPRODUCTION_EVENTS.PREGNANCY_START, {
             female: {
+                id: female.id,
                 name: female.name,
                 x: female.x,
                 y: female.y
             },
             male: {
+                id: male.id,
                 name: male.name,
                 strategy: male.reproductionStrategy
             },
@@ -160,24 +338,42 @@ export class PregnancyManager {
     
     /**
      * Get pregnancy statistics
-     * @returns {Object} Pregnancy and birth statistics
+     * @returns {Object} Pregnancy and birth statistics, with outcomes:
+     *                   { deliveries, healthy, complicated, stillborn, twins, rates } (rates 0-1 per delivery)
      */
     getStatistics() {
         const pregnantFemales = this.getPregnantFemales();
         
         const pregnancyData = pregnantFemales.map(female => ({
+            id: female.id,
             name: female.name,
             timer: female.pregnancyTimer,
             progress: (female.pregnancyTimer / this.config.PREGNANCY_DURATION * 100).toFixed(1),
-            timeRemaining: this.config.PREGNANCY_DURATION - female.pregnancyTimer
+            timeRemaining: this.config.PREGNANCY_DURATION - female.pregnancyTimer,
+            strain: female.pregnancyStrain || 0
         }));
         
+        const deliveries = this.outcomes.healthy + this.outcomes.complicated + this.outcomes.stillborn;
+        const rate = count => deliveries > 0 ? Math.round(count / deliveries * 1000) / 1000 : 0;
+        
         return {
             totalPregnant: pregnantFemales.length,
             pregnancies: pregnancyData,
             averageProgress: pregnantFemales.length > 0 
                 ? (pregnantFemales.reduce((sum, f) => sum + f.pregnancyTimer, 0) / pregnantFemales.length / this.config.PREGNANCY_DURATION * 100).toFixed(1)
-                : 0
+                : 0,
+            outcomes: {
+                enabled: this.isOutcomesEnabled(),
+                deliveries,
+                ...this.outcomes,
+                twins: this.twinBirths,
+                rates: {
+                    healthy: rate(this.outcomes.healthy),
+                    complicated: rate(this.outcomes.complicated),
+                    stillborn: rate(this.outcomes.stillborn),
+                    twins: rate(this.twinBirths)
+                }
+            }
         };
     }
     
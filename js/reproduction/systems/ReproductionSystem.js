@@ -6,6 +6,7 @@
  * behavioral patterns from the original monolithic implementation.
  * 
  * This is the primary entry point for the game loop integration.
+ * Custom male strategies are added with registerStrategy().
  */
 
 import { REPRODUCTION_CONFIG, validateConfig } from '../config/ReproductionConfig.js';
@@ -14,6 +15,11 @@ import { ReproductionEventBus, REPRODUCTION_EVENTS } from '../events/Reproductio
 import { StrategyFactory } from '../strategies/StrategyFactory.js';
 import { FemaleSelection } from './FemaleSelection.js';
 import { PregnancyManager } from './PregnancyManager.js';
+import { Genetics } from './Genetics.js';
+import { MateChoiceLearning } from './MateChoiceLearning.js';
+import { PairBonding } from './PairBonding.js';
+import { ParentalCare } from './ParentalCare.js';
+import { StrategySwitching } from './StrategySwitching.js';
 
 export class ReproductionSystem {
     constructor(options = {}) {
@@ -25,8 +31,15 @@ export class ReproductionSystem {
         this.world = options.worldInterface || new WorldInterface(options.gameReference);
         this.eventBus = options.eventBus || new ReproductionEventBus();
         this.strategyFactory = options.strategyFactory || new StrategyFactory(this.config, this.world, this.eventBus);
-        this.femaleSelection = options.femaleSelection || new FemaleSelection(this.config, this.world, this.eventBus);
+        this.femaleSelection = options.femaleSelection || new FemaleSelection(this.config, this.world, this.eventBus, this.strategyFactory);
         this.pregnancyManager = options.pregnancyManager || new PregnancyManager(this.config, this.world, this.eventBus, this);
+        this.genetics = options.genetics || new Genetics(this.config, this.world, this.eventBus, this.strategyFactory);
+        this.fertility = this.strategyFactory.fertilityModel;
+        this.dominance = this.strategyFactory.dominanceModel;
+        this.mateLearning = options.mateLearning || new MateChoiceLearning(this.config, this.world, this.eventBus);
+        this.pairBonding = options.pairBonding || new PairBonding(this.config, this.world, this.eventBus);
+        this.parentalCare = options.parentalCare || new ParentalCare(this.config, this.world, this.eventBus);
+        this.strategySwitching = options.strategySwitching || new StrategySwitching(this.config, this.world, this.eventBus, this.strategyFactory);
         
         // System state
         this.isInitialized = false;
@@ -34,9 +47,13 @@ export class ReproductionSystem {
             matingsAttempted: 0,
             matingsSuccessful: 0,
             birthsOccurred: 0,
+            inbredBirths: 0,
             strategiesExecuted: { orange: 0, blue: 0, yellow: 0 }
         };
         
+        // Strategies counted on execute() because they have no execution event
+        this.strategiesCountedOnExecute = new Set();
+        
         // Initialize system
         this.initialize();
     }
@@ -66,26 +83,84 @@ export class ReproductionSystem {
             if (event.data.success) {
                 this.statistics.matingsSuccessful++;
             }
+            
+            // Males keep score for strategy switching (no-op unless STRATEGY_SWITCHING is enabled)
+            this.strategySwitching.recordAttempt(this.world.getDwarfById(event.data.maleId), event.data.success);
         });
         
+        // Counts live babies, so twins count twice and stillbirths not at all
         this.eventBus.subscribe(REPRODUCTION_EVENTS.BIRTH, (event) => {
-            this.statistics.birthsOccurred++;
+            const liveBabies = event.data.babies.length;
+            this.statistics.birthsOccurred += liveBabies;
+            if (liveBabies > 0 && event.data.inbreedingCoefficient > 0) {
+                this.statistics.inbredBirths += liveBabies;
+            }
+            if (liveBabies === 0) return;
+            
+            // Shared offspring strengthen a pair bond
+            this.pairBonding.handleBirth(
+                this.world.getDwarfById(event.data.mother.id),
+                event.data.father ? this.world.getDwarfById(event.data.father.id) : null
+            );
         });
         
-        // Track strategy usage
-        ['orange', 'blue', 'yellow'].forEach(strategy => {
-            this.eventBus.subscribe(REPRODUCTION_EVENTS.TERRITORY_ESTABLISHED, (event) => {
-                if (strategy === 'orange') this.statistics.strategiesExecuted.orange++;
-            });
-            this.eventBus.subscribe(REPRODUCTION_EVENTS.FEMALE_GUARDED, (event) => {
-                if (strategy === 'blue') this.statistics.strategiesExecuted.blue++;
-            });
-            this.eventBus.subscribe(REPRODUCTION_EVENTS.SNEAKY_ATTEMPT, (event) => {
-                if (strategy === 'yellow') this.statistics.strategiesExecuted.yellow++;
-            });
+        // Remember the father's genes at conception (he may not live to see the birth),
+        // then bond the pair or strain the bonds they betrayed.
+        // Every mating that ends in pregnancy emits MATING_SUCCESS; this is the only conception path.
+        this.eventBus.subscribe(REPRODUCTION_EVENTS.MATING_SUCCESS, (event) => {
+            const female = this.world.getDwarfById(event.data.femaleId);
+            const male = this.world.getDwarfById(event.data.maleId);
+            this.genetics.recordConception(female, male);
+            this.pairBonding.handleMating(male, female);
+        });
+        
+        // Surviving offspring teach their mothers (no-op unless MATE_LEARNING is enabled)
+        this.eventBus.subscribe(REPRODUCTION_EVENTS.MATURITY_REACHED, (event) => {
+            this.mateLearning.recordOffspringMatured(this.world.getDwarfById(event.data.dwarf.id));
+        });
+        
+        // Track strategy usage, including strategies registered later
+        this.strategyFactory.getAvailableStrategies().forEach(strategy => this.trackStrategy(strategy));
+        this.eventBus.subscribe(REPRODUCTION_EVENTS.STRATEGY_REGISTERED, (event) => {
+            this.trackStrategy(event.data.strategy);
         });
     }
     
+    /**
+     * Count executions of a strategy in the statistics
+     * Uses the strategy's execution event if it has one, otherwise every execute() call.
+     * @private
+     */
+    trackStrategy(strategyName) {
+        if (this.statistics.strategiesExecuted[strategyName] === undefined) {
+            this.statistics.strategiesExecuted[strategyName] = 0;
+        }
+        
+        const executionEvent = this.strategyFactory.getStrategy(strategyName).getExecutionEvent();
+        if (executionEvent) {
+            this.eventBus.subscribe(executionEvent, () => {
+                this.statistics.strategiesExecuted[strategyName]++;
+            });
+        } else {
+            this.strategiesCountedOnExecute.add(strategyName);
+        }
+    }
+    
+    /**
+     * Add a custom male strategy (see StrategyFactory.registerStrategy)
+     * From then on new and reassigned males can get it, and its statistics are tracked.
+     * 
+     * @param {string} name - Strategy name
+     * @param {Function} StrategyClass - BaseStrategy subclass
+     * @param {Object} strategyConfig - Strategy config (cooldown, matingChance, color, ...)
+     * @returns {BaseStrategy} The new strategy instance
+     */
+    registerStrategy(name, StrategyClass, strategyConfig) {
+        const strategy = this.strategyFactory.registerStrategy(name, StrategyClass, strategyConfig);
+        console.log(`ReproductionSystem: Registered strategy "${name}"`);
+        return strategy;
+    }
+    
     /**
      * Main entry point for reproduction behavior updates
      * Called from the game loop for each dwarf
@@ -112,7 +187,8 @@ export class ReproductionSystem {
     
     /**
      * Check if dwarf can participate in reproduction
-     * Preserves exact conditions from original implementation
+     * The original adult and cooldown conditions, plus fertile age and
+     * breeding season (see Fertility.js)
      * 
      * @param {Object} dwarf - Dwarf to check
      * @returns {boolean} Whether dwarf can reproduce
@@ -120,7 +196,8 @@ export class ReproductionSystem {
     canParticipateInReproduction(dwarf) {
         return dwarf && 
                dwarf.isAdult && 
-               dwarf.reproductionCooldown <= 0;
+               dwarf.reproductionCooldown <= 0 &&
+               this.fertility.canBreed(dwarf);
     }
     
     /**
@@ -143,6 +220,9 @@ export class ReproductionSystem {
         
         // Execute strategy
         this.strategyFactory.executeStrategy(male);
+        if (this.strategiesCountedOnExecute.has(male.reproductionStrategy)) {
+            this.statistics.strategiesExecuted[male.reproductionStrategy]++;
+        }
     }
     
     /**
@@ -164,9 +244,18 @@ export class ReproductionSystem {
     initializeReproductionTraits(dwarf) {
         if (!dwarf) return;
         
-        // Initialize reproduction strategy for males (exact same as original)
+        // Males express their strategy gene; founders without one get a random strategy
         if (dwarf.gender === 'male') {
-            this.strategyFactory.assignRandomStrategy(dwarf);
+            if (dwarf.strategyGene) {
+                this.strategyFactory.assignStrategy(dwarf, dwarf.strategyGene, 'inherited');
+            } else {
+                this.strategyFactory.assignRandomStrategy(dwarf);
+            }
+        } else {
+            this.genetics.assignRandomStrategyGene(dwarf);
+            if (!dwarf.femaleStrategy) {
+                this.femaleSelection.assignFemaleStrategy(dwarf);
+            }
         }
         
         // Initialize reproduction-related properties (exact same as original)
@@ -186,6 +275,7 @@ export class ReproductionSystem {
         // Emit initialization event
         this.eventBus.emit('dwarf_reproduction_initialized', {
             dwarf: {
+                id: dwarf.id,
                 name: dwarf.name,
                 gender: dwarf.gender,
                 strategy: dwarf.reproductionStrategy || null,
@@ -213,6 +303,38 @@ export class ReproductionSystem {
         this.pregnancyManager.updatePregnancies();
     }
     
+    /**
+     * Grow or decay pair bonds with the partners' distance
+     * Should be called each game tick (the work runs every PAIR_BONDING.updateInterval ticks)
+     */
+    updatePairBonds() {
+        this.pairBonding.update();
+    }
+    
+    /**
+     * Announce season changes on the colony calendar (BREEDING_SEASON)
+     * Should be called each game tick
+     */
+    updateSeasons() {
+        this.fertility.update();
+    }
+    
+    /**
+     * Let males review their strategies (STRATEGY_SWITCHING)
+     * Should be called each game tick (the work runs every STRATEGY_SWITCHING.evaluationInterval ticks)
+     */
+    updateStrategySwitching() {
+        this.strategySwitching.update();
+    }
+    
+    /**
+     * Find guardians for orphans nobody has taken in yet
+     * Should be called each game tick (the work runs every PARENTAL_CARE.adoptionInterval ticks)
+     */
+    updateParentalCare() {
+        this.parentalCare.update();
+    }
+    
     /**
      * Handle dwarf reaching maturity
      * @param {Object} dwarf - Dwarf reaching maturity
@@ -222,6 +344,7 @@ export class ReproductionSystem {
         
         this.eventBus.emit(REPRODUCTION_EVENTS.MATURITY_REACHED, {
             dwarf: {
+                id: dwarf.id,
                 name: dwarf.name,
                 gender: dwarf.gender,
                 strategy: dwarf.reproductionStrategy || null
@@ -230,6 +353,18 @@ export class ReproductionSystem {
         });
     }
     
+    /**
+     * Handle a dwarf's death
+     * Called wherever dwarfs die, next to world.recordDeath().
+     * 
+     * @param {Object} dwarf - Dead dwarf
+     */
+    handleDeath(dwarf) {
+        this.mateLearning.recordOffspringDeath(dwarf);
+        this.pairBonding.handleDeath(dwarf);
+        this.parentalCare.handleDeath(dwarf);
+    }
+    
     /**
      * Get system statistics
      * @returns {Object} Reproduction system statistics
@@ -243,6 +378,16 @@ export class ReproductionSystem {
             successRate: this.statistics.matingsAttempted > 0 
                 ? (this.statistics.matingsSuccessful / this.statistics.matingsAttempted * 100).toFixed(1)
                 : 0,
+            genetics: this.genetics.getStatistics(),
+            payoff: this.strategyFactory.payoffModel.getStatistics(),
+            femaleStrategies: this.femaleSelection.getStrategyStatistics(),
+            mateLearning: this.mateLearning.getStatistics(),
+            fertility: this.fertility.getStatistics(),
+            pairBonds: this.pairBonding.getStatistics(),
+            parentalCare: this.parentalCare.getStatistics(),
+            pregnancyOutcomes: this.pregnancyManager.getStatistics().outcomes,
+            strategySwitching: this.strategySwitching.getStatistics(),
+            dominance: this.dominance.getStatistics(),
             eventHistory: this.eventBus.getEventHistory(null, 100)
         };
     }
@@ -251,11 +396,17 @@ export class ReproductionSystem {
      * Reset system statistics
      */
     resetStatistics() {
+        const strategiesExecuted = {};
+        this.strategyFactory.getAvailableStrategies().forEach(strategy => {
+            strategiesExecuted[strategy] = 0;
+        });
+        
         this.statistics = {
             matingsAttempted: 0,
             matingsSuccessful: 0,
             birthsOccurred: 0,
-            strategiesExecuted: { orange: 0, blue: 0, yellow: 0 }
+            inbredBirths: 0,
+            strategiesExecuted
         };
         
         this.eventBus.clearHistory();
@@ -287,9 +438,11 @@ export class ReproductionSystem {
         
         // Check strategy factory
         const availableStrategies = this.strategyFactory.getAvailableStrategies();
-        if (availableStrategies.length !== 3) {
-            issues.push(`Expected 3 strategies, found ${availableStrategies.length}`);
-        }
+        this.config.MALE_STRATEGIES.forEach(strategy => {
+            if (!availableStrategies.includes(strategy)) {
+                issues.push(`Missing built-in strategy: ${strategy}`);
+            }
+        });
         
         // Check population
         const populationStats = this.world.getPopulationStats();
@@ -0,0 +1,219 @@
+/**
+ * StrategySwitching.js
+ *
+ * Optional strategy switching for males (STRATEGY_SWITCHING.enabled).
+ * Every male keeps a record of his mating attempts and successes since he
+ * took up his current strategy (male.matingRecord, fed from MATING_ATTEMPT
+ * events by ReproductionSystem). Every evaluationInterval ticks, a male
+ * with at least minAttempts attempts compares his success rate with that
+ * of his rivals and switches with a chance of switchRate times his
+ * shortfall, to the strategy that is doing best among them.
+ *
+ * ageSwitches makes some switches a matter of age instead, e.g. sneaky
+ * yellow males settling down as territorial orange males once they are
+ * old enough. Males never switch back into a strategy they aged out of.
+ *
+ * Switching changes the expressed strategy only: the strategy gene a male
+ * passes on stays the one he was born with (see Genetics.js).
+ */
+
+import { REPRODUCTION_EVENTS } from '../events/ReproductionEventBus.js';
+
+export class StrategySwitching {
+    constructor(config, world, eventBus, strategyFactory) {
+        this.config = config;
+        this.world = world;
+        this.eventBus = eventBus;
+        this.strategyFactory = strategyFactory;
+
+        this.switchingConfig = config.STRATEGY_SWITCHING;
+
+        // Switches by reason, and by 'from->to' transition
+        this.switches = { performance: 0, age: 0 };
+        this.transitions = {};
+    }
+
+    /**
+     * Whether males may switch strategies
+     * @returns {boolean} True if switching is active
+     */
+    isEnabled() {
+        return !!(this.switchingConfig && this.switchingConfig.enabled);
+    }
+
+    /**
+     * Count a mating attempt in the male's record
+     * @param {Object} male - Male who attempted to mate
+     * @param {boolean} success - Whether the attempt led to a pregnancy
+     */
+    recordAttempt(male, success) {
+        if (!this.isEnabled() || !male) return;
+
+        if (!male.matingRecord) {
+            male.matingRecord = { attempts: 0, successes: 0 };
+        }
+        male.matingRecord.attempts++;
+        if (success) {
+            male.matingRecord.successes++;
+        }
+    }
+
+    /**
+     * Success rate of a male's current strategy
+     * @param {Object} male - Male dwarf
+     * @returns {number|null} Successes per attempt, or null with fewer than minAttempts attempts
+     */
+    getSuccessRate(male) {
+        const record = male && male.matingRecord;
+        if (!record || record.attempts < this.switchingConfig.minAttempts) return null;
+        return record.successes / record.attempts;
+    }
+
+    /**
+     * Review every adult male's strategy
+     * Runs once every STRATEGY_SWITCHING.evaluationInterval ticks.
+     */
+    update() {
+        if (!this.isEnabled() || this.world.getTime() % this.switchingConfig.evaluationInterval !== 0) return;
+
+        const males = this.world.getAdultDwarfs().filter(dwarf =>
+            dwarf.gender === 'male' && !dwarf.isDead && dwarf.reproductionStrategy);
+
+        males.forEach(male => {
+            const ageTarget = this.getAgeSwitch(male);
+            if (ageTarget) {
+                this.switchStrategy(male, ageTarget, 'age', this.getSuccessRate(male), null);
+                return;
+            }
+
+            const ownRate = this.getSuccessRate(male);
+            if (ownRate === null) return;
+
+            const rivals = males.filter(rival => rival !== male && this.getSuccessRate(rival) !== null);
+            const rivalRate = this.getPooledRate(rivals);
+            if (rivalRate === null || rivalRate <= ownRate) return;
+
+            const target = this.getBestStrategy(male, rivals);
+            if (!target) return;
+
+            const shortfall = (rivalRate - ownRate) / rivalRate;
+            if (this.world.random() < this.switchingConfig.switchRate * shortfall) {
+                this.switchStrategy(male, target, 'performance', ownRate, rivalRate);
+            }
+        });
+    }
+
+    /**
+     * Strategy a male must take up because of his age
+     * @param {Object} male - Adult male
+     * @returns {string|null} New strategy, or null if no age switch applies
+     */
+    getAgeSwitch(male) {
+        const rule = this.switchingConfig.ageSwitches[male.reproductionStrategy];
+        if (!rule || !this.strategyFactory.hasStrategy(rule.to)) return null;
+        if (typeof male.age !== 'number' || !(male.maxLifespan > 0)) return null;
+        return male.age / male.maxLifespan >= rule.age ? rule.to : null;
+    }
+
+    /**
+     * Best-performing strategy among rivals, other than the male's own
+     * Skips strategies the male is too old for (ageSwitches).
+     * @private
+     */
+    getBestStrategy(male, rivals) {
+        const ageRatio = male.maxLifespan > 0 ? (male.age || 0) / male.maxLifespan : 0;
+        let best = null;
+        let bestRate = -1;
+
+        this.strategyFactory.getAvailableStrategies().forEach(strategy => {
+            if (strategy === male.reproductionStrategy) return;
+
+            const rule = this.switchingConfig.ageSwitches[strategy];
+            if (rule && ageRatio >= rule.age) return;
+
+            const rate = this.getPooledRate(rivals.filter(rival => rival.reproductionStrategy === strategy));
+            if (rate !== null && rate > bestRate) {
+                best = strategy;
+                bestRate = rate;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Total successes over total attempts of a group of males
+     * @private
+     */
+    getPooledRate(males) {
+        let attempts = 0;
+        let successes = 0;
+        males.forEach(male => {
+            attempts += male.matingRecord.attempts;
+            successes += male.matingRecord.successes;
+        });
+        return attempts > 0 ? successes / attempts : null;
+    }
+
+    /**
+     * Move a male to a new strategy and start a fresh record
+     * @private
+     */
+    switchStrategy(male, strategy, reason, successRate, rivalSuccessRate) {
+        const previous = male.reproductionStrategy;
+        this.strategyFactory.switchStrategy(male, strategy);
+        male.matingRecord = { attempts: 0, successes: 0 };
+
+        const transition = `${previous}->${strategy}`;
+        this.switches[reason]++;
+        this.transitions[transition] = (this.transitions[transition] || 0) + 1;
+
+        this.world.addLog(`${male.name} switched from ${previous} to ${strategy}` +
+            (reason === 'age' ? ' with age' : ''));
+
+        this.eventBus.emit(REPRODUCTION_EVENTS.STRATEGY_SWITCHED, {
+            male: {
+                id: male.id,
+                name: male.name
+            },
+            from: previous,
+            to: strategy,
+            reason,
+            successRate,
+            rivalSuccessRate,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Switches so far and how each strategy is doing
+     * @returns {Object} { enabled, switches, byReason, transitions, successRates: {strategy: rate} }
+     */
+    getStatistics() {
+        const males = this.world.getAdultDwarfs().filter(dwarf => dwarf.gender === 'male' && dwarf.matingRecord);
+        const successRates = {};
+        this.strategyFactory.getAvailableStrategies().forEach(strategy => {
+            const rate = this.getPooledRate(males.filter(male => male.reproductionStrategy === strategy));
+            successRates[strategy] = rate !== null ? Math.round(rate * 1000) / 1000 : null;
+        });
+
+        return {
+            enabled: this.isEnabled(),
+            switches: this.switches.performance + this.switches.age,
+            byReason: { ...this.switches },
+            transitions: { ...this.transitions },
+            successRates
+        };
+    }
+}
+
+/**
+ * Factory function for creating StrategySwitching instances
+ * @param {Object} config - Reproduction configuration
+ * @param {Object} world - World interface
+ * @param {Object} eventBus - Event bus for communication
+ * @param {StrategyFactory} strategyFactory - Strategy registry that applies switches
+ * @returns {StrategySwitching} New strategy switching instance
+ */
+export function createStrategySwitching(config, world, eventBus, strategyFactory) {
+    return new StrategySwitching(config, world, eventBus, strategyFactory);
+}
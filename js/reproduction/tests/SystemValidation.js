@@ -95,6 +95,24 @@ export async function runValidationTests() {
         // Test 10: Pregnancy and Birth
         await testPregnancySystem(results);
         
+        // Test 11: Simulation Clock
+        await testSimulationClock(results);
+        
+        // Test 12: Save System
+        await testSaveSystem(results);
+        
+        // Test 13: Save Codec
+        await testSaveCodec(results);
+        
+        // Test 14: Save Migrations
+        await testSaveMigrations(results);
+        
+        // Test 15: Save Storage
+        await testSaveStorage(results);
+        
+        // Test 16: Statistics Sampler
+        await testStatisticsSampler(results);
+        
     } catch (error) {
         console.error('❌ Test suite failed with error:', error);
         results.failed++;
@@ -134,7 +152,20 @@ async function testConfigurationValidation(results) {
         } catch (error) {
             recordTest(results, 'Invalid configuration detection', true);
         }
-        
+
+        // Test payoff cycle validation
+        try {
+            const invalidConfig = { ...REPRODUCTION_CONFIG };
+            invalidConfig.STRATEGY_PAYOFF = {
+                ...REPRODUCTION_CONFIG.STRATEGY_PAYOFF,
+                beats: { orange: 'blue', blue: 'orange', yellow: 'orange' }
+            };
+            validateConfig(invalidConfig);
+            recordTest(results, 'Invalid payoff cycle detection', false, 'Should have thrown error');
+        } catch (error) {
+            recordTest(results, 'Invalid payoff cycle detection', true);
+        }
+
         // Test strategy configs
         const orangeConfig = REPRODUCTION_CONFIG.ORANGE_STRATEGY;
         const blueConfig = REPRODUCTION_CONFIG.BLUE_STRATEGY;
@@ -192,7 +223,57 @@ async function testWorldInterface(results) {
         // Test distance calculation
         const distance = world.calculateDistance(male1, female1);
         recordTest(results, 'Distance calculation', typeof distance === 'number' && distance >= 0);
+
+        // Test seeded random source
+        const { SeededRandom } = await import('../../SeededRandom.js');
+        const seededWorldA = new WorldInterface(mockGame, { random: new SeededRandom(42).next });
+        const seededWorldB = new WorldInterface(mockGame, { random: new SeededRandom(42).next });
+        const sequenceA = [seededWorldA.random(), seededWorldA.random(), seededWorldA.random()];
+        const sequenceB = [seededWorldB.random(), seededWorldB.random(), seededWorldB.random()];
+        recordTest(results, 'Seeded random replays', sequenceA.every((value, i) => value === sequenceB[i]));
+        recordTest(results, 'Seeded random range', sequenceA.every(value => value >= 0 && value < 1));
+
+        // Test lineage tracking
+        const lineageGame = new MockGame();
+        const lineageWorld = new WorldInterface(lineageGame);
+        const mother = lineageWorld.createDwarf(0, 0, 'Mother', true);
+        const father = lineageWorld.createDwarf(0, 0, 'Father', true);
+        lineageWorld.addDwarf(mother);
+        lineageWorld.addDwarf(father);
+        const child1 = lineageWorld.createDwarf(0, 0, 'Child1', false);
+        lineageWorld.registerLineage(child1, mother.id, father.id);
+        lineageWorld.addDwarf(child1);
+        const child2 = lineageWorld.createDwarf(0, 0, 'Child2', false);
+        lineageWorld.registerLineage(child2, mother.id, null);
+        lineageWorld.addDwarf(child2);
+        const grandchild = lineageWorld.createDwarf(0, 0, 'Grandchild', false);
+        lineageWorld.registerLineage(grandchild, child2.id, child1.id);
+        lineageWorld.addDwarf(grandchild);
+
+        recordTest(results, 'Dwarf ids are unique', new Set(lineageGame.dwarfs.map(d => d.id)).size === 5);
+        recordTest(results, 'Lineage generation', grandchild.generation === 2 && child1.generation === 1 && mother.generation === 0);
+        recordTest(results, 'Lineage children', mother.childIds.length === 2 && father.childIds.length === 1);
+        recordTest(results, 'Lineage ancestors deduplicated', lineageWorld.getAncestors(grandchild.id).length === 4);
+        recordTest(results, 'Lineage descendants', lineageWorld.getDescendants(mother.id).length === 3);
+        const siblings = lineageWorld.getSiblings(child1.id);
+        recordTest(results, 'Lineage half-siblings', siblings.length === 1 && !siblings[0].fullSibling);
+        lineageWorld.recordDeath(father);
+        recordTest(results, 'Lineage survives death', lineageWorld.getParents(child1.id).father.diedAt === 0);
+
+        // Test kin recognition from recorded parentage
+        recordTest(results, 'Relatedness parent and child', lineageWorld.getRelatedness(mother.id, child1.id) === 0.5);
+        recordTest(results, 'Relatedness half-siblings', lineageWorld.getRelatedness(child1.id, child2.id) === 0.25);
+        recordTest(results, 'Relatedness unrelated founders', lineageWorld.getRelatedness(mother.id, father.id) === 0);
+        recordTest(results, 'Inbreeding coefficient', lineageWorld.getInbreedingCoefficient(grandchild.id) === 0.125);
         
+        const { FemaleSelection } = await import('../systems/FemaleSelection.js');
+        const { REPRODUCTION_CONFIG } = await import('../config/ReproductionConfig.js');
+        const { ReproductionEventBus } = await import('../events/ReproductionEventBus.js');
+        const kinSelection = new FemaleSelection(REPRODUCTION_CONFIG, lineageWorld, new ReproductionEventBus());
+        const kinBreakdown = kinSelection.getDetailedScore(child2, child1);
+        recordTest(results, 'Inbreeding penalty in score breakdown',
+            kinBreakdown.relatedness === 0.25 && kinBreakdown.inbreedingPenalty === -0.25 * REPRODUCTION_CONFIG.INBREEDING.penalty);
+
         console.log('✅ World Interface tests completed\n');
         
     } catch (error) {
@@ -270,7 +351,122 @@ async function testStrategyFactory(results) {
         // Test strategy validation
         const isValid = strategyFactory.validateStrategy(male);
         recordTest(results, 'Strategy validation', isValid);
-        
+
+        // Test frequency-dependent payoffs (disabled by default)
+        recordTest(results, 'Fixed mating chance by default',
+            orangeStrategy.getMatingChance(male) === REPRODUCTION_CONFIG.ORANGE_STRATEGY.matingChance);
+
+        const { StrategyPayoff } = await import('../strategies/StrategyPayoff.js');
+        const payoff = new StrategyPayoff({
+            ...REPRODUCTION_CONFIG,
+            STRATEGY_PAYOFF: { ...REPRODUCTION_CONFIG.STRATEGY_PAYOFF, enabled: true }
+        }, world);
+        const blueCommon = { orange: 0.2, blue: 0.6, yellow: 0.2 };
+        recordTest(results, 'Orange gains when blue is common', payoff.calculateMultiplier('orange', blueCommon) > 1);
+        recordTest(results, 'Yellow loses when blue is common', payoff.calculateMultiplier('yellow', blueCommon) < 1);
+        recordTest(results, 'Equal morphs give neutral payoff',
+            payoff.calculateMultiplier('blue', { orange: 1 / 3, blue: 1 / 3, yellow: 1 / 3 }) === 1);
+
+        // Test custom strategy registration
+        const { BaseStrategy } = await import('../strategies/BaseStrategy.js');
+        const { STRATEGY_COLORS } = await import('../config/ReproductionConfig.js');
+        const { FemaleSelection } = await import('../systems/FemaleSelection.js');
+        const { ReproductionSystem } = await import('../systems/ReproductionSystem.js');
+
+        class SatelliteStrategy extends BaseStrategy {
+            execute(male) {
+                male.displayCount = (male.displayCount || 0) + 1;
+            }
+            initializeMale(male) {
+                if (typeof male.displayCount === 'undefined') male.displayCount = 0;
+            }
+            scoreForFemale(female, male) {
+                return this.getConfig().displayBonus;
+            }
+            getSaveFields() {
+                return ['displayCount'];
+            }
+        }
+        const satelliteConfig = { displayName: 'Satellite', cooldown: 200, matingChance: 0.2, color: '#2ECC71', displayBonus: 3 };
+
+        const customFactory = new StrategyFactory(REPRODUCTION_CONFIG, world, eventBus);
+        const customSystem = new ReproductionSystem({ worldInterface: world, eventBus, strategyFactory: customFactory });
+        customSystem.registerStrategy('satellite', SatelliteStrategy, satelliteConfig);
+        recordTest(results, 'Custom strategy registered', customFactory.getAvailableStrategies().includes('satellite'));
+        recordTest(results, 'Custom strategy color', STRATEGY_COLORS.satellite === '#2ECC71');
+        recordTest(results, 'Custom strategy statistics', customSystem.getStatistics().strategiesExecuted.satellite === 0);
+
+        const satelliteMale = new MockDwarf('SatelliteMale', 'male');
+        customFactory.assignStrategy(satelliteMale, 'satellite');
+        customSystem.handleMaleReproductiveBehavior(satelliteMale);
+        recordTest(results, 'Custom strategy executes', satelliteMale.displayCount === 1 &&
+            customSystem.getStatistics().strategiesExecuted.satellite === 1);
+        recordTest(results, 'Custom strategy save fields', customFactory.getSaveData(satelliteMale).displayCount === 1);
+
+        const customSelection = new FemaleSelection(REPRODUCTION_CONFIG, world, eventBus, customFactory);
+        recordTest(results, 'Custom strategy female score',
+            customSelection.getDetailedScore(new MockDwarf('Chooser', 'female'), satelliteMale).strategyScore === 3);
+
+        let duplicateRejected = false;
+        try {
+            customFactory.registerStrategy('satellite', SatelliteStrategy, satelliteConfig);
+        } catch (error) {
+            duplicateRejected = true;
+        }
+        let badConfigRejected = false;
+        try {
+            customFactory.registerStrategy('display', SatelliteStrategy, { ...satelliteConfig, matingChance: 2 });
+        } catch (error) {
+            badConfigRejected = true;
+        }
+        recordTest(results, 'Duplicate strategy rejected', duplicateRejected);
+        recordTest(results, 'Invalid strategy config rejected', badConfigRejected);
+
+        // Test adaptive strategy switching
+        const { StrategySwitching } = await import('../systems/StrategySwitching.js');
+        const { REPRODUCTION_EVENTS } = await import('../events/ReproductionEventBus.js');
+        const switchWorld = new WorldInterface(new MockGame(), { random: () => 0 });
+        const switchFactory = new StrategyFactory(REPRODUCTION_CONFIG, switchWorld, eventBus);
+        const switching = new StrategySwitching({
+            ...REPRODUCTION_CONFIG,
+            STRATEGY_SWITCHING: { ...REPRODUCTION_CONFIG.STRATEGY_SWITCHING, enabled: true }
+        }, switchWorld, eventBus, switchFactory);
+        const struggler = new MockDwarf('Struggler', 'male');
+        const rival = new MockDwarf('Rival', 'male');
+        switchFactory.assignStrategy(struggler, 'blue');
+        switchFactory.assignStrategy(rival, 'orange');
+        switchWorld.addDwarf(struggler);
+        switchWorld.addDwarf(rival);
+        for (let i = 0; i < REPRODUCTION_CONFIG.STRATEGY_SWITCHING.minAttempts; i++) {
+            switching.recordAttempt(struggler, false);
+            switching.recordAttempt(rival, true);
+        }
+        recordTest(results, 'Mating attempts recorded',
+            struggler.matingRecord.attempts === REPRODUCTION_CONFIG.STRATEGY_SWITCHING.minAttempts &&
+            struggler.matingRecord.successes === 0 && switching.getSuccessRate(rival) === 1);
+        
+        const switchEvents = [];
+        eventBus.subscribe(REPRODUCTION_EVENTS.STRATEGY_SWITCHED, (event) => switchEvents.push(event.data));
+        switching.update();
+        recordTest(results, 'Failing male switches to rival strategy',
+            struggler.reproductionStrategy === 'orange' && struggler.strategyGene === 'blue' &&
+            switchEvents.length === 1 && switchEvents[0].reason === 'performance');
+        recordTest(results, 'Successful male keeps strategy', rival.reproductionStrategy === 'orange');
+        
+        const ageingSneaker = Object.assign(new MockDwarf('AgeingSneaker', 'male'), { age: 50, maxLifespan: 100 });
+        switchFactory.assignStrategy(ageingSneaker, 'yellow');
+        switchWorld.addDwarf(ageingSneaker);
+        switching.update();
+        const switchStats = switching.getStatistics();
+        recordTest(results, 'Older sneaker turns territorial',
+            ageingSneaker.reproductionStrategy === 'orange' && switchEvents[switchEvents.length - 1].reason === 'age');
+        recordTest(results, 'Switch statistics',
+            switchStats.switches === 2 && switchStats.transitions['blue->orange'] === 1 && switchStats.byReason.age === 1);
+        
+        const fixedMale = new MockDwarf('FixedMale', 'male');
+        new StrategySwitching(REPRODUCTION_CONFIG, switchWorld, eventBus, switchFactory).recordAttempt(fixedMale, true);
+        recordTest(results, 'Switching off by default', !fixedMale.matingRecord);
+
         console.log('✅ Strategy Factory tests completed\n');
         
     } catch (error) {
@@ -311,6 +507,88 @@ async function testFemaleSelection(results) {
         recordTest(results, 'Female scoring produces numbers', typeof blueScore === 'number' && typeof orangeScore === 'number');
         recordTest(results, 'High agreeableness prefers blue over orange', blueScore > orangeScore);
         
+        // Test female strategies (disabled by default: everyone is standard)
+        femaleSelection.assignFemaleStrategy(female);
+        recordTest(results, 'Females standard by default', female.femaleStrategy === 'standard');
+        
+        const choosy = femaleSelection.femaleStrategies.get('choosy');
+        const choosyConfig = REPRODUCTION_CONFIG.FEMALE_STRATEGIES.choosy;
+        recordTest(results, 'Choosy female rejects low score',
+            !choosy.accepts(female, orangeMale, choosyConfig.minScore - 1) && choosy.accepts(female, blueMale, choosyConfig.minScore));
+        
+        const copier = new MockDwarf('Copier', 'female');
+        const rival = new MockDwarf('Rival', 'female');
+        Object.assign(copier, { id: 1, x: 100, y: 100 });
+        Object.assign(rival, { id: 2, x: 110, y: 100 });
+        blueMale.id = 3;
+        mockGame.dwarfs.push(copier, rival, blueMale);
+        femaleSelection.assignFemaleStrategy(copier, 'copier', 'selected');
+        femaleSelection.recordMating({ maleId: blueMale.id, femaleId: rival.id });
+        recordTest(results, 'Mate copier favors chosen male',
+            femaleSelection.getDetailedScore(copier, blueMale).femaleStrategyScore === REPRODUCTION_CONFIG.FEMALE_STRATEGIES.copier.copyBonus);
+        
+        // Test mate-choice learning from offspring survival
+        const { MateChoiceLearning } = await import('../systems/MateChoiceLearning.js');
+        const learning = new MateChoiceLearning({
+            ...REPRODUCTION_CONFIG,
+            MATE_LEARNING: { ...REPRODUCTION_CONFIG.MATE_LEARNING, enabled: true }
+        }, world, eventBus);
+        const child = new MockDwarf('Child', 'male', false);
+        Object.assign(child, { id: 4, motherId: copier.id, fatherStrategy: 'yellow' });
+        learning.recordOffspringDeath(child);
+        recordTest(results, 'Lost offspring lowers preference',
+            copier.matePreferences.yellow === -REPRODUCTION_CONFIG.MATE_LEARNING.learningRate);
+        child.isAdult = true;
+        learning.recordOffspringMatured(child);
+        learning.recordOffspringMatured(child);
+        recordTest(results, 'Surviving offspring raises preference',
+            copier.matePreferences.yellow === REPRODUCTION_CONFIG.MATE_LEARNING.learningRate);
+        
+        // Test condition-dependent choice (disabled by default; its age factor reads the FERTILITY curve)
+        recordTest(results, 'Male condition off by default', !femaleSelection.maleCondition.isEnabled());
+        
+        const { Fertility } = await import('../systems/Fertility.js');
+        const { MaleCondition } = await import('../systems/MaleCondition.js');
+        const conditionConfig = {
+            ...REPRODUCTION_CONFIG,
+            MALE_CONDITION: { ...REPRODUCTION_CONFIG.MALE_CONDITION, enabled: true },
+            FERTILITY: { ...REPRODUCTION_CONFIG.FERTILITY, enabled: true }
+        };
+        const condition = new MaleCondition(conditionConfig, world, new Fertility(conditionConfig, world, eventBus));
+        
+        // Mock males without health, age, fights or gold score 0
+        recordTest(results, 'Males without condition data score neutral',
+            condition.getConditionScore(female, orangeMale).total === 0);
+        
+        const chooser = new MockDwarf('Chooser', 'female');
+        Object.assign(chooser.personality, { neuroticism: 100, conscientiousness: 50, agreeableness: 0 });
+        const fit = new MockDwarf('FitMale', 'male');
+        Object.assign(fit, { id: 10, health: 100, maxHealth: 100, age: 0.3, maxLifespan: 1, boutsWon: 3, boutsLost: 0,
+            efficiency: 1.25, goldMined: 50 });
+        const frail = new MockDwarf('FrailMale', 'male');
+        Object.assign(frail, { id: 11, health: 10, maxHealth: 100, age: 0.79, maxLifespan: 1, boutsWon: 0, boutsLost: 3,
+            efficiency: 0.8, goldMined: 0 });
+        mockGame.dwarfs = [chooser, fit, frail];
+        
+        const factors = REPRODUCTION_CONFIG.MALE_CONDITION.factors;
+        const fitScore = condition.getConditionScore(chooser, fit);
+        const frailScore = condition.getConditionScore(chooser, frail);
+        recordTest(results, 'Female prefers the male in better condition', fitScore.total > 0 && frailScore.total < 0);
+        recordTest(results, 'Personality sets condition weights',
+            fitScore.factors.health.weight === factors.health.weight * 2 &&
+            fitScore.factors.fights.weight === factors.fights.weight * 2 &&
+            fitScore.factors.provisioning.weight === 0);
+        recordTest(results, 'Condition factors read health, age, fights, efficiency and gold',
+            fitScore.factors.health.condition === 1 && fitScore.factors.age.condition === 1 &&
+            fitScore.factors.fights.condition === 1 && fitScore.factors.efficiency.condition === 1 &&
+            fitScore.factors.provisioning.condition === 1 && frailScore.factors.provisioning.condition === 0);
+        
+        const conditionSelection = new FemaleSelection(conditionConfig, world, eventBus);
+        const detailed = conditionSelection.getDetailedScore(chooser, fit);
+        recordTest(results, 'Detailed score lists condition factors',
+            Object.keys(detailed.condition).length === Object.keys(factors).length &&
+            detailed.conditionScore === conditionSelection.maleCondition.getConditionScore(chooser, fit).total);
+        
         console.log('✅ Female Selection tests completed\n');
         
     } catch (error) {
@@ -326,7 +604,7 @@ async function testOrangeStrategy(results) {
         const { OrangeStrategy } = await import('../strategies/OrangeStrategy.js');
         const { REPRODUCTION_CONFIG } = await import('../config/ReproductionConfig.js');
         const { WorldInterface } = await import('../core/WorldInterface.js');
-        const { ReproductionEventBus } = await import('../events/ReproductionEventBus.js');
+        const { ReproductionEventBus, REPRODUCTION_EVENTS } = await import('../events/ReproductionEventBus.js');
         
         const mockGame = new MockGame();
         const world = new WorldInterface(mockGame);
@@ -352,6 +630,59 @@ async function testOrangeStrategy(results) {
         const isValid = orangeStrategy.validateMale(male);
         recordTest(results, 'Orange male validation', isValid);
         
+        // Dominance (disabled by default): every hit moves rating from the target to the attacker
+        const { DominanceHierarchy } = await import('../systems/DominanceHierarchy.js');
+        recordTest(results, 'Dominance off by default',
+            !new DominanceHierarchy(REPRODUCTION_CONFIG, world, eventBus).isEnabled());
+        
+        const dominance = new DominanceHierarchy({
+            ...REPRODUCTION_CONFIG,
+            DOMINANCE: { ...REPRODUCTION_CONFIG.DOMINANCE, enabled: true }
+        }, world, eventBus);
+        orangeStrategy.setDominanceModel(dominance);
+        const { initialRating, kFactor } = REPRODUCTION_CONFIG.DOMINANCE;
+        
+        const rival = new MockDwarf('RivalMale', 'male');
+        rival.reproductionStrategy = 'orange';
+        mockGame.dwarfs = [male, female, rival];
+        
+        const contests = [];
+        eventBus.subscribe(REPRODUCTION_EVENTS.DOMINANCE_CONTEST, (event) => contests.push(event.data));
+        const firstChange = dominance.recordBout(rival, male, false);
+        recordTest(results, 'Dominance bout between equals moves half of kFactor',
+            firstChange === kFactor / 2 && rival.dominanceRating === initialRating + kFactor / 2 &&
+            male.dominanceRating === initialRating - kFactor / 2 && contests.length === 1);
+        
+        const expectedWin = dominance.recordBout(rival, male, false);
+        const upset = dominance.recordBout(male, rival, false);
+        recordTest(results, 'Dominance upset moves more rating than an expected win',
+            upset > expectedWin && rival.boutsWon === 2 && male.boutsLost === 2);
+        
+        const killShare = kFactor * (1 - dominance.getExpectedScore(rival, male));
+        const killChange = dominance.recordBout(rival, male, true);
+        recordTest(results, 'Dominance killing blow counts killMultiplier hits',
+            Math.abs(killChange - killShare * REPRODUCTION_CONFIG.DOMINANCE.killMultiplier) < 1e-9 &&
+            dominance.decisiveBouts === 1);
+        
+        // The higher-ranking rival stands his ground; a lower-ranking one flees
+        recordTest(results, 'Dominant competitor refuses displacement',
+            orangeStrategy.displaceCompetitor(male, rival) === false && rival.task === 'idle');
+        recordTest(results, 'Subordinate competitor is displaced',
+            orangeStrategy.displaceCompetitor(rival, male) === true && male.task === 'fleeing');
+        
+        recordTest(results, 'Dominance mate bonus follows rank',
+            dominance.getMateBonus(rival) > 0 && dominance.getMateBonus(male) < 0 &&
+            Math.abs(dominance.getMateBonus(rival)) <= REPRODUCTION_CONFIG.DOMINANCE.maxMateBonus);
+        
+        recordTest(results, 'Outranked dwarf yields at a crowded source',
+            dominance.yieldsTo(male, [rival]) && !dominance.yieldsTo(rival, [male]) &&
+            !dominance.yieldsTo(male, []));
+        
+        const rankings = dominance.getRankings();
+        recordTest(results, 'Dominance rankings list adults highest first',
+            rankings.length === 3 && rankings[0].name === 'RivalMale' && rankings[2].name === 'OrangeMale' &&
+            rankings[0].rank === 1 && rankings[0].boutsWon === 3);
+        
         console.log('✅ Orange Strategy tests completed\n');
         
     } catch (error) {
@@ -430,10 +761,19 @@ async function testSystemIntegration(results) {
     
     try {
         const { createReproductionSystem } = await import('../systems/ReproductionSystem.js');
+        const { REPRODUCTION_CONFIG } = await import('../config/ReproductionConfig.js');
         
         const mockGame = new MockGame();
+        // Optional models are off by default; switch on the ones exercised below
         const reproductionSystem = createReproductionSystem({
-            gameReference: mockGame
+            gameReference: mockGame,
+            config: {
+                ...REPRODUCTION_CONFIG,
+                PAIR_BONDING: { ...REPRODUCTION_CONFIG.PAIR_BONDING, enabled: true },
+                PARENTAL_CARE: { ...REPRODUCTION_CONFIG.PARENTAL_CARE, enabled: true },
+                FERTILITY: { ...REPRODUCTION_CONFIG.FERTILITY, enabled: true },
+                NUTRITION: { ...REPRODUCTION_CONFIG.NUTRITION, enabled: true }
+            }
         });
         
         recordTest(results, 'ReproductionSystem creation', !!reproductionSystem);
@@ -455,6 +795,255 @@ async function testSystemIntegration(results) {
         const stats = reproductionSystem.getStatistics();
         recordTest(results, 'Statistics generation', !!stats);
         
+        // Pair bonds (disabled by default)
+        const defaultSystem = createReproductionSystem({ gameReference: new MockGame() });
+        recordTest(results, 'Pair bonds off by default', !defaultSystem.pairBonding.isEnabled());
+        
+        const bondConfig = REPRODUCTION_CONFIG.PAIR_BONDING;
+        const pairBonding = reproductionSystem.pairBonding;
+        const rival = new MockDwarf('TestRival', 'male');
+        Object.assign(male, { id: 1, x: 0, y: 0 });
+        Object.assign(female, { id: 2, x: 10, y: 0 });
+        Object.assign(rival, { id: 3, x: 20, y: 0 });
+        mockGame.dwarfs.push(male, female, rival);
+        
+        pairBonding.handleMating(male, female);
+        recordTest(results, 'Mating forms pair bond',
+            pairBonding.areBonded(male, female) && female.bondStrength === bondConfig.initialStrength);
+        recordTest(results, 'Female favors bonded partner',
+            reproductionSystem.femaleSelection.getDetailedScore(female, male).pairBond === bondConfig.initialStrength * bondConfig.preferenceBonus);
+        
+        mockGame.time = bondConfig.updateInterval;
+        reproductionSystem.updatePairBonds();
+        recordTest(results, 'Bond grows while together',
+            male.bondStrength === bondConfig.initialStrength + bondConfig.proximityGain);
+        
+        const home = pairBonding.getSharedHome(male, [{ x: 300, y: 300 }, { x: 5, y: 5 }]);
+        recordTest(results, 'Partners share nearest house',
+            home.x === 5 && female.sharedHome.x === 5 && female.sharedHome.y === 5);
+        
+        pairBonding.handleMating(rival, female);
+        recordTest(results, 'Infidelity ends weak bond',
+            male.partnerId === null && pairBonding.areBonded(rival, female));
+        
+        mockGame.dwarfs = [male, female];
+        reproductionSystem.handleDeath(rival);
+        recordTest(results, 'Partner death ends bond',
+            female.partnerId === null && pairBonding.getStatistics().bondsDissolved.partner_died === 1);
+        
+        // Parental care (disabled by default)
+        recordTest(results, 'Parental care off by default', !defaultSystem.parentalCare.isEnabled());
+        
+        const careConfig = REPRODUCTION_CONFIG.PARENTAL_CARE;
+        const parentalCare = reproductionSystem.parentalCare;
+        const child = new MockDwarf('TestChild', 'female', false);
+        Object.assign(child, { id: 4, x: 15, y: 0, motherId: female.id, fatherId: male.id, guardianId: null, hunger: 10, thirst: 90 });
+        mockGame.dwarfs.push(child);
+        recordTest(results, 'Mother cares for hungry child',
+            parentalCare.findChildInNeed(female) === child && parentalCare.getNeed(child) === 'food');
+        recordTest(results, 'Unbonded father is not a carer', parentalCare.findChildInNeed(male) === null);
+        
+        parentalCare.deliverCare(female, child, 'food');
+        recordTest(results, 'Delivered food feeds child', child.hunger === 10 + careConfig.portion * 3);
+        
+        mockGame.dwarfs = [male, child];
+        reproductionSystem.handleDeath(female);
+        recordTest(results, 'Orphan adopted by father', child.guardianId === male.id);
+        
+        const neighbor = new MockDwarf('TestNeighbor', 'female');
+        Object.assign(neighbor, { id: 5, x: 30, y: 0 });
+        neighbor.personality.agreeableness = 90;
+        mockGame.dwarfs = [child, neighbor];
+        reproductionSystem.handleDeath(male);
+        recordTest(results, 'Orphan adopted by agreeable adult', child.guardianId === neighbor.id);
+        
+        const nursery = { type: 'amenity', amenityType: 'nursery', x: 15, y: 10 };
+        recordTest(results, 'Nursery speeds maturity',
+            parentalCare.getMaturityRate(child, [nursery]) === 1 + careConfig.nurseryMaturityBonus);
+        
+        // Fertility
+        const { createFertility } = await import('../systems/Fertility.js');
+        const fertility = reproductionSystem.fertility;
+        const elder = new MockDwarf('TestElder', 'female');
+        Object.assign(elder, { age: 900, maxLifespan: 1000, hunger: 0, thirst: 0 });
+        recordTest(results, 'Fertility and nutrition off by default',
+            defaultSystem.fertility.getAgeFertility(elder) === 1 && defaultSystem.fertility.getNutritionFactor(elder) === 1);
+        recordTest(results, 'Dwarfs past fertile age cannot breed',
+            fertility.getAgeFertility(elder) === 0 && !reproductionSystem.canParticipateInReproduction(elder));
+        elder.age = 300;
+        recordTest(results, 'Full fertility in prime of life', fertility.getAgeFertility(elder) === 1);
+        recordTest(results, 'Starving female conceives less',
+            fertility.getNutritionFactor(elder) === REPRODUCTION_CONFIG.NUTRITION.minConception);
+        
+        const seasonConfig = { ...REPRODUCTION_CONFIG.BREEDING_SEASON, enabled: true };
+        const seasonal = createFertility({ ...REPRODUCTION_CONFIG, BREEDING_SEASON: seasonConfig },
+            reproductionSystem.world, reproductionSystem.eventBus);
+        mockGame.time = seasonConfig.yearLength + seasonConfig.yearLength / seasonConfig.seasons.length * 3;
+        recordTest(results, 'Calendar season and year',
+            seasonal.getCalendar().season === seasonConfig.seasons[3] && seasonal.getCalendar().year === 2);
+        recordTest(results, 'No breeding out of season', !seasonal.canBreed(elder));
+        
+        // Combat classes
+        const { LifespanCombatSystem } = await import('../../LifespanCombatSystem.js');
+        const { WorldInterface } = await import('../core/WorldInterface.js');
+        let roll = 0;
+        const combat = new LifespanCombatSystem({ random: () => roll });
+        const classCombat = combat.config.classCombat;
+        const combatGame = new MockGame();
+        const combatWorld = new WorldInterface(combatGame, { logSink: () => {} });
+        const makeCombatant = (name, dwarfClass, x) => {
+            const dwarf = new MockDwarf(name, 'male');
+            Object.assign(dwarf, { class: dwarfClass, x, y: 0, reproductionStrategy: 'orange' });
+            combat.initializeDwarf(dwarf);
+            Object.assign(dwarf, { maxHealth: 100, health: 100, combatStats: { attack: 1, defense: 1, speed: 1, critChance: 0 } });
+            return dwarf;
+        };
+        
+        const archer = makeCombatant('TestArcher', 'archer', 0);
+        const farTarget = makeCombatant('TestFarTarget', 'fighter', 100);
+        combatGame.dwarfs = [archer, farTarget];
+        combat.handleCombatBehavior(archer, combatWorld);
+        recordTest(results, 'Archer shoots at a distant target',
+            combat.projectiles.length === 1 && archer.combatTarget === farTarget);
+        
+        const fighter = makeCombatant('TestFighter', 'fighter', 0);
+        combatGame.dwarfs = [fighter, farTarget];
+        combat.handleCombatBehavior(fighter, combatWorld);
+        recordTest(results, 'Fighter cannot reach a distant target',
+            combat.projectiles.length === 1 && fighter.combatTarget === null && farTarget.health === 100);
+        
+        roll = 0.99;
+        for (let tick = 0; tick < 60 && combat.projectiles.length > 0; tick++) {
+            combat.updateProjectiles(combatWorld);
+        }
+        recordTest(results, 'Arrow hits its target', combat.projectiles.length === 0 &&
+            farTarget.health < 100 && farTarget.lastAttacker === archer);
+        
+        const brawler = makeCombatant('TestBrawler', undefined, 0);
+        const victim = makeCombatant('TestVictim', 'fighter', 10);
+        combatGame.dwarfs = [brawler, fighter, victim];
+        combat.performAttack(brawler, victim, combatWorld);
+        const plainDamage = 100 - victim.health;
+        victim.health = 100;
+        combat.performAttack(fighter, victim, combatWorld);
+        recordTest(results, 'Fighters hit harder in melee', 100 - victim.health > plainDamage);
+        
+        roll = 0.12;
+        recordTest(results, 'Fighters crit more often in melee',
+            combat.rollDamage(fighter, victim, 1, classCombat.fighter.meleeCritBonus).isCritical &&
+            !combat.rollDamage(brawler, victim).isCritical);
+        
+        roll = 0.99;
+        const mage = makeCombatant('TestMage', 'mage', 0);
+        const ally = makeCombatant('TestAlly', undefined, 30);
+        const foe = makeCombatant('TestFoe', 'fighter', 50);
+        const bystander = makeCombatant('TestBystander', undefined, 60);
+        ally.health = 40;
+        combatGame.dwarfs = [mage, ally, foe, bystander];
+        combat.performAttack(mage, foe, combatWorld);
+        recordTest(results, 'Mage heals injured ally instead of attacking',
+            ally.health === 40 + classCombat.mage.healAmount && foe.health === 100);
+        
+        roll = 0;
+        mage.attackCooldown = 0;
+        combat.performAttack(mage, foe, combatWorld);
+        recordTest(results, 'Mage slows the target',
+            combat.getSpeedMultiplier(foe) < 1 && combat.getSpeedMultiplier(bystander) === 1 && foe.health === 100);
+        
+        roll = 0.99;
+        mage.attackCooldown = 0;
+        combat.performAttack(mage, foe, combatWorld);
+        recordTest(results, 'Area spell hits target and splashes neighbors',
+            foe.health < 100 && bystander.health < 100 && 100 - foe.health > 100 - bystander.health);
+        recordTest(results, 'Spell statistics', combat.stats.spellsCast.heal === 1 &&
+            combat.stats.spellsCast.slow === 1 && combat.stats.spellsCast.area === 1);
+        
+        // Status effects
+        const { createColonySimulation } = await import('../../game/ColonySimulation.js');
+        const { AutoSaveSystem } = await import('../../AutoSaveSystem.js');
+        const colony = createColonySimulation({
+            seed: 7,
+            autoSaveSystem: new AutoSaveSystem(),
+            dimensions: { width: 800, height: 600 },
+            logSink: () => {}
+        });
+        colony.initialize();
+        const lifespan = colony.lifespanIntegration.lifespanSystem;
+        const effects = lifespan.config.statusEffects;
+        const patient = colony.game.dwarfs[0];
+        const healer = colony.game.dwarfs[1];
+        
+        for (let i = 0; i <= effects.bleeding.maxStacks; i++) {
+            lifespan.applyStatusEffect(patient, 'bleeding');
+        }
+        recordTest(results, 'Status effects stack up to their limit',
+            patient.statusEffects.bleeding.stacks === effects.bleeding.maxStacks);
+        
+        const healthBeforeBleeding = patient.health;
+        lifespan.updateStatusEffects(patient);
+        recordTest(results, 'Bleeding hurts per stack and stops natural healing',
+            Math.abs(healthBeforeBleeding - patient.health - effects.bleeding.damagePerTick * effects.bleeding.maxStacks) < 1e-9 &&
+            lifespan.isHealingBlocked(patient));
+        
+        lifespan.applyStatusEffect(patient, 'slowed', 2);
+        lifespan.updateStatusEffects(patient);
+        const slowedAfterOneTick = lifespan.hasStatusEffect(patient, 'slowed');
+        lifespan.updateStatusEffects(patient);
+        recordTest(results, 'Status effects expire on time',
+            slowedAfterOneTick && !lifespan.hasStatusEffect(patient, 'slowed'));
+        
+        const stepFrom = (dwarf) => {
+            Object.assign(dwarf, { x: 300, y: 300, targetX: 400, targetY: 300 });
+            dwarf.move(colony.world);
+            return dwarf.x - 300;
+        };
+        const normalStep = stepFrom(patient);
+        lifespan.applyStatusEffect(patient, 'broken_limb');
+        recordTest(results, 'Broken limb slows movement',
+            Math.abs(stepFrom(patient) - normalStep * effects.broken_limb.speedMultiplier) < 1e-9);
+        
+        const efficiencyBefore = patient.getWorkEfficiency(colony.world);
+        lifespan.applyStatusEffect(patient, 'concussion');
+        recordTest(results, 'Concussion lowers work efficiency',
+            Math.abs(patient.getWorkEfficiency(colony.world) - efficiencyBefore * effects.concussion.efficiencyMultiplier) < 1e-9);
+        
+        colony.game.buildings.push({ type: 'amenity', amenityType: 'house', x: patient.x, y: patient.y });
+        recordTest(results, 'Injured dwarf seeks rest', patient.getNeededAmenity(colony.world) === 'seeking_rest');
+        patient.task = 'seeking_rest';
+        patient.useAmenity(colony.world);
+        recordTest(results, 'Rest cures bleeding and concussion',
+            Object.keys(patient.statusEffects).join() === 'broken_limb');
+        
+        colony.game.dwarfs.forEach(dwarf => {
+            dwarf.class = dwarf === healer ? 'mage' : 'fighter';
+            lifespan.assignCombatStats(dwarf);
+        });
+        Object.assign(healer, { x: patient.x + 10, y: patient.y, isAdult: true, attackCooldown: 0, combatEffectTimer: 0 });
+        lifespan.applyStatusEffect(patient, 'poisoned');
+        recordTest(results, 'Injured dwarf seeks a healer', patient.findHealer(colony.world) === healer);
+        lifespan.handleHealerBehavior(healer, colony.world);
+        recordTest(results, 'Mage out of combat cures injuries',
+            Object.keys(patient.statusEffects).length === 0 && lifespan.stats.statusEffectsCured.healer === 2);
+        
+        patient.health = patient.maxHealth;
+        lifespan.applyStatusEffect(patient, 'poisoned');
+        const healsBefore = lifespan.stats.spellsCast.heal;
+        const healingBefore = lifespan.stats.totalHealing;
+        lifespan.healAlly(healer, patient, lifespan.getCombatClass(healer));
+        recordTest(results, 'Curing a healthy dwarf is not counted as a heal',
+            !lifespan.hasStatusEffect(patient, 'poisoned') && patient.health === patient.maxHealth &&
+            lifespan.stats.spellsCast.heal === healsBefore && lifespan.stats.totalHealing === healingBefore);
+        
+        lifespan.applyStatusEffect(patient, 'poisoned');
+        lifespan.applyStatusEffect(patient, 'poisoned');
+        const autoSave = colony.autoSaveSystem;
+        const savedPatient = JSON.parse(JSON.stringify(autoSave.serializers.get('dwarf')(patient)));
+        const restoredPatient = autoSave.deserializers.get('dwarf')(savedPatient, colony.game);
+        recordTest(results, 'Status effects survive save and load',
+            restoredPatient !== patient && restoredPatient.statusEffects !== patient.statusEffects &&
+            restoredPatient.statusEffects.poisoned.stacks === 2 &&
+            restoredPatient.statusEffects.poisoned.ticksLeft === patient.statusEffects.poisoned.ticksLeft);
+        
         console.log('✅ System Integration tests completed\n');
         
     } catch (error) {
@@ -492,6 +1081,108 @@ async function testPregnancySystem(results) {
         const readyForBirth = pregnancyManager.isReadyForBirth(female);
         recordTest(results, 'Birth readiness check', readyForBirth);
         
+        // Test pregnancy outcomes with scripted random rolls (disabled by default)
+        const { REPRODUCTION_EVENTS } = await import('../events/ReproductionEventBus.js');
+        recordTest(results, 'Pregnancy outcomes off by default',
+            !pregnancyManager.isOutcomesEnabled() && pregnancyManager.getSpeedMultiplier(female) === 1);
+        
+        const outcomeConfig = { ...REPRODUCTION_CONFIG.PREGNANCY_OUTCOMES, enabled: true };
+        const outcomesEnabled = { ...REPRODUCTION_CONFIG, PREGNANCY_OUTCOMES: outcomeConfig };
+        const rolls = [];
+        const birthWorld = new WorldInterface(new MockGame(), {
+            random: () => rolls.length > 0 ? rolls.shift() : 0.5,
+            dwarfFactory: (x, y, name, isAdult) => Object.assign(new MockDwarf(name || 'Newborn', 'female', isAdult),
+                { health: 100, maxHealth: 100 })
+        });
+        const births = [];
+        eventBus.subscribe(REPRODUCTION_EVENTS.BIRTH, (event) => births.push(event.data));
+        const birthManager = new PregnancyManager(outcomesEnabled, birthWorld, eventBus);
+        const expecting = Object.assign(new MockDwarf('Expecting', 'female'),
+            { id: birthWorld.allocateDwarfId(), hunger: 10, thirst: 80, health: 100, maxHealth: 100 });
+        birthWorld.addDwarf(expecting);
+        birthManager.startPregnancy(expecting, new MockDwarf('Sire', 'male'));
+        birthManager.updatePregnancy(expecting);
+        recordTest(results, 'Hunger strains pregnancy', expecting.pregnancyStrain === 1);
+        recordTest(results, 'Strain raises complication chance',
+            birthManager.getComplicationChance(expecting) > outcomeConfig.baseComplicationChance);
+        recordTest(results, 'Pregnancy slows mother',
+            birthManager.getSpeedMultiplier(expecting) === outcomeConfig.pregnantSpeed &&
+            birthManager.getEfficiencyMultiplier(expecting) === outcomeConfig.pregnantEfficiency &&
+            birthManager.getSpeedMultiplier(new MockDwarf('NotPregnant', 'female')) === 1);
+        
+        rolls.push(0.99, 0.01);
+        birthManager.giveBirth(expecting);
+        const twinBirth = births[births.length - 1];
+        recordTest(results, 'Healthy twin birth',
+            twinBirth.outcome === 'healthy' && twinBirth.twins && twinBirth.babies.length === 2 &&
+            twinBirth.baby.id === twinBirth.babies[0].id && expecting.pregnancyStrain === 0);
+        
+        birthManager.startPregnancy(expecting, new MockDwarf('Sire', 'male'));
+        rolls.push(0, 0.99, 0.99);
+        birthManager.giveBirth(expecting);
+        const frailBaby = birthWorld.getDwarfById(births[births.length - 1].baby.id);
+        recordTest(results, 'Complicated birth leaves baby frail and mother hurt',
+            births[births.length - 1].outcome === 'complicated' &&
+            frailBaby.maxHealth === 100 * outcomeConfig.frailHealth &&
+            expecting.health === 100 - outcomeConfig.complicationHealthLoss);
+        
+        birthManager.startPregnancy(expecting, new MockDwarf('Sire', 'male'));
+        rolls.push(0, 0);
+        birthManager.giveBirth(expecting);
+        const stillbirth = births[births.length - 1];
+        recordTest(results, 'Stillbirth has no baby',
+            stillbirth.outcome === 'stillborn' && stillbirth.baby === null && stillbirth.babies.length === 0);
+        
+        const outcomeStats = birthManager.getStatistics().outcomes;
+        recordTest(results, 'Outcome rates reported',
+            outcomeStats.deliveries === 3 && outcomeStats.twins === 1 &&
+            Math.abs(outcomeStats.rates.stillborn - 1 / 3) < 0.001);
+
+        // Test trait inheritance
+        const { Genetics } = await import('../systems/Genetics.js');
+        const noMutation = { ...REPRODUCTION_CONFIG, GENETICS: { ...REPRODUCTION_CONFIG.GENETICS, mutationRate: 0 } };
+        const genetics = new Genetics(noMutation, world, eventBus);
+        const mother = new MockDwarf('GeneMother', 'female');
+        const father = new MockDwarf('GeneFather', 'male');
+        mother.strategyGene = 'blue';
+        mother.class = 'mage';
+        father.reproductionStrategy = 'blue';
+        father.class = 'mage';
+        const baby = new MockDwarf('GeneBaby', 'male', false);
+        const report = genetics.inheritTraits(baby, mother, genetics.getGenotype(father));
+        recordTest(results, 'Strategy gene inherited', baby.strategyGene === 'blue' && report.mutations.length === 0);
+        recordTest(results, 'Class inherited', baby.class === 'mage');
+        const midpoint = (mother.personality.openness + father.personality.openness) / 2;
+        recordTest(results, 'Personality blends parents',
+            Math.abs(baby.personality.openness - midpoint) <= REPRODUCTION_CONFIG.GENETICS.personalityVariance + 1e-9);
+
+        const alwaysMutate = new Genetics({ ...REPRODUCTION_CONFIG, GENETICS: { ...REPRODUCTION_CONFIG.GENETICS, mutationRate: 1 } }, world, eventBus);
+        const mutant = new MockDwarf('Mutant', 'female', false);
+        alwaysMutate.inheritTraits(mutant, mother, genetics.getGenotype(father));
+        recordTest(results, 'Strategy gene mutates', mutant.strategyGene !== 'blue' && mutant.class !== 'mage');
+        
+        // A successful mating records the father's genes exactly once
+        const { createColonySimulation } = await import('../../game/ColonySimulation.js');
+        const colony = createColonySimulation({
+            seed: 8,
+            reproductionConfig: { ...REPRODUCTION_CONFIG, MATING_SUCCESS_RATE: 1 },
+            dimensions: { width: 800, height: 600 },
+            logSink: () => {}
+        });
+        const sire = colony.spawnDwarf(100, 100);
+        const dam = colony.spawnDwarf(110, 100);
+        sire.gender = 'male';
+        dam.gender = 'female';
+        let conceptions = 0;
+        const recordConception = colony.reproductionSystem.genetics.recordConception.bind(colony.reproductionSystem.genetics);
+        colony.reproductionSystem.genetics.recordConception = (female, male) => {
+            conceptions++;
+            recordConception(female, male);
+        };
+        const mated = colony.reproductionSystem.femaleSelection.attemptMatingWithFemale(sire, dam);
+        recordTest(results, 'Conception recorded once per mating',
+            mated && conceptions === 1 && dam.pregnancyFatherGenes && dam.pregnancyFatherId === sire.id);
+
         console.log('✅ Pregnancy System tests completed\n');
         
     } catch (error) {
@@ -516,6 +1207,418 @@ function recordTest(results, testName, passed, errorMessage = '') {
     }
 }
 
+async function testSimulationClock(results) {
+    console.log('⏱️ Testing Simulation Clock...');
+    
+    try {
+        const { SimulationClock } = await import('../../game/SimulationClock.js');
+        
+        // First frame only records the timestamp
+        const clock = new SimulationClock({ tickRate: 10 });
+        recordTest(results, 'Clock first frame runs no ticks', clock.advance(1000) === 0);
+        
+        // Accumulator carries partial ticks into later frames
+        const partial = clock.advance(1050);
+        const caughtUp = clock.advance(1100);
+        recordTest(results, 'Clock accumulates partial ticks',
+            partial === 0 && caughtUp === 1 && clock.getState().totalTicks === 1);
+        
+        // A slow frame catches up with several ticks
+        recordTest(results, 'Clock catches up after slow frame', clock.advance(1350) === 2);
+        
+        // Long gaps are clamped to maxFrameTime
+        const clamped = new SimulationClock({ tickRate: 10, maxFrameTime: 250 });
+        clamped.advance(0);
+        recordTest(results, 'Clock clamps long frames to maxFrameTime', clamped.advance(60000) === 2);
+        
+        // Speed multiplies elapsed time
+        const fast = new SimulationClock({ tickRate: 10, speed: 4 });
+        fast.advance(0);
+        recordTest(results, 'Clock speed multiplies ticks', fast.advance(100) === 4);
+        
+        let rejectedSpeed = false;
+        try {
+            fast.setSpeed(3);
+        } catch (error) {
+            rejectedSpeed = true;
+        }
+        recordTest(results, 'Clock rejects unsupported speed', rejectedSpeed && fast.speed === 4);
+        
+        // Pausing stops real-time ticks and drops the accumulator
+        const paused = new SimulationClock({ tickRate: 10 });
+        paused.advance(0);
+        paused.advance(50);
+        paused.pause();
+        const whilePaused = paused.advance(1000);
+        paused.resume();
+        const afterResume = paused.advance(1050);
+        recordTest(results, 'Clock pause stops ticks', whilePaused === 0 && afterResume === 0);
+        
+        // Steps run once on the next frame, even while paused
+        paused.pause();
+        paused.step(3);
+        const stepped = paused.advance(1100);
+        const afterStep = paused.advance(1200);
+        recordTest(results, 'Clock step runs queued ticks while paused', stepped === 3 && afterStep === 0);
+        
+        console.log('✅ Simulation Clock tests completed\n');
+        
+    } catch (error) {
+        recordTest(results, 'Simulation Clock import', false, error.message);
+        console.log('❌ Simulation Clock tests failed\n');
+    }
+}
+
+async function testSaveSystem(results) {
+    console.log('💾 Testing Save System...');
+    
+    try {
+        const { createColonySimulation } = await import('../../game/ColonySimulation.js');
+        const { AutoSaveSystem } = await import('../../AutoSaveSystem.js');
+        
+        const colony = createColonySimulation({
+            seed: 11,
+            autoSaveSystem: new AutoSaveSystem(),
+            dimensions: { width: 800, height: 600 },
+            logSink: () => {}
+        });
+        colony.initialize();
+        for (let i = 0; i < 300; i++) colony.update();
+        
+        // A save that fails partway through restoring leaves the running colony as it was
+        const corrupt = JSON.parse(JSON.stringify(colony.autoSaveSystem.collectSaveData()));
+        corrupt.gameState.time = 99999;
+        corrupt.dwarfs.push(null);
+        
+        const dwarfsBefore = colony.game.dwarfs;
+        const foodBefore = colony.game.foodSources;
+        const timeBefore = colony.game.time;
+        const rngBefore = colony.rng.getState();
+        const nextIdBefore = colony.game.nextDwarfId;
+        
+        const originalError = console.error;
+        console.error = () => {};
+        const loadedCorrupt = colony.loadSaveData(corrupt);
+        console.error = originalError;
+        
+        recordTest(results, 'Corrupt save is rejected', loadedCorrupt === false);
+        recordTest(results, 'Corrupt save leaves colony untouched',
+            colony.game.dwarfs === dwarfsBefore &&
+            colony.game.foodSources === foodBefore &&
+            colony.game.time === timeBefore &&
+            colony.rng.getState() === rngBefore &&
+            colony.game.nextDwarfId === nextIdBefore);
+        
+        // A good save replaces the colony
+        const good = JSON.parse(JSON.stringify(colony.autoSaveSystem.collectSaveData()));
+        for (let i = 0; i < 100; i++) colony.update();
+        const loadedGood = colony.loadSaveData(good);
+        recordTest(results, 'Valid save replaces colony',
+            loadedGood && colony.game.time === timeBefore && colony.game.dwarfs !== dwarfsBefore &&
+            colony.game.dwarfs.length === good.dwarfs.length);
+        
+        console.log('✅ Save System tests completed\n');
+        
+    } catch (error) {
+        recordTest(results, 'Save System import', false, error.message);
+        console.log('❌ Save System tests failed\n');
+    }
+}
+
+async function testSaveCodec(results) {
+    console.log('🗜️ Testing Save Codec...');
+    
+    try {
+        const { SaveCodec, createSaveCodec } = await import('../../SaveCodec.js');
+        
+        const codec = createSaveCodec();
+        const plainCodec = createSaveCodec({ compression: false });
+        const save = {
+            metadata: { version: '1.0.0', description: 'Ünïcode «名» 🪓' },
+            data: { dwarfs: [{ name: 'Þórin' }, { name: 'Гимли' }, { name: '山田' }] }
+        };
+        const json = JSON.stringify(save);
+        
+        const decodeError = (decoder, stored) => {
+            try {
+                decoder.decode(stored);
+                return '';
+            } catch (error) {
+                return error.message;
+            }
+        };
+        
+        // Round trip keeps text outside Latin1 intact, with and without compression
+        const encoded = codec.encode(json);
+        recordTest(results, 'Codec round trip keeps non-Latin1 names',
+            SaveCodec.isEncoded(encoded) && codec.decode(encoded) === json);
+        recordTest(results, 'Uncompressed codec round trip', plainCodec.decode(plainCodec.encode(json)) === json);
+        
+        // A payload altered after encoding fails its checksum
+        const tampered = plainCodec.encode(json).replace('Þórin', 'Thorin');
+        recordTest(results, 'Codec detects checksum mismatch', decodeError(plainCodec, tampered).includes('checksum'));
+        
+        // Truncated payloads and headers are reported, not silently decoded
+        recordTest(results, 'Codec rejects truncated payload',
+            decodeError(codec, encoded.slice(0, encoded.length - 20)).length > 0);
+        recordTest(results, 'Codec rejects truncated header',
+            decodeError(codec, encoded.slice(0, encoded.indexOf('|', 8))).includes('truncated'));
+        
+        // Saves written before the header existed were btoa(json)
+        const legacyJson = JSON.stringify({ metadata: { version: '1.0.0' }, data: { dwarfs: [{ name: 'Urist' }] } });
+        recordTest(results, 'Codec decodes legacy base64 save', codec.decode(btoa(legacyJson)) === legacyJson);
+        recordTest(results, 'Codec rejects unrecognized legacy text',
+            decodeError(codec, 'not a save!').includes('Unrecognized'));
+        
+        console.log('✅ Save Codec tests completed\n');
+        
+    } catch (error) {
+        recordTest(results, 'Save Codec import', false, error.message);
+        console.log('❌ Save Codec tests failed\n');
+    }
+}
+
+async function testSaveMigrations(results) {
+    console.log('🔀 Testing Save Migrations...');
+    
+    try {
+        const { createSaveMigrator, DORF_SAVE_MIGRATIONS, compareVersions } = await import('../../SaveMigrations.js');
+        const { SAVE_VERSION } = await import('../../AutoSaveSystem.js');
+        const { createColonySimulation } = await import('../../game/ColonySimulation.js');
+        
+        const colony = createColonySimulation({
+            seed: 5,
+            dimensions: { width: 800, height: 600 },
+            logSink: () => {}
+        });
+        const migrator = createSaveMigrator(DORF_SAVE_MIGRATIONS);
+        
+        // An original-format save walks the whole chain to the current version
+        const oldSave = {
+            metadata: { version: '1.0.0', description: 'Old colony' },
+            data: {
+                gameState: { gold: 150, time: 1200, rocketParts: {} },
+                dwarfs: [{ name: 'Urist', x: 100, y: 100, isAdult: true, age: 500 }],
+                buildings: [{ type: 'house', x: 50, y: 50 }]
+            }
+        };
+        const report = migrator.migrate(oldSave, SAVE_VERSION, { game: colony.game });
+        recordTest(results, 'Migration brings 1.0.0 save to current version',
+            report.migrated && oldSave.metadata.version === SAVE_VERSION &&
+            oldSave.metadata.migratedFrom === '1.0.0' &&
+            report.steps.length === DORF_SAVE_MIGRATIONS.length);
+        recordTest(results, 'Migration keeps saved values',
+            oldSave.data.dwarfs[0].age === 500 && oldSave.data.gameState.milestones.hundredGold);
+        
+        // Current saves pass through untouched
+        const currentReport = migrator.migrate({ metadata: { version: SAVE_VERSION }, data: {} }, SAVE_VERSION);
+        recordTest(results, 'Current save needs no migration', !currentReport.migrated);
+        
+        // Versions outside the chain are refused
+        let noPathError = '';
+        try {
+            migrator.migrate({ metadata: { version: '9.0.0' }, data: {} }, SAVE_VERSION);
+        } catch (error) {
+            noPathError = error.message;
+        }
+        recordTest(results, 'Migration without a path throws', noPathError.includes('No migration path'));
+        
+        // Steps must move to a newer version
+        let backwardError = '';
+        try {
+            createSaveMigrator().registerMigration('1.2.0', '1.1.0', 'Backwards', () => []);
+        } catch (error) {
+            backwardError = error.message;
+        }
+        recordTest(results, 'Non-forward migration step is rejected',
+            backwardError.includes('newer version') && compareVersions('1.10.0', '1.9.0') > 0);
+        
+        console.log('✅ Save Migrations tests completed\n');
+        
+    } catch (error) {
+        recordTest(results, 'Save Migrations import', false, error.message);
+        console.log('❌ Save Migrations tests failed\n');
+    }
+}
+
+async function testSaveStorage(results) {
+    console.log('🗄️ Testing Save Storage...');
+    
+    try {
+        const { MemoryStorageAdapter, isQuotaExceededError } = await import('../../SaveStorage.js');
+        const { AutoSaveSystem, SaveUtils } = await import('../../AutoSaveSystem.js');
+        const { createColonySimulation } = await import('../../game/ColonySimulation.js');
+        
+        // Memory adapter: get, set, remove, prefixed keys and usage
+        const memory = new MemoryStorageAdapter();
+        await memory.setItem('dorf_a', 'abc');
+        await memory.setItem('dorf_b', 'defg');
+        await memory.setItem('other', 'x');
+        const usage = await memory.getUsage('dorf_');
+        await memory.removeItem('dorf_a');
+        recordTest(results, 'Memory adapter stores and removes items',
+            (await memory.getItem('dorf_b')) === 'defg' && (await memory.getItem('dorf_a')) === null &&
+            (await memory.keys('dorf_')).length === 1);
+        recordTest(results, 'Memory adapter reports usage by prefix',
+            usage.keys.length === 2 && usage.used === (6 + 3 + 6 + 4) * 2);
+        
+        // Writes past the quota fail with a quota error and keep the old value
+        const small = new MemoryStorageAdapter({ quota: 40 });
+        await small.setItem('k', 'short');
+        let quotaError = null;
+        try {
+            await small.setItem('k', 'x'.repeat(50));
+        } catch (error) {
+            quotaError = error;
+        }
+        recordTest(results, 'Memory adapter enforces quota',
+            isQuotaExceededError(quotaError) && (await small.getItem('k')) === 'short');
+        
+        // A slot too big for the primary backend moves to the fallback
+        const colony = createColonySimulation({
+            seed: 3,
+            dimensions: { width: 800, height: 600 },
+            logSink: () => {}
+        });
+        colony.initialize();
+        
+        const primary = new MemoryStorageAdapter({ quota: 4000 });
+        const fallback = new MemoryStorageAdapter();
+        const autoSave = new AutoSaveSystem({ game: colony.game, storage: primary, fallbackStorage: fallback });
+        const events = [];
+        autoSave.dispatchSaveEvent = (type, data) => events.push({ type, ...data });
+        
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        const saved = await autoSave.saveToSlot(1, 'Too big for primary');
+        console.warn = originalWarn;
+        
+        const key = autoSave.getSaveKey(1);
+        const entry = autoSave.getSaveList().find(s => s.slot === 1);
+        recordTest(results, 'Oversized slot moves to fallback backend',
+            saved && (await primary.getItem(key)) === null && (await fallback.getItem(key)) !== null &&
+            entry && entry.backend === fallback.name);
+        recordTest(results, 'Relocation fires relocate event',
+            events.some(event => event.type === 'relocate' && event.slot === 1 && event.success));
+        recordTest(results, 'Relocated slot loads back', (await autoSave.loadFromSlot(1)) !== null);
+        
+        // A save list that no longer fits fails the save instead of being dropped silently
+        const cramped = new MemoryStorageAdapter({ quota: 4000 });
+        const crampedSave = new AutoSaveSystem({ game: colony.game, storage: cramped, fallbackStorage: new MemoryStorageAdapter() });
+        crampedSave.dispatchSaveEvent = (type, data) => events.push({ type, ...data });
+        await cramped.setItem('filler', 'x'.repeat(1990));
+        
+        const originalError = console.error;
+        console.error = () => {};
+        console.warn = () => {};
+        const crampedSaved = await crampedSave.saveToSlot(2, 'List does not fit');
+        console.warn = originalWarn;
+        
+        recordTest(results, 'Save fails when save list cannot be written',
+            crampedSaved === false && crampedSave.getSaveList().length === 0);
+        
+        // A slot that fails to decode loads as null and leaves the colony untouched
+        await primary.setItem(autoSave.getSaveKey(3), 'DFSAVE1|lz16|00000000|garbage');
+        const dwarfsBefore = colony.game.dwarfs;
+        const corruptData = await autoSave.loadFromSlot(3);
+        const loadedCorrupt = colony.loadSaveData(corruptData);
+        console.error = originalError;
+        recordTest(results, 'Corrupt slot leaves colony untouched',
+            corruptData === null && !loadedCorrupt && colony.game.dwarfs === dwarfsBefore);
+        
+        // Usage and clearing cover every backend
+        const totals = await SaveUtils.getStorageUsage(autoSave);
+        recordTest(results, 'Storage usage spans all backends',
+            totals.backends.length === 2 && totals.saveCount === 2 && totals.totalSize > 0);
+        
+        const cleared = await SaveUtils.clearAllSaves(autoSave);
+        recordTest(results, 'Clearing saves empties every backend',
+            cleared > 0 && (await fallback.keys(autoSave.gameId)).length === 0 &&
+            (await primary.keys(autoSave.gameId)).length === 0 && autoSave.getSaveList().length === 0);
+        
+        console.log('✅ Save Storage tests completed\n');
+        
+    } catch (error) {
+        recordTest(results, 'Save Storage import', false, error.message);
+        console.log('❌ Save Storage tests failed\n');
+    }
+}
+
+async function testStatisticsSampler(results) {
+    console.log('📈 Testing Statistics Sampler...');
+    
+    try {
+        const { createStatisticsSampler, SAMPLED_NEEDS } = await import('../../game/StatisticsSampler.js');
+        const { createColonySimulation } = await import('../../game/ColonySimulation.js');
+        
+        const colony = createColonySimulation({
+            seed: 13,
+            dimensions: { width: 800, height: 600 },
+            logSink: () => {}
+        });
+        colony.initialize();
+        const sampler = createStatisticsSampler(colony, { interval: 10, maxSamples: 3 });
+        
+        // One sample per interval, skipping ticks in between
+        let sampled = 0;
+        for (let i = 0; i < 45; i++) {
+            colony.update();
+            if (sampler.update()) sampled++;
+        }
+        const ticks = sampler.getSamples().map(sample => sample.tick);
+        recordTest(results, 'Sampler samples once per interval', sampled === 4 && ticks.every(tick => tick % 10 === 0));
+        
+        // Only the newest maxSamples are kept
+        recordTest(results, 'Sampler buffer is bounded',
+            ticks.join(',') === '20,30,40' && sampler.droppedSamples === 1);
+        
+        const first = sampler.getSamples()[0];
+        recordTest(results, 'Sample records population and needs',
+            first.population === colony.game.dwarfs.length &&
+            SAMPLED_NEEDS.every(need => typeof first.needs[need] === 'number'));
+        
+        // CSV has a header and one row per sample
+        const csvLines = sampler.toCSV().trim().split('\n');
+        const header = csvLines[0].split(',');
+        recordTest(results, 'Sampler exports CSV',
+            csvLines.length === 4 && header[0] === 'tick' && header.includes('population') &&
+            csvLines.every(line => line.split(',').length === header.length) &&
+            csvLines[1].startsWith('20,'));
+        
+        // JSON carries the seed and settings alongside the samples
+        const exported = JSON.parse(sampler.toJSON());
+        recordTest(results, 'Sampler exports JSON',
+            exported.seed === colony.seed && exported.interval === 10 &&
+            exported.droppedSamples === 1 && exported.samples.length === 3);
+        
+        // Reset clears the series; time moving backwards (a load) also resets it
+        sampler.reset();
+        const clearedCount = sampler.getSamples().length;
+        for (let i = 0; i < 10; i++) {
+            colony.update();
+            sampler.update();
+        }
+        colony.game.time = 10;
+        sampler.update();
+        recordTest(results, 'Sampler reset clears samples',
+            clearedCount === 0 && sampler.getSamples().length === 1 && sampler.getSamples()[0].tick === 10);
+        
+        let rejected = false;
+        try {
+            createStatisticsSampler(colony, { interval: 2.5 });
+        } catch (error) {
+            rejected = true;
+        }
+        recordTest(results, 'Sampler rejects invalid interval', rejected);
+        
+        console.log('✅ Statistics Sampler tests completed\n');
+        
+    } catch (error) {
+        recordTest(results, 'Statistics Sampler import', false, error.message);
+        console.log('❌ Statistics Sampler tests failed\n');
+    }
+}
+
 // Auto-run tests if this script is loaded directly
 if (typeof window !== 'undefined' && !window.testRunning) {
     window.testRunning = true;